@@ -1,35 +1,112 @@
 import React, { useState, useEffect } from 'react';
-import { StatusBar } from 'react-native';
-import { NavigationContainer } from '@react-navigation/native';
+import { StatusBar, View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import {
+  NavigationContainer,
+  StackActions,
+  createNavigationContainerRef,
+} from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
-import { MMKV } from 'react-native-mmkv';
 
 import HomeScreen from './src/screens/HomeScreen';
 import CredentialDetailScreen from './src/screens/CredentialDetailScreen';
 import SettingsScreen from './src/screens/SettingsScreen';
 import LockscreenAuthScreen from './src/screens/LockscreenAuthScreen';
-
-const securityStorage = new MMKV({
-  id: 'app-security-storage',
-});
+import BackupScreen from './src/screens/BackupScreen';
+import CsvImportScreen from './src/screens/CsvImportScreen';
+import FoldersScreen from './src/screens/FoldersScreen';
+import BreachCheckScreen from './src/screens/BreachCheckScreen';
+import AuditLogScreen from './src/screens/AuditLogScreen';
+import RotationScreen from './src/screens/RotationScreen';
+import SecurityOverviewScreen from './src/screens/SecurityOverviewScreen';
+import PrivacyCover from './src/components/PrivacyCover';
+import StorageService from './src/services/StorageService';
+import SettingsService from './src/services/SettingsService';
+import BreachService from './src/services/BreachService';
+import AuditLogService from './src/services/AuditLogService';
+import LockService from './src/services/LockService';
+import AuthSessionService from './src/services/AuthSessionService';
+import PrivacyService from './src/services/PrivacyService';
+import VaultCheckService from './src/services/VaultCheckService';
 
 const Stack = createNativeStackNavigator();
+const navigationRef = createNavigationContainerRef();
 
 const App = () => {
   const [initializing, setInitializing] = useState(true);
   const [securityEnabled, setSecurityEnabled] = useState(false);
+  // Set when storage could not be opened, e.g. the keychain refused its keys
+  const [initError, setInitError] = useState(false);
+  // Bumped to run the startup steps again
+  const [initAttempt, setInitAttempt] = useState(0);
 
   useEffect(() => {
     const checkSecuritySettings = async () => {
-      const appSecurityEnabled = securityStorage.getBoolean('appSecurityEnabled');
-      setSecurityEnabled(!!appSecurityEnabled);
-      setInitializing(false);
+      setInitError(false);
+      try {
+        // Encryption keys must be loaded from the keychain before any MMKV access
+        await Promise.all([StorageService.init(), SettingsService.init(), AuditLogService.init()]);
+        BreachService.init();
+
+        VaultCheckService.reportAtStartup();
+
+        const historyRetention = SettingsService.getHistoryRetention();
+        if (historyRetention !== undefined) {
+          await StorageService.setHistoryRetention(historyRetention);
+        }
+
+        const appSecurityEnabled = SettingsService.isAppSecurityEnabled();
+        // Starts locked when the first screen is the lockscreen
+        LockService.start(appSecurityEnabled);
+        PrivacyService.start();
+        PrivacyService.setSecure(SettingsService.isPrivacyCoverEnabled());
+        setSecurityEnabled(appSecurityEnabled);
+        setInitializing(false);
+      } catch (error) {
+        console.error('Error opening secure storage:', error);
+        setInitError(true);
+      }
     };
 
     checkSecuritySettings();
+  }, [initAttempt]);
+
+  useEffect(() => {
+    // Show the lockscreen on top of the current screens, so unlocking
+    // returns to them
+    const unsubscribe = LockService.subscribe((locked: boolean) => {
+      if (locked) {
+        // Whoever unlocks next has to authenticate again
+        AuthSessionService.end();
+      }
+      if (locked && navigationRef.isReady() && navigationRef.getCurrentRoute()?.name !== 'Auth') {
+        navigationRef.dispatch(StackActions.push('Auth', { resume: true }));
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      LockService.stop();
+    };
   }, []);
 
+  useEffect(() => () => PrivacyService.stop(), []);
+
+  if (initError) {
+    return (
+      <View style={styles.errorContainer}>
+        <Text style={styles.errorTitle}>Secure Storage Unavailable</Text>
+        <Text style={styles.errorText}>
+          Your credentials could not be opened. Make sure the device is unlocked and try again.
+          If this keeps happening, restart the app.
+        </Text>
+        <TouchableOpacity style={styles.retryButton} onPress={() => setInitAttempt(attempt => attempt + 1)}>
+          <Text style={styles.retryButtonText}>Try Again</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
   if (initializing) {
     return null;
   }
@@ -37,26 +114,80 @@ const App = () => {
   return (
     <SafeAreaProvider>
       <StatusBar backgroundColor="#1976D2" barStyle="light-content" />
-      <NavigationContainer>
-        <Stack.Navigator
-          initialRouteName={securityEnabled ? "Auth" : "Home"}
-          screenOptions={{
-            headerShown: false,
-            animation: 'slide_from_right',
-          }}
-        >
-          <Stack.Screen 
-            name="Auth" 
-            component={LockscreenAuthScreen}
-            options={{ gestureEnabled: false }}
-          />
-          <Stack.Screen name="Home" component={HomeScreen} />
-          <Stack.Screen name="CredentialDetail" component={CredentialDetailScreen} />
-          <Stack.Screen name="Settings" component={SettingsScreen} />
-        </Stack.Navigator>
-      </NavigationContainer>
+      <View
+        style={styles.container}
+        // Sees every touch without taking it from the screens
+        onStartShouldSetResponderCapture={() => {
+          LockService.recordActivity();
+          return false;
+        }}
+      >
+        <NavigationContainer ref={navigationRef}>
+          <Stack.Navigator
+            initialRouteName={securityEnabled ? "Auth" : "Home"}
+            screenOptions={{
+              headerShown: false,
+              animation: 'slide_from_right',
+            }}
+          >
+            <Stack.Screen 
+              name="Auth" 
+              component={LockscreenAuthScreen}
+              options={{ gestureEnabled: false }}
+            />
+            <Stack.Screen name="Home" component={HomeScreen} />
+            <Stack.Screen name="CredentialDetail" component={CredentialDetailScreen} />
+            <Stack.Screen name="Settings" component={SettingsScreen} />
+            <Stack.Screen name="Backup" component={BackupScreen} />
+            <Stack.Screen name="CsvImport" component={CsvImportScreen} />
+            <Stack.Screen name="Folders" component={FoldersScreen} />
+            <Stack.Screen name="BreachCheck" component={BreachCheckScreen} />
+            <Stack.Screen name="AuditLog" component={AuditLogScreen} />
+            <Stack.Screen name="Rotation" component={RotationScreen} />
+            <Stack.Screen name="SecurityOverview" component={SecurityOverviewScreen} />
+          </Stack.Navigator>
+        </NavigationContainer>
+        <PrivacyCover />
+      </View>
     </SafeAreaProvider>
   );
 };
 
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  errorContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+    backgroundColor: '#F5F5F5',
+  },
+  errorTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  errorText: {
+    fontSize: 16,
+    color: '#757575',
+    textAlign: 'center',
+    marginBottom: 24,
+  },
+  retryButton: {
+    backgroundColor: '#2196F3',
+    paddingHorizontal: 24,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  retryButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
 export default App;
\ No newline at end of file
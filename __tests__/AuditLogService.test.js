@@ -0,0 +1,87 @@
+import {
+  AuditLogService,
+  AUDIT_EVENT,
+  AUDIT_OUTCOME,
+  MAX_AUDIT_ENTRIES,
+} from '../src/services/AuditLogService';
+import MemoryMetadataStore from '../src/services/adapters/MemoryMetadataStore';
+
+const createService = () => {
+  const storage = new MemoryMetadataStore();
+  let now = Date.UTC(2025, 0, 1);
+  const service = new AuditLogService({ storage, now: () => now++ });
+  return { service, storage };
+};
+
+const readEntry = (storage, seq) => JSON.parse(storage.getString(`audit_${seq}`));
+
+describe('AuditLogService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('chains each entry to the previous one', () => {
+    const { service } = createService();
+
+    const first = service.record(AUDIT_EVENT.UNLOCK);
+    const second = service.record(AUDIT_EVENT.REVEAL, { key: 'github' });
+
+    expect(first.seq).toBe(1);
+    expect(second.prevHash).toBe(first.hash);
+    expect(service.verify()).toEqual({ valid: true, count: 2, brokenAt: null });
+  });
+
+  test('lists entries newest first with filters', () => {
+    const { service } = createService();
+    service.record(AUDIT_EVENT.UNLOCK, { outcome: AUDIT_OUTCOME.CANCEL });
+    service.record(AUDIT_EVENT.COPY, { key: 'github', details: { field: 'Password' } });
+    service.record(AUDIT_EVENT.UPDATE, { key: 'wifi' });
+
+    expect(service.getEntries().map(entry => entry.event)).toEqual(['update', 'copy', 'unlock']);
+    expect(service.getEntries({ filter: 'access' }).map(entry => entry.key)).toEqual(['github']);
+    expect(service.getEntries({ key: 'wifi' }).map(entry => entry.event)).toEqual(['update']);
+  });
+
+  test('detects edited, removed and truncated entries', () => {
+    const edited = createService();
+    ['unlock', 'reveal', 'copy'].forEach(event => edited.service.record(event, { key: 'github' }));
+    const entry = readEntry(edited.storage, 2);
+    edited.storage.set('audit_2', JSON.stringify({ ...entry, key: 'gitlab' }));
+    expect(edited.service.verify()).toMatchObject({ valid: false, brokenAt: 2 });
+
+    const removed = createService();
+    ['unlock', 'reveal', 'copy'].forEach(event => removed.service.record(event));
+    removed.storage.delete('audit_2');
+    expect(removed.service.verify()).toMatchObject({ valid: false, brokenAt: 2 });
+
+    const truncated = createService();
+    ['unlock', 'reveal', 'copy'].forEach(event => truncated.service.record(event));
+    truncated.storage.delete('audit_3');
+    expect(truncated.service.verify()).toMatchObject({ valid: false, brokenAt: 3 });
+  });
+
+  test('drops the oldest entries past the limit and still verifies', () => {
+    const { service, storage } = createService();
+    for (let i = 0; i < MAX_AUDIT_ENTRIES + 5; i++) {
+      service.record(AUDIT_EVENT.UNLOCK);
+    }
+
+    expect(storage.getString('audit_5')).toBeUndefined();
+    expect(service.verify()).toEqual({ valid: true, count: MAX_AUDIT_ENTRIES, brokenAt: null });
+  });
+
+  test('exports the entries and the check result', () => {
+    const { service } = createService();
+    service.record(AUDIT_EVENT.CLEAR_ALL, { details: { count: 3 } });
+
+    const exported = JSON.parse(service.exportLog());
+
+    expect(exported.verification.valid).toBe(true);
+    expect(exported.entries).toHaveLength(1);
+    expect(exported.entries[0].details).toEqual({ count: 3 });
+  });
+});
@@ -0,0 +1,97 @@
+import {
+  AuthSessionService,
+  AUTH_RESULT,
+  AUTH_SESSION_GRACE_MS,
+  SESSION_KEY_SERVICE,
+  SESSION_NONCE_SERVICE,
+} from '../src/services/AuthSessionService';
+import MemorySecretStore from '../src/services/adapters/MemorySecretStore';
+import MemoryClock from '../src/services/adapters/MemoryClock';
+import { StorageError, StorageErrorCode } from '../src/services/StorageErrors';
+
+const createService = () => {
+  const secretStore = new MemorySecretStore();
+  const clock = new MemoryClock();
+  const service = new AuthSessionService({ secretStore, clock });
+  // Reading the session key with authenticate is what shows the prompt
+  const getSecret = jest.spyOn(secretStore, 'getSecret');
+  const prompts = () => getSecret.mock.calls.filter(([, options]) => options && options.authenticate).length;
+  return { service, secretStore, clock, prompts };
+};
+
+describe('AuthSessionService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates one protected key and keeps it', async () => {
+    const { service, secretStore } = createService();
+
+    expect(await service.authenticate()).toBe(AUTH_RESULT.SUCCESS);
+    const key = secretStore.secrets.get(SESSION_KEY_SERVICE);
+    expect(await service.authenticate()).toBe(AUTH_RESULT.SUCCESS);
+
+    expect(secretStore.secrets.get(SESSION_KEY_SERVICE)).toBe(key);
+    expect(key.options).toEqual({ useBiometrics: true, useDevicePasscode: true });
+    expect([...secretStore.secrets.keys()].sort()).toEqual([SESSION_KEY_SERVICE, SESSION_NONCE_SERVICE]);
+  });
+
+  test('reuses a session only when asked and within the grace window', async () => {
+    const { service, clock, prompts } = createService();
+    await service.authenticate();
+    expect(prompts()).toBe(1);
+
+    expect(await service.authenticate({ reuseSession: true })).toBe(AUTH_RESULT.SUCCESS);
+    expect(prompts()).toBe(1);
+
+    await service.authenticate();
+    expect(prompts()).toBe(2);
+
+    clock.advance(AUTH_SESSION_GRACE_MS);
+    expect(await service.hasSession()).toBe(false);
+    await service.authenticate({ reuseSession: true });
+    expect(prompts()).toBe(3);
+  });
+
+  test('ends sessions on request and on reboot', async () => {
+    const { service, clock } = createService();
+    await service.authenticate();
+    service.end();
+    expect(await service.hasSession()).toBe(false);
+
+    await service.authenticate();
+    clock.reboot();
+    expect(await service.hasSession()).toBe(false);
+  });
+
+  test('reports a cancelled prompt without issuing a session', async () => {
+    const { service, secretStore } = createService();
+    await service.authenticate();
+    service.end();
+    secretStore.getSecret.mockImplementation(async (name, options) => {
+      if (options && options.authenticate) {
+        throw new StorageError(StorageErrorCode.USER_CANCELLED, 'cancelled');
+      }
+      return MemorySecretStore.prototype.getSecret.call(secretStore, name);
+    });
+    const key = secretStore.secrets.get(SESSION_KEY_SERVICE);
+
+    expect(await service.authenticate()).toBe(AUTH_RESULT.CANCELLED);
+    expect(await service.hasSession()).toBe(false);
+    expect(secretStore.secrets.get(SESSION_KEY_SERVICE)).toBe(key);
+  });
+
+  test('replaces a key that no longer opens the nonce', async () => {
+    const { service, secretStore, prompts } = createService();
+    await service.authenticate();
+    await secretStore.setSecret(SESSION_KEY_SERVICE, 'key', '00'.repeat(32));
+
+    expect(await service.authenticate()).toBe(AUTH_RESULT.SUCCESS);
+    expect(prompts()).toBe(3);
+    expect(secretStore.secrets.get(SESSION_KEY_SERVICE).password).not.toBe('00'.repeat(32));
+  });
+});
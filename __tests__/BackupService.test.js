@@ -0,0 +1,231 @@
+import { StorageService } from '../src/services/StorageService';
+import { BackupService, BACKUP_VERSION, IMPORT_MODE } from '../src/services/BackupService';
+import MemorySecretStore from '../src/services/adapters/MemorySecretStore';
+import MemoryMetadataStore from '../src/services/adapters/MemoryMetadataStore';
+import { StorageErrorCode } from '../src/services/StorageErrors';
+
+// Cheap scrypt parameters keep the tests fast; real backups use the defaults
+const TEST_KDF_PARAMS = { N: 2 ** 4, r: 8, p: 1 };
+
+const createVault = () => {
+  const storageService = new StorageService({
+    secretStore: new MemorySecretStore(),
+    metadataStore: new MemoryMetadataStore(),
+  });
+  const backupService = new BackupService({ storageService, kdfParams: TEST_KDF_PARAMS });
+  return { storageService, backupService };
+};
+
+const exportFrom = async (credentials) => {
+  const { storageService, backupService } = createVault();
+  for (const [key, username, password, options] of credentials) {
+    await storageService.saveCredential(key, username, password, options);
+  }
+  const { value } = await backupService.exportVault('correct horse');
+  return value;
+};
+
+describe('BackupService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('export writes a versioned envelope without plaintext secrets', async () => {
+    const backup = await exportFrom([['github', 'octocat', 'hunter2']]);
+    const envelope = JSON.parse(backup);
+
+    expect(envelope).toMatchObject({
+      format: 'lockscreen-credentials-backup',
+      version: BACKUP_VERSION,
+      kdf: { name: 'scrypt', ...TEST_KDF_PARAMS },
+      cipher: { name: 'xchacha20poly1305' },
+    });
+    expect(backup).not.toContain('hunter2');
+    expect(backup).not.toContain('octocat');
+  });
+
+  test('import restores secrets and protection flags', async () => {
+    const backup = await exportFrom([
+      ['github', 'octocat', 'hunter2', { useBiometrics: true }],
+      ['bank', 'me', 'pin', { useDevicePasscode: true }],
+    ]);
+    const { storageService, backupService } = createVault();
+
+    const result = await backupService.importVault(backup, 'correct horse');
+
+    expect(result.ok).toBe(true);
+    expect(result.value.imported).toEqual(['github', 'bank']);
+
+    const { value: github } = await storageService.getCredential('github');
+    expect(github.password).toBe('hunter2');
+    expect(github.metadata).toMatchObject({ useBiometrics: true, useDevicePasscode: false });
+
+    const { value: bank } = await storageService.getCredential('bank');
+    expect(bank.metadata).toMatchObject({ useBiometrics: false, useDevicePasscode: true });
+  });
+
+  test('import keeps the original dates and rotation policy', async () => {
+    const { storageService, backupService } = createVault();
+    await storageService.saveCredential('github', 'octocat', 'hunter2', {
+      createdAt: '2020-01-01T00:00:00.000Z',
+      updatedAt: '2021-01-01T00:00:00.000Z',
+      rotationDays: 30,
+    });
+    const { value: backup } = await backupService.exportVault('correct horse');
+
+    const target = createVault();
+    await target.backupService.importVault(backup, 'correct horse');
+
+    const { value } = await target.storageService.getCredential('github');
+    expect(value.metadata).toMatchObject({
+      createdAt: '2020-01-01T00:00:00.000Z',
+      updatedAt: '2021-01-01T00:00:00.000Z',
+      rotationDays: 30,
+    });
+  });
+
+  test('merge keeps existing items and reports them as conflicts', async () => {
+    const backup = await exportFrom([
+      ['github', 'octocat', 'from-backup'],
+      ['wifi', 'home', 'secret'],
+    ]);
+    const { storageService, backupService } = createVault();
+    await storageService.saveCredential('github', 'octocat', 'local');
+
+    const { value: report } = await backupService.importVault(backup, 'correct horse', {
+      mode: IMPORT_MODE.MERGE,
+    });
+
+    expect(report.imported).toEqual(['wifi']);
+    expect(report.conflicts).toEqual([{ key: 'github', resolution: 'kept' }]);
+
+    const { value } = await storageService.getCredential('github');
+    expect(value.password).toBe('local');
+  });
+
+  test('replace overwrites conflicts and removes items missing from the backup', async () => {
+    const backup = await exportFrom([['github', 'octocat', 'from-backup']]);
+    const { storageService, backupService } = createVault();
+    await storageService.saveCredential('github', 'octocat', 'local');
+    await storageService.saveCredential('old', 'someone', 'stale');
+
+    const { value: report } = await backupService.importVault(backup, 'correct horse', {
+      mode: IMPORT_MODE.REPLACE,
+    });
+
+    expect(report.conflicts).toEqual([{ key: 'github', resolution: 'replaced' }]);
+    expect(report.removed).toEqual(['old']);
+    expect(storageService.getItemsList()).toEqual(['github']);
+
+    const { value } = await storageService.getCredential('github');
+    expect(value.password).toBe('from-backup');
+  });
+
+  test('items that cannot be saved are reported as failed', async () => {
+    const backup = await exportFrom([['github', 'octocat', 'hunter2', { useBiometrics: true }]]);
+    const { storageService, backupService } = createVault();
+    jest.spyOn(storageService.secretStore, 'setSecret').mockRejectedValue(new Error('no lockscreen'));
+
+    const { value: report } = await backupService.importVault(backup, 'correct horse');
+
+    expect(report.imported).toEqual([]);
+    expect(report.failed).toHaveLength(1);
+    expect(report.failed[0].key).toBe('github');
+    expect(storageService.getItemsList()).toEqual([]);
+  });
+
+  test('a wrong passphrase is reported without touching the vault', async () => {
+    const backup = await exportFrom([['github', 'octocat', 'hunter2']]);
+    const { storageService, backupService } = createVault();
+
+    const result = await backupService.importVault(backup, 'wrong');
+
+    expect(result.ok).toBe(false);
+    expect(result.error.code).toBe(StorageErrorCode.WRONG_PASSPHRASE);
+    expect(storageService.getItemsList()).toEqual([]);
+  });
+
+  test('a tampered header fails authentication', async () => {
+    const envelope = JSON.parse(await exportFrom([['github', 'octocat', 'hunter2']]));
+    envelope.kdf.p = 2;
+    const { backupService } = createVault();
+
+    const result = await backupService.importVault(JSON.stringify(envelope), 'correct horse');
+
+    expect(result.error.code).toBe(StorageErrorCode.WRONG_PASSPHRASE);
+  });
+
+  test.each([
+    ['not json', 'garbage'],
+    ['another format', JSON.stringify({ format: 'other', data: '' })],
+    ['a newer version', JSON.stringify({
+      format: 'lockscreen-credentials-backup',
+      version: BACKUP_VERSION + 1,
+      data: '',
+    })],
+    ['a missing version', JSON.stringify({
+      format: 'lockscreen-credentials-backup',
+      data: '',
+    })],
+  ])('rejects %s as an invalid backup', async (_, contents) => {
+    const { backupService } = createVault();
+
+    const result = await backupService.importVault(contents, 'correct horse');
+
+    expect(result.error.code).toBe(StorageErrorCode.BACKUP_INVALID);
+  });
+
+  test.each([
+    ['an empty key', [''], { username: 'octocat', password: 'hunter2' }],
+    ['a non-string username', ['github'], { username: 42, password: 'hunter2' }],
+    ['a missing password', ['github'], { username: 'octocat' }],
+  ])('rejects items with %s without touching the vault', async (_, keys, credential) => {
+    const source = createVault();
+    jest.spyOn(source.storageService, 'getItemsList').mockReturnValue(keys);
+    jest.spyOn(source.storageService, 'getCredential').mockResolvedValue({
+      ok: true,
+      value: { ...credential, metadata: {} },
+    });
+    const { value: backup } = await source.backupService.exportVault('correct horse');
+    const { storageService, backupService } = createVault();
+
+    const result = await backupService.importVault(backup, 'correct horse');
+
+    expect(result.error.code).toBe(StorageErrorCode.IMPORT_INVALID);
+    expect(storageService.getItemsList()).toEqual([]);
+  });
+
+  test.each([
+    ['N above the limit', { N: 2 ** 21 }],
+    ['N not a power of two', { N: 3 * 2 ** 10 }],
+    ['r above the limit', { r: 17 }],
+    ['p above the limit', { p: 5 }],
+    ['a non-numeric cost', { N: '32768' }],
+  ])('rejects key derivation with %s before deriving', async (_, kdf) => {
+    const envelope = JSON.parse(await exportFrom([['github', 'octocat', 'hunter2']]));
+    Object.assign(envelope.kdf, kdf);
+    const { backupService } = createVault();
+
+    const result = await backupService.importVault(JSON.stringify(envelope), 'correct horse');
+
+    expect(result.error.code).toBe(StorageErrorCode.BACKUP_INVALID);
+  });
+
+  test('export stops when a credential cannot be read', async () => {
+    const { storageService, backupService } = createVault();
+    await storageService.saveCredential('github', 'octocat', 'hunter2', { useBiometrics: true });
+    jest.spyOn(storageService, 'getCredential').mockResolvedValue({
+      ok: false,
+      error: { code: StorageErrorCode.USER_CANCELLED },
+    });
+
+    const result = await backupService.exportVault('correct horse');
+
+    expect(result.ok).toBe(false);
+    expect(result.error.code).toBe(StorageErrorCode.USER_CANCELLED);
+  });
+});
@@ -0,0 +1,82 @@
+import { sha1 } from '@noble/hashes/sha1';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import BloomFilter from '../src/utils/BloomFilter';
+import CryptoUtils from '../src/utils/CryptoUtils';
+
+const hashOf = password => sha1(utf8ToBytes(password));
+
+describe('BloomFilter', () => {
+  test('finds every added hash', () => {
+    const filter = BloomFilter.create(100);
+    const passwords = Array.from({ length: 100 }, (_, index) => `password${index}`);
+    passwords.forEach(password => filter.add(hashOf(password)));
+
+    passwords.forEach(password => expect(filter.hasPassword(password)).toBe(true));
+    expect(filter.count).toBe(100);
+  });
+
+  test('keeps false positives near the configured rate', () => {
+    const filter = BloomFilter.create(1000, 0.01);
+    for (let i = 0; i < 1000; i++) {
+      filter.add(hashOf(`breached-${i}`));
+    }
+
+    let falsePositives = 0;
+    for (let i = 0; i < 2000; i++) {
+      if (filter.hasPassword(`unique-${i}`)) {
+        falsePositives++;
+      }
+    }
+    expect(falsePositives / 2000).toBeLessThan(0.03);
+  });
+
+  test('survives a serialize and parse round trip', () => {
+    const filter = BloomFilter.create(10);
+    filter.add(hashOf('hunter2'));
+
+    const parsed = BloomFilter.parse(filter.serialize());
+
+    expect(parsed.hasPassword('hunter2')).toBe(true);
+    expect(parsed.hasPassword('correct-horse')).toBe(false);
+    expect(parsed.count).toBe(1);
+  });
+
+  test.each([
+    ['not json', 'not valid JSON'],
+    ['{"format":"lockscreen-credentials-backup"}', 'Not a breach filter'],
+    [
+      '{"format":"lockscreen-credentials-breach-filter","version":2,"hash":"sha1"}',
+      'Unsupported breach filter version',
+    ],
+    [
+      '{"format":"lockscreen-credentials-breach-filter","version":1,"hash":"sha1","bits":64,"hashes":3,"data":"AAAA"}',
+      'does not match its size',
+    ],
+  ])('rejects %s', (contents, message) => {
+    expect(() => BloomFilter.parse(contents)).toThrow(message);
+  });
+});
+
+describe('CryptoUtils base64', () => {
+  // RFC 4648 test vectors
+  test.each([
+    ['', ''],
+    ['f', 'Zg=='],
+    ['fo', 'Zm8='],
+    ['foo', 'Zm9v'],
+    ['foob', 'Zm9vYg=='],
+    ['fooba', 'Zm9vYmE='],
+    ['foobar', 'Zm9vYmFy'],
+  ])('encodes "%s" as "%s" and back', (text, encoded) => {
+    const bytes = utf8ToBytes(text);
+
+    expect(CryptoUtils.bytesToBase64(bytes)).toBe(encoded);
+    expect(Array.from(CryptoUtils.base64ToBytes(encoded))).toEqual(Array.from(bytes));
+  });
+
+  test('round trips random bytes', () => {
+    const bytes = CryptoUtils.getRandomBytes(257);
+
+    expect(CryptoUtils.base64ToBytes(CryptoUtils.bytesToBase64(bytes))).toEqual(bytes);
+  });
+});
@@ -0,0 +1,118 @@
+import { sha1 } from '@noble/hashes/sha1';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { StorageService } from '../src/services/StorageService';
+import { BreachService } from '../src/services/BreachService';
+import { StorageError, StorageErrorCode } from '../src/services/StorageErrors';
+import BloomFilter from '../src/utils/BloomFilter';
+import MemorySecretStore from '../src/services/adapters/MemorySecretStore';
+import MemoryMetadataStore from '../src/services/adapters/MemoryMetadataStore';
+
+const createServices = () => {
+  const secretStore = new MemorySecretStore();
+  const storageService = new StorageService({
+    secretStore,
+    metadataStore: new MemoryMetadataStore(),
+  });
+  const breachService = new BreachService({ storageService });
+  return { storageService, secretStore, breachService };
+};
+
+const compromisedOf = (storageService, key) =>
+  JSON.parse(storageService.storage.getString(`metadata_${key}`)).compromised;
+
+const buildFilter = passwords => {
+  const filter = BloomFilter.create(passwords.length);
+  passwords.forEach(password => filter.add(sha1(utf8ToBytes(password))));
+  return filter.serialize();
+};
+
+describe('BreachService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('leaves secrets unchecked until a filter is loaded', async () => {
+    const { storageService } = createServices();
+    await storageService.saveCredential('github', 'octocat', 'password');
+
+    expect(compromisedOf(storageService, 'github')).toBeNull();
+  });
+
+  test('checks secrets against the bundled list on save and update', async () => {
+    const { storageService, breachService } = createServices();
+    breachService.init();
+
+    await storageService.saveCredential('github', 'octocat', 'password');
+    expect(compromisedOf(storageService, 'github')).toBe(true);
+    expect(breachService.getFilterInfo()).toEqual({ source: 'bundled', count: 10000, importedAt: null });
+
+    await storageService.updateCredential('github', 'octocat', 'plaid-mustang-oxidize-ninth');
+    expect(compromisedOf(storageService, 'github')).toBe(false);
+  });
+
+  test('imported filters replace the bundled one and survive a restart', async () => {
+    const { storageService, breachService } = createServices();
+    breachService.init();
+
+    const result = breachService.importFilter(buildFilter(['plaid-mustang-oxidize-ninth']));
+
+    expect(result.ok).toBe(true);
+    expect(result.value).toMatchObject({ source: 'imported', count: 1 });
+
+    const restarted = new BreachService({ storageService });
+    restarted.init();
+    expect(restarted.isPasswordCompromised('plaid-mustang-oxidize-ninth')).toBe(true);
+    expect(restarted.isPasswordCompromised('password')).toBe(false);
+
+    restarted.resetFilter();
+    expect(restarted.isPasswordCompromised('password')).toBe(true);
+  });
+
+  test('rejects files that are not breach filters', () => {
+    const { breachService } = createServices();
+    breachService.init();
+
+    const result = breachService.importFilter('123456,password');
+
+    expect(result.error.code).toBe(StorageErrorCode.BREACH_LIST_INVALID);
+    expect(breachService.getFilterInfo().source).toBe('bundled');
+  });
+
+  test('scanAll records results for existing credentials', async () => {
+    const { storageService, breachService } = createServices();
+    await storageService.saveCredential('github', 'octocat', 'password');
+    await storageService.saveCredential('bank', 'me', 'plaid-mustang-oxidize-ninth');
+    breachService.init();
+
+    const result = await breachService.scanAll();
+
+    expect(result.value).toMatchObject({
+      checked: ['github', 'bank'],
+      compromised: ['github'],
+      failed: [],
+      cancelled: false,
+    });
+    expect(compromisedOf(storageService, 'github')).toBe(true);
+    expect(compromisedOf(storageService, 'bank')).toBe(false);
+  });
+
+  test('scanAll stops when the user cancels authentication', async () => {
+    const { storageService, secretStore, breachService } = createServices();
+    await storageService.saveCredential('github', 'octocat', 'password');
+    await storageService.saveCredential('bank', 'me', 'password');
+    breachService.init();
+    jest
+      .spyOn(secretStore, 'getSecret')
+      .mockRejectedValue(new StorageError(StorageErrorCode.USER_CANCELLED, 'User canceled'));
+
+    const result = await breachService.scanAll();
+
+    expect(result.value.cancelled).toBe(true);
+    expect(result.value.checked).toEqual([]);
+    expect(compromisedOf(storageService, 'github')).toBeNull();
+  });
+});
@@ -0,0 +1,64 @@
+import { ClipboardService } from '../src/services/ClipboardService';
+import MemoryClipboard from '../src/services/adapters/MemoryClipboard';
+
+const createService = (clearTimeout = 30) => {
+  const clipboard = new MemoryClipboard();
+  const storageService = { markCredentialUsed: jest.fn() };
+  const settingsService = { getClipboardClearTimeout: () => clearTimeout };
+  const auditLog = { record: jest.fn() };
+  const service = new ClipboardService({ clipboard, settingsService, storageService, auditLog });
+  return { service, clipboard, storageService, auditLog };
+};
+
+// Lets the clear started by the timer finish
+const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+describe('ClipboardService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('clears a copied secret after the timeout', async () => {
+    const { service, clipboard, storageService, auditLog } = createService();
+
+    expect(await service.copy('hunter2', { key: 'github', label: 'Password', secret: true })).toBe(30);
+    expect(clipboard.value).toBe('hunter2');
+    expect(clipboard.sensitive).toBe(true);
+    expect(clipboard.expiresIn).toBe(30);
+    expect(storageService.markCredentialUsed).toHaveBeenCalledWith('github');
+    expect(auditLog.record).toHaveBeenCalledWith('copy', { key: 'github', details: { field: 'Password' } });
+
+    jest.advanceTimersByTime(30 * 1000);
+    await flushPromises();
+    expect(clipboard.value).toBe('');
+  });
+
+  test('leaves the clipboard alone when something else was copied', async () => {
+    const { service, clipboard } = createService();
+
+    await service.copy('hunter2', { secret: true });
+    await clipboard.setString('shopping list');
+
+    jest.advanceTimersByTime(30 * 1000);
+    await flushPromises();
+    expect(clipboard.value).toBe('shopping list');
+  });
+
+  test('does not clear plain values or when turned off', async () => {
+    const { service, clipboard } = createService();
+    expect(await service.copy('octocat')).toBe(0);
+    expect(clipboard.sensitive).toBe(false);
+
+    const disabled = createService(0);
+    expect(await disabled.service.copy('hunter2', { secret: true })).toBe(0);
+
+    jest.advanceTimersByTime(60 * 1000);
+    await flushPromises();
+    expect(clipboard.value).toBe('octocat');
+    expect(disabled.clipboard.value).toBe('hunter2');
+  });
+});
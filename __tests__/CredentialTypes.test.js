@@ -0,0 +1,161 @@
+import CredentialTypes, { isValidLuhn, unwrapSecret } from '../src/utils/CredentialTypes';
+
+const stored = (type, values) => {
+  const { username, password, fields, customFields } = CredentialTypes.toStorage(type, values);
+  return { username, password, metadata: { type, fields, customFields } };
+};
+
+describe('CredentialTypes', () => {
+  test('checks card numbers with Luhn', () => {
+    expect(isValidLuhn('4242424242424242')).toBe(true);
+    expect(isValidLuhn('79927398713')).toBe(true);
+    expect(isValidLuhn('4242424242424241')).toBe(false);
+  });
+
+  test('treats unknown and untyped records as logins', () => {
+    expect(CredentialTypes.get(undefined).type).toBe('login');
+    expect(CredentialTypes.get('future-type').type).toBe('login');
+  });
+
+  test('keeps the keychain layout of logins', () => {
+    const values = { username: 'octocat', password: 'hunter2' };
+
+    expect(CredentialTypes.toStorage('login', values)).toEqual({
+      username: 'octocat',
+      password: 'hunter2',
+      fields: {},
+      customFields: [],
+    });
+    expect(CredentialTypes.fromStorage({ username: 'octocat', password: 'hunter2', metadata: {} }))
+      .toEqual({ ...values, customFields: [] });
+  });
+
+  test('stores secret fields in the keychain payload and the rest in metadata', () => {
+    const values = {
+      cardholder: 'Ada Lovelace',
+      number: '4242424242424242',
+      expiry: '12/30',
+      cvv: '123',
+      pin: '',
+    };
+
+    const { password, fields } = CredentialTypes.toStorage('card', values);
+
+    expect(JSON.parse(password)).toEqual({ number: '4242424242424242', cvv: '123', pin: '' });
+    expect(fields).toEqual({ cardholder: 'Ada Lovelace', expiry: '12/30' });
+    expect(CredentialTypes.fromStorage(stored('card', values))).toEqual({ ...values, customFields: [] });
+  });
+
+  test('round trips notes and identities', () => {
+    const note = { content: 'Safe combination 12-34-56\nBehind the painting' };
+    const identity = { fullName: 'Ada Lovelace', email: 'ada@example.com', documentNumber: 'X1234567' };
+
+    expect(CredentialTypes.fromStorage(stored('note', note))).toEqual({ ...note, customFields: [] });
+    expect(CredentialTypes.fromStorage(stored('identity', identity))).toEqual({ ...identity, customFields: [] });
+    expect(CredentialTypes.toStorage('identity', identity).fields).not.toHaveProperty('documentNumber');
+  });
+
+  test('requires the required fields', () => {
+    expect(() => CredentialTypes.prepare('login', { username: 'octocat', password: ' ' }))
+      .toThrow('Please enter the password/value');
+    expect(() => CredentialTypes.prepare('note', { content: '' })).toThrow('Please enter the note');
+  });
+
+  test('validates and normalizes cards', () => {
+    const card = { number: '4242 4242 4242 4242', expiry: '12 / 30', cvv: '123' };
+
+    expect(CredentialTypes.prepare('card', card)).toMatchObject({ number: '4242424242424242', expiry: '12/30' });
+    expect(() => CredentialTypes.prepare('card', { ...card, number: '4242 4242 4242 4241' }))
+      .toThrow('The card number is not valid');
+    expect(() => CredentialTypes.prepare('card', { ...card, expiry: '13/30' })).toThrow('MM/YY');
+    expect(() => CredentialTypes.prepare('card', { ...card, cvv: '12' })).toThrow('security code');
+  });
+
+  test('sets up one-time codes from a URI or a manual secret', () => {
+    const fromUri = CredentialTypes.prepare('totp', {
+      ...CredentialTypes.getDefaultValues('totp'),
+      secret: 'otpauth://totp/GitHub:octocat?secret=JBSWY3DPEHPK3PXP&issuer=GitHub&digits=8',
+    });
+    const { username, password } = CredentialTypes.toStorage('totp', fromUri);
+
+    expect(username).toBe('octocat');
+    expect(CredentialTypes.fromStorage({ username, password, metadata: { type: 'totp' } })).toMatchObject({
+      secret: 'JBSWY3DPEHPK3PXP',
+      issuer: 'GitHub',
+      digits: 8,
+    });
+
+    const manual = CredentialTypes.prepare('totp', {
+      ...CredentialTypes.getDefaultValues('totp'),
+      secret: 'jbsw y3dp ehpk 3pxp',
+      period: 60,
+    });
+    expect(manual).toMatchObject({ secret: 'JBSWY3DPEHPK3PXP', period: 60, algorithm: 'SHA1' });
+  });
+
+  test('hides the TOTP options for pasted URIs', () => {
+    const names = values => CredentialTypes.getVisibleFields('totp', values).map(field => field.name);
+
+    expect(names({ secret: 'JBSWY3DP' })).toContain('algorithm');
+    expect(names({ secret: 'otpauth://totp/x?secret=JBSWY3DP' })).not.toContain('algorithm');
+  });
+
+  test('keeps secret custom fields in the keychain and plain ones in metadata', () => {
+    const customFields = [
+      { id: 'a1', name: 'Recovery code', secret: true, value: 'RC-1234' },
+      { id: 'b2', name: 'Account number', secret: false, value: '0042' },
+    ];
+    const values = { username: 'octocat', password: 'hunter2', customFields };
+
+    const storage = CredentialTypes.toStorage('login', values);
+
+    expect(storage.customFields).toEqual([
+      { id: 'a1', name: 'Recovery code', secret: true },
+      { id: 'b2', name: 'Account number', secret: false, value: '0042' },
+    ]);
+    expect(storage.password).not.toBe('hunter2');
+    expect(unwrapSecret(storage.password)).toEqual({ password: 'hunter2', customSecrets: { a1: 'RC-1234' } });
+    expect(CredentialTypes.fromStorage(stored('login', values))).toEqual(values);
+  });
+
+  test('leaves the keychain password alone without secret custom fields', () => {
+    const values = {
+      content: 'Alarm code',
+      customFields: [{ id: 'b2', name: 'Building', secret: false, value: 'North' }],
+    };
+
+    expect(CredentialTypes.toStorage('note', values).password).toBe(JSON.stringify({ content: 'Alarm code' }));
+    expect(unwrapSecret('hunter2')).toEqual({ password: 'hunter2', customSecrets: {} });
+  });
+
+  test('drops empty custom field rows and requires names', () => {
+    const login = { username: 'octocat', password: 'hunter2' };
+    const blank = { id: 'a1', name: ' ', secret: false, value: '' };
+    const named = { id: 'b2', name: ' PIN ', secret: true, value: '1234' };
+
+    expect(CredentialTypes.prepare('login', { ...login, customFields: [blank, named] }).customFields)
+      .toEqual([{ ...named, name: 'PIN' }]);
+    expect(() => CredentialTypes.prepare('login', { ...login, customFields: [{ ...blank, value: 'x' }] }))
+      .toThrow('Please name every custom field');
+  });
+
+  test('guesses the type of a secret from its contents', () => {
+    const card = { number: '4242424242424242', expiry: '12/30', cvv: '123' };
+    const totp = { ...CredentialTypes.getDefaultValues('totp'), secret: 'JBSWY3DPEHPK3PXP', account: 'octocat' };
+
+    expect(CredentialTypes.detectType({ username: 'octocat', password: 'hunter2' })).toBe('login');
+    expect(CredentialTypes.detectType({ username: 'octocat', password: '[1, 2]' })).toBe('login');
+    expect(CredentialTypes.detectType(CredentialTypes.toStorage('card', card))).toBe('card');
+    expect(CredentialTypes.detectType(CredentialTypes.toStorage('note', { content: 'Hi' }))).toBe('note');
+    expect(CredentialTypes.detectType(CredentialTypes.toStorage('apiKey', { token: 'sk_1' }))).toBe('apiKey');
+    expect(CredentialTypes.detectType(CredentialTypes.toStorage('identity', { fullName: 'Ada' }))).toBe('identity');
+    expect(CredentialTypes.detectType(CredentialTypes.toStorage('totp', CredentialTypes.prepare('totp', totp))))
+      .toBe('totp');
+  });
+
+  test('groups card numbers for display', () => {
+    const field = CredentialTypes.get('card').fields.find(item => item.name === 'number');
+
+    expect(CredentialTypes.formatValue(field, '4242424242424242')).toBe('4242 4242 4242 4242');
+  });
+});
@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { StorageService } from '../src/services/StorageService';
+import { CsvImportService } from '../src/services/CsvImportService';
+import MemorySecretStore from '../src/services/adapters/MemorySecretStore';
+import MemoryMetadataStore from '../src/services/adapters/MemoryMetadataStore';
+import CsvUtils from '../src/utils/CsvUtils';
+import { StorageErrorCode } from '../src/services/StorageErrors';
+
+// One sample export per supported password manager, named <dialect>.csv
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'csv');
+
+const loadFixture = name => fs.readFileSync(path.join(FIXTURES_DIR, `${name}.csv`), 'utf8');
+
+const createImporter = () => {
+  const storageService = new StorageService({
+    secretStore: new MemorySecretStore(),
+    metadataStore: new MemoryMetadataStore(),
+  });
+  const importService = new CsvImportService({ storageService });
+  return { storageService, importService };
+};
+
+describe('CsvUtils', () => {
+  test('handles quotes, escaped quotes, embedded newlines and CRLF', () => {
+    const rows = CsvUtils.parse('a,"b,c","say ""hi"""\r\n"multi\nline",,x\r\n');
+
+    expect(rows).toEqual([
+      ['a', 'b,c', 'say "hi"'],
+      ['multi\nline', '', 'x'],
+    ]);
+  });
+
+  test('skips a byte order mark and blank lines', () => {
+    expect(CsvUtils.parse('\uFEFFname,url\n\nx,y')).toEqual([
+      ['name', 'url'],
+      ['x', 'y'],
+    ]);
+  });
+});
+
+describe('CsvImportService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['chrome', 'Chrome'],
+    ['firefox', 'Firefox'],
+    ['bitwarden', 'Bitwarden'],
+    ['1password', '1Password'],
+    ['lastpass', 'LastPass'],
+  ])('detects the %s export and maps its login columns', (name, label) => {
+    const { importService } = createImporter();
+
+    const { value } = importService.parse(loadFixture(name));
+
+    expect(value.dialect).toEqual({ id: name, label });
+    expect(value.rows[0]).toMatchObject({
+      name: 'github.com',
+      username: 'octocat',
+      password: 'hunter2',
+      duplicate: false,
+      invalid: false,
+    });
+    expect(value.rows[0].url).toMatch(/^https:\/\/github\.com/);
+  });
+
+  test('derives names from the URL when the export has none', () => {
+    const { importService } = createImporter();
+
+    const { value: chrome } = importService.parse(loadFixture('chrome'));
+    const { value: firefox } = importService.parse(loadFixture('firefox'));
+
+    expect(chrome.rows[1]).toMatchObject({ name: 'example.com', password: 'pa,ss' });
+    expect(firefox.rows[1]).toMatchObject({ name: 'accounts.example.com', password: 'say "hi"' });
+  });
+
+  test('keeps notes, including multi-line ones', () => {
+    const { importService } = createImporter();
+
+    const { value: bitwarden } = importService.parse(loadFixture('bitwarden'));
+    const { value: lastpass } = importService.parse(loadFixture('lastpass'));
+
+    expect(bitwarden.rows[0].notes).toBe('recovery codes\nin the safe');
+    expect(lastpass.rows[0].notes).toBe('work account');
+  });
+
+  test('drops secure notes and other non-login rows', () => {
+    const { importService } = createImporter();
+
+    expect(importService.parse(loadFixture('bitwarden')).value.rows).toHaveLength(1);
+    expect(importService.parse(loadFixture('lastpass')).value.rows).toHaveLength(1);
+  });
+
+  test('rejects files from unknown sources', () => {
+    const { importService } = createImporter();
+
+    const result = importService.parse('site,login,secret\na,b,c');
+
+    expect(result.ok).toBe(false);
+    expect(result.error.code).toBe(StorageErrorCode.IMPORT_INVALID);
+  });
+
+  test('flags rows whose name is already in the vault', async () => {
+    const { storageService, importService } = createImporter();
+    await storageService.saveCredential('github.com', 'octocat', 'old');
+
+    const { value } = importService.parse(loadFixture('1password'));
+
+    expect(value.rows[0].duplicate).toBe(true);
+  });
+
+  test('gives repeated names within the file distinct names', () => {
+    const { importService } = createImporter();
+    const csv = [
+      'name,url,username,password',
+      'google.com,https://google.com,alice,one',
+      'google.com,https://google.com,bob,two',
+      'google.com,https://google.com,bob,three',
+      'google.com,https://google.com,,four',
+    ].join('\n');
+
+    const names = importService.parse(csv).value.rows.map(row => row.name);
+
+    expect(names).toEqual([
+      'google.com',
+      'google.com (bob)',
+      'google.com (bob) (2)',
+      'google.com (2)',
+    ]);
+  });
+
+  test('numbers repeated names after the original name and skips names in the vault', async () => {
+    const { storageService, importService } = createImporter();
+    await storageService.saveCredential('google.com (bob)', 'bob', 'old');
+    const csv = [
+      'name,url,username,password',
+      'Server (1),https://example.com,,one',
+      'Server (1),https://example.com,,two',
+      'google.com,https://google.com,alice,three',
+      'google.com,https://google.com,bob,four',
+    ].join('\n');
+
+    const rows = importService.parse(csv).value.rows;
+
+    expect(rows.map(row => row.name)).toEqual([
+      'Server (1)',
+      'Server (1) (2)',
+      'google.com',
+      'google.com (bob) (2)',
+    ]);
+    expect(rows.some(row => row.duplicate)).toBe(false);
+  });
+
+  test('flags rows without a password as invalid', () => {
+    const { importService } = createImporter();
+
+    const { value } = importService.parse('name,url,username,password\nsite,,me,');
+
+    expect(value.rows[0].invalid).toBe(true);
+  });
+
+  test('importRows saves rows with the chosen protection and their url and notes', async () => {
+    const { storageService, importService } = createImporter();
+    const { value } = importService.parse(loadFixture('lastpass'));
+
+    const { value: report } = await importService.importRows(value.rows, {
+      useDevicePasscode: true,
+    });
+
+    expect(report.imported).toEqual(['github.com']);
+
+    const { value: credential } = await storageService.getCredential('github.com');
+    expect(credential.password).toBe('hunter2');
+    expect(credential.metadata).toMatchObject({
+      useBiometrics: false,
+      useDevicePasscode: true,
+      url: 'https://github.com/login',
+      notes: 'work account',
+    });
+  });
+
+  test('importRows skips rows that became duplicates and reports failures', async () => {
+    const { storageService, importService } = createImporter();
+    const { value } = importService.parse(loadFixture('chrome'));
+    await storageService.saveCredential('github.com', 'octocat', 'local');
+    jest.spyOn(storageService.secretStore, 'setSecret').mockRejectedValue(new Error('keystore'));
+
+    const { value: report } = await importService.importRows(value.rows);
+
+    expect(report.skipped).toEqual(['github.com']);
+    expect(report.failed.map(item => item.name)).toEqual(['example.com']);
+  });
+});
@@ -0,0 +1,42 @@
+import { mapKeychainError } from '../src/services/adapters/KeychainSecretStore';
+import { StorageErrorCode } from '../src/services/StorageErrors';
+
+const nativeError = (code, message) => Object.assign(new Error(message), { code });
+
+describe('mapKeychainError', () => {
+  test.each([
+    ['-128', 'User canceled the operation.', StorageErrorCode.USER_CANCELLED],
+    ['-25293', 'The user name or passphrase you entered is not correct.', StorageErrorCode.AUTH_FAILED],
+    ['-25300', 'The specified item could not be found in the keychain.', StorageErrorCode.NOT_FOUND],
+    ['-5', 'Passcode not set.', StorageErrorCode.LOCKSCREEN_UNAVAILABLE],
+    ['-26275', 'Unable to decode the provided data.', StorageErrorCode.STORAGE_CORRUPT],
+  ])('maps iOS code %s', (code, message, expected) => {
+    expect(mapKeychainError(nativeError(code, message)).code).toBe(expected);
+  });
+
+  test.each([
+    ['code: 10, msg: Authentication cancelled by user', StorageErrorCode.USER_CANCELLED],
+    ['code: 13, msg: Cancel', StorageErrorCode.USER_CANCELLED],
+    ['code: 7, msg: Too many attempts. Try again later.', StorageErrorCode.AUTH_FAILED],
+    ['code: 14, msg: No device credential', StorageErrorCode.LOCKSCREEN_UNAVAILABLE],
+    [
+      'Wrapped error: android.security.keystore.KeyPermanentlyInvalidatedException: Key permanently invalidated',
+      StorageErrorCode.KEY_INVALIDATED,
+    ],
+    [
+      'Secure lock screen must be enabled to create keys requiring user authentication',
+      StorageErrorCode.LOCKSCREEN_UNAVAILABLE,
+    ],
+    ['Could not decrypt data with alias: com.lockscreencreds.example.github', StorageErrorCode.STORAGE_CORRUPT],
+  ])('maps Android error "%s"', (message, expected) => {
+    expect(mapKeychainError(nativeError('E_CRYPTO_FAILED', message)).code).toBe(expected);
+  });
+
+  test('falls back to Unknown and keeps the original error', () => {
+    const original = nativeError('E_UNKNOWN_ERROR', 'Something deeply wrong');
+    const mapped = mapKeychainError(original);
+
+    expect(mapped.code).toBe(StorageErrorCode.UNKNOWN);
+    expect(mapped.cause).toBe(original);
+  });
+});
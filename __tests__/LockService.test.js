@@ -0,0 +1,101 @@
+import { LockService } from '../src/services/LockService';
+
+const createService = (settings = {}) => {
+  let now = 0;
+  let appStateListener = null;
+  const settingsService = {
+    isAppSecurityEnabled: () => true,
+    getLockGracePeriod: () => 30,
+    getInactivityTimeout: () => 5,
+    ...settings,
+  };
+  const appState = {
+    addEventListener: (event, listener) => {
+      appStateListener = listener;
+      return { remove: () => { appStateListener = null; } };
+    },
+  };
+  const service = new LockService({ settingsService, appState, now: () => now });
+
+  return {
+    service,
+    advance: ms => {
+      now += ms;
+      jest.advanceTimersByTime(ms);
+    },
+    changeAppState: state => appStateListener(state),
+  };
+};
+
+describe('LockService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('locks when the app returns after the grace period', () => {
+    const { service, advance, changeAppState } = createService();
+    service.start();
+
+    changeAppState('background');
+    advance(10 * 1000);
+    changeAppState('active');
+    expect(service.isLocked()).toBe(false);
+
+    changeAppState('background');
+    advance(30 * 1000);
+    changeAppState('active');
+    expect(service.isLocked()).toBe(true);
+  });
+
+  test('locks after the inactivity timeout unless touched', () => {
+    const { service, advance } = createService();
+    const listener = jest.fn();
+    service.subscribe(listener);
+    service.start();
+
+    advance(4 * 60 * 1000);
+    service.recordActivity();
+    advance(4 * 60 * 1000);
+    expect(service.isLocked()).toBe(false);
+
+    advance(60 * 1000);
+    expect(service.isLocked()).toBe(true);
+    expect(listener).toHaveBeenCalledWith(true);
+  });
+
+  test('ignores app state changes while locked', () => {
+    const { service, advance, changeAppState } = createService();
+    service.start(true);
+
+    // The authentication prompt itself can background the app
+    changeAppState('background');
+    advance(60 * 1000);
+    service.unlock();
+    changeAppState('active');
+
+    expect(service.isLocked()).toBe(false);
+  });
+
+  test('never locks for inactivity when disabled', () => {
+    const { service, advance } = createService({ getInactivityTimeout: () => 0 });
+    service.start();
+
+    advance(60 * 60 * 1000);
+    expect(service.isLocked()).toBe(false);
+  });
+
+  test('stays unlocked while app security is off', () => {
+    const { service, advance, changeAppState } = createService({ isAppSecurityEnabled: () => false });
+    service.start();
+
+    changeAppState('background');
+    advance(60 * 1000);
+    changeAppState('active');
+    advance(10 * 60 * 1000);
+    expect(service.isLocked()).toBe(false);
+  });
+});
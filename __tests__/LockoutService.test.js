@@ -0,0 +1,97 @@
+import { LockoutService, BASE_LOCKOUT_MS, MAX_LOCKOUT_MS } from '../src/services/LockoutService';
+import MemoryClock from '../src/services/adapters/MemoryClock';
+import NativeClock from '../src/services/adapters/NativeClock';
+
+const createService = (threshold = 3) => {
+  const clock = new MemoryClock();
+  let stored = null;
+  const settingsService = {
+    getLockoutThreshold: () => threshold,
+    getUnlockFailures: () => (stored ? JSON.parse(stored) : null),
+    setUnlockFailures: state => { stored = state ? JSON.stringify(state) : null; },
+  };
+  const auditLog = { record: jest.fn() };
+  const service = new LockoutService({ clock, settingsService, auditLog });
+  return { service, clock, settingsService, auditLog };
+};
+
+const fail = async (service, times) => {
+  let result;
+  for (let i = 0; i < times; i++) {
+    result = await service.recordFailure();
+  }
+  return result;
+};
+
+describe('LockoutService', () => {
+  test('locks out once the threshold is reached and doubles each time', async () => {
+    const { service, clock, auditLog } = createService();
+
+    expect(await fail(service, 2)).toEqual({ failures: 2, lockedFor: 0 });
+    expect(await service.getRemaining()).toBe(0);
+
+    expect(await service.recordFailure()).toEqual({ failures: 3, lockedFor: BASE_LOCKOUT_MS });
+    expect(auditLog.record).toHaveBeenCalledWith('lockout', {
+      outcome: 'failure',
+      details: { failures: 3, seconds: 30 },
+    });
+
+    clock.advance(10 * 1000);
+    expect(await service.getRemaining()).toBe(BASE_LOCKOUT_MS - 10 * 1000);
+    clock.advance(BASE_LOCKOUT_MS);
+    expect(await service.getRemaining()).toBe(0);
+
+    expect((await service.recordFailure()).lockedFor).toBe(2 * BASE_LOCKOUT_MS);
+    expect((await fail(service, 20)).lockedFor).toBe(MAX_LOCKOUT_MS);
+  });
+
+  test('keeps counting across restarts and resets after a success', async () => {
+    const { service, clock, settingsService, auditLog } = createService();
+    await fail(service, 2);
+
+    const restarted = new LockoutService({ clock, settingsService, auditLog });
+    expect(restarted.getFailures()).toBe(2);
+
+    restarted.recordSuccess();
+    expect(restarted.getFailures()).toBe(0);
+    expect((await restarted.recordFailure()).lockedFor).toBe(0);
+  });
+
+  test('only counts the time since boot after a reboot', async () => {
+    const { service, clock } = createService();
+    clock.advance(5 * 60 * 1000);
+    await fail(service, 3);
+    clock.advance(10 * 1000);
+
+    clock.reboot();
+    clock.advance(5 * 1000);
+
+    expect(await service.getRemaining()).toBe(BASE_LOCKOUT_MS - 5 * 1000);
+  });
+
+  test('ignores changes of the wall clock', async () => {
+    const { service } = createService();
+    await fail(service, 3);
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 24 * 60 * 60 * 1000);
+    expect(await service.getRemaining()).toBe(BASE_LOCKOUT_MS);
+    jest.restoreAllMocks();
+  });
+
+  test('treats a restart like a reboot without the native clock', async () => {
+    const { service, settingsService, auditLog } = createService();
+    const now = jest.spyOn(global.performance, 'now').mockReturnValue(60 * 1000);
+    service.clock = new NativeClock();
+    expect(service.clock.module).toBeNull();
+
+    await fail(service, 3);
+    now.mockReturnValue(70 * 1000);
+    expect(await service.getRemaining()).toBe(BASE_LOCKOUT_MS - 10 * 1000);
+
+    // The performance clock of the new process starts again near 0
+    const restarted = new LockoutService({ clock: new NativeClock(), settingsService, auditLog });
+    now.mockReturnValue(5 * 1000);
+    expect(await restarted.getRemaining()).toBe(BASE_LOCKOUT_MS - 5 * 1000);
+    jest.restoreAllMocks();
+  });
+});
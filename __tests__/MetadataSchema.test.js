@@ -0,0 +1,113 @@
+import fs from 'fs';
+import path from 'path';
+import { StorageService } from '../src/services/StorageService';
+import MemorySecretStore from '../src/services/adapters/MemorySecretStore';
+import MemoryMetadataStore from '../src/services/adapters/MemoryMetadataStore';
+import {
+  METADATA_SCHEMA_VERSION,
+  REQUIRED_METADATA_FIELDS,
+  upgradeMetadata,
+} from '../src/services/MetadataSchema';
+
+// One fixture file per historical schema version, named v<version>.json
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'metadata');
+const fixtureFiles = fs.readdirSync(FIXTURES_DIR).filter(file => file.endsWith('.json'));
+
+const loadFixture = file =>
+  JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+
+const dumpStore = store =>
+  Object.fromEntries(store.getAllKeys().map(key => [key, store.getString(key)]));
+
+const createService = records => {
+  const metadataStore = new MemoryMetadataStore();
+  Object.entries(records).forEach(([storageKey, record]) => {
+    metadataStore.set(storageKey, JSON.stringify(record));
+  });
+  const service = new StorageService({
+    secretStore: new MemorySecretStore(),
+    metadataStore,
+  });
+  return service;
+};
+
+describe.each(fixtureFiles)('metadata fixture %s', file => {
+  const records = loadFixture(file);
+
+  test('upgrades every record to the current schema', async () => {
+    const service = createService(records);
+
+    await service.init();
+
+    Object.keys(records).forEach(storageKey => {
+      const upgraded = JSON.parse(service.storage.getString(storageKey));
+      expect(upgraded.schemaVersion).toBe(METADATA_SCHEMA_VERSION);
+      REQUIRED_METADATA_FIELDS.forEach(field => {
+        expect(upgraded).toHaveProperty(field);
+      });
+    });
+  });
+
+  test('preserves timestamps and protection flags', () => {
+    Object.entries(records).forEach(([storageKey, record]) => {
+      const key = storageKey.replace(/^metadata_/, '');
+      const upgraded = upgradeMetadata(record, key);
+
+      expect(upgraded.key).toBe(key);
+      if (record.createdAt) {
+        expect(upgraded.createdAt).toBe(record.createdAt);
+      }
+      if (record.updatedAt) {
+        expect(upgraded.updatedAt).toBe(record.updatedAt);
+      }
+      expect(upgraded.useBiometrics).toBe(!!record.useBiometrics);
+      expect(upgraded.useDevicePasscode).toBe(!!record.useDevicePasscode);
+    });
+  });
+});
+
+describe('migrateMetadata', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is idempotent', async () => {
+    const service = createService(loadFixture('v0.json'));
+
+    await service.init();
+    const snapshot = dumpStore(service.storage);
+
+    service.storage.delete('metadataSchemaVersion');
+    expect(service.migrateMetadata()).toBe(0);
+    expect(dumpStore(service.storage)).toEqual(snapshot);
+  });
+
+  test('leaves unreadable records in place', async () => {
+    const service = createService({});
+    service.storage.set('metadata_broken', '{not json');
+
+    await service.init();
+
+    expect(service.storage.getString('metadata_broken')).toBe('{not json');
+  });
+
+  test('does not downgrade records written by a newer version', () => {
+    const record = { schemaVersion: METADATA_SCHEMA_VERSION + 1, key: 'future' };
+
+    expect(upgradeMetadata(record, 'future')).toBe(record);
+  });
+
+  test('new credentials are stamped with the current version', async () => {
+    const service = createService({});
+    await service.init();
+
+    await service.saveCredential('github', 'octocat', 'hunter2');
+
+    const metadata = JSON.parse(service.storage.getString('metadata_github'));
+    expect(metadata.schemaVersion).toBe(METADATA_SCHEMA_VERSION);
+  });
+});
@@ -0,0 +1,119 @@
+import { StorageService } from '../src/services/StorageService';
+import { OrganizationService } from '../src/services/OrganizationService';
+import MemorySecretStore from '../src/services/adapters/MemorySecretStore';
+import MemoryMetadataStore from '../src/services/adapters/MemoryMetadataStore';
+
+const createServices = async (credentials = []) => {
+  const storageService = new StorageService({
+    secretStore: new MemorySecretStore(),
+    metadataStore: new MemoryMetadataStore(),
+  });
+  for (const [key, options] of credentials) {
+    await storageService.saveCredential(key, 'user', 'secret', options);
+  }
+  const organizationService = new OrganizationService({ storageService });
+  return { storageService, organizationService };
+};
+
+const folderOf = (storageService, key) =>
+  JSON.parse(storageService.storage.getString(`metadata_${key}`)).folder;
+
+describe('OrganizationService folders', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lists created and referenced folders alphabetically without duplicates', async () => {
+    const { organizationService } = await createServices([
+      ['github', { folder: 'Work' }],
+    ]);
+
+    organizationService.createFolder('banking');
+    organizationService.createFolder(' work ');
+
+    expect(organizationService.getFolders()).toEqual(['banking', 'Work']);
+  });
+
+  test('setCredentialFolder creates the folder and reuses existing spelling', async () => {
+    const { storageService, organizationService } = await createServices([['github']]);
+    organizationService.createFolder('Work');
+
+    organizationService.setCredentialFolder('github', 'work');
+
+    expect(folderOf(storageService, 'github')).toBe('Work');
+
+    organizationService.setCredentialFolder('github', null);
+    expect(folderOf(storageService, 'github')).toBeNull();
+  });
+
+  test('renaming a folder moves its credentials', async () => {
+    const { storageService, organizationService } = await createServices([
+      ['github', { folder: 'Work' }],
+      ['jira', { folder: 'Work' }],
+      ['bank', { folder: 'Personal' }],
+    ]);
+
+    const result = organizationService.renameFolder('Work', 'Job');
+
+    expect(result.ok).toBe(true);
+    expect(organizationService.getFolders()).toEqual(['Job', 'Personal']);
+    expect(folderOf(storageService, 'github')).toBe('Job');
+    expect(folderOf(storageService, 'jira')).toBe('Job');
+    expect(folderOf(storageService, 'bank')).toBe('Personal');
+  });
+
+  test('renaming onto an existing folder merges them', async () => {
+    const { storageService, organizationService } = await createServices([
+      ['github', { folder: 'Work' }],
+      ['bank', { folder: 'Personal' }],
+    ]);
+
+    organizationService.renameFolder('Work', 'personal');
+
+    expect(organizationService.getFolders()).toEqual(['Personal']);
+    expect(folderOf(storageService, 'github')).toBe('Personal');
+  });
+
+  test('deleting a folder keeps its credentials unfiled', async () => {
+    const { storageService, organizationService } = await createServices([
+      ['github', { folder: 'Work' }],
+    ]);
+
+    organizationService.deleteFolder('Work');
+
+    expect(organizationService.getFolders()).toEqual([]);
+    expect(storageService.getItemsList()).toEqual(['github']);
+    expect(folderOf(storageService, 'github')).toBeNull();
+  });
+});
+
+describe('OrganizationService tags', () => {
+  test('setCredentialTags trims, deduplicates and reuses existing spelling', async () => {
+    const { storageService, organizationService } = await createServices([
+      ['github', { tags: ['Dev'] }],
+      ['jira'],
+    ]);
+
+    organizationService.setCredentialTags('jira', [' dev', 'work', 'Work', '']);
+
+    const { tags } = JSON.parse(storageService.storage.getString('metadata_jira'));
+    expect(tags).toEqual(['Dev', 'work']);
+  });
+
+  test('suggests tags by prefix, most used first, skipping ones already set', async () => {
+    const { organizationService } = await createServices([
+      ['a', { tags: ['work', 'web'] }],
+      ['b', { tags: ['web'] }],
+      ['c', { tags: ['wiki'] }],
+    ]);
+
+    expect(organizationService.getAllTags()).toEqual(['web', 'wiki', 'work']);
+    expect(organizationService.suggestTags('W')).toEqual(['web', 'wiki', 'work']);
+    expect(organizationService.suggestTags('w', ['Wiki'])).toEqual(['web', 'work']);
+    expect(organizationService.suggestTags('x')).toEqual([]);
+  });
+});
@@ -0,0 +1,119 @@
+import PasswordGenerator, {
+  CHARACTER_CLASSES,
+  LOOK_ALIKE_CHARACTERS,
+} from '../src/utils/PasswordGenerator';
+import WORDLIST from '../src/utils/wordlists/eff_large_wordlist.json';
+
+const countFrom = (password, alphabet) =>
+  [...password].filter(char => alphabet.includes(char)).length;
+
+describe('PasswordGenerator.generatePassword', () => {
+  test('uses the default length and every class', () => {
+    const password = PasswordGenerator.generatePassword();
+
+    expect(password).toHaveLength(20);
+    Object.values(CHARACTER_CLASSES).forEach(alphabet => {
+      expect(countFrom(password, alphabet)).toBeGreaterThanOrEqual(1);
+    });
+  });
+
+  test('only uses enabled classes', () => {
+    for (let i = 0; i < 20; i++) {
+      const password = PasswordGenerator.generatePassword({
+        length: 12,
+        uppercase: false,
+        symbols: false,
+      });
+
+      expect(password).toMatch(/^[a-z0-9]{12}$/);
+    }
+  });
+
+  test('meets minimum counts per class', () => {
+    for (let i = 0; i < 20; i++) {
+      const password = PasswordGenerator.generatePassword({
+        length: 10,
+        minCounts: { digits: 4, symbols: 3, lowercase: 0, uppercase: 0 },
+      });
+
+      expect(countFrom(password, CHARACTER_CLASSES.digits)).toBeGreaterThanOrEqual(4);
+      expect(countFrom(password, CHARACTER_CLASSES.symbols)).toBeGreaterThanOrEqual(3);
+    }
+  });
+
+  test('leaves out look-alike characters', () => {
+    const password = PasswordGenerator.generatePassword({
+      length: 128,
+      excludeLookAlikes: true,
+    });
+
+    expect(countFrom(password, LOOK_ALIKE_CHARACTERS)).toBe(0);
+  });
+
+  test('rejects options that cannot be met', () => {
+    expect(() => PasswordGenerator.generatePassword({
+      lowercase: false,
+      uppercase: false,
+      digits: false,
+      symbols: false,
+    })).toThrow('Enable at least one character class');
+
+    expect(() => PasswordGenerator.generatePassword({
+      length: 8,
+      minCounts: { digits: 5, symbols: 5 },
+    })).toThrow('Minimum counts need');
+  });
+});
+
+describe('PasswordGenerator.getPasswordEntropy', () => {
+  test('matches the size of a single alphabet', () => {
+    const entropy = PasswordGenerator.getPasswordEntropy({
+      length: 8,
+      uppercase: false,
+      digits: false,
+      symbols: false,
+    });
+
+    expect(entropy).toBeCloseTo(8 * Math.log2(26), 6);
+  });
+
+  test('discounts passwords ruled out by minimum counts', () => {
+    // Of the 52^2 two-letter strings, only mixed-case ones qualify
+    const entropy = PasswordGenerator.getPasswordEntropy({
+      length: 2,
+      digits: false,
+      symbols: false,
+    });
+
+    expect(entropy).toBeCloseTo(Math.log2(2 * 26 * 26), 6);
+  });
+});
+
+describe('PasswordGenerator passphrases', () => {
+  test('joins the requested number of wordlist words', () => {
+    const words = PasswordGenerator.generatePassphrase({ words: 5, separator: '.' }).split('.');
+
+    expect(words).toHaveLength(5);
+    words.forEach(word => expect(WORDLIST).toContain(word));
+  });
+
+  test('capitalizes words and appends a digit', () => {
+    const words = PasswordGenerator.generatePassphrase({
+      words: 4,
+      separator: ' ',
+      capitalize: true,
+      includeNumber: true,
+    }).split(' ');
+
+    expect(words).toHaveLength(4);
+    words.forEach(word => expect(word[0]).toMatch(/[A-Z]/));
+    expect(words.filter(word => /\d$/.test(word))).toHaveLength(1);
+  });
+
+  test('reports about 12.9 bits per word', () => {
+    expect(WORDLIST).toHaveLength(7776);
+    expect(PasswordGenerator.getPassphraseEntropy()).toBeCloseTo(6 * Math.log2(7776), 6);
+    expect(PasswordGenerator.getPassphraseEntropy({ words: 4, includeNumber: true }))
+      .toBeCloseTo(4 * Math.log2(7776) + Math.log2(40), 6);
+  });
+});
@@ -0,0 +1,58 @@
+import { PrivacyService } from '../src/services/PrivacyService';
+
+const createService = () => {
+  let appStateListener = null;
+  const appState = {
+    addEventListener: (event, listener) => {
+      appStateListener = listener;
+      return { remove: () => { appStateListener = null; } };
+    },
+  };
+  const secureWindow = { setSecure: jest.fn(async () => {}) };
+  const service = new PrivacyService({ appState, secureWindow });
+
+  return {
+    service,
+    secureWindow,
+    changeAppState: state => appStateListener(state),
+  };
+};
+
+describe('PrivacyService', () => {
+  test('reports leaving and returning to the foreground once each', () => {
+    const { service, changeAppState } = createService();
+    const listener = jest.fn();
+    service.subscribe(listener);
+    service.start();
+
+    changeAppState('inactive');
+    changeAppState('background');
+    expect(service.isHidden()).toBe(true);
+
+    changeAppState('active');
+    expect(service.isHidden()).toBe(false);
+    expect(listener.mock.calls).toEqual([[true], [false]]);
+  });
+
+  test('stops notifying after unsubscribing', () => {
+    const { service, changeAppState } = createService();
+    const listener = jest.fn();
+    const unsubscribe = service.subscribe(listener);
+    service.start();
+
+    unsubscribe();
+    changeAppState('background');
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('secures the window where the native module is linked', async () => {
+    const { service, secureWindow } = createService();
+
+    await service.setSecure(true);
+    await service.setSecure(false);
+    expect(secureWindow.setSecure.mock.calls).toEqual([[true], [false]]);
+
+    await expect(new PrivacyService({ appState: {} }).setSecure(true)).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,104 @@
+import { StorageService } from '../src/services/StorageService';
+import { OrganizationService } from '../src/services/OrganizationService';
+import { RotationService, ROTATION_SOURCE } from '../src/services/RotationService';
+import MemorySecretStore from '../src/services/adapters/MemorySecretStore';
+import MemoryMetadataStore from '../src/services/adapters/MemoryMetadataStore';
+
+const NOW = Date.parse('2025-07-01T00:00:00.000Z');
+
+const daysAgo = days => new Date(NOW - days * 24 * 60 * 60 * 1000).toISOString();
+
+const createServices = async (credentials = [], defaultPeriod = 90) => {
+  const storageService = new StorageService({
+    secretStore: new MemorySecretStore(),
+    metadataStore: new MemoryMetadataStore(),
+  });
+  for (const [key, age, options] of credentials) {
+    await storageService.saveCredential(key, 'user', 'secret', { updatedAt: daysAgo(age), ...options });
+  }
+  const organizationService = new OrganizationService({ storageService });
+  const rotationService = new RotationService({
+    storageService,
+    organizationService,
+    settingsService: { getRotationPeriod: () => defaultPeriod },
+    now: () => NOW,
+  });
+  return { storageService, organizationService, rotationService };
+};
+
+const metadataOf = (storageService, key) =>
+  JSON.parse(storageService.storage.getString(`metadata_${key}`));
+
+describe('RotationService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('takes the period from the credential, then the folder, then the default', async () => {
+    const { storageService, organizationService, rotationService } = await createServices([
+      ['github', 10, { folder: 'Work', rotationDays: 7 }],
+      ['jira', 10, { folder: 'Work' }],
+      ['wifi', 10],
+    ]);
+    organizationService.setFolderRotation('Work', 30);
+
+    expect(rotationService.getPolicy(metadataOf(storageService, 'github')))
+      .toEqual({ days: 7, source: ROTATION_SOURCE.CREDENTIAL });
+    expect(rotationService.getPolicy(metadataOf(storageService, 'jira')))
+      .toEqual({ days: 30, source: ROTATION_SOURCE.FOLDER });
+    expect(rotationService.getPolicy(metadataOf(storageService, 'wifi')))
+      .toEqual({ days: 90, source: ROTATION_SOURCE.DEFAULT });
+  });
+
+  test('lists credentials past their period, most overdue first', async () => {
+    const { rotationService } = await createServices([
+      ['fresh', 10],
+      ['old', 100],
+      ['ancient', 400],
+      ['exempt', 400, { rotationDays: 0 }],
+      ['weekly', 8, { rotationDays: 7 }],
+    ]);
+
+    expect(rotationService.getDueCredentials().map(({ metadata }) => metadata.key))
+      .toEqual(['ancient', 'old', 'weekly']);
+  });
+
+  test('nothing is due when the default is off', async () => {
+    const { rotationService } = await createServices([['ancient', 400]], 0);
+
+    expect(rotationService.getDueCredentials()).toEqual([]);
+  });
+
+  test('a protection change does not reset the age of the secret', async () => {
+    const { storageService, rotationService } = await createServices([['github', 100]]);
+
+    await storageService.updateCredential('github', 'user', 'secret', {
+      useDevicePasscode: true,
+      secretChanged: false,
+    });
+    expect(rotationService.getStatus(metadataOf(storageService, 'github')).due).toBe(true);
+
+    await storageService.updateCredential('github', 'user', 'rotated', { useDevicePasscode: true });
+    rotationService.now = Date.now;
+    expect(rotationService.getStatus(metadataOf(storageService, 'github'))).toMatchObject({
+      ageDays: 0,
+      due: false,
+    });
+  });
+
+  test('folder periods follow renames and go away with the folder', async () => {
+    const { organizationService } = await createServices([['jira', 10, { folder: 'Work' }]]);
+    organizationService.setFolderRotation('Work', 30);
+
+    organizationService.renameFolder('Work', 'Office');
+    expect(organizationService.getFolderRotation('Office')).toBe(30);
+    expect(organizationService.getFolderRotation('Work')).toBeNull();
+
+    organizationService.deleteFolder('Office');
+    expect(organizationService.getFolderRotation('Office')).toBeNull();
+  });
+});
@@ -0,0 +1,149 @@
+import SearchUtils from '../src/utils/SearchUtils';
+
+const items = [
+  {
+    key: 'GitHub',
+    url: 'https://github.com/login',
+    notes: null,
+    useBiometrics: true,
+    useDevicePasscode: false,
+    createdAt: '2025-01-01T00:00:00.000Z',
+    updatedAt: '2025-03-01T00:00:00.000Z',
+    lastUsedAt: '2025-03-05T00:00:00.000Z',
+  },
+  {
+    key: 'bank',
+    url: null,
+    notes: 'joint account with github sponsor',
+    useBiometrics: false,
+    useDevicePasscode: true,
+    createdAt: '2025-02-01T00:00:00.000Z',
+    updatedAt: '2025-02-01T00:00:00.000Z',
+    lastUsedAt: null,
+  },
+  {
+    key: 'wifi',
+    url: null,
+    notes: null,
+    useBiometrics: false,
+    useDevicePasscode: false,
+    createdAt: '2024-12-01T00:00:00.000Z',
+    updatedAt: '2025-04-01T00:00:00.000Z',
+    lastUsedAt: '2025-04-02T00:00:00.000Z',
+  },
+];
+
+const keys = results => results.map(item => item.key);
+
+describe('SearchUtils.fuzzyScore', () => {
+  test('ranks prefix above substring above scattered matches', () => {
+    const prefix = SearchUtils.fuzzyScore('git', 'github');
+    const substring = SearchUtils.fuzzyScore('hub', 'github');
+    const scattered = SearchUtils.fuzzyScore('gthb', 'github');
+
+    expect(prefix).toBeGreaterThan(substring);
+    expect(substring).toBeGreaterThan(scattered);
+    expect(scattered).toBeGreaterThan(0);
+  });
+
+  test('returns 0 when characters are missing or out of order', () => {
+    expect(SearchUtils.fuzzyScore('bhg', 'github')).toBe(0);
+    expect(SearchUtils.fuzzyScore('x', 'github')).toBe(0);
+    expect(SearchUtils.fuzzyScore('a', null)).toBe(0);
+  });
+});
+
+describe('SearchUtils.filterCredentials', () => {
+  test('sorts by name case-insensitively by default', () => {
+    expect(keys(SearchUtils.filterCredentials(items))).toEqual(['bank', 'GitHub', 'wifi']);
+  });
+
+  test.each([
+    ['created', ['bank', 'GitHub', 'wifi']],
+    ['updated', ['wifi', 'GitHub', 'bank']],
+    ['lastUsed', ['wifi', 'GitHub', 'bank']],
+  ])('sorts newest first by %s, undated last', (sort, expected) => {
+    expect(keys(SearchUtils.filterCredentials(items, { sort }))).toEqual(expected);
+  });
+
+  test.each([
+    ['biometrics', ['GitHub']],
+    ['passcode', ['bank']],
+    ['none', ['wifi']],
+    ['all', ['bank', 'GitHub', 'wifi']],
+  ])('filters by %s protection', (protection, expected) => {
+    expect(keys(SearchUtils.filterCredentials(items, { protection }))).toEqual(expected);
+  });
+
+  test('searches names, urls and notes, best match first', () => {
+    const results = SearchUtils.filterCredentials(items, { query: 'github' });
+
+    expect(keys(results)).toEqual(['GitHub', 'bank']);
+  });
+
+  test('combines search with filters', () => {
+    const results = SearchUtils.filterCredentials(items, {
+      query: 'github',
+      protection: 'passcode',
+    });
+
+    expect(keys(results)).toEqual(['bank']);
+  });
+
+  test('narrows down to a folder or tag and searches both', () => {
+    const organized = [
+      { key: 'github', folder: 'Work', tags: ['dev'] },
+      { key: 'jira', folder: 'Work', tags: ['tickets'] },
+      { key: 'bank', folder: null, tags: ['money'] },
+    ];
+
+    expect(keys(SearchUtils.filterCredentials(organized, { folder: 'Work' }))).toEqual(['github', 'jira']);
+    expect(keys(SearchUtils.filterCredentials(organized, { tag: 'money' }))).toEqual(['bank']);
+    expect(keys(SearchUtils.filterCredentials(organized, { query: 'tickets' }))).toEqual(['jira']);
+  });
+
+  test('searches the plain fields of typed credentials', () => {
+    const typed = [
+      { key: 'passport', type: 'identity', fields: { fullName: 'Ada Lovelace', email: 'ada@example.com' } },
+      { key: 'visa', type: 'card', fields: { cardholder: 'Charles Babbage' } },
+    ];
+
+    expect(keys(SearchUtils.filterCredentials(typed, { query: 'lovelace' }))).toEqual(['passport']);
+    expect(keys(SearchUtils.filterCredentials(typed, { query: 'babbage' }))).toEqual(['visa']);
+  });
+
+  test('searches custom field names and plain values only', () => {
+    const custom = [
+      {
+        key: 'bank',
+        customFields: [
+          { id: 'a1', name: 'Branch', secret: false, value: 'Riverside' },
+          { id: 'b2', name: 'Telephone PIN', secret: true },
+        ],
+      },
+      { key: 'wifi', customFields: [] },
+    ];
+
+    expect(keys(SearchUtils.filterCredentials(custom, { query: 'riverside' }))).toEqual(['bank']);
+    expect(keys(SearchUtils.filterCredentials(custom, { query: 'telephone' }))).toEqual(['bank']);
+  });
+
+  test('matches typos with skipped letters', () => {
+    expect(keys(SearchUtils.filterCredentials(items, { query: 'wfi' }))).toEqual(['wifi']);
+  });
+
+  test('stays fast on large vaults', () => {
+    const large = Array.from({ length: 5000 }, (_, index) => ({
+      key: `account-${index}`,
+      url: `https://service${index}.example.com`,
+      notes: null,
+      createdAt: '2025-01-01T00:00:00.000Z',
+    }));
+
+    const start = Date.now();
+    const results = SearchUtils.filterCredentials(large, { query: 'srv499' });
+
+    expect(results.length).toBeGreaterThan(0);
+    expect(Date.now() - start).toBeLessThan(500);
+  });
+});
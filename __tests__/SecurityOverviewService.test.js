@@ -0,0 +1,104 @@
+import { StorageService } from '../src/services/StorageService';
+import { RotationService } from '../src/services/RotationService';
+import { SecurityOverviewService } from '../src/services/SecurityOverviewService';
+import MemorySecretStore from '../src/services/adapters/MemorySecretStore';
+import MemoryMetadataStore from '../src/services/adapters/MemoryMetadataStore';
+import { CREDENTIAL_TYPE } from '../src/services/MetadataSchema';
+
+const createServices = () => {
+  const storageService = new StorageService({
+    secretStore: new MemorySecretStore(),
+    metadataStore: new MemoryMetadataStore(),
+  });
+  const rotationService = new RotationService({
+    storageService,
+    organizationService: { getFolderRotation: () => null },
+    settingsService: { getRotationPeriod: () => 90 },
+  });
+  const overviewService = new SecurityOverviewService({ storageService, rotationService });
+  return { storageService, overviewService };
+};
+
+const STRONG = 'correct-horse-battery-staple-42';
+const PROTECTED = { useDevicePasscode: true };
+
+const keysOf = list => list.map(metadata => metadata.key);
+
+describe('SecurityOverviewService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('groups credentials that share a password', async () => {
+    const { storageService, overviewService } = createServices();
+    await storageService.saveCredential('github', 'octocat', STRONG, PROTECTED);
+    await storageService.saveCredential('gitlab', 'octocat', STRONG, PROTECTED);
+    await storageService.saveCredential('bank', 'me', 'another-long-passphrase-99', PROTECTED);
+
+    const report = overviewService.getReport();
+
+    expect(report.reused.map(keysOf)).toEqual([['github', 'gitlab']]);
+    expect(report.score).toBe(33);
+  });
+
+  test('flags weak, old and unprotected credentials', async () => {
+    const { storageService, overviewService } = createServices();
+    await storageService.saveCredential('weak', 'me', 'password', PROTECTED);
+    await storageService.saveCredential('old', 'me', STRONG, {
+      ...PROTECTED,
+      updatedAt: '2000-01-01T00:00:00.000Z',
+    });
+    await storageService.saveCredential('open', 'me', 'yet-another-long-passphrase-7');
+    await storageService.saveCredential('fine', 'me', 'one-more-long-passphrase-13', PROTECTED);
+
+    const report = overviewService.getReport();
+
+    expect(keysOf(report.weak)).toEqual(['weak']);
+    expect(report.old.map(({ metadata }) => metadata.key)).toEqual(['old']);
+    expect(keysOf(report.unprotected)).toEqual(['open']);
+    expect(report.score).toBe(25);
+  });
+
+  test('only compares logins', async () => {
+    const { storageService, overviewService } = createServices();
+    await storageService.saveCredential('note', '', STRONG, { ...PROTECTED, type: CREDENTIAL_TYPE.NOTE });
+    await storageService.saveCredential('github', 'octocat', STRONG, PROTECTED);
+
+    expect(overviewService.getReport().reused).toEqual([]);
+  });
+
+  test('fills in missing fingerprints when a credential is read', async () => {
+    const { storageService, overviewService } = createServices();
+    await storageService.saveCredential('github', 'octocat', STRONG, PROTECTED);
+    await storageService.saveCredential('gitlab', 'octocat', STRONG, PROTECTED);
+    for (const key of ['github', 'gitlab']) {
+      const metadata = JSON.parse(storageService.storage.getString(`metadata_${key}`));
+      storageService.storage.set(`metadata_${key}`, JSON.stringify({ ...metadata, fingerprint: null }));
+    }
+    expect(overviewService.getReport()).toMatchObject({ reused: [], unchecked: 2 });
+
+    await storageService.getCredential('github');
+    await storageService.getCredential('gitlab');
+
+    expect(overviewService.getReport()).toMatchObject({ unchecked: 0 });
+    expect(overviewService.getReport().reused.map(keysOf)).toEqual([['github', 'gitlab']]);
+  });
+
+  test('fingerprints depend on the vault and do not contain the password', async () => {
+    const first = createServices();
+    const second = createServices();
+    await first.storageService.saveCredential('github', 'octocat', STRONG);
+    await second.storageService.saveCredential('github', 'octocat', STRONG);
+
+    const fingerprintOf = ({ storageService }) =>
+      JSON.parse(storageService.storage.getString('metadata_github')).fingerprint;
+
+    expect(fingerprintOf(first)).toMatch(/^[0-9a-f]{64}$/);
+    expect(fingerprintOf(first)).not.toBe(fingerprintOf(second));
+    expect(first.storageService.storage.getString('metadata_github')).not.toContain(STRONG);
+  });
+});
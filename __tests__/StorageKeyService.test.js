@@ -0,0 +1,130 @@
+import { StorageKeyService } from '../src/services/StorageKeyService';
+
+const LEGACY_KEY = 'legacy-key';
+
+/**
+ * MMKV stand-in that keeps its files across launches. Like MMKV, a file
+ * opened with the wrong key reads as empty, writing to it or re-encrypting
+ * it replaces the contents, and an id keeps its first instance until the
+ * process ends.
+ */
+class FakeMMKV {
+  constructor(files, { id, encryptionKey }) {
+    if (!files.has(id)) {
+      files.set(id, { key: encryptionKey, data: new Map() });
+    }
+    this.file = files.get(id);
+    this.key = encryptionKey;
+  }
+
+  _readable() {
+    return this.file.key === this.key;
+  }
+
+  _claim() {
+    if (!this._readable()) {
+      this.file.data = new Map();
+      this.file.key = this.key;
+    }
+  }
+
+  getString(key) {
+    return this._readable() ? this.file.data.get(key) : undefined;
+  }
+
+  set(key, value) {
+    this._claim();
+    this.file.data.set(key, value);
+  }
+
+  delete(key) {
+    this._claim();
+    this.file.data.delete(key);
+  }
+
+  recrypt(key) {
+    this._claim();
+    this.key = key;
+    this.file.key = key;
+  }
+}
+
+const createDevice = () => {
+  const files = new Map();
+  const entries = new Map();
+  const keychain = {
+    getGenericPassword: async ({ service }) => entries.get(service) || false,
+    setGenericPassword: async (username, password, { service }) => {
+      entries.set(service, { username, password });
+    },
+  };
+
+  // A launch is a new process: a fresh service and MMKV instance cache
+  const launch = () => {
+    const instances = new Map();
+    const createStorage = configuration => {
+      if (!instances.has(configuration.id)) {
+        instances.set(configuration.id, new FakeMMKV(files, configuration));
+      }
+      return instances.get(configuration.id);
+    };
+    return new StorageKeyService({ keychain, createStorage });
+  };
+
+  // Data written by a release that used the static key
+  new FakeMMKV(files, { id: 'app-storage', encryptionKey: LEGACY_KEY }).set('itemsList', '["github"]');
+
+  return { keychain, entries, launch };
+};
+
+const open = service => service.openStorage('app-storage', { legacyEncryptionKey: LEGACY_KEY });
+
+describe('StorageKeyService', () => {
+  test('re-encrypts legacy data with a generated key', async () => {
+    const { entries, launch } = createDevice();
+
+    expect((await open(launch())).getString('itemsList')).toBe('["github"]');
+
+    const entry = entries.get('com.lockscreencreds.storagekey.app-storage');
+    expect(entry.username).toBe('active');
+    const storage = await open(launch());
+    expect(storage.key).toBe(entry.password);
+    expect(storage.getString('itemsList')).toBe('["github"]');
+  });
+
+  test('keeps the data when killed after re-encrypting but before recording it', async () => {
+    const { keychain, launch } = createDevice();
+    const setGenericPassword = keychain.setGenericPassword;
+    keychain.setGenericPassword = async (username, ...rest) => {
+      if (username === 'active') {
+        throw new Error('killed');
+      }
+      return setGenericPassword(username, ...rest);
+    };
+
+    await expect(open(launch())).rejects.toThrow('killed');
+    keychain.setGenericPassword = setGenericPassword;
+
+    expect((await open(launch())).getString('itemsList')).toBe('["github"]');
+    expect((await open(launch())).getString('itemsList')).toBe('["github"]');
+  });
+
+  test('keeps the data when killed before re-encrypting', async () => {
+    const { launch } = createDevice();
+    const recrypt = FakeMMKV.prototype.recrypt;
+    FakeMMKV.prototype.recrypt = () => {
+      throw new Error('killed');
+    };
+
+    await expect(open(launch())).rejects.toThrow('killed');
+    FakeMMKV.prototype.recrypt = recrypt;
+
+    // This launch opened the file with the generated key, so it must not
+    // touch it again; the next one re-encrypts
+    const interrupted = launch();
+    await expect(open(interrupted)).rejects.toThrow('restarting');
+    await expect(open(interrupted)).rejects.toThrow('restarting');
+
+    expect((await open(launch())).getString('itemsList')).toBe('["github"]');
+  });
+});
@@ -0,0 +1,502 @@
+import { StorageService } from '../src/services/StorageService';
+import MemorySecretStore from '../src/services/adapters/MemorySecretStore';
+import MemoryMetadataStore from '../src/services/adapters/MemoryMetadataStore';
+import { StorageError, StorageErrorCode } from '../src/services/StorageErrors';
+import CredentialTypes from '../src/utils/CredentialTypes';
+import StrengthEstimator from '../src/utils/StrengthEstimator';
+
+const createService = () => {
+  const secretStore = new MemorySecretStore();
+  const metadataStore = new MemoryMetadataStore();
+  const service = new StorageService({ secretStore, metadataStore });
+  return { service, secretStore, metadataStore };
+};
+
+describe('StorageService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('saveCredential stores the secret, metadata and list entry', async () => {
+    const { service, secretStore } = createService();
+
+    const result = await service.saveCredential('github', 'octocat', 'hunter2', {
+      useBiometrics: true,
+    });
+
+    expect(result.ok).toBe(true);
+    expect(service.getItemsList()).toEqual(['github']);
+
+    const metadata = JSON.parse(service.storage.getString('metadata_github'));
+    expect(metadata).toMatchObject({
+      key: 'github',
+      useBiometrics: true,
+      useDevicePasscode: false,
+    });
+    expect(
+      secretStore.secrets.get(`com.lockscreencreds.example.github#${metadata.secretId}`),
+    ).toMatchObject({
+      username: 'octocat',
+      password: 'hunter2',
+      options: { useBiometrics: true, useDevicePasscode: false },
+    });
+  });
+
+  test('getCredential returns the secret together with its metadata', async () => {
+    const { service } = createService();
+    await service.saveCredential('github', 'octocat', 'hunter2');
+
+    const { value: credential } = await service.getCredential('github');
+
+    expect(credential.username).toBe('octocat');
+    expect(credential.password).toBe('hunter2');
+    expect(credential.metadata.key).toBe('github');
+  });
+
+  test('getCredential reports a missing item as NotFound', async () => {
+    const { service } = createService();
+
+    const result = await service.getCredential('missing');
+
+    expect(result.ok).toBe(false);
+    expect(result.error.code).toBe(StorageErrorCode.NOT_FOUND);
+  });
+
+  test('getCredential reports damaged metadata as StorageCorrupt', async () => {
+    const { service } = createService();
+    service.storage.set('metadata_broken', '{not json');
+
+    const result = await service.getCredential('broken');
+
+    expect(result.error.code).toBe(StorageErrorCode.STORAGE_CORRUPT);
+  });
+
+  test('getCredential passes typed secret store errors through', async () => {
+    const { service, secretStore } = createService();
+    await service.saveCredential('github', 'octocat', 'hunter2', { useBiometrics: true });
+    jest
+      .spyOn(secretStore, 'getSecret')
+      .mockRejectedValue(new StorageError(StorageErrorCode.USER_CANCELLED, 'User canceled'));
+
+    const result = await service.getCredential('github');
+
+    expect(result.ok).toBe(false);
+    expect(result.error.code).toBe(StorageErrorCode.USER_CANCELLED);
+  });
+
+  test('updateCredential replaces the secret and protection flags', async () => {
+    const { service, secretStore } = createService();
+    await service.saveCredential('github', 'octocat', 'hunter2');
+
+    const result = await service.updateCredential('github', 'octocat', 'correct-horse', {
+      useDevicePasscode: true,
+    });
+    const { value: credential } = await service.getCredential('github');
+
+    expect(result.ok).toBe(true);
+    expect(credential.password).toBe('correct-horse');
+    expect(credential.metadata.useDevicePasscode).toBe(true);
+    expect(service.getItemsList()).toEqual(['github']);
+    // Live secret plus the previous version
+    expect(secretStore.secrets.size).toBe(2);
+  });
+
+  test('updateCredential keeps the creation date', async () => {
+    const { service } = createService();
+    await service.saveCredential('github', 'octocat', 'hunter2');
+    const { createdAt } = JSON.parse(service.storage.getString('metadata_github'));
+
+    await service.updateCredential('github', 'octocat', 'correct-horse');
+
+    expect(JSON.parse(service.storage.getString('metadata_github')).createdAt).toBe(createdAt);
+  });
+
+  test('getCredential reads items saved before secrets had their own id', async () => {
+    const { service, secretStore } = createService();
+    service.storage.set('metadata_legacy', JSON.stringify({ key: 'legacy' }));
+    service.saveItemsList(['legacy']);
+    await secretStore.setSecret('com.lockscreencreds.example.legacy', 'user', 'old-secret');
+
+    const { value: credential } = await service.getCredential('legacy');
+    await service.updateCredential('legacy', 'user', 'new-secret');
+
+    expect(credential.password).toBe('old-secret');
+    expect((await service.getCredential('legacy')).value.password).toBe('new-secret');
+
+    const [previous] = service.getCredentialHistory('legacy');
+    expect((await service.getCredentialVersion('legacy', previous.secretId)).value.password).toBe(
+      'old-secret',
+    );
+  });
+
+  test('deleteCredential removes the secret, metadata and list entry', async () => {
+    const { service, secretStore } = createService();
+    await service.saveCredential('github', 'octocat', 'hunter2');
+    await service.saveCredential('gitlab', 'tanuki', 'hunter3');
+
+    const result = await service.deleteCredential('github');
+
+    expect(result.ok).toBe(true);
+    expect(service.getItemsList()).toEqual(['gitlab']);
+    expect(service.storage.contains('metadata_github')).toBe(false);
+    expect(Array.from(secretStore.secrets.keys())).toEqual([
+      expect.stringMatching(/^com\.lockscreencreds\.example\.gitlab#/),
+    ]);
+  });
+
+  test('saveCredential leaves nothing behind when the keychain write fails', async () => {
+    const { service, secretStore } = createService();
+    jest
+      .spyOn(secretStore, 'setSecret')
+      .mockRejectedValue(new StorageError(StorageErrorCode.USER_CANCELLED, 'User canceled'));
+
+    const result = await service.saveCredential('github', 'octocat', 'hunter2');
+
+    expect(result.error.code).toBe(StorageErrorCode.USER_CANCELLED);
+    expect(service.getItemsList()).toEqual([]);
+    expect(service.storage.contains('metadata_github')).toBe(false);
+    expect(service.journal.getEntries()).toEqual([]);
+  });
+
+  test('updateCredential keeps the previous secret when the keychain write fails', async () => {
+    const { service, secretStore } = createService();
+    await service.saveCredential('github', 'octocat', 'hunter2');
+    jest.spyOn(secretStore, 'setSecret').mockRejectedValue(new Error('Keystore busy'));
+
+    const result = await service.updateCredential('github', 'octocat', 'correct-horse');
+
+    expect(result.error.code).toBe(StorageErrorCode.UNKNOWN);
+    expect((await service.getCredential('github')).value.password).toBe('hunter2');
+  });
+
+  test('deleteCredential retries the keychain removal on next launch', async () => {
+    const { service, secretStore, metadataStore } = createService();
+    await service.saveCredential('github', 'octocat', 'hunter2');
+    jest.spyOn(secretStore, 'deleteSecret').mockRejectedValueOnce(new Error('Keystore busy'));
+
+    expect((await service.deleteCredential('github')).ok).toBe(true);
+    expect(service.getItemsList()).toEqual([]);
+    expect(secretStore.secrets.size).toBe(1);
+
+    const relaunched = new StorageService({ secretStore, metadataStore });
+    await relaunched.init();
+
+    expect(secretStore.secrets.size).toBe(0);
+    expect(relaunched.journal.getEntries()).toEqual([]);
+  });
+
+  test('getItemsMetadata lists metadata in list order and tolerates damaged records', async () => {
+    const { service, metadataStore } = createService();
+    await service.saveCredential('github', 'octocat', 'hunter2');
+    await service.saveCredential('bank', 'me', 'pin', { useDevicePasscode: true });
+    metadataStore.set('metadata_github', '{broken');
+
+    const items = service.getItemsMetadata();
+
+    expect(items).toEqual([
+      { key: 'github' },
+      expect.objectContaining({ key: 'bank', useDevicePasscode: true }),
+    ]);
+  });
+
+  test('updateCredentialMetadata changes descriptive fields only', async () => {
+    const { service } = createService();
+    await service.saveCredential('github', 'octocat', 'hunter2');
+
+    const result = service.updateCredentialMetadata('github', { folder: 'Work', tags: ['dev'] });
+
+    expect(result.ok).toBe(true);
+    expect(result.value).toMatchObject({ folder: 'Work', tags: ['dev'] });
+
+    const rejected = service.updateCredentialMetadata('github', { useBiometrics: true });
+    expect(rejected.ok).toBe(false);
+    expect(JSON.parse(service.storage.getString('metadata_github')).useBiometrics).toBe(false);
+
+    const missing = service.updateCredentialMetadata('nope', { folder: 'Work' });
+    expect(missing.error.code).toBe(StorageErrorCode.NOT_FOUND);
+  });
+
+  test('markCredentialUsed stamps lastUsedAt without touching updatedAt', async () => {
+    const { service } = createService();
+    await service.saveCredential('github', 'octocat', 'hunter2');
+    const before = JSON.parse(service.storage.getString('metadata_github'));
+    expect(before.lastUsedAt).toBeNull();
+
+    service.markCredentialUsed('github');
+
+    const after = JSON.parse(service.storage.getString('metadata_github'));
+    expect(after.lastUsedAt).not.toBeNull();
+    expect(after.updatedAt).toBe(before.updatedAt);
+  });
+
+  test('stores the strength score of the secret and refreshes it on update', async () => {
+    const { service } = createService();
+    await service.saveCredential('github', 'octocat', 'password');
+    expect(JSON.parse(service.storage.getString('metadata_github')).strength).toBe(0);
+
+    await service.updateCredential('github', 'octocat', 'plaid-mustang-oxidize-ninth');
+    expect(JSON.parse(service.storage.getString('metadata_github')).strength).toBe(4);
+
+    const rejected = service.updateCredentialMetadata('github', { strength: 4 });
+    expect(rejected.ok).toBe(false);
+  });
+
+  test('keeps the credential type across updates and only rates passwords', async () => {
+    const { service } = createService();
+    const uri = 'otpauth://totp/GitHub:octocat?secret=JBSWY3DPEHPK3PXP&issuer=GitHub&algorithm=SHA1&digits=6&period=30';
+    await service.saveCredential('github-2fa', 'octocat', uri, { type: 'totp' });
+    await service.updateCredential('github-2fa', 'octocat', uri);
+
+    const metadata = JSON.parse(service.storage.getString('metadata_github-2fa'));
+    expect(metadata.type).toBe('totp');
+    expect(metadata.strength).toBeNull();
+    expect(metadata.compromised).toBeNull();
+
+    await service.saveCredential('github', 'octocat', 'hunter2');
+    expect(JSON.parse(service.storage.getString('metadata_github')).type).toBe('login');
+  });
+
+  test('stores plain fields in the metadata and keeps them unless replaced', async () => {
+    const { service } = createService();
+    const payload = JSON.stringify({ token: 'sk_live_123' });
+    await service.saveCredential('stripe', '', payload, { type: 'apiKey', fields: { keyId: 'acct_1' } });
+
+    await service.updateCredential('stripe', '', JSON.stringify({ token: 'sk_live_456' }));
+    expect(JSON.parse(service.storage.getString('metadata_stripe')).fields).toEqual({ keyId: 'acct_1' });
+
+    await service.updateCredential('stripe', '', payload, { fields: { keyId: 'acct_2' } });
+    const result = await service.getCredential('stripe');
+    expect(result.value.password).toBe(payload);
+    expect(result.value.metadata.fields).toEqual({ keyId: 'acct_2' });
+  });
+
+  test('keeps custom fields unless replaced and rates only the login password', async () => {
+    const { service } = createService();
+    const customFields = [{ id: 'a1', name: 'Recovery code', secret: true }];
+    const { password } = CredentialTypes.toStorage('login', {
+      username: 'octocat',
+      password: 'hunter2',
+      customFields: [{ ...customFields[0], value: 'correct horse battery staple' }],
+    });
+    await service.saveCredential('github', 'octocat', password, { customFields });
+
+    const metadata = JSON.parse(service.storage.getString('metadata_github'));
+    expect(metadata.customFields).toEqual(customFields);
+    expect(metadata.strength).toBe(StrengthEstimator.estimate('hunter2', ['github', 'octocat']).score);
+
+    await service.updateCredential('github', 'octocat', password);
+    expect(JSON.parse(service.storage.getString('metadata_github')).customFields).toEqual(customFields);
+
+    await service.updateCredential('github', 'octocat', 'hunter2', { customFields: [] });
+    expect(JSON.parse(service.storage.getString('metadata_github')).customFields).toEqual([]);
+  });
+});
+
+describe('StorageService history', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const saveVersions = async (service, passwords) => {
+    await service.saveCredential('github', 'octocat', passwords[0]);
+    for (const password of passwords.slice(1)) {
+      await service.updateCredential('github', 'octocat', password);
+    }
+  };
+
+  test('keeps previous secrets newest first', async () => {
+    const { service } = createService();
+    await saveVersions(service, ['one', 'two', 'three']);
+
+    const history = service.getCredentialHistory('github');
+    const passwords = await Promise.all(
+      history.map(async version =>
+        (await service.getCredentialVersion('github', version.secretId)).value.password,
+      ),
+    );
+
+    expect(passwords).toEqual(['two', 'one']);
+  });
+
+  test('drops versions beyond the retention count', async () => {
+    const { service, secretStore } = createService();
+    service.historyRetention = 2;
+    await saveVersions(service, ['one', 'two', 'three', 'four']);
+
+    expect(service.getCredentialHistory('github')).toHaveLength(2);
+    expect(secretStore.secrets.size).toBe(3);
+
+    await service.setHistoryRetention(0);
+
+    expect(service.getCredentialHistory('github')).toEqual([]);
+    expect(secretStore.secrets.size).toBe(1);
+  });
+
+  test('does not keep a version when only the protection changes', async () => {
+    const { service } = createService();
+    await service.saveCredential('github', 'octocat', 'one');
+
+    await service.updateCredential('github', 'octocat', 'one', {
+      useBiometrics: true,
+      secretChanged: false,
+    });
+
+    expect(service.getCredentialHistory('github')).toEqual([]);
+  });
+
+  test('moves updatedAt only when the secret changes', async () => {
+    const { service } = createService();
+    const updatedAt = '2020-01-01T00:00:00.000Z';
+    await service.saveCredential('github', 'octocat', 'one', { updatedAt });
+    const readUpdatedAt = () => JSON.parse(service.storage.getString('metadata_github')).updatedAt;
+
+    await service.updateCredential('github', 'octocat', 'one', {
+      useBiometrics: true,
+      secretChanged: false,
+    });
+    expect(readUpdatedAt()).toBe(updatedAt);
+
+    await service.updateCredential('github', 'octocat', 'two', { useBiometrics: true });
+    expect(readUpdatedAt()).not.toBe(updatedAt);
+  });
+
+  test('re-protects previous versions when the protection changes', async () => {
+    const { service, secretStore } = createService();
+    await saveVersions(service, ['one', 'two']);
+
+    await service.updateCredential('github', 'octocat', 'two', {
+      useDevicePasscode: true,
+      secretChanged: false,
+    });
+
+    const [previous] = service.getCredentialHistory('github');
+    expect(previous.useDevicePasscode).toBe(true);
+    expect(
+      secretStore.secrets.get(`com.lockscreencreds.example.github#${previous.secretId}`).options,
+    ).toMatchObject({ useDevicePasscode: true });
+  });
+
+  test('keeps a previous version whose prompt was cancelled and reports it', async () => {
+    const { service, secretStore } = createService();
+    await service.saveCredential('github', 'octocat', 'one', { useBiometrics: true });
+    await service.updateCredential('github', 'octocat', 'two', { useBiometrics: true });
+    const [previous] = service.getCredentialHistory('github');
+    const services = Array.from(secretStore.secrets.keys());
+    jest.spyOn(secretStore, 'getSecret').mockRejectedValueOnce(
+      new StorageError(StorageErrorCode.USER_CANCELLED, 'cancelled'),
+    );
+
+    const result = await service.updateCredential('github', 'octocat', 'two', {
+      useDevicePasscode: true,
+      secretChanged: false,
+    });
+
+    expect(result).toEqual({ ok: true, value: { outdatedVersions: 1 } });
+    expect(service.getCredentialHistory('github')).toEqual([previous]);
+    expect(secretStore.secrets.has(services[0])).toBe(true);
+    expect(secretStore.secrets.size).toBe(2);
+
+    // Retried with the next protection change
+    await service.updateCredential('github', 'octocat', 'two', { secretChanged: false });
+    const [retried] = service.getCredentialHistory('github');
+    expect(retried).toMatchObject({ useBiometrics: false, useDevicePasscode: false });
+    expect((await service.getCredentialVersion('github', retried.secretId)).value.password).toBe('one');
+  });
+
+  test('drops a previous version that is missing from the keychain', async () => {
+    const { service, secretStore } = createService();
+    await saveVersions(service, ['one', 'two']);
+    const [previous] = service.getCredentialHistory('github');
+    secretStore.secrets.delete(`com.lockscreencreds.example.github#${previous.secretId}`);
+
+    const result = await service.updateCredential('github', 'octocat', 'two', {
+      useBiometrics: true,
+      secretChanged: false,
+    });
+
+    expect(result).toEqual({ ok: true, value: { outdatedVersions: 0 } });
+    expect(service.getCredentialHistory('github')).toEqual([]);
+  });
+
+  test('restores a previous version and keeps the replaced one', async () => {
+    const { service } = createService();
+    await saveVersions(service, ['one', 'two']);
+    const [previous] = service.getCredentialHistory('github');
+
+    const result = await service.restoreCredentialVersion('github', previous.secretId);
+
+    expect(result.ok).toBe(true);
+    expect((await service.getCredential('github')).value.password).toBe('one');
+    const history = service.getCredentialHistory('github');
+    expect(history).toHaveLength(1);
+    expect((await service.getCredentialVersion('github', history[0].secretId)).value.password).toBe(
+      'two',
+    );
+  });
+
+  test('deleteCredential removes every version', async () => {
+    const { service, secretStore } = createService();
+    await saveVersions(service, ['one', 'two', 'three']);
+
+    await service.deleteCredential('github');
+
+    expect(secretStore.secrets.size).toBe(0);
+  });
+});
+
+describe('StorageService journal replay', () => {
+  const interruptedWrite = {
+    id: 'interrupted',
+    type: 'write',
+    key: 'github',
+    metadata: { key: 'github', secretId: 'new', useBiometrics: false, useDevicePasscode: false },
+    service: 'com.lockscreencreds.example.github#new',
+    previousService: 'com.lockscreencreds.example.github#old',
+  };
+
+  const createInterrupted = async committed => {
+    const { service, secretStore, metadataStore } = createService();
+    await secretStore.setSecret('com.lockscreencreds.example.github#old', 'octocat', 'hunter2');
+    await secretStore.setSecret('com.lockscreencreds.example.github#new', 'octocat', 'correct-horse');
+    metadataStore.set('metadata_github', JSON.stringify({
+      key: 'github',
+      secretId: committed ? 'new' : 'old',
+    }));
+    if (committed) {
+      service.saveItemsList([]);
+    } else {
+      service.saveItemsList(['github']);
+    }
+    metadataStore.set('journal', JSON.stringify([interruptedWrite]));
+    return { service, secretStore };
+  };
+
+  test('rolls back a write that crashed before the commit point', async () => {
+    const { service, secretStore } = await createInterrupted(false);
+
+    await service.init();
+
+    expect(Array.from(secretStore.secrets.keys())).toEqual(['com.lockscreencreds.example.github#old']);
+    expect((await service.getCredential('github')).value.password).toBe('hunter2');
+    expect(service.journal.getEntries()).toEqual([]);
+  });
+
+  test('finishes a write that crashed after the commit point', async () => {
+    const { service, secretStore } = await createInterrupted(true);
+
+    await service.init();
+
+    expect(Array.from(secretStore.secrets.keys())).toEqual(['com.lockscreencreds.example.github#new']);
+    expect(service.getItemsList()).toEqual(['github']);
+    expect((await service.getCredential('github')).value.password).toBe('correct-horse');
+    expect(service.journal.getEntries()).toEqual([]);
+  });
+});
@@ -0,0 +1,69 @@
+import StrengthEstimator from '../src/utils/StrengthEstimator';
+
+const patternsOf = password =>
+  StrengthEstimator.estimate(password).sequence.map(match => match.pattern);
+
+describe('StrengthEstimator.estimate', () => {
+  test.each([
+    ['password', 'dictionary'],
+    ['P@ssw0rd', 'dictionary'],
+    ['drowssap', 'dictionary'],
+    ['zxcvfr', 'spatial'],
+    ['aaaaaaa', 'repeat'],
+    ['abcabcabc', 'repeat'],
+    ['abcdef', 'sequence'],
+    ['97531', 'sequence'],
+    ['13.05.1991', 'date'],
+    ['130591', 'date'],
+  ])('detects %s as a %s pattern and scores it weak', (password, pattern) => {
+    const estimate = StrengthEstimator.estimate(password);
+
+    expect(patternsOf(password)).toContain(pattern);
+    expect(estimate.score).toBeLessThan(2);
+    expect(estimate.feedback.warning).toEqual(expect.any(String));
+    expect(estimate.feedback.suggestions.length).toBeGreaterThan(0);
+  });
+
+  test('flags l33t substitutions and reversed words in the suggestions', () => {
+    expect(StrengthEstimator.estimate('P@ssw0rd').feedback.suggestions)
+      .toContain('Predictable substitutions like \'@\' instead of \'a\' don\'t help very much');
+    expect(StrengthEstimator.estimate('drowssap').feedback.suggestions)
+      .toContain('Reversed words aren\'t much harder to guess');
+  });
+
+  test('treats the credential name and username as known to an attacker', () => {
+    const withoutInputs = StrengthEstimator.estimate('octocat-vault');
+    const withInputs = StrengthEstimator.estimate('octocat-vault', ['github', 'octocat']);
+
+    expect(withInputs.guessesLog10).toBeLessThan(withoutInputs.guessesLog10);
+  });
+
+  test('scores random and long uncommon passwords as strong', () => {
+    expect(StrengthEstimator.estimate('xK9#mP2$vL7q').score).toBe(4);
+    expect(StrengthEstimator.estimate('plaid-mustang-oxidize-ninth').score).toBe(4);
+    expect(StrengthEstimator.estimate('xK9#mP2$vL7q').feedback.warning).toBeNull();
+  });
+
+  test('scores the empty password 0 with general advice', () => {
+    const estimate = StrengthEstimator.estimate('');
+
+    expect(estimate.score).toBe(0);
+    expect(estimate.feedback.suggestions.length).toBeGreaterThan(0);
+  });
+
+  test('stays fast on long passwords', () => {
+    const start = Date.now();
+    StrengthEstimator.estimate('aB3$'.repeat(40));
+
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+});
+
+describe('StrengthEstimator.isWeak', () => {
+  test('flags known scores below 2 only', () => {
+    expect(StrengthEstimator.isWeak(0)).toBe(true);
+    expect(StrengthEstimator.isWeak(1)).toBe(true);
+    expect(StrengthEstimator.isWeak(2)).toBe(false);
+    expect(StrengthEstimator.isWeak(null)).toBe(false);
+  });
+});
@@ -0,0 +1,107 @@
+import { utf8ToBytes } from '@noble/hashes/utils';
+import TotpUtils from '../src/utils/TotpUtils';
+
+// RFC 6238 appendix B: 8-digit codes, 30 second period, ASCII seeds
+const SEEDS = {
+  SHA1: '12345678901234567890',
+  SHA256: '12345678901234567890123456789012',
+  SHA512: '1234567890123456789012345678901234567890123456789012345678901234',
+};
+
+const VECTORS = [
+  [59, { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+  [1111111109, { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+  [1111111111, { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+  [1234567890, { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+  [2000000000, { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+  [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }],
+];
+
+describe('TotpUtils', () => {
+  describe.each(Object.keys(SEEDS))('RFC 6238 vectors with %s', algorithm => {
+    const secret = TotpUtils.bytesToBase32(utf8ToBytes(SEEDS[algorithm]));
+
+    test.each(VECTORS)('at %d seconds', (seconds, codes) => {
+      const code = TotpUtils.generateCode({ secret, algorithm, digits: 8, period: 30 }, seconds * 1000);
+      expect(code).toBe(codes[algorithm]);
+    });
+  });
+
+  test('truncates to 6 digits by default', () => {
+    const secret = TotpUtils.bytesToBase32(utf8ToBytes(SEEDS.SHA1));
+
+    expect(TotpUtils.generateCode({ secret }, 59000)).toBe('287082');
+  });
+
+  test('counts down the seconds left in the period', () => {
+    expect(TotpUtils.getRemainingSeconds(30, 0)).toBe(30);
+    expect(TotpUtils.getRemainingSeconds(30, 29999)).toBe(1);
+    expect(TotpUtils.getRemainingSeconds(30, 59000)).toBe(1);
+    expect(TotpUtils.getRemainingSeconds(60, 61000)).toBe(59);
+  });
+
+  test('round trips Base32', () => {
+    const bytes = utf8ToBytes('foobar');
+
+    expect(TotpUtils.bytesToBase32(bytes)).toBe('MZXW6YTBOI');
+    expect(TotpUtils.base32ToBytes('mzxw 6ytb oi======')).toEqual(bytes);
+  });
+
+  test('rejects secrets that are not Base32', () => {
+    expect(() => TotpUtils.normalizeSecret('')).toThrow();
+    expect(() => TotpUtils.normalizeSecret('JBSWY3DP1')).toThrow();
+  });
+
+  test('parses an otpauth URI', () => {
+    const params = TotpUtils.parseUri(
+      'otpauth://totp/Example%20Co:alice@example.com?secret=jbswy3dpehpk3pxp&issuer=Example%20Co&algorithm=SHA256&digits=8&period=60',
+    );
+
+    expect(params).toEqual({
+      secret: 'JBSWY3DPEHPK3PXP',
+      algorithm: 'SHA256',
+      digits: 8,
+      period: 60,
+      issuer: 'Example Co',
+      account: 'alice@example.com',
+    });
+  });
+
+  test('fills in defaults missing from an otpauth URI', () => {
+    const params = TotpUtils.parseUri('otpauth://totp/alice?secret=JBSWY3DPEHPK3PXP');
+
+    expect(params).toMatchObject({ algorithm: 'SHA1', digits: 6, period: 30, issuer: null, account: 'alice' });
+  });
+
+  test('rejects unsupported otpauth URIs', () => {
+    expect(() => TotpUtils.parseUri('otpauth://hotp/alice?secret=JBSWY3DPEHPK3PXP&counter=1')).toThrow();
+    expect(() => TotpUtils.parseUri('otpauth://totp/alice?secret=JBSWY3DPEHPK3PXP&algorithm=MD5')).toThrow();
+    expect(() => TotpUtils.parseUri('otpauth://totp/alice?secret=JBSWY3DPEHPK3PXP&digits=4')).toThrow();
+    expect(() => TotpUtils.parseUri('otpauth://totp/alice')).toThrow();
+    expect(() => TotpUtils.parseUri('https://example.com')).toThrow();
+  });
+
+  test('builds a URI that parses back to the same parameters', () => {
+    const params = {
+      secret: 'JBSWY3DPEHPK3PXP',
+      algorithm: 'SHA512',
+      digits: 7,
+      period: 30,
+      issuer: 'Acme: Labs',
+      account: 'bob',
+    };
+
+    expect(TotpUtils.parseUri(TotpUtils.buildUri(params))).toEqual(params);
+  });
+
+  test('accepts a manual secret or a URI as setup input', () => {
+    expect(TotpUtils.parseSetupInput(' jbsw y3dp ehpk 3pxp ', { digits: 8 })).toMatchObject({
+      secret: 'JBSWY3DPEHPK3PXP',
+      algorithm: 'SHA1',
+      digits: 8,
+      period: 30,
+    });
+    expect(TotpUtils.parseSetupInput('otpauth://totp/x?secret=JBSWY3DPEHPK3PXP&digits=7', { digits: 8 }))
+      .toMatchObject({ digits: 7 });
+  });
+});
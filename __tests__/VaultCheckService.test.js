@@ -0,0 +1,207 @@
+import { StorageService } from '../src/services/StorageService';
+import { VaultCheckService, VAULT_FINDING, VAULT_REPAIR } from '../src/services/VaultCheckService';
+import MemorySecretStore from '../src/services/adapters/MemorySecretStore';
+import MemoryMetadataStore from '../src/services/adapters/MemoryMetadataStore';
+
+const createServices = () => {
+  const secretStore = new MemorySecretStore();
+  const storageService = new StorageService({
+    secretStore,
+    metadataStore: new MemoryMetadataStore(),
+  });
+  const auditLog = { record: jest.fn() };
+  const checkService = new VaultCheckService({ storageService, auditLog });
+  return { storageService, secretStore, checkService, auditLog };
+};
+
+const summarize = findings => findings.map(({ type, key, service, repair }) => ({ type, key, service, repair }));
+
+describe('VaultCheckService', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('finds nothing in a consistent vault', async () => {
+    const { storageService, secretStore, checkService } = createServices();
+    await storageService.saveCredential('github', 'octocat', 'hunter2');
+    await storageService.updateCredential('github', 'octocat', 'correct-horse');
+    await secretStore.setSecret('com.lockscreencreds.storagekey.app-storage', 'active', 'key');
+
+    expect(await checkService.check()).toEqual({ ok: true, value: [] });
+  });
+
+  test('finds each kind of inconsistency and proposes a repair', async () => {
+    const { storageService, secretStore, checkService } = createServices();
+    await storageService.saveCredential('unlisted', 'me', 'secret-1');
+    await storageService.saveCredential('broken', 'me', 'secret-2');
+    storageService.saveItemsList(['broken', 'legacy', 'empty']);
+    storageService.storage.delete('metadata_broken');
+    await secretStore.setSecret('com.lockscreencreds.example.legacy', 'me', 'old-secret');
+    await secretStore.setSecret('com.lockscreencreds.example.gone#0badc0de', 'me', 'secret-3');
+    await secretStore.setSecret('auth_check_1700000000000', 'auth_user', 'auth_check');
+    await secretStore.setSecret('test_passcode_1700000000000', 'test', 'test');
+
+    const { value: findings } = await checkService.check();
+    const brokenService = findings.find(finding => finding.key === 'broken').services[0];
+
+    expect(summarize(findings)).toEqual([
+      { type: VAULT_FINDING.PROBE, service: 'auth_check_1700000000000', repair: VAULT_REPAIR.DELETE_SECRET },
+      { type: VAULT_FINDING.PROBE, service: 'test_passcode_1700000000000', repair: VAULT_REPAIR.DELETE_SECRET },
+      { type: VAULT_FINDING.UNLISTED_METADATA, key: 'unlisted', repair: VAULT_REPAIR.ADD_TO_LIST },
+      { type: VAULT_FINDING.MISSING_METADATA, key: 'broken', repair: VAULT_REPAIR.RESTORE_METADATA },
+      { type: VAULT_FINDING.MISSING_METADATA, key: 'legacy', repair: VAULT_REPAIR.RESTORE_METADATA },
+      { type: VAULT_FINDING.MISSING_METADATA, key: 'empty', repair: VAULT_REPAIR.REMOVE_FROM_LIST },
+      {
+        type: VAULT_FINDING.ORPHAN_SECRET,
+        key: 'gone',
+        service: 'com.lockscreencreds.example.gone#0badc0de',
+        repair: VAULT_REPAIR.DELETE_SECRET,
+      },
+    ].map(finding => ({ key: undefined, service: undefined, ...finding })));
+    expect(brokenService).toMatch(/^com\.lockscreencreds\.example\.broken#[0-9a-f]{8}$/);
+  });
+
+  test('checking changes nothing', async () => {
+    const { storageService, secretStore, checkService } = createServices();
+    await storageService.saveCredential('unlisted', 'me', 'secret-1');
+    storageService.saveItemsList([]);
+    await secretStore.setSecret('credential_check_1700000000000', 'user', 'check');
+
+    await checkService.check();
+
+    expect(storageService.getItemsList()).toEqual([]);
+    expect(await secretStore.getSecret('credential_check_1700000000000')).not.toBeNull();
+  });
+
+  test('applies the repairs and records them', async () => {
+    const { storageService, secretStore, checkService, auditLog } = createServices();
+    await storageService.saveCredential('unlisted', 'me', 'secret-1');
+    await storageService.saveCredential('broken', 'me', 'secret-2');
+    storageService.saveItemsList(['broken', 'legacy', 'empty']);
+    storageService.storage.delete('metadata_broken');
+    await secretStore.setSecret('com.lockscreencreds.example.legacy', 'me', 'old-secret');
+    await secretStore.setSecret('auth_check_1700000000000', 'auth_user', 'auth_check');
+
+    const { value: findings } = await checkService.check();
+    const result = await checkService.repair(findings);
+
+    // Rebuilding details needs the user to pick a version
+    expect(result).toEqual({ ok: true, value: { repaired: 3, failed: 0 } });
+    expect(summarize((await checkService.check()).value)).toEqual([
+      { type: VAULT_FINDING.MISSING_METADATA, key: 'broken', service: undefined, repair: VAULT_REPAIR.RESTORE_METADATA },
+      { type: VAULT_FINDING.MISSING_METADATA, key: 'legacy', service: undefined, repair: VAULT_REPAIR.RESTORE_METADATA },
+    ]);
+    expect(summarize(checkService.lastFindings).map(finding => finding.key)).toEqual(['broken', 'legacy']);
+    expect(storageService.getItemsList()).toEqual(['broken', 'legacy', 'unlisted']);
+    expect((await storageService.getCredential('unlisted')).value.password).toBe('secret-1');
+    expect(await secretStore.getSecret('com.lockscreencreds.example.legacy')).not.toBeNull();
+    expect(auditLog.record).toHaveBeenCalledWith('vaultRepair', { details: { repaired: 3, failed: 0 } });
+  });
+
+  test('rebuilds details around the version and protection the user picks', async () => {
+    const { storageService, secretStore, checkService } = createServices();
+    storageService.saveItemsList(['github']);
+    await secretStore.setSecret('com.lockscreencreds.example.github#00000001', 'octocat', 'hunter2', {
+      useBiometrics: true,
+    });
+    await secretStore.setSecret('com.lockscreencreds.example.github#00000002', 'octocat', 'correct-horse', {
+      useBiometrics: true,
+    });
+    const getSecret = jest.spyOn(secretStore, 'getSecret');
+
+    const { value: [finding] } = await checkService.check();
+    const { value: versions } = await checkService.readVersions(finding);
+
+    expect(getSecret).toHaveBeenCalledTimes(2);
+    getSecret.mock.calls.forEach(([, options]) => expect(options.authenticate).toBe(true));
+    expect(versions.map(({ password, type }) => ({ password, type }))).toEqual([
+      { password: 'hunter2', type: 'login' },
+      { password: 'correct-horse', type: 'login' },
+    ]);
+
+    const result = await checkService.restoreVersions(finding, versions, {
+      service: 'com.lockscreencreds.example.github#00000002',
+      useBiometrics: true,
+    });
+
+    expect(result.ok).toBe(true);
+    expect((await checkService.check()).value).toEqual([]);
+    const metadata = JSON.parse(storageService.storage.getString('metadata_github'));
+    expect(metadata).toMatchObject({ type: 'login', useBiometrics: true, useDevicePasscode: false });
+    expect(metadata.history).toEqual([
+      { secretId: expect.any(String), replacedAt: null, useBiometrics: true, useDevicePasscode: false },
+    ]);
+    expect((await storageService.getCredential('github')).value.password).toBe('correct-horse');
+    expect((await storageService.getCredentialVersion('github', metadata.history[0].secretId)).value.password)
+      .toBe('hunter2');
+    // Written again with the chosen protection, the old entries are gone
+    expect(Array.from(secretStore.secrets.values()).map(entry => entry.options)).toEqual([
+      { useBiometrics: true, useDevicePasscode: false },
+      { useBiometrics: true, useDevicePasscode: false },
+    ]);
+    expect(await secretStore.getSecret('com.lockscreencreds.example.github#00000001')).toBeNull();
+  });
+
+  test('restores other types and keeps the old entries when writing fails', async () => {
+    const { storageService, secretStore, checkService } = createServices();
+    storageService.saveItemsList(['bank']);
+    await secretStore.setSecret('com.lockscreencreds.example.bank#00000001', '', '{"number":"4242424242424242"}');
+
+    const { value: [finding] } = await checkService.check();
+    const { value: versions } = await checkService.readVersions(finding);
+    expect(versions[0].type).toBe('card');
+
+    jest.spyOn(secretStore, 'setSecret').mockRejectedValueOnce(new Error('keychain unavailable'));
+    expect((await checkService.restoreVersions(finding, versions, { service: versions[0].service })).ok).toBe(false);
+    expect(Array.from(secretStore.secrets.keys())).toEqual(['com.lockscreencreds.example.bank#00000001']);
+    expect(storageService.storage.getString('metadata_bank')).toBeUndefined();
+
+    await checkService.restoreVersions(finding, versions, { service: versions[0].service });
+    expect(JSON.parse(storageService.storage.getString('metadata_bank')).type).toBe('card');
+  });
+
+  test('notifies subscribers of the latest findings', async () => {
+    const { storageService, checkService } = createServices();
+    await storageService.saveCredential('unlisted', 'me', 'secret-1');
+    storageService.saveItemsList([]);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const listener = jest.fn();
+    const unsubscribe = checkService.subscribe(listener);
+
+    await checkService.reportAtStartup();
+    expect(listener).toHaveBeenLastCalledWith([expect.objectContaining({ key: 'unlisted' })]);
+
+    await checkService.repair(checkService.lastFindings);
+    expect(listener).toHaveBeenLastCalledWith([]);
+
+    unsubscribe();
+    await checkService.check();
+    expect(listener).toHaveBeenCalledTimes(3);
+  });
+
+  test('only repairs what is still inconsistent', async () => {
+    const { storageService, checkService } = createServices();
+    await storageService.saveCredential('unlisted', 'me', 'secret-1');
+    storageService.saveItemsList([]);
+    const { value: findings } = await checkService.check();
+
+    // Fixed in the meantime
+    storageService.saveItemsList(['unlisted']);
+
+    expect((await checkService.repair(findings)).value).toEqual({ repaired: 0, failed: 0 });
+    expect(storageService.getItemsList()).toEqual(['unlisted']);
+  });
+
+  test('leaves keys with a pending journal entry to the replay', async () => {
+    const { storageService, checkService } = createServices();
+    await storageService.saveCredential('github', 'octocat', 'hunter2');
+    storageService.saveItemsList([]);
+    storageService.journal.begin({ type: 'write', key: 'github' });
+
+    expect((await checkService.check()).value).toEqual([]);
+  });
+});
@@ -0,0 +1,39 @@
+package com.lockscreencredentialsexample
+
+import android.os.SystemClock
+import android.provider.Settings
+import com.facebook.react.bridge.Arguments
+import com.facebook.react.bridge.Promise
+import com.facebook.react.bridge.ReactApplicationContext
+import com.facebook.react.bridge.ReactContextBaseJavaModule
+import com.facebook.react.bridge.ReactMethod
+
+/**
+ * Time since boot, which keeps counting in deep sleep and does not move
+ * when the user changes the wall clock. Used by
+ * src/services/adapters/NativeClock.js.
+ */
+class MonotonicClockModule(reactContext: ReactApplicationContext) :
+    ReactContextBaseJavaModule(reactContext) {
+
+  override fun getName(): String = NAME
+
+  @ReactMethod
+  fun read(promise: Promise) {
+    try {
+      val result = Arguments.createMap().apply {
+        putDouble("elapsed", SystemClock.elapsedRealtime().toDouble())
+        // Tells readings of different boots apart, since elapsed restarts at 0
+        putString("bootId", Settings.Global.getInt(
+            reactApplicationContext.contentResolver, Settings.Global.BOOT_COUNT, -1).toString())
+      }
+      promise.resolve(result)
+    } catch (error: Exception) {
+      promise.reject("E_CLOCK", error)
+    }
+  }
+
+  companion object {
+    const val NAME = "MonotonicClock"
+  }
+}
@@ -0,0 +1,89 @@
+package com.lockscreencredentialsexample
+
+import android.content.ClipData
+import android.content.ClipDescription
+import android.content.ClipboardManager
+import android.content.Context
+import android.os.Build
+import android.os.PersistableBundle
+import com.facebook.react.bridge.Promise
+import com.facebook.react.bridge.ReactApplicationContext
+import com.facebook.react.bridge.ReactContextBaseJavaModule
+import com.facebook.react.bridge.ReactMethod
+
+/**
+ * Clipboard access that can flag a copied value as sensitive, so Android 13+
+ * hides it from the clipboard preview and keyboard suggestions.
+ * Used by src/services/adapters/NativeClipboard.js.
+ */
+class SecureClipboardModule(reactContext: ReactApplicationContext) :
+    ReactContextBaseJavaModule(reactContext) {
+
+  override fun getName(): String = NAME
+
+  private val clipboard: ClipboardManager
+    get() = reactApplicationContext.getSystemService(Context.CLIPBOARD_SERVICE) as ClipboardManager
+
+  /**
+   * Android has no clipboard expiry, so expiresIn is not used here; the
+   * JS timer in ClipboardService clears the value.
+   */
+  @ReactMethod
+  fun setString(value: String, sensitive: Boolean, expiresIn: Double, promise: Promise) {
+    // ClipboardManager must be used from a thread with a Looper
+    reactApplicationContext.runOnUiQueueThread {
+      try {
+        val clip = ClipData.newPlainText(CLIP_LABEL, value)
+        if (sensitive) {
+          clip.description.extras = PersistableBundle().apply {
+            // The constant exists from API 33; older versions ignore the extra
+            val key = if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.TIRAMISU) {
+              ClipDescription.EXTRA_IS_SENSITIVE
+            } else {
+              "android.content.extra.IS_SENSITIVE"
+            }
+            putBoolean(key, true)
+          }
+        }
+        clipboard.setPrimaryClip(clip)
+        promise.resolve(null)
+      } catch (error: Exception) {
+        promise.reject("E_CLIPBOARD", error)
+      }
+    }
+  }
+
+  @ReactMethod
+  fun getString(promise: Promise) {
+    reactApplicationContext.runOnUiQueueThread {
+      try {
+        // Null when the clipboard is empty or unreadable, e.g. in the background
+        val item = clipboard.primaryClip?.takeIf { it.itemCount > 0 }?.getItemAt(0)
+        promise.resolve(item?.text?.toString() ?: "")
+      } catch (error: Exception) {
+        promise.reject("E_CLIPBOARD", error)
+      }
+    }
+  }
+
+  @ReactMethod
+  fun clear(promise: Promise) {
+    reactApplicationContext.runOnUiQueueThread {
+      try {
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.P) {
+          clipboard.clearPrimaryClip()
+        } else {
+          clipboard.setPrimaryClip(ClipData.newPlainText("", ""))
+        }
+        promise.resolve(null)
+      } catch (error: Exception) {
+        promise.reject("E_CLIPBOARD", error)
+      }
+    }
+  }
+
+  companion object {
+    const val NAME = "SecureClipboard"
+    private const val CLIP_LABEL = "LockscreenCredentialsExample"
+  }
+}
@@ -0,0 +1,54 @@
+package com.lockscreencredentialsexample
+
+import android.view.WindowManager
+import com.facebook.react.bridge.LifecycleEventListener
+import com.facebook.react.bridge.Promise
+import com.facebook.react.bridge.ReactApplicationContext
+import com.facebook.react.bridge.ReactContextBaseJavaModule
+import com.facebook.react.bridge.ReactMethod
+
+/**
+ * Sets FLAG_SECURE on the activity window, which keeps it out of the recents
+ * snapshot and screenshots. The JS privacy cover arrives too late for the
+ * snapshot on Android. Used by src/services/PrivacyService.js.
+ */
+class SecureWindowModule(reactContext: ReactApplicationContext) :
+    ReactContextBaseJavaModule(reactContext), LifecycleEventListener {
+
+  // Applied again when the activity is recreated
+  private var secure = false
+
+  init {
+    reactContext.addLifecycleEventListener(this)
+  }
+
+  override fun getName(): String = NAME
+
+  @ReactMethod
+  fun setSecure(enabled: Boolean, promise: Promise) {
+    secure = enabled
+    apply()
+    promise.resolve(null)
+  }
+
+  override fun onHostResume() = apply()
+
+  override fun onHostPause() {}
+
+  override fun onHostDestroy() {}
+
+  private fun apply() {
+    val activity = reactApplicationContext.currentActivity ?: return
+    activity.runOnUiThread {
+      if (secure) {
+        activity.window.addFlags(WindowManager.LayoutParams.FLAG_SECURE)
+      } else {
+        activity.window.clearFlags(WindowManager.LayoutParams.FLAG_SECURE)
+      }
+    }
+  }
+
+  companion object {
+    const val NAME = "SecureWindow"
+  }
+}
@@ -0,0 +1,63 @@
+#import <React/RCTBridgeModule.h>
+
+#include <mach/mach_time.h>
+#include <sys/sysctl.h>
+
+/**
+ * Time since boot, which keeps counting while the device sleeps and does
+ * not move when the user changes the wall clock. Used by
+ * src/services/adapters/NativeClock.js.
+ */
+@interface MonotonicClock : NSObject <RCTBridgeModule>
+@end
+
+@implementation MonotonicClock
+
+RCT_EXPORT_MODULE()
+
++ (BOOL)requiresMainQueueSetup
+{
+  return NO;
+}
+
+RCT_EXPORT_METHOD(read:(RCTPromiseResolveBlock)resolve rejecter:(RCTPromiseRejectBlock)reject)
+{
+  mach_timebase_info_data_t timebase;
+  if (mach_timebase_info(&timebase) != KERN_SUCCESS) {
+    reject(@"E_CLOCK", @"Could not read the timebase", nil);
+    return;
+  }
+  double elapsed = (double)mach_continuous_time() * timebase.numer / timebase.denom / NSEC_PER_MSEC;
+
+  NSString *bootId = [self bootId];
+  if (!bootId) {
+    reject(@"E_CLOCK", @"Could not read the boot time", nil);
+    return;
+  }
+
+  resolve(@{@"elapsed" : @(elapsed), @"bootId" : bootId});
+}
+
+/**
+ * Tells readings of different boots apart, since elapsed restarts at 0.
+ * The boot session UUID stays the same for the whole boot; kern.boottime
+ * is only used where it is missing, as it shifts when the wall clock is set.
+ */
+- (NSString *)bootId
+{
+  char uuid[64];
+  size_t size = sizeof(uuid);
+  if (sysctlbyname("kern.bootsessionuuid", uuid, &size, NULL, 0) == 0 && size > 1) {
+    return [NSString stringWithUTF8String:uuid];
+  }
+
+  struct timeval boottime;
+  size = sizeof(boottime);
+  int mib[2] = {CTL_KERN, KERN_BOOTTIME};
+  if (sysctl(mib, 2, &boottime, &size, NULL, 0) != 0) {
+    return nil;
+  }
+  return [NSString stringWithFormat:@"%ld.%d", boottime.tv_sec, boottime.tv_usec];
+}
+
+@end
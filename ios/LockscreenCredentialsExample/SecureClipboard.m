@@ -0,0 +1,58 @@
+#import <React/RCTBridgeModule.h>
+#import <UIKit/UIKit.h>
+#import <UniformTypeIdentifiers/UniformTypeIdentifiers.h>
+
+/**
+ * Pasteboard access that keeps a sensitive value on this device and lets
+ * iOS remove it after a while, even if the app is suspended before its own
+ * timer clears it. Used by src/services/adapters/NativeClipboard.js.
+ */
+@interface SecureClipboard : NSObject <RCTBridgeModule>
+@end
+
+@implementation SecureClipboard
+
+RCT_EXPORT_MODULE()
+
++ (BOOL)requiresMainQueueSetup
+{
+  return NO;
+}
+
+- (dispatch_queue_t)methodQueue
+{
+  return dispatch_get_main_queue();
+}
+
+RCT_EXPORT_METHOD(setString:(NSString *)value
+                  sensitive:(BOOL)sensitive
+                  expiresIn:(double)expiresIn
+                  resolver:(RCTPromiseResolveBlock)resolve
+                  rejecter:(RCTPromiseRejectBlock)reject)
+{
+  NSMutableDictionary<UIPasteboardOption, id> *options = [NSMutableDictionary dictionary];
+  if (sensitive) {
+    // Not shared with the user's other devices through Universal Clipboard
+    options[UIPasteboardOptionLocalOnly] = @YES;
+  }
+  if (expiresIn > 0) {
+    options[UIPasteboardOptionExpirationDate] = [NSDate dateWithTimeIntervalSinceNow:expiresIn];
+  }
+
+  [[UIPasteboard generalPasteboard] setItems:@[@{UTTypeUTF8PlainText.identifier : value}] options:options];
+  resolve(nil);
+}
+
+RCT_EXPORT_METHOD(getString:(RCTPromiseResolveBlock)resolve rejecter:(RCTPromiseRejectBlock)reject)
+{
+  // Nil when the pasteboard is empty or holds no text
+  resolve([UIPasteboard generalPasteboard].string ?: @"");
+}
+
+RCT_EXPORT_METHOD(clear:(RCTPromiseResolveBlock)resolve rejecter:(RCTPromiseRejectBlock)reject)
+{
+  [[UIPasteboard generalPasteboard] setItems:@[] options:@{}];
+  resolve(nil);
+}
+
+@end
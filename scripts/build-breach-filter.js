@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/* eslint-env node */
+/* eslint-disable no-bitwise */
+/**
+ * Build a breach filter that the app can import under Settings > Breach Check.
+ *
+ * Usage:
+ *   node scripts/build-breach-filter.js <input> [output] [--plain] [--rate=0.001] [--min-count=1]
+ *
+ * The input has one entry per line: a SHA-1 hash in hex, optionally followed
+ * by ":<count>" as in the Have I Been Pwned downloads, or with --plain a
+ * password in clear text. --min-count skips hashes seen fewer times, which
+ * keeps filters built from large corpora small enough for a phone.
+ *
+ * Bit positions and the envelope come from src/utils/BloomFilter.js, loaded
+ * through the app's Babel config.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+require('@babel/register')({ cwd: path.join(__dirname, '..'), only: [/[\\/]src[\\/]/] });
+const {
+  BREACH_FILTER_FORMAT,
+  BREACH_FILTER_VERSION,
+  getBloomPositions,
+} = require('../src/utils/BloomFilter');
+
+const parseArgs = argv => {
+  const options = { plain: false, rate: 0.001, minCount: 1, files: [] };
+  argv.forEach(arg => {
+    if (arg === '--plain') {
+      options.plain = true;
+    } else if (arg.startsWith('--rate=')) {
+      options.rate = parseFloat(arg.slice('--rate='.length));
+    } else if (arg.startsWith('--min-count=')) {
+      options.minCount = parseInt(arg.slice('--min-count='.length), 10);
+    } else {
+      options.files.push(arg);
+    }
+  });
+  return options;
+};
+
+const readHashes = async ({ plain, minCount }, input) => {
+  const hashes = [];
+  const lines = readline.createInterface({ input: fs.createReadStream(input), crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (plain) {
+      if (line) {
+        hashes.push(crypto.createHash('sha1').update(line, 'utf8').digest());
+      }
+      continue;
+    }
+
+    const [hex, count] = line.trim().split(':');
+    if (/^[0-9a-fA-F]{40}$/.test(hex) && (!count || parseInt(count, 10) >= minCount)) {
+      hashes.push(Buffer.from(hex, 'hex'));
+    }
+  }
+
+  return hashes;
+};
+
+const buildFilter = (hashes, rate) => {
+  const bits = Math.max(8, Math.ceil(-hashes.length * Math.log(rate) / (Math.LN2 * Math.LN2)));
+  const hashCount = Math.max(1, Math.round(bits / Math.max(1, hashes.length) * Math.LN2));
+  const data = Buffer.alloc(Math.ceil(bits / 8));
+
+  hashes.forEach(hash => {
+    getBloomPositions(hash, bits, hashCount).forEach(position => {
+      data[position >> 3] |= 1 << (position & 7);
+    });
+  });
+
+  return {
+    format: BREACH_FILTER_FORMAT,
+    version: BREACH_FILTER_VERSION,
+    hash: 'sha1',
+    bits,
+    hashes: hashCount,
+    count: hashes.length,
+    data: data.toString('base64'),
+  };
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const [input, output] = options.files;
+  if (!input) {
+    console.error('Usage: node scripts/build-breach-filter.js <input> [output] [--plain] [--rate=0.001] [--min-count=1]');
+    process.exit(1);
+  }
+
+  const hashes = await readHashes(options, input);
+  const contents = JSON.stringify(buildFilter(hashes, options.rate));
+
+  if (output) {
+    fs.writeFileSync(output, contents + '\n');
+    console.error(`Wrote ${hashes.length} hashes to ${output} (${contents.length} bytes)`);
+  } else {
+    process.stdout.write(contents + '\n');
+  }
+};
+
+main();
@@ -0,0 +1,270 @@
+import React, { useState, useRef } from 'react';
+import { StyleSheet, View, Text, TextInput, TouchableOpacity } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import GeneratorModal from './GeneratorModal';
+import StrengthMeter from './StrengthMeter';
+import CredentialTypes from '../utils/CredentialTypes';
+
+/**
+ * Inputs for the fields of a credential type, see CredentialTypes, followed
+ * by the credential's custom fields
+ * @param {String} type Credential type
+ * @param {Object} values Values keyed by field name, custom fields in customFields
+ * @param {Function} onChange Called with the new values
+ * @param {Array<String>} userInputs Words the strength meter should penalize
+ * @param {Boolean} showSecrets Show masked fields in clear text
+ * @param {String} generateFor Name of a password field whose generator opens right away
+ */
+const CredentialForm = ({ type, values, onChange, userInputs = [], showSecrets = false, generateFor = null }) => {
+  const [generatorField, setGeneratorField] = useState(generateFor);
+  const inputRefs = useRef({});
+
+  const fields = CredentialTypes.getVisibleFields(type, values);
+  const textFields = fields.filter((field) => !field.choices);
+
+  const setValue = (name, value) => onChange({ ...values, [name]: value });
+
+  const customFields = values.customFields || [];
+  const setCustomFields = (next) => setValue('customFields', next);
+
+  const updateCustomField = (id, changes) => {
+    setCustomFields(customFields.map((field) => (field.id === id ? { ...field, ...changes } : field)));
+  };
+
+  const moveCustomField = (index, offset) => {
+    const next = [...customFields];
+    const [field] = next.splice(index, 1);
+    next.splice(index + offset, 0, field);
+    setCustomFields(next);
+  };
+
+  const focusNext = (field) => {
+    const next = textFields[textFields.indexOf(field) + 1];
+    if (next) {
+      inputRefs.current[next.name]?.focus();
+    }
+  };
+
+  const renderChoices = (field) => (
+    <View key={field.name} style={styles.choiceRow}>
+      <Text style={styles.choiceLabel}>{field.label}</Text>
+      {field.choices.map((choice) => (
+        <TouchableOpacity
+          key={choice}
+          style={[styles.chip, values[field.name] === choice && styles.chipSelected]}
+          onPress={() => setValue(field.name, choice)}
+        >
+          <Text style={[styles.chipText, values[field.name] === choice && styles.chipTextSelected]}>
+            {choice}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const renderInput = (field) => {
+    const isLast = textFields[textFields.length - 1] === field;
+    const masked = (field.masked ?? field.secret) && !showSecrets;
+
+    return (
+      <View key={field.name}>
+        <View style={styles.inputRow}>
+          <TextInput
+            ref={(input) => { inputRefs.current[field.name] = input; }}
+            style={[styles.input, field.multiline && styles.multilineInput]}
+            placeholder={field.placeholder || field.label}
+            value={String(values[field.name] ?? '')}
+            onChangeText={(text) => setValue(field.name, text)}
+            // Multiline inputs cannot be masked
+            secureTextEntry={masked && !field.multiline}
+            multiline={!!field.multiline}
+            keyboardType={field.keyboardType || 'default'}
+            autoCapitalize="none"
+            autoCorrect={false}
+            returnKeyType={isLast || field.multiline ? 'default' : 'next'}
+            onSubmitEditing={field.multiline ? undefined : () => focusNext(field)}
+          />
+          {field.password && (
+            <TouchableOpacity
+              style={styles.generateButton}
+              onPress={() => setGeneratorField(field.name)}
+            >
+              <Icon name="casino" size={24} color="#2196F3" />
+            </TouchableOpacity>
+          )}
+        </View>
+        {field.password && (
+          <StrengthMeter password={values[field.name] || ''} userInputs={userInputs} />
+        )}
+      </View>
+    );
+  };
+
+  const renderCustomField = (field, index) => (
+    <View key={field.id} style={styles.customField}>
+      <View style={styles.inputRow}>
+        <TextInput
+          style={[styles.input, styles.customNameInput]}
+          placeholder="Field name"
+          value={field.name}
+          onChangeText={(text) => updateCustomField(field.id, { name: text })}
+          autoCorrect={false}
+        />
+        <TouchableOpacity
+          style={styles.customAction}
+          onPress={() => updateCustomField(field.id, { secret: !field.secret })}
+        >
+          <Icon name={field.secret ? 'lock' : 'lock-open'} size={22} color={field.secret ? '#2196F3' : '#757575'} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.customAction}
+          onPress={() => moveCustomField(index, -1)}
+          disabled={index === 0}
+        >
+          <Icon name="arrow-upward" size={22} color={index === 0 ? '#E0E0E0' : '#757575'} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.customAction}
+          onPress={() => moveCustomField(index, 1)}
+          disabled={index === customFields.length - 1}
+        >
+          <Icon
+            name="arrow-downward"
+            size={22}
+            color={index === customFields.length - 1 ? '#E0E0E0' : '#757575'}
+          />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.customAction}
+          onPress={() => setCustomFields(customFields.filter((item) => item.id !== field.id))}
+        >
+          <Icon name="delete" size={22} color="#D32F2F" />
+        </TouchableOpacity>
+      </View>
+      <TextInput
+        style={styles.input}
+        placeholder={field.secret ? 'Secret value' : 'Value'}
+        value={field.value ?? ''}
+        onChangeText={(text) => updateCustomField(field.id, { value: text })}
+        secureTextEntry={field.secret && !showSecrets}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+    </View>
+  );
+
+  return (
+    <View>
+      {fields.map((field) => (field.choices ? renderChoices(field) : renderInput(field)))}
+
+      {customFields.map(renderCustomField)}
+      <TouchableOpacity
+        style={styles.addFieldButton}
+        onPress={() => setCustomFields([...customFields, CredentialTypes.createCustomField()])}
+      >
+        <Icon name="add" size={20} color="#2196F3" />
+        <Text style={styles.addFieldText}>Add Field</Text>
+      </TouchableOpacity>
+
+      <GeneratorModal
+        visible={generatorField !== null}
+        onClose={() => setGeneratorField(null)}
+        onUse={(generated) => setValue(generatorField, generated)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  input: {
+    flex: 1,
+    height: 50,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    marginBottom: 12,
+    fontSize: 16,
+    color: '#333',
+    backgroundColor: '#F9F9F9',
+  },
+  multilineInput: {
+    height: 100,
+    paddingTop: 12,
+    textAlignVertical: 'top',
+  },
+  generateButton: {
+    height: 50,
+    paddingHorizontal: 12,
+    marginLeft: 8,
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    backgroundColor: '#F9F9F9',
+  },
+  customField: {
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#EEEEEE',
+  },
+  customNameInput: {
+    height: 44,
+    fontSize: 14,
+  },
+  customAction: {
+    height: 44,
+    paddingHorizontal: 6,
+    justifyContent: 'center',
+  },
+  addFieldButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    paddingVertical: 8,
+    marginBottom: 12,
+  },
+  addFieldText: {
+    marginLeft: 4,
+    fontSize: 14,
+    color: '#2196F3',
+    fontWeight: 'bold',
+  },
+  choiceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  choiceLabel: {
+    width: 80,
+    fontSize: 14,
+    color: '#757575',
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: 'white',
+  },
+  chipSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default CredentialForm;
@@ -0,0 +1,399 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  Switch,
+  ScrollView,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import PasswordGenerator, {
+  DEFAULT_PASSWORD_OPTIONS,
+  DEFAULT_PASSPHRASE_OPTIONS,
+  PASSWORD_LENGTH_RANGE,
+  PASSPHRASE_WORDS_RANGE,
+} from '../utils/PasswordGenerator';
+import PrivacyService from '../services/PrivacyService';
+
+const CLASS_LABELS = {
+  lowercase: 'Lowercase (a-z)',
+  uppercase: 'Uppercase (A-Z)',
+  digits: 'Digits (0-9)',
+  symbols: 'Symbols (!#$...)',
+};
+
+const SEPARATORS = [
+  ['-', 'Dash'],
+  ['.', 'Dot'],
+  [' ', 'Space'],
+];
+
+/**
+ * Describe an entropy value in words
+ * @param {Number} bits Entropy in bits
+ * @returns {String} Label
+ */
+const describeEntropy = (bits) => {
+  if (bits < 50) {
+    return 'Weak';
+  }
+  if (bits < 70) {
+    return 'Fair';
+  }
+  if (bits < 100) {
+    return 'Strong';
+  }
+  return 'Very strong';
+};
+
+const Stepper = ({ value, min, max, onChange }) => (
+  <View style={styles.stepper}>
+    <TouchableOpacity
+      onPress={() => onChange(Math.max(min, value - 1))}
+      disabled={value <= min}
+      style={styles.stepperButton}
+    >
+      <Icon name="remove" size={20} color={value <= min ? '#BDBDBD' : '#2196F3'} />
+    </TouchableOpacity>
+    <Text style={styles.stepperValue}>{value}</Text>
+    <TouchableOpacity
+      onPress={() => onChange(Math.min(max, value + 1))}
+      disabled={value >= max}
+      style={styles.stepperButton}
+    >
+      <Icon name="add" size={20} color={value >= max ? '#BDBDBD' : '#2196F3'} />
+    </TouchableOpacity>
+  </View>
+);
+
+const GeneratorModal = ({ visible, onClose, onUse }) => {
+  const [mode, setMode] = useState('password');
+  const [passwordOptions, setPasswordOptions] = useState(DEFAULT_PASSWORD_OPTIONS);
+  const [passphraseOptions, setPassphraseOptions] = useState(DEFAULT_PASSPHRASE_OPTIONS);
+  const [value, setValue] = useState('');
+  const [entropy, setEntropy] = useState(0);
+  const [optionError, setOptionError] = useState(null);
+  // Modals are separate windows the app's privacy cover does not reach
+  const [hidden, setHidden] = useState(PrivacyService.isHidden());
+
+  const regenerate = useCallback(() => {
+    try {
+      if (mode === 'password') {
+        setValue(PasswordGenerator.generatePassword(passwordOptions));
+        setEntropy(PasswordGenerator.getPasswordEntropy(passwordOptions));
+      } else {
+        setValue(PasswordGenerator.generatePassphrase(passphraseOptions));
+        setEntropy(PasswordGenerator.getPassphraseEntropy(passphraseOptions));
+      }
+      setOptionError(null);
+    } catch (error) {
+      // Options that cannot be satisfied, e.g. no class enabled
+      setValue('');
+      setEntropy(0);
+      setOptionError(error.message);
+    }
+  }, [mode, passwordOptions, passphraseOptions]);
+
+  useEffect(() => {
+    if (visible) {
+      regenerate();
+    }
+  }, [visible, regenerate]);
+
+  useEffect(() => PrivacyService.subscribe(setHidden), []);
+
+  const updatePasswordOption = (name, optionValue) => {
+    setPasswordOptions((prev) => ({ ...prev, [name]: optionValue }));
+  };
+
+  const updateMinCount = (name, count) => {
+    setPasswordOptions((prev) => ({
+      ...prev,
+      minCounts: { ...prev.minCounts, [name]: count },
+    }));
+  };
+
+  const updatePassphraseOption = (name, optionValue) => {
+    setPassphraseOptions((prev) => ({ ...prev, [name]: optionValue }));
+  };
+
+  const handleUse = () => {
+    onUse(value);
+    onClose();
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.titleRow}>
+            <Text style={styles.title}>Generate</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Icon name="close" size={24} color="#757575" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.optionRow}>
+            {[['password', 'Password'], ['passphrase', 'Passphrase']].map(([id, label]) => (
+              <TouchableOpacity
+                key={id}
+                style={[styles.optionButton, mode === id && styles.optionButtonSelected]}
+                onPress={() => setMode(id)}
+              >
+                <Text style={[styles.optionButtonText, mode === id && styles.optionButtonTextSelected]}>
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.previewContainer}>
+            <Text style={styles.previewText} selectable>
+              {optionError || (hidden ? '••••••••' : value)}
+            </Text>
+            <TouchableOpacity onPress={regenerate} style={styles.iconButton}>
+              <Icon name="refresh" size={24} color="#2196F3" />
+            </TouchableOpacity>
+          </View>
+          {!optionError && (
+            <Text style={styles.entropyText}>
+              {Math.floor(entropy)} bits of entropy · {describeEntropy(entropy)}
+            </Text>
+          )}
+
+          <ScrollView style={styles.options}>
+            {mode === 'password' ? (
+              <>
+                <View style={styles.settingRow}>
+                  <Text style={styles.settingLabel}>Length</Text>
+                  <Stepper
+                    value={passwordOptions.length}
+                    min={PASSWORD_LENGTH_RANGE.min}
+                    max={PASSWORD_LENGTH_RANGE.max}
+                    onChange={(length) => updatePasswordOption('length', length)}
+                  />
+                </View>
+
+                {Object.keys(CLASS_LABELS).map((name) => (
+                  <View key={name} style={styles.settingRow}>
+                    <Switch
+                      value={passwordOptions[name]}
+                      onValueChange={(enabled) => updatePasswordOption(name, enabled)}
+                      trackColor={{ false: '#767577', true: '#81b0ff' }}
+                      thumbColor={passwordOptions[name] ? '#2196F3' : '#f4f3f4'}
+                    />
+                    <Text style={[styles.settingLabel, styles.switchLabel]}>
+                      {CLASS_LABELS[name]}
+                    </Text>
+                    {passwordOptions[name] && (
+                      <Stepper
+                        value={passwordOptions.minCounts[name]}
+                        min={0}
+                        max={passwordOptions.length}
+                        onChange={(count) => updateMinCount(name, count)}
+                      />
+                    )}
+                  </View>
+                ))}
+                <Text style={styles.hintText}>Numbers on the right are minimum counts</Text>
+
+                <View style={styles.settingRow}>
+                  <Switch
+                    value={passwordOptions.excludeLookAlikes}
+                    onValueChange={(enabled) => updatePasswordOption('excludeLookAlikes', enabled)}
+                    trackColor={{ false: '#767577', true: '#81b0ff' }}
+                    thumbColor={passwordOptions.excludeLookAlikes ? '#2196F3' : '#f4f3f4'}
+                  />
+                  <Text style={[styles.settingLabel, styles.switchLabel]}>
+                    Avoid look-alikes (I l 1 | O 0 o)
+                  </Text>
+                </View>
+              </>
+            ) : (
+              <>
+                <View style={styles.settingRow}>
+                  <Text style={styles.settingLabel}>Words</Text>
+                  <Stepper
+                    value={passphraseOptions.words}
+                    min={PASSPHRASE_WORDS_RANGE.min}
+                    max={PASSPHRASE_WORDS_RANGE.max}
+                    onChange={(words) => updatePassphraseOption('words', words)}
+                  />
+                </View>
+
+                <View style={styles.optionRow}>
+                  {SEPARATORS.map(([separator, label]) => (
+                    <TouchableOpacity
+                      key={label}
+                      style={[
+                        styles.optionButton,
+                        passphraseOptions.separator === separator && styles.optionButtonSelected,
+                      ]}
+                      onPress={() => updatePassphraseOption('separator', separator)}
+                    >
+                      <Text
+                        style={[
+                          styles.optionButtonText,
+                          passphraseOptions.separator === separator && styles.optionButtonTextSelected,
+                        ]}
+                      >
+                        {label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                {[['capitalize', 'Capitalize words'], ['includeNumber', 'Include a digit']].map(([name, label]) => (
+                  <View key={name} style={styles.settingRow}>
+                    <Switch
+                      value={passphraseOptions[name]}
+                      onValueChange={(enabled) => updatePassphraseOption(name, enabled)}
+                      trackColor={{ false: '#767577', true: '#81b0ff' }}
+                      thumbColor={passphraseOptions[name] ? '#2196F3' : '#f4f3f4'}
+                    />
+                    <Text style={[styles.settingLabel, styles.switchLabel]}>{label}</Text>
+                  </View>
+                ))}
+              </>
+            )}
+          </ScrollView>
+
+          <TouchableOpacity
+            style={[styles.useButton, !value && styles.useButtonDisabled]}
+            onPress={handleUse}
+            disabled={!value}
+          >
+            <Text style={styles.useButtonText}>Use This {mode === 'password' ? 'Password' : 'Passphrase'}</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    maxHeight: '90%',
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 16,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  optionButton: {
+    flex: 1,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#F9F9F9',
+    alignItems: 'center',
+  },
+  optionButtonSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  optionButtonText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  optionButtonTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  previewContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: '#F5F5F5',
+  },
+  previewText: {
+    flex: 1,
+    fontSize: 16,
+    fontFamily: 'monospace',
+    color: '#333',
+  },
+  iconButton: {
+    padding: 8,
+  },
+  entropyText: {
+    fontSize: 12,
+    color: '#757575',
+    marginTop: 6,
+    marginBottom: 12,
+  },
+  options: {
+    marginBottom: 12,
+  },
+  settingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  settingLabel: {
+    fontSize: 16,
+    color: '#333',
+  },
+  switchLabel: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  hintText: {
+    fontSize: 12,
+    color: '#757575',
+    marginBottom: 6,
+  },
+  stepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepperButton: {
+    padding: 6,
+  },
+  stepperValue: {
+    minWidth: 32,
+    fontSize: 16,
+    textAlign: 'center',
+    color: '#333',
+  },
+  useButton: {
+    backgroundColor: '#2196F3',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  useButtonDisabled: {
+    backgroundColor: '#BDBDBD',
+  },
+  useButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default GeneratorModal;
@@ -2,6 +2,10 @@ import React from 'react';
 import { StyleSheet, View, Text, TouchableOpacity, Alert } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import StorageService from '../services/StorageService';
+import RotationService from '../services/RotationService';
+import { describeStorageError } from '../services/StorageErrors';
+import StrengthEstimator from '../utils/StrengthEstimator';
+import CredentialTypes from '../utils/CredentialTypes';
 
 const Item = ({ itemKey, onItemPressed, onItemDeleted, securityOptions }) => {
   const [metadata, setMetadata] = React.useState({
@@ -43,11 +47,12 @@ const Item = ({ itemKey, onItemPressed, onItemDeleted, securityOptions }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              const success = await StorageService.deleteCredential(itemKey);
-              if (success) {
+              const result = await StorageService.deleteCredential(itemKey);
+              if (result.ok) {
                 onItemDeleted(itemKey);
               } else {
-                Alert.alert('Error', 'Failed to delete credential');
+                const { title, message } = describeStorageError(result.error);
+                Alert.alert(title, message);
               }
             } catch (error) {
               console.error('Error deleting credential:', error);
@@ -69,10 +74,27 @@ const Item = ({ itemKey, onItemPressed, onItemDeleted, securityOptions }) => {
   return (
     <TouchableOpacity style={styles.container} onPress={handlePress} activeOpacity={0.7}>
       <View style={styles.iconContainer}>
-        <Icon name="lock" size={24} color="#2196F3" />
+        <Icon name={CredentialTypes.get(metadata.type).icon} size={24} color="#2196F3" />
       </View>
       <View style={styles.content}>
         <Text style={styles.title}>{itemKey}</Text>
+        {metadata.compromised ? (
+          <View style={styles.badge}>
+            <Icon name="gpp-bad" size={14} color="#D32F2F" />
+            <Text style={[styles.badgeText, styles.compromisedText]}>Found in data breaches</Text>
+          </View>
+        ) : StrengthEstimator.isWeak(metadata.strength) && (
+          <View style={styles.badge}>
+            <Icon name="warning" size={14} color="#F57C00" />
+            <Text style={styles.badgeText}>Weak password</Text>
+          </View>
+        )}
+        {RotationService.getStatus(metadata).due && (
+          <View style={styles.badge}>
+            <Icon name="update" size={14} color="#F57C00" />
+            <Text style={styles.badgeText}>Due for rotation</Text>
+          </View>
+        )}
         <Text style={styles.subtitle}>
           Created: {formatDate(metadata.createdAt)}
         </Text>
@@ -122,6 +144,19 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 4,
   },
+  badge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  badgeText: {
+    fontSize: 12,
+    color: '#F57C00',
+    marginLeft: 4,
+  },
+  compromisedText: {
+    color: '#D32F2F',
+  },
   subtitle: {
     fontSize: 12,
     color: '#757575',
@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, View } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import PrivacyService from '../services/PrivacyService';
+import SettingsService from '../services/SettingsService';
+
+/**
+ * Covers the screens while the app is out of the foreground, so the app
+ * switcher does not capture them. Rendered once, above the navigator.
+ */
+const PrivacyCover = () => {
+  const [covered, setCovered] = useState(false);
+
+  useEffect(() => PrivacyService.subscribe((hidden) => {
+    setCovered(hidden && SettingsService.isPrivacyCoverEnabled());
+  }), []);
+
+  if (!covered) {
+    return null;
+  }
+
+  return (
+    <View style={styles.cover}>
+      <Icon name="lock" size={64} color="white" />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  cover: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#2196F3',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default PrivacyCover;
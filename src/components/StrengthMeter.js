@@ -0,0 +1,81 @@
+import React, { useMemo, useDeferredValue } from 'react';
+import { StyleSheet, View, Text } from 'react-native';
+import StrengthEstimator, { STRENGTH_LABELS } from '../utils/StrengthEstimator';
+
+const SCORE_COLORS = ['#D32F2F', '#F57C00', '#FBC02D', '#7CB342', '#388E3C'];
+const EMPTY_COLOR = '#E0E0E0';
+
+/**
+ * Strength bar with warning and suggestions, shown under a password field
+ */
+const StrengthMeter = ({ password, userInputs = [] }) => {
+  // Estimating runs on every keystroke, keep typing responsive
+  const deferredPassword = useDeferredValue(password);
+  const inputsKey = userInputs.join('\n');
+  const estimate = useMemo(
+    () => StrengthEstimator.estimate(deferredPassword, inputsKey.split('\n')),
+    [deferredPassword, inputsKey]
+  );
+
+  if (!password) {
+    return null;
+  }
+
+  const { score, feedback } = estimate;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.bar}>
+        {SCORE_COLORS.map((color, index) => (
+          <View
+            key={color}
+            style={[
+              styles.segment,
+              { backgroundColor: index <= score ? SCORE_COLORS[score] : EMPTY_COLOR },
+            ]}
+          />
+        ))}
+      </View>
+      <Text style={[styles.label, { color: SCORE_COLORS[score] }]}>
+        {STRENGTH_LABELS[score]}
+      </Text>
+      {feedback.warning && <Text style={styles.warning}>{feedback.warning}</Text>}
+      {feedback.suggestions.map((suggestion) => (
+        <Text key={suggestion} style={styles.suggestion}>• {suggestion}</Text>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: -4,
+    marginBottom: 12,
+  },
+  bar: {
+    flexDirection: 'row',
+    marginBottom: 4,
+  },
+  segment: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+    marginRight: 4,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    marginBottom: 2,
+  },
+  warning: {
+    fontSize: 12,
+    color: '#333',
+    marginBottom: 2,
+  },
+  suggestion: {
+    fontSize: 12,
+    color: '#757575',
+  },
+});
+
+export default StrengthMeter;
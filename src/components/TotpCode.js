@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, View, Text } from 'react-native';
+import TotpUtils from '../utils/TotpUtils';
+
+const RING_SIZE = 56;
+const DOT_SIZE = 5;
+const DOT_COUNT = 30;
+const ACTIVE_COLOR = '#2196F3';
+const EXPIRING_COLOR = '#D32F2F';
+const EMPTY_COLOR = '#E0E0E0';
+
+// Seconds left at which the ring turns red
+const EXPIRING_SECONDS = 5;
+
+// Dots laid out clockwise from 12 o'clock
+const DOT_POSITIONS = Array.from({ length: DOT_COUNT }, (_, index) => {
+  const angle = (index / DOT_COUNT) * 2 * Math.PI;
+  const radius = (RING_SIZE - DOT_SIZE) / 2;
+  return {
+    left: radius + radius * Math.sin(angle),
+    top: radius - radius * Math.cos(angle),
+  };
+});
+
+/**
+ * Ring of dots that empties as the current code expires
+ */
+const CountdownRing = ({ remaining, period }) => {
+  const color = remaining <= EXPIRING_SECONDS ? EXPIRING_COLOR : ACTIVE_COLOR;
+  const lit = Math.ceil((remaining / period) * DOT_COUNT);
+
+  return (
+    <View style={styles.ring}>
+      {DOT_POSITIONS.map((position, index) => (
+        <View
+          key={index}
+          style={[
+            styles.dot,
+            position,
+            { backgroundColor: index < lit ? color : EMPTY_COLOR },
+          ]}
+        />
+      ))}
+      <Text style={[styles.ringText, { color }]}>{remaining}</Text>
+    </View>
+  );
+};
+
+/**
+ * Live one-time code, refreshed every second
+ * @param {Object} params TOTP parameters (secret, algorithm, digits, period)
+ */
+const TotpCode = ({ params }) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const code = TotpUtils.generateCode(params, now);
+  // Split in halves, e.g. "123 456", for reading it off the screen
+  const middle = Math.ceil(code.length / 2);
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.code}>{`${code.slice(0, middle)} ${code.slice(middle)}`}</Text>
+      <CountdownRing
+        remaining={TotpUtils.getRemainingSeconds(params.period, now)}
+        period={params.period}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  code: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    letterSpacing: 2,
+    color: '#333',
+    fontVariant: ['tabular-nums'],
+  },
+  ring: {
+    width: RING_SIZE,
+    height: RING_SIZE,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dot: {
+    position: 'absolute',
+    width: DOT_SIZE,
+    height: DOT_SIZE,
+    borderRadius: DOT_SIZE / 2,
+  },
+  ringText: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default TotpCode;
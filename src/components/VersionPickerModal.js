@@ -0,0 +1,221 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import PrivacyService from '../services/PrivacyService';
+import CredentialTypes, { unwrapSecret } from '../utils/CredentialTypes';
+
+/**
+ * Lets the user pick the current version and the protection of a
+ * credential whose details were lost, see VaultCheckService.restoreVersions.
+ * Versions are masked until revealed.
+ */
+const VersionPickerModal = ({ credentialKey, versions, protectionOptions, onClose, onRestore }) => {
+  const [selected, setSelected] = useState(null);
+  const [protection, setProtection] = useState(protectionOptions[protectionOptions.length - 1][0]);
+  const [revealed, setRevealed] = useState({});
+
+  // Mask everything again before the app switcher captures the screen
+  useEffect(() => PrivacyService.subscribe((hidden) => {
+    if (hidden) {
+      setRevealed({});
+    }
+  }), []);
+
+  const toggleReveal = (service) => {
+    setRevealed((prev) => ({ ...prev, [service]: !prev[service] }));
+  };
+
+  const handleRestore = () => {
+    onRestore({
+      service: selected,
+      useBiometrics: protection === 'biometrics',
+      useDevicePasscode: protection === 'passcode',
+    });
+  };
+
+  return (
+    <Modal visible animationType="slide" transparent onRequestClose={onClose}>
+      <View style={styles.backdrop}>
+        <View style={styles.sheet}>
+          <View style={styles.titleRow}>
+            <Text style={styles.title}>Restore {credentialKey}</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Icon name="close" size={24} color="#757575" />
+            </TouchableOpacity>
+          </View>
+
+          <Text style={styles.description}>
+            Which version was current is not recorded. Pick it; the others
+            are kept as previous versions.
+          </Text>
+
+          <ScrollView style={styles.versions}>
+            {versions.map((version) => (
+              <TouchableOpacity
+                key={version.service}
+                style={styles.versionRow}
+                onPress={() => setSelected(version.service)}
+              >
+                <Icon
+                  name={selected === version.service ? 'radio-button-checked' : 'radio-button-unchecked'}
+                  size={24}
+                  color="#2196F3"
+                />
+                <View style={styles.versionText}>
+                  <Text style={styles.versionTitle}>
+                    {CredentialTypes.get(version.type).label}
+                    {version.username ? ` · ${version.username}` : ''}
+                  </Text>
+                  <Text style={styles.versionSecret} numberOfLines={2}>
+                    {revealed[version.service] ? unwrapSecret(version.password).password : '••••••••'}
+                  </Text>
+                </View>
+                <TouchableOpacity onPress={() => toggleReveal(version.service)} style={styles.iconButton}>
+                  <Icon
+                    name={revealed[version.service] ? 'visibility-off' : 'visibility'}
+                    size={22}
+                    color="#757575"
+                  />
+                </TouchableOpacity>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          <Text style={styles.label}>Protection</Text>
+          <View style={styles.optionRow}>
+            {protectionOptions.map(([value, label]) => (
+              <TouchableOpacity
+                key={value}
+                style={[styles.optionButton, protection === value && styles.optionButtonSelected]}
+                onPress={() => setProtection(value)}
+              >
+                <Text style={[styles.optionButtonText, protection === value && styles.optionButtonTextSelected]}>
+                  {label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity
+            style={[styles.restoreButton, !selected && styles.restoreButtonDisabled]}
+            onPress={handleRestore}
+            disabled={!selected}
+          >
+            <Text style={styles.restoreButtonText}>Restore</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  sheet: {
+    maxHeight: '90%',
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 16,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  description: {
+    fontSize: 14,
+    color: '#757575',
+    marginBottom: 12,
+  },
+  versions: {
+    marginBottom: 12,
+  },
+  versionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  versionText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  versionTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  versionSecret: {
+    fontSize: 14,
+    fontFamily: 'monospace',
+    color: '#757575',
+  },
+  iconButton: {
+    padding: 8,
+  },
+  label: {
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 8,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    marginBottom: 12,
+  },
+  optionButton: {
+    flex: 1,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#F9F9F9',
+    alignItems: 'center',
+  },
+  optionButtonSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  optionButtonText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  optionButtonTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  restoreButton: {
+    backgroundColor: '#2196F3',
+    paddingVertical: 12,
+    borderRadius: 8,
+    alignItems: 'center',
+  },
+  restoreButtonDisabled: {
+    backgroundColor: '#BDBDBD',
+  },
+  restoreButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default VersionPickerModal;
@@ -0,0 +1,315 @@
+import React, { useState, useMemo } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  Alert,
+  Share,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import AuditLogService, {
+  AUDIT_EVENT,
+  AUDIT_FILTERS,
+  AUDIT_OUTCOME,
+} from '../services/AuditLogService';
+
+const FILTER_LABELS = {
+  all: 'All',
+  unlock: 'Unlock',
+  access: 'Access',
+  changes: 'Changes',
+  security: 'Security',
+};
+
+const EVENT_ICONS = {
+  [AUDIT_EVENT.UNLOCK]: 'lock-open',
+  [AUDIT_EVENT.LOCKOUT]: 'timer',
+  [AUDIT_EVENT.REVEAL]: 'visibility',
+  [AUDIT_EVENT.COPY]: 'content-copy',
+  [AUDIT_EVENT.CREATE]: 'add-circle-outline',
+  [AUDIT_EVENT.UPDATE]: 'edit',
+  [AUDIT_EVENT.RESTORE]: 'restore',
+  [AUDIT_EVENT.DELETE]: 'delete',
+  [AUDIT_EVENT.SECURITY_CHANGE]: 'security',
+  [AUDIT_EVENT.CLEAR_ALL]: 'delete-forever',
+  [AUDIT_EVENT.VAULT_REPAIR]: 'build',
+};
+
+const UNLOCK_TITLES = {
+  [AUDIT_OUTCOME.SUCCESS]: 'App unlocked',
+  [AUDIT_OUTCOME.CANCEL]: 'Unlock cancelled',
+  [AUDIT_OUTCOME.FAILURE]: 'Unlock failed',
+};
+
+// One-line summary of an entry
+const describeEntry = ({ event, outcome, details }) => {
+  switch (event) {
+    case AUDIT_EVENT.UNLOCK:
+      return details?.lockscreen === false ? 'App opened without a device lockscreen' : UNLOCK_TITLES[outcome];
+    case AUDIT_EVENT.LOCKOUT:
+      return `Locked out for ${details?.seconds}s after ${details?.failures} failed unlocks`;
+    case AUDIT_EVENT.REVEAL:
+      return details?.version ? 'Previous version revealed' : 'Secrets revealed';
+    case AUDIT_EVENT.COPY:
+      return `${details?.field || 'Value'} copied`;
+    case AUDIT_EVENT.CREATE:
+      return 'Credential created';
+    case AUDIT_EVENT.UPDATE:
+      return 'Credential updated';
+    case AUDIT_EVENT.RESTORE:
+      return 'Previous version restored';
+    case AUDIT_EVENT.DELETE:
+      return 'Credential deleted';
+    case AUDIT_EVENT.SECURITY_CHANGE:
+      return details?.setting ?
+        `Setting ${details.setting} changed to ${String(details.value)}` :
+        'Protection changed';
+    case AUDIT_EVENT.CLEAR_ALL:
+      return `All data cleared (${details?.count ?? 0} credentials)`;
+    case AUDIT_EVENT.VAULT_REPAIR:
+      return `Vault repaired (${details?.repaired ?? 0} fixed, ${details?.failed ?? 0} failed)`;
+    default:
+      return event;
+  }
+};
+
+const AuditLogScreen = ({ navigation }) => {
+  const [filter, setFilter] = useState('all');
+  const [keyQuery, setKeyQuery] = useState('');
+  const [verification] = useState(() => AuditLogService.verify());
+  const insets = useSafeAreaInsets();
+
+  const entries = useMemo(() => AuditLogService.getEntries({ filter }), [filter]);
+  const visibleEntries = useMemo(() => {
+    const query = keyQuery.trim().toLowerCase();
+    return query ? entries.filter((entry) => (entry.key || '').toLowerCase().includes(query)) : entries;
+  }, [entries, keyQuery]);
+
+  const handleExport = async () => {
+    try {
+      await Share.share({
+        title: 'Audit Log',
+        message: AuditLogService.exportLog(),
+      });
+    } catch (error) {
+      console.error('Error sharing audit log:', error);
+      Alert.alert('Error', 'Failed to share the audit log');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+  };
+
+  const renderEntry = ({ item }) => {
+    const failed = item.outcome !== AUDIT_OUTCOME.SUCCESS;
+    return (
+      <TouchableOpacity
+        style={styles.entry}
+        disabled={!item.key || item.event === AUDIT_EVENT.DELETE}
+        onPress={() => navigation.navigate('CredentialDetail', { itemKey: item.key })}
+      >
+        <Icon
+          name={EVENT_ICONS[item.event] || 'info'}
+          size={22}
+          color={failed ? '#D32F2F' : '#2196F3'}
+        />
+        <View style={styles.entryText}>
+          <Text style={[styles.entryTitle, failed && styles.entryTitleFailed]}>
+            {describeEntry(item)}
+          </Text>
+          {item.key && <Text style={styles.entryKey}>{item.key}</Text>}
+          <Text style={styles.entryDate}>{formatDate(item.at)}</Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Icon name="arrow-back" size={24} color="white" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Audit Log</Text>
+        <TouchableOpacity style={styles.backButton} onPress={handleExport}>
+          <Icon name="share" size={24} color="white" />
+        </TouchableOpacity>
+      </View>
+
+      <View style={[styles.status, !verification.valid && styles.statusBroken]}>
+        <Icon
+          name={verification.valid ? 'verified-user' : 'report'}
+          size={20}
+          color={verification.valid ? '#388E3C' : '#D32F2F'}
+        />
+        <Text style={styles.statusText}>
+          {verification.valid ?
+            `${verification.count} entries, none modified` :
+            `The log was modified at entry ${verification.brokenAt}. Entries from there on cannot be trusted.`}
+        </Text>
+      </View>
+
+      <View style={styles.filters}>
+        <View style={styles.chipRow}>
+          {Object.keys(AUDIT_FILTERS).map((name) => (
+            <TouchableOpacity
+              key={name}
+              style={[styles.chip, filter === name && styles.chipSelected]}
+              onPress={() => setFilter(name)}
+            >
+              <Text style={[styles.chipText, filter === name && styles.chipTextSelected]}>
+                {FILTER_LABELS[name]}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <TextInput
+          style={styles.input}
+          placeholder="Filter by credential"
+          value={keyQuery}
+          onChangeText={setKeyQuery}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+      </View>
+
+      <FlatList
+        data={visibleEntries}
+        keyExtractor={(item) => String(item.seq)}
+        renderItem={renderEntry}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={<Text style={styles.emptyText}>No matching entries</Text>}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  header: {
+    backgroundColor: '#2196F3',
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  backButton: {
+    padding: 8,
+  },
+  status: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    margin: 16,
+    marginBottom: 0,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: '#E8F5E9',
+  },
+  statusBroken: {
+    backgroundColor: '#FFEBEE',
+  },
+  statusText: {
+    flex: 1,
+    marginLeft: 12,
+    fontSize: 14,
+    color: '#333',
+  },
+  filters: {
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: 'white',
+  },
+  chipSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  input: {
+    height: 44,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    fontSize: 16,
+    color: '#333',
+    backgroundColor: 'white',
+  },
+  list: {
+    padding: 16,
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 8,
+    backgroundColor: 'white',
+  },
+  entryText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  entryTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  entryTitleFailed: {
+    color: '#D32F2F',
+  },
+  entryKey: {
+    fontSize: 14,
+    color: '#2196F3',
+    marginTop: 2,
+  },
+  entryDate: {
+    fontSize: 12,
+    color: '#757575',
+    marginTop: 2,
+  },
+  emptyText: {
+    textAlign: 'center',
+    fontSize: 14,
+    color: '#757575',
+    marginTop: 32,
+  },
+});
+
+export default AuditLogScreen;
@@ -0,0 +1,388 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Share,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import LockscreenUtils from '../utils/LockscreenUtils';
+import BackupService, { IMPORT_MODE } from '../services/BackupService';
+import { describeStorageError } from '../services/StorageErrors';
+
+// Shorter passphrases make an offline guessing attack on a leaked backup practical
+const MIN_PASSPHRASE_LENGTH = 12;
+
+const BackupScreen = ({ navigation }) => {
+  const [busy, setBusy] = useState(false);
+  const [exportPassphrase, setExportPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [backupContents, setBackupContents] = useState('');
+  const [importPassphrase, setImportPassphrase] = useState('');
+  const [importMode, setImportMode] = useState(IMPORT_MODE.MERGE);
+  const insets = useSafeAreaInsets();
+
+  const handleExport = async () => {
+    if (exportPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+      Alert.alert('Error', `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (exportPassphrase !== confirmPassphrase) {
+      Alert.alert('Error', 'Passphrases do not match');
+      return;
+    }
+
+    // Unprotected items are exported without a keychain prompt, so confirm
+    // the user's identity for the whole vault first
+    const authenticated = await LockscreenUtils.authenticateWithLockscreen({
+      promptMessage: 'Authenticate to export all credentials',
+    });
+    if (!authenticated) {
+      return;
+    }
+
+    setBusy(true);
+    const result = await BackupService.exportVault(exportPassphrase);
+    setBusy(false);
+
+    if (!result.ok) {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+      return;
+    }
+
+    setExportPassphrase('');
+    setConfirmPassphrase('');
+
+    try {
+      await Share.share({
+        title: 'Credentials Backup',
+        message: result.value,
+      });
+    } catch (error) {
+      console.error('Error sharing backup:', error);
+      Alert.alert('Error', 'Failed to share backup');
+    }
+  };
+
+  const runImport = async () => {
+    setBusy(true);
+    const result = await BackupService.importVault(backupContents, importPassphrase, {
+      mode: importMode,
+    });
+    setBusy(false);
+
+    if (!result.ok) {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+      return;
+    }
+
+    const { imported, conflicts, failed, removed } = result.value;
+    const lines = [`Imported: ${imported.length}`];
+    const kept = conflicts.filter(conflict => conflict.resolution === 'kept');
+    if (kept.length > 0) {
+      lines.push(`Kept existing: ${kept.map(conflict => conflict.key).join(', ')}`);
+    }
+    if (removed.length > 0) {
+      lines.push(`Removed: ${removed.join(', ')}`);
+    }
+    if (failed.length > 0) {
+      lines.push(`Failed: ${failed.map(item => item.key).join(', ')}`);
+    }
+
+    setBackupContents('');
+    setImportPassphrase('');
+
+    Alert.alert(
+      failed.length > 0 ? 'Import Incomplete' : 'Import Complete',
+      lines.join('\n'),
+      [
+        {
+          text: 'OK',
+          onPress: () => navigation.navigate('Home'),
+        },
+      ]
+    );
+  };
+
+  // Replacing deletes credentials, so confirm the user's identity like
+  // export and Clear All Data do
+  const authenticateAndReplace = async () => {
+    const authenticated = await LockscreenUtils.authenticateWithLockscreen({
+      promptMessage: 'Authenticate to replace all credentials',
+    });
+    if (!authenticated) {
+      return;
+    }
+
+    runImport();
+  };
+
+  const handleImport = () => {
+    if (!backupContents.trim() || !importPassphrase) {
+      Alert.alert('Error', 'Paste a backup and enter its passphrase');
+      return;
+    }
+
+    if (importMode === IMPORT_MODE.REPLACE) {
+      Alert.alert(
+        'Replace All Credentials',
+        'Credentials not in the backup will be deleted and matching ones overwritten.',
+        [
+          {
+            text: 'Cancel',
+            style: 'cancel',
+          },
+          {
+            text: 'Replace',
+            style: 'destructive',
+            onPress: authenticateAndReplace,
+          },
+        ]
+      );
+      return;
+    }
+
+    runImport();
+  };
+
+  return (
+    <View style={[styles.container, { paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Icon name="arrow-back" size={24} color="white" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Backup</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      {busy ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#2196F3" />
+          <Text style={styles.loadingText}>Working on backup...</Text>
+        </View>
+      ) : (
+        <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Export</Text>
+
+            <Text style={styles.description}>
+              All credentials are encrypted with a passphrase. Keep it safe:
+              the backup cannot be opened without it.
+            </Text>
+
+            <TextInput
+              style={styles.input}
+              placeholder="Passphrase"
+              value={exportPassphrase}
+              onChangeText={setExportPassphrase}
+              secureTextEntry
+              autoCapitalize="none"
+            />
+            <TextInput
+              style={styles.input}
+              placeholder="Confirm Passphrase"
+              value={confirmPassphrase}
+              onChangeText={setConfirmPassphrase}
+              secureTextEntry
+              autoCapitalize="none"
+            />
+
+            <TouchableOpacity style={styles.primaryButton} onPress={handleExport}>
+              <Icon name="file-upload" size={20} color="white" style={styles.buttonIcon} />
+              <Text style={styles.primaryButtonText}>Export Backup</Text>
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Import</Text>
+
+            <TextInput
+              style={[styles.input, styles.backupInput]}
+              placeholder="Paste backup contents"
+              value={backupContents}
+              onChangeText={setBackupContents}
+              multiline
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <TextInput
+              style={styles.input}
+              placeholder="Passphrase"
+              value={importPassphrase}
+              onChangeText={setImportPassphrase}
+              secureTextEntry
+              autoCapitalize="none"
+            />
+
+            <View style={styles.optionRow}>
+              {[
+                [IMPORT_MODE.MERGE, 'Merge'],
+                [IMPORT_MODE.REPLACE, 'Replace'],
+              ].map(([mode, label]) => (
+                <TouchableOpacity
+                  key={mode}
+                  style={[
+                    styles.optionButton,
+                    importMode === mode && styles.optionButtonSelected,
+                  ]}
+                  onPress={() => setImportMode(mode)}
+                >
+                  <Text
+                    style={[
+                      styles.optionButtonText,
+                      importMode === mode && styles.optionButtonTextSelected,
+                    ]}
+                  >
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.description}>
+              {importMode === IMPORT_MODE.MERGE ?
+                'Adds new credentials and keeps existing ones with the same name.' :
+                'Makes this device match the backup exactly.'}
+            </Text>
+
+            <TouchableOpacity style={styles.primaryButton} onPress={handleImport}>
+              <Icon name="file-download" size={20} color="white" style={styles.buttonIcon} />
+              <Text style={styles.primaryButtonText}>Import Backup</Text>
+            </TouchableOpacity>
+          </View>
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: '#757575',
+  },
+  header: {
+    backgroundColor: '#2196F3',
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  backButton: {
+    padding: 8,
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 16,
+    borderRadius: 8,
+    padding: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.22,
+    shadowRadius: 2.22,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 16,
+  },
+  description: {
+    fontSize: 12,
+    color: '#757575',
+    marginVertical: 12,
+  },
+  input: {
+    height: 50,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    marginBottom: 12,
+    fontSize: 16,
+    color: '#333',
+    backgroundColor: '#F9F9F9',
+  },
+  backupInput: {
+    height: 120,
+    paddingTop: 12,
+    fontSize: 12,
+    textAlignVertical: 'top',
+  },
+  optionRow: {
+    flexDirection: 'row',
+  },
+  optionButton: {
+    flex: 1,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#F9F9F9',
+    alignItems: 'center',
+  },
+  optionButtonSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  optionButtonText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  optionButtonTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#2196F3',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  buttonIcon: {
+    marginRight: 8,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+});
+
+export default BackupScreen;
@@ -0,0 +1,321 @@
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import LockscreenUtils from '../utils/LockscreenUtils';
+import BreachService from '../services/BreachService';
+import { describeStorageError } from '../services/StorageErrors';
+
+const BreachCheckScreen = ({ navigation }) => {
+  const [filterInfo, setFilterInfo] = useState(BreachService.getFilterInfo());
+  const [filterContents, setFilterContents] = useState('');
+  const [scanning, setScanning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(null);
+  const insets = useSafeAreaInsets();
+
+  const handleScan = async () => {
+    // Unprotected items are read without a keychain prompt, so confirm the
+    // user's identity for the whole vault first
+    const authenticated = await LockscreenUtils.authenticateWithLockscreen({
+      promptMessage: 'Authenticate to check all credentials',
+    });
+    if (!authenticated) {
+      return;
+    }
+
+    setScanning(true);
+    setReport(null);
+    const result = await BreachService.scanAll({
+      onProgress: (done, total) => setProgress({ done, total }),
+    });
+    setScanning(false);
+    setProgress(null);
+
+    if (!result.ok) {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+      return;
+    }
+    setReport(result.value);
+  };
+
+  const handleImport = () => {
+    if (!filterContents.trim()) {
+      Alert.alert('Error', 'Paste a breach list first');
+      return;
+    }
+
+    const result = BreachService.importFilter(filterContents);
+    if (!result.ok) {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+      return;
+    }
+
+    setFilterContents('');
+    setFilterInfo(result.value);
+    setReport(null);
+    Alert.alert(
+      'Breach List Imported',
+      'New and changed passwords are checked against it. Scan to check existing credentials.'
+    );
+  };
+
+  const handleReset = () => {
+    const result = BreachService.resetFilter();
+    if (result.ok) {
+      setFilterInfo(result.value);
+      setReport(null);
+    } else {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+  };
+
+  return (
+    <View style={[styles.container, { paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Icon name="arrow-back" size={24} color="white" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Breach Check</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Scan Credentials</Text>
+
+          <Text style={styles.description}>
+            Passwords are checked on this device only, by their SHA-1 hash.
+            Nothing is sent over the network. Credentials protected with
+            biometrics or a passcode may ask for authentication again.
+          </Text>
+
+          {scanning ? (
+            <View style={styles.progressRow}>
+              <ActivityIndicator size="small" color="#2196F3" />
+              <Text style={styles.progressText}>
+                {progress ? `Checked ${progress.done} of ${progress.total}` : 'Checking...'}
+              </Text>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.primaryButton} onPress={handleScan}>
+              <Icon name="security" size={20} color="white" style={styles.buttonIcon} />
+              <Text style={styles.primaryButtonText}>Scan All Credentials</Text>
+            </TouchableOpacity>
+          )}
+
+          {report && (
+            <View style={styles.report}>
+              <Text style={styles.reportSummary}>
+                {report.compromised.length > 0 ?
+                  `${report.compromised.length} of ${report.checked.length} passwords found in breaches` :
+                  `None of ${report.checked.length} passwords found in breaches`}
+              </Text>
+              {report.cancelled && (
+                <Text style={styles.description}>Scan stopped before all credentials were checked.</Text>
+              )}
+              {report.failed.length > 0 && (
+                <Text style={styles.description}>
+                  Could not check: {report.failed.map(item => item.key).join(', ')}
+                </Text>
+              )}
+              {report.compromised.map((key) => (
+                <TouchableOpacity
+                  key={key}
+                  style={styles.reportRow}
+                  onPress={() => navigation.navigate('CredentialDetail', { itemKey: key })}
+                >
+                  <Icon name="gpp-bad" size={20} color="#D32F2F" />
+                  <Text style={styles.reportKey}>{key}</Text>
+                  <Icon name="chevron-right" size={20} color="#757575" />
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Breach List</Text>
+
+          <Text style={styles.infoText}>
+            {filterInfo.source === 'imported' ?
+              `Imported list of ${filterInfo.count.toLocaleString()} passwords, ${formatDate(filterInfo.importedAt)}` :
+              `Bundled list of the ${filterInfo.count.toLocaleString()} most common breached passwords`}
+          </Text>
+
+          <TextInput
+            style={[styles.input, styles.filterInput]}
+            placeholder="Paste a breach list built with build-breach-filter"
+            value={filterContents}
+            onChangeText={setFilterContents}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+          />
+
+          <TouchableOpacity style={styles.primaryButton} onPress={handleImport}>
+            <Icon name="file-download" size={20} color="white" style={styles.buttonIcon} />
+            <Text style={styles.primaryButtonText}>Import Breach List</Text>
+          </TouchableOpacity>
+
+          {filterInfo.source === 'imported' && (
+            <TouchableOpacity style={styles.secondaryButton} onPress={handleReset}>
+              <Text style={styles.secondaryButtonText}>Use Bundled List</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  header: {
+    backgroundColor: '#2196F3',
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  backButton: {
+    padding: 8,
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 16,
+    borderRadius: 8,
+    padding: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.22,
+    shadowRadius: 2.22,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 16,
+  },
+  description: {
+    fontSize: 12,
+    color: '#757575',
+    marginBottom: 12,
+  },
+  infoText: {
+    fontSize: 14,
+    color: '#333',
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    marginBottom: 12,
+    fontSize: 16,
+    color: '#333',
+    backgroundColor: '#F9F9F9',
+  },
+  filterInput: {
+    height: 120,
+    paddingTop: 12,
+    fontSize: 12,
+    textAlignVertical: 'top',
+  },
+  progressRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+  },
+  progressText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#757575',
+  },
+  report: {
+    marginTop: 16,
+  },
+  reportSummary: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 8,
+  },
+  reportRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  reportKey: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 16,
+    color: '#333',
+  },
+  primaryButton: {
+    backgroundColor: '#2196F3',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  buttonIcon: {
+    marginRight: 8,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    marginTop: 8,
+  },
+  secondaryButtonText: {
+    color: '#2196F3',
+    fontSize: 16,
+  },
+});
+
+export default BreachCheckScreen;
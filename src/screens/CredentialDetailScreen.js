@@ -12,20 +12,57 @@ import {
   KeyboardAvoidingView,
   Keyboard,
   TouchableWithoutFeedback,
+  Linking,
+  TextInput,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import StorageService from '../services/StorageService';
+import PrivacyService from '../services/PrivacyService';
+import ClipboardService from '../services/ClipboardService';
+import AuditLogService, { AUDIT_EVENT } from '../services/AuditLogService';
+import OrganizationService from '../services/OrganizationService';
+import RotationService, {
+  ROTATION_POLICY_OPTIONS,
+  ROTATION_SOURCE,
+  formatRotationPeriod,
+} from '../services/RotationService';
+import CredentialForm from '../components/CredentialForm';
+import TotpCode from '../components/TotpCode';
+import LockscreenUtils from '../utils/LockscreenUtils';
+import CredentialTypes from '../utils/CredentialTypes';
+import { StorageErrorCode, describeStorageError } from '../services/StorageErrors';
+
+const ROTATION_SOURCE_LABELS = {
+  [ROTATION_SOURCE.CREDENTIAL]: 'set here',
+  [ROTATION_SOURCE.FOLDER]: 'from its folder',
+  [ROTATION_SOURCE.DEFAULT]: 'app default',
+};
 
 const CredentialDetailScreen = ({ route, navigation }) => {
-  const { itemKey } = route.params;
+  // rotate: open the editor with the password generator once loaded
+  const { itemKey, rotate = false } = route.params;
   const [loading, setLoading] = useState(true);
   const [credential, setCredential] = useState(null);
+  const [loadError, setLoadError] = useState(null);
   const [showPassword, setShowPassword] = useState(false);
   const [biometricsAvailable, setBiometricsAvailable] = useState(false);
   const [passcodeAvailable, setPasscodeAvailable] = useState(false);
   const [useBiometrics, setUseBiometrics] = useState(false);
   const [useDevicePasscode, setUseDevicePasscode] = useState(false);
   const [biometryType, setBiometryType] = useState('None');
+  const [history, setHistory] = useState([]);
+  const [revealedVersions, setRevealedVersions] = useState({});
+  const [folder, setFolder] = useState(null);
+  const [tags, setTags] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [newFolder, setNewFolder] = useState('');
+  const [tagInput, setTagInput] = useState('');
+  const [editing, setEditing] = useState(false);
+  const [editValues, setEditValues] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [generateFor, setGenerateFor] = useState(null);
+  const [rotationRequested, setRotationRequested] = useState(rotate);
+  const [rotationDays, setRotationDays] = useState(null);
 
   useEffect(() => {
     const checkSecurity = async () => {
@@ -41,6 +78,14 @@ const CredentialDetailScreen = ({ route, navigation }) => {
     loadCredential();
   }, [itemKey]);
 
+  // Mask everything again before the app switcher captures the screen
+  useEffect(() => PrivacyService.subscribe((hidden) => {
+    if (hidden) {
+      setShowPassword(false);
+      setRevealedVersions({});
+    }
+  }), []);
+
   const loadCredential = async () => {
     setLoading(true);
     try {
@@ -52,7 +97,11 @@ const CredentialDetailScreen = ({ route, navigation }) => {
         metadata = JSON.parse(metadataStr);
         setUseBiometrics(!!metadata.useBiometrics);
         setUseDevicePasscode(!!metadata.useDevicePasscode);
+        setFolder(metadata.folder || null);
+        setTags(metadata.tags || []);
+        setRotationDays(metadata.rotationDays ?? null);
       }
+      setFolders(OrganizationService.getFolders());
       
       // on android, if credential requires authentication, 
       // go straight to authenticated access
@@ -63,25 +112,23 @@ const CredentialDetailScreen = ({ route, navigation }) => {
       }
       
       // For iOS or non-secured credentials, try regular access first
-      const cred = await StorageService.getCredential(itemKey);
-      setCredential(cred);
-      
-      // if we couldn't load directly and it requires auth, try authenticated access
-      if (!cred && requiresAuth) {
+      const result = await StorageService.getCredential(itemKey);
+
+      if (result.ok) {
+        setCredential(result.value);
+        setLoadError(null);
+        setHistory(StorageService.getCredentialHistory(itemKey));
+        StorageService.markCredentialUsed(itemKey);
+        openRotationEditor(result.value);
+      } else if (requiresAuth && result.error.code === StorageErrorCode.AUTH_FAILED) {
+        // Item needs an explicit authentication prompt
         await loadWithAuthentication();
+      } else {
+        handleLoadError(result.error);
       }
     } catch (error) {
       console.error('Error loading credential:', error);
-      
-      // If error indicates authentication needed, try authenticated access
-      if (error.message && (
-        error.message.includes('authentication required') ||
-        error.message.includes('user not authenticated')
-      )) {
-        await loadWithAuthentication();
-      } else {
-        Alert.alert('Error', 'Failed to load credential details');
-      }
+      Alert.alert('Error', 'Failed to load credential details');
     } finally {
       setLoading(false);
     }
@@ -111,48 +158,21 @@ const CredentialDetailScreen = ({ route, navigation }) => {
         promptMessage = `Enter your device passcode to access "${itemKey}"`;
       }
       
-      // for Android, we need specific options
-      const authOptions = {
+      const result = await StorageService.getCredential(itemKey, {
         useBiometrics: true,
         promptMessage,
-      };
-      
-      // On Android, add these extra options
-      if (Platform.OS === 'android') {
-        authOptions.authenticationType = 'DEVICE_PASSCODE_OR_BIOMETRICS';
-        authOptions.accessControl = requiresBiometrics ? 
-          'BIOMETRY_ANY' : 'DEVICE_PASSCODE';
-      }
+      });
       
-      const cred = await StorageService.getCredential(itemKey, authOptions);
-      
-      if (cred) {
-        setCredential(cred);
+      if (result.ok) {
+        setCredential(result.value);
+        setLoadError(null);
+        setHistory(StorageService.getCredentialHistory(itemKey));
+        StorageService.markCredentialUsed(itemKey);
+        AuditLogService.record(AUDIT_EVENT.REVEAL, { key: itemKey });
         setShowPassword(true);
+        openRotationEditor(result.value);
       } else {
-        // Handle authentication failure
-        if (Platform.OS === 'android') {
-          Alert.alert(
-            'Authentication Required',
-            'You need to verify your identity to access this credential.',
-            [
-              { 
-                text: 'Try Again', 
-                onPress: () => {
-                  // Sall delay to ensure previous dialog is dismissed
-                  setTimeout(() => loadWithAuthentication(), 500);
-                }
-              },
-              {
-                text: 'Go Back',
-                onPress: () => navigation.goBack(),
-                style: 'cancel'
-              }
-            ]
-          );
-        } else {
-          Alert.alert('Error', 'Authentication failed or credential not found');
-        }
+        handleLoadError(result.error);
       }
     } catch (error) {
       console.error('Error with authenticated access:', error);
@@ -162,6 +182,53 @@ const CredentialDetailScreen = ({ route, navigation }) => {
     }
   };
 
+  // Explain why the credential could not be loaded and offer the matching recovery
+  const handleLoadError = (error) => {
+    setLoadError(error);
+    const { title, message, action } = describeStorageError(error);
+    const buttons = [];
+
+    if (action === 'retry') {
+      buttons.push({
+        text: 'Try Again',
+        onPress: () => {
+          // Small delay to ensure previous dialog is dismissed
+          setTimeout(() => loadWithAuthentication(), 500);
+        },
+      });
+    } else if (action === 'settings') {
+      buttons.push({ text: 'Open Settings', onPress: () => Linking.openSettings() });
+    } else if (action === 'delete') {
+      buttons.push({ text: 'Delete', style: 'destructive', onPress: deleteCredential });
+    }
+
+    buttons.push({
+      text: 'Go Back',
+      onPress: () => navigation.goBack(),
+      style: 'cancel',
+    });
+
+    Alert.alert(title, message, buttons);
+  };
+
+  const toggleShowPassword = () => {
+    if (!showPassword) {
+      AuditLogService.record(AUDIT_EVENT.REVEAL, { key: itemKey });
+    }
+    setShowPassword(!showPassword);
+  };
+
+  const deleteCredential = async () => {
+    const result = await StorageService.deleteCredential(itemKey);
+    if (result.ok) {
+      AuditLogService.record(AUDIT_EVENT.DELETE, { key: itemKey });
+      navigation.goBack();
+    } else {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+    }
+  };
+
   const toggleSecurityOption = async (option, value) => {
     if (option === 'biometrics') {
       setUseBiometrics(value);
@@ -176,36 +243,393 @@ const CredentialDetailScreen = ({ route, navigation }) => {
     }
 
     if (credential) {
-      // Update credential with new security options
-      const success = await StorageService.updateCredential(
+      // Update credential with new security options; this also stores the
+      // new flags in the metadata once the keychain write succeeded
+      const result = await StorageService.updateCredential(
         itemKey,
         credential.username,
         credential.password,
         {
           useBiometrics: option === 'biometrics' ? value : useBiometrics,
           useDevicePasscode: option === 'passcode' ? value : useDevicePasscode,
+          // Same secret, so no history version is kept
+          secretChanged: false,
         }
       );
 
-      if (!success) {
+      // Previous versions may have been re-protected under new ids
+      setHistory(StorageService.getCredentialHistory(itemKey));
+      setRevealedVersions({});
+
+      if (result.ok) {
+        AuditLogService.record(AUDIT_EVENT.SECURITY_CHANGE, {
+          key: itemKey,
+          details: {
+            useBiometrics: option === 'biometrics' ? value : useBiometrics,
+            useDevicePasscode: option === 'passcode' ? value : useDevicePasscode,
+          },
+        });
+        if (result.value.outdatedVersions > 0) {
+          Alert.alert(
+            'Previous Versions Not Updated',
+            `${result.value.outdatedVersions} previous version(s) could not be read and keep their ` +
+            'old protection. Change the protection again to retry.',
+          );
+        }
+      } else {
         // Reset switch if failed
         if (option === 'biometrics') {
           setUseBiometrics(!value);
         } else if (option === 'passcode') {
           setUseDevicePasscode(!value);
         }
-        Alert.alert('Error', 'Failed to update security options');
+        const { title, message } = describeStorageError(result.error);
+        Alert.alert(title, message);
       }
-      
-      // Update metadata
-      const metadataStr = StorageService.storage.getString(`metadata_${itemKey}`);
-      if (metadataStr) {
-        const metadata = JSON.parse(metadataStr);
-        metadata.useBiometrics = option === 'biometrics' ? value : useBiometrics;
-        metadata.useDevicePasscode = option === 'passcode' ? value : useDevicePasscode;
-        StorageService.storage.set(`metadata_${itemKey}`, JSON.stringify(metadata));
+    }
+  };
+
+  const credentialType = credential?.metadata?.type;
+
+  /**
+   * Field values of the loaded credential, see CredentialTypes
+   * @param {Object} source Credential to read, the loaded one by default
+   * @returns {Object|null} Values, or null when the keychain payload is unreadable
+   */
+  const getValues = (source = credential) => {
+    try {
+      return CredentialTypes.fromStorage(source);
+    } catch (error) {
+      console.error('Error reading credential fields:', error);
+      return null;
+    }
+  };
+
+  const startEditing = (source = credential, generateField = null) => {
+    setEditValues(getValues(source) || CredentialTypes.getDefaultValues(source.metadata?.type));
+    setGenerateFor(generateField);
+    setEditing(true);
+  };
+
+  // Coming from the rotation reminders, go straight to a new password
+  const openRotationEditor = (loaded) => {
+    if (!rotationRequested) {
+      return;
+    }
+    setRotationRequested(false);
+    const passwordField = CredentialTypes.get(loaded.metadata?.type).fields.find((field) => field.password);
+    startEditing(loaded, passwordField ? passwordField.name : null);
+  };
+
+  const cancelEditing = () => {
+    setEditing(false);
+    setEditValues({});
+    setGenerateFor(null);
+  };
+
+  const saveEdits = async () => {
+    let edited;
+    try {
+      edited = CredentialTypes.toStorage(
+        credentialType,
+        CredentialTypes.prepare(credentialType, editValues)
+      );
+    } catch (error) {
+      Alert.alert('Error', error.message);
+      return;
+    }
+
+    setSaving(true);
+    const result = await StorageService.updateCredential(
+      itemKey,
+      edited.username,
+      edited.password,
+      {
+        useBiometrics,
+        useDevicePasscode,
+        fields: edited.fields,
+        customFields: edited.customFields,
+        // Edits that leave the password (and secret fields) alone do not
+        // count as a new version or reset its age
+        secretChanged: edited.password !== credential.password,
+      }
+    );
+    setSaving(false);
+
+    if (result.ok) {
+      AuditLogService.record(AUDIT_EVENT.UPDATE, { key: itemKey });
+      const metadata = StorageService.getItemsMetadata().find(item => item.key === itemKey);
+      setCredential({
+        ...credential,
+        username: edited.username,
+        password: edited.password,
+        metadata: metadata || credential.metadata,
+      });
+      // The replaced secret is now the newest history version
+      setHistory(StorageService.getCredentialHistory(itemKey));
+      setRevealedVersions({});
+      cancelEditing();
+    } else {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+    }
+  };
+
+  // History entries written before versions had ids have no secretId
+  const getVersionKey = (version) => version.secretId || 'original';
+
+  // Unprotected versions have no keychain prompt of their own, so ask for
+  // the device lockscreen before revealing or restoring them
+  const authorizeVersionAccess = async (version, promptMessage) => {
+    if (version.useBiometrics || version.useDevicePasscode) {
+      return true;
+    }
+    return LockscreenUtils.authenticateWithLockscreen({
+      promptMessage,
+    });
+  };
+
+  /**
+   * Rows shown for a credential: the type's fields, then the custom fields
+   * @param {Object} values Values from CredentialTypes.fromStorage
+   * @returns {Array<Object>} Rows (id, label, masked, secret, text, value)
+   * with a value
+   */
+  const getFieldRows = (values) => [
+    ...CredentialTypes.get(credentialType).fields
+      .filter((field) => values[field.name] !== undefined && values[field.name] !== '')
+      .map((field) => ({
+        id: field.name,
+        label: field.label,
+        masked: field.masked ?? field.secret,
+        secret: !!field.secret,
+        text: CredentialTypes.formatValue(field, values[field.name]),
+        value: String(values[field.name]),
+      })),
+    ...values.customFields
+      .filter((field) => field.value)
+      .map((field) => ({
+        id: field.id,
+        label: field.name,
+        masked: field.secret,
+        secret: field.secret,
+        text: field.value,
+        value: field.value,
+      })),
+  ];
+
+  const copyField = async (row) => {
+    try {
+      const clearAfter = await ClipboardService.copy(row.value, {
+        key: itemKey,
+        label: row.label,
+        secret: row.secret,
+      });
+      Alert.alert(
+        'Copied',
+        clearAfter > 0 ?
+          `${row.label} copied. The clipboard will be cleared in ${clearAfter} seconds.` :
+          `${row.label} copied.`
+      );
+    } catch (error) {
+      console.error('Error copying to clipboard:', error);
+      Alert.alert('Error', 'Could not copy to the clipboard');
+    }
+  };
+
+  // Text of the masked fields of a previous version; just the value when
+  // there is a single one, like a login's password
+  const describeVersion = (secret) => {
+    try {
+      const values = CredentialTypes.fromStorage({ ...secret, metadata: credential.metadata });
+      const masked = getFieldRows(values).filter((row) => row.masked);
+      if (masked.length === 1) {
+        return masked[0].text;
       }
+      return masked.map((row) => `${row.label}: ${row.text}`).join('\n');
+    } catch (error) {
+      return secret.password;
+    }
+  };
+
+  const toggleVersion = async (version) => {
+    const versionKey = getVersionKey(version);
+
+    if (revealedVersions[versionKey] !== undefined) {
+      setRevealedVersions(({ [versionKey]: hidden, ...rest }) => rest);
+      return;
+    }
+
+    const promptMessage = 'Authenticate to view previous version';
+    if (!(await authorizeVersionAccess(version, promptMessage))) {
+      return;
+    }
+
+    const result = await StorageService.getCredentialVersion(itemKey, version.secretId, {
+      promptMessage,
+    });
+
+    if (result.ok) {
+      AuditLogService.record(AUDIT_EVENT.REVEAL, {
+        key: itemKey,
+        details: { version: version.replacedAt },
+      });
+      setRevealedVersions((prev) => ({ ...prev, [versionKey]: describeVersion(result.value) }));
+    } else {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+    }
+  };
+
+  const restoreVersion = (version) => {
+    Alert.alert(
+      'Restore Version',
+      `Replace the current password with the version from ${formatDate(version.replacedAt)}? ` +
+      'The current password will be kept in the history.',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Restore',
+          onPress: async () => {
+            const promptMessage = 'Authenticate to restore previous version';
+            if (!(await authorizeVersionAccess(version, promptMessage))) {
+              return;
+            }
+
+            const result = await StorageService.restoreCredentialVersion(
+              itemKey,
+              version.secretId,
+              { promptMessage }
+            );
+
+            if (result.ok) {
+              AuditLogService.record(AUDIT_EVENT.RESTORE, {
+                key: itemKey,
+                details: { version: version.replacedAt },
+              });
+              setCredential(result.value);
+              setHistory(StorageService.getCredentialHistory(itemKey));
+              setRevealedVersions({});
+              Alert.alert('Success', 'Previous version restored');
+            } else {
+              const { title, message } = describeStorageError(result.error);
+              Alert.alert(title, message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const applyOrganization = (result) => {
+    if (result.ok) {
+      setFolder(result.value.folder);
+      setTags(result.value.tags);
+      setFolders(OrganizationService.getFolders());
+    } else {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+    }
+  };
+
+  const selectFolder = (name) => {
+    applyOrganization(OrganizationService.setCredentialFolder(itemKey, name));
+  };
+
+  const addFolder = () => {
+    if (newFolder.trim()) {
+      selectFolder(newFolder);
+      setNewFolder('');
+    }
+  };
+
+  const addTag = (tag) => {
+    if (tag.trim()) {
+      applyOrganization(OrganizationService.setCredentialTags(itemKey, [...tags, tag]));
     }
+    setTagInput('');
+  };
+
+  const removeTag = (tag) => {
+    applyOrganization(OrganizationService.setCredentialTags(
+      itemKey,
+      tags.filter((current) => current !== tag)
+    ));
+  };
+
+  const selectRotation = (days) => {
+    const result = RotationService.setCredentialRotation(itemKey, days);
+    if (result.ok) {
+      setRotationDays(days);
+    } else {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+    }
+  };
+
+  const describeRotation = (status) => {
+    const age = status.ageDays === null ? 'at an unknown date' : `${status.ageDays} day(s) ago`;
+    const policy = status.days === 0 ?
+      `No reminders (${ROTATION_SOURCE_LABELS[status.source]})` :
+      `Change every ${status.days} days (${ROTATION_SOURCE_LABELS[status.source]})`;
+    return `${policy}. Last changed ${age}.`;
+  };
+
+  const tagSuggestions = tagInput.trim() ?
+    OrganizationService.suggestTags(tagInput, tags).slice(0, 5) :
+    [];
+
+  const renderFields = () => {
+    const values = getValues();
+    if (!values) {
+      return (
+        <Text style={styles.fieldValue}>The stored fields of this credential could not be read.</Text>
+      );
+    }
+
+    const definition = CredentialTypes.get(credentialType);
+    return (
+      <>
+        {definition.display === 'totp' && (
+          <View style={styles.fieldContainer}>
+            <Text style={styles.fieldLabel}>One-Time Code</Text>
+            <TotpCode params={values} />
+          </View>
+        )}
+
+        {getFieldRows(values).map((row) => (
+          <View key={row.id} style={styles.fieldContainer}>
+            <Text style={styles.fieldLabel}>{row.label}</Text>
+            <View style={styles.passwordContainer}>
+              <Text style={[styles.fieldValue, styles.fieldValueText]}>
+                {row.masked && !showPassword ? '••••••••••••' : row.text}
+              </Text>
+              {row.masked && (
+                <TouchableOpacity
+                  onPress={toggleShowPassword}
+                  style={styles.visibilityButton}
+                >
+                  <Icon
+                    name={showPassword ? 'visibility-off' : 'visibility'}
+                    size={24}
+                    color="#2196F3"
+                  />
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                onPress={() => copyField(row)}
+                style={styles.visibilityButton}
+              >
+                <Icon name="content-copy" size={22} color="#2196F3" />
+              </TouchableOpacity>
+            </View>
+          </View>
+        ))}
+      </>
+    );
   };
 
   const formatDate = (dateString) => {
@@ -227,7 +651,11 @@ const CredentialDetailScreen = ({ route, navigation }) => {
     return (
       <View style={styles.errorContainer}>
         <Icon name="error" size={64} color="#FF5252" />
-        <Text style={styles.errorText}>Credential not found or access denied</Text>
+        <Text style={styles.errorText}>
+          {loadError
+            ? describeStorageError(loadError).message
+            : 'Credential not found or access denied'}
+        </Text>
         <TouchableOpacity 
           style={styles.authButton}
           onPress={loadWithAuthentication}
@@ -246,6 +674,8 @@ const CredentialDetailScreen = ({ route, navigation }) => {
     );
   }
 
+  const rotationStatus = RotationService.getStatus({ ...credential.metadata, folder, rotationDays });
+
   return (
     <KeyboardAvoidingView 
       style={styles.container}
@@ -264,34 +694,86 @@ const CredentialDetailScreen = ({ route, navigation }) => {
             keyboardShouldPersistTaps="handled"
           >
             <View style={styles.section}>
-              <Text style={styles.sectionTitle}>Credential Information</Text>
-              
-              <View style={styles.fieldContainer}>
-                <Text style={styles.fieldLabel}>Username</Text>
-                <Text style={styles.fieldValue}>{credential.username}</Text>
-              </View>
-              
-              <View style={styles.fieldContainer}>
-                <Text style={styles.fieldLabel}>Password/Value</Text>
-                <View style={styles.passwordContainer}>
-                  <Text style={styles.fieldValue}>
-                    {showPassword ? credential.password : '••••••••••••'}
-                  </Text>
+              <View style={styles.sectionHeader}>
+                <Text style={styles.sectionTitle}>Credential Information</Text>
+                {editing ? (
                   <TouchableOpacity
-                    onPress={() => setShowPassword(!showPassword)}
+                    onPress={toggleShowPassword}
                     style={styles.visibilityButton}
                   >
                     <Icon
                       name={showPassword ? 'visibility-off' : 'visibility'}
-                      size={24}
+                      size={22}
                       color="#2196F3"
                     />
                   </TouchableOpacity>
-                </View>
+                ) : (
+                  <TouchableOpacity onPress={() => startEditing()} style={styles.visibilityButton}>
+                    <Icon name="edit" size={22} color="#2196F3" />
+                  </TouchableOpacity>
+                )}
               </View>
 
+              {!!credential.metadata?.compromised && (
+                <View style={styles.breachBanner}>
+                  <Icon name="gpp-bad" size={20} color="#D32F2F" />
+                  <Text style={styles.breachBannerText}>
+                    This password appears in known data breaches. Change it here and
+                    wherever else you use it.
+                  </Text>
+                </View>
+              )}
+
+              {editing ? (
+                <>
+                  <CredentialForm
+                    type={credentialType}
+                    values={editValues}
+                    onChange={setEditValues}
+                    userInputs={[itemKey, editValues.username || '']}
+                    showSecrets={showPassword}
+                    generateFor={generateFor}
+                  />
+
+                  <View style={styles.editButtonRow}>
+                    <TouchableOpacity
+                      style={[styles.editButton, styles.editCancelButton]}
+                      onPress={cancelEditing}
+                      disabled={saving}
+                    >
+                      <Text style={styles.editCancelButtonText}>Cancel</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={[styles.editButton, styles.editSaveButton]}
+                      onPress={saveEdits}
+                      disabled={saving}
+                    >
+                      <Text style={styles.editSaveButtonText}>
+                        {saving ? 'Saving...' : 'Save'}
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                </>
+              ) : (
+                renderFields()
+              )}
+
               {credential.metadata && (
                 <>
+                  {!!credential.metadata.url && (
+                    <View style={styles.fieldContainer}>
+                      <Text style={styles.fieldLabel}>Website</Text>
+                      <Text style={styles.fieldValue}>{credential.metadata.url}</Text>
+                    </View>
+                  )}
+
+                  {!!credential.metadata.notes && (
+                    <View style={styles.fieldContainer}>
+                      <Text style={styles.fieldLabel}>Notes</Text>
+                      <Text style={styles.fieldValue}>{credential.metadata.notes}</Text>
+                    </View>
+                  )}
+
                   <View style={styles.fieldContainer}>
                     <Text style={styles.fieldLabel}>Created</Text>
                     <Text style={styles.fieldValue}>
@@ -309,6 +791,104 @@ const CredentialDetailScreen = ({ route, navigation }) => {
               )}
             </View>
 
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Organization</Text>
+
+              <Text style={styles.fieldLabel}>Folder</Text>
+              <View style={styles.chipContainer}>
+                {[null, ...folders].map((name) => (
+                  <TouchableOpacity
+                    key={name || 'none'}
+                    style={[styles.chip, folder === name && styles.chipSelected]}
+                    onPress={() => selectFolder(name)}
+                  >
+                    <Text style={[styles.chipText, folder === name && styles.chipTextSelected]}>
+                      {name || 'None'}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={styles.input}
+                  placeholder="New folder"
+                  value={newFolder}
+                  onChangeText={setNewFolder}
+                  returnKeyType="done"
+                  onSubmitEditing={addFolder}
+                />
+                <TouchableOpacity onPress={addFolder} style={styles.visibilityButton}>
+                  <Icon name="create-new-folder" size={24} color="#2196F3" />
+                </TouchableOpacity>
+              </View>
+
+              <Text style={styles.fieldLabel}>Tags</Text>
+              <View style={styles.chipContainer}>
+                {tags.map((tag) => (
+                  <TouchableOpacity
+                    key={tag}
+                    style={[styles.chip, styles.chipSelected, styles.tagChip]}
+                    onPress={() => removeTag(tag)}
+                  >
+                    <Text style={[styles.chipText, styles.chipTextSelected]}>#{tag}</Text>
+                    <Icon name="close" size={14} color="white" />
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={styles.input}
+                  placeholder="Add tag"
+                  value={tagInput}
+                  onChangeText={setTagInput}
+                  autoCapitalize="none"
+                  returnKeyType="done"
+                  onSubmitEditing={() => addTag(tagInput)}
+                />
+                <TouchableOpacity onPress={() => addTag(tagInput)} style={styles.visibilityButton}>
+                  <Icon name="add" size={24} color="#2196F3" />
+                </TouchableOpacity>
+              </View>
+              {tagSuggestions.length > 0 && (
+                <View style={styles.chipContainer}>
+                  {tagSuggestions.map((tag) => (
+                    <TouchableOpacity
+                      key={tag}
+                      style={styles.chip}
+                      onPress={() => addTag(tag)}
+                    >
+                      <Text style={styles.chipText}>#{tag}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+            </View>
+
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Rotation</Text>
+
+              {rotationStatus.due && (
+                <View style={styles.rotationBanner}>
+                  <Icon name="update" size={20} color="#F57C00" />
+                  <Text style={styles.rotationBannerText}>This secret is due for a change.</Text>
+                </View>
+              )}
+              <Text style={[styles.switchDescription, styles.rotationText]}>{describeRotation(rotationStatus)}</Text>
+              <View style={styles.chipContainer}>
+                {ROTATION_POLICY_OPTIONS.map((days) => (
+                  <TouchableOpacity
+                    key={String(days)}
+                    style={[styles.chip, rotationDays === days && styles.chipSelected]}
+                    onPress={() => selectRotation(days)}
+                  >
+                    <Text style={[styles.chipText, rotationDays === days && styles.chipTextSelected]}>
+                      {formatRotationPeriod(days)}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </View>
+
             <View style={styles.section}>
               <Text style={styles.sectionTitle}>Security Options</Text>
               
@@ -358,6 +938,46 @@ const CredentialDetailScreen = ({ route, navigation }) => {
               )}
             </View>
 
+            {history.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Version History</Text>
+
+                {history.map((version) => {
+                  const versionKey = getVersionKey(version);
+                  const revealed = revealedVersions[versionKey];
+
+                  return (
+                    <View key={versionKey} style={styles.historyItem}>
+                      <View style={styles.historyTextContainer}>
+                        <Text style={styles.fieldLabel}>
+                          Replaced {formatDate(version.replacedAt)}
+                        </Text>
+                        <Text style={styles.fieldValue}>
+                          {revealed !== undefined ? revealed : '••••••••••••'}
+                        </Text>
+                      </View>
+                      <TouchableOpacity
+                        onPress={() => toggleVersion(version)}
+                        style={styles.visibilityButton}
+                      >
+                        <Icon
+                          name={revealed !== undefined ? 'visibility-off' : 'visibility'}
+                          size={24}
+                          color="#2196F3"
+                        />
+                      </TouchableOpacity>
+                      <TouchableOpacity
+                        onPress={() => restoreVersion(version)}
+                        style={styles.visibilityButton}
+                      >
+                        <Icon name="restore" size={24} color="#2196F3" />
+                      </TouchableOpacity>
+                    </View>
+                  );
+                })}
+              </View>
+            )}
+
             <TouchableOpacity 
               style={styles.backButton}
               onPress={() => navigation.goBack()}
@@ -365,6 +985,7 @@ const CredentialDetailScreen = ({ route, navigation }) => {
               <Text style={styles.backButtonText}>Go Back</Text>
             </TouchableOpacity>
           </ScrollView>
+
         </View>
       </TouchableWithoutFeedback>
     </KeyboardAvoidingView>
@@ -436,6 +1057,68 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 16,
   },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  breachBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 16,
+    borderRadius: 8,
+    backgroundColor: '#FFEBEE',
+  },
+  breachBannerText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#B71C1C',
+  },
+  rotationBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 12,
+    borderRadius: 8,
+    backgroundColor: '#FFF3E0',
+  },
+  rotationBannerText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#E65100',
+  },
+  rotationText: {
+    marginBottom: 12,
+  },
+  editButtonRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginBottom: 16,
+  },
+  editButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  editCancelButton: {
+    backgroundColor: '#F5F5F5',
+  },
+  editCancelButtonText: {
+    color: '#757575',
+    fontSize: 16,
+  },
+  editSaveButton: {
+    backgroundColor: '#2196F3',
+  },
+  editSaveButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
   fieldContainer: {
     marginBottom: 16,
   },
@@ -448,6 +1131,9 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#333',
   },
+  fieldValueText: {
+    flex: 1,
+  },
   passwordContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -456,6 +1142,63 @@ const styles = StyleSheet.create({
   visibilityButton: {
     padding: 8,
   },
+  historyItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  historyTextContainer: {
+    flex: 1,
+  },
+  chipContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#F9F9F9',
+  },
+  chipSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  tagChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+    marginRight: 4,
+  },
+  chipTextSelected: {
+    color: 'white',
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  input: {
+    flex: 1,
+    height: 44,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: '#333',
+    backgroundColor: '#F9F9F9',
+  },
   switchContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
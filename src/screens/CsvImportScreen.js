@@ -0,0 +1,407 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import StorageService from '../services/StorageService';
+import CsvImportService from '../services/CsvImportService';
+import { describeStorageError } from '../services/StorageErrors';
+import PrivacyService from '../services/PrivacyService';
+
+const CsvImportScreen = ({ navigation }) => {
+  const [busy, setBusy] = useState(false);
+  const [csvContents, setCsvContents] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [protection, setProtection] = useState('none');
+  const [biometricsAvailable, setBiometricsAvailable] = useState(false);
+  const [passcodeAvailable, setPasscodeAvailable] = useState(false);
+  const [biometryType, setBiometryType] = useState('None');
+  // The pasted export and the preview are masked in the app switcher
+  const [hidden, setHidden] = useState(PrivacyService.isHidden());
+  const insets = useSafeAreaInsets();
+
+  useEffect(() => {
+    const checkSecurity = async () => {
+      const bioResult = await StorageService.checkBiometricAvailability();
+      setBiometricsAvailable(bioResult.available);
+      setBiometryType(bioResult.displayName);
+
+      const passcodeResult = await StorageService.checkDevicePasscodeAvailability();
+      setPasscodeAvailable(passcodeResult);
+    };
+
+    checkSecurity();
+  }, []);
+
+  useEffect(() => PrivacyService.subscribe(setHidden), []);
+
+  const protectionOptions = [
+    ['none', 'None', true],
+    ['passcode', 'Passcode', passcodeAvailable],
+    ['biometrics', biometryType, biometricsAvailable],
+  ].filter(([, , available]) => available);
+
+  const handlePreview = () => {
+    const result = CsvImportService.parse(csvContents);
+
+    if (!result.ok) {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+      return;
+    }
+
+    // Duplicates and incomplete rows cannot be imported
+    setSelected(Object.fromEntries(
+      result.value.rows.map((row, index) => [index, !row.duplicate && !row.invalid]),
+    ));
+    setPreview(result.value);
+  };
+
+  const toggleRow = (index) => {
+    setSelected((prev) => ({ ...prev, [index]: !prev[index] }));
+  };
+
+  const handleImport = async () => {
+    const rows = preview.rows.filter((row, index) => selected[index]);
+    if (rows.length === 0) {
+      Alert.alert('Error', 'Select at least one credential to import');
+      return;
+    }
+
+    setBusy(true);
+    const { value: report } = await CsvImportService.importRows(rows, {
+      useBiometrics: protection === 'biometrics',
+      useDevicePasscode: protection === 'passcode',
+    });
+    setBusy(false);
+
+    const lines = [`Imported: ${report.imported.length}`];
+    if (report.skipped.length > 0) {
+      lines.push(`Skipped: ${report.skipped.join(', ')}`);
+    }
+    if (report.failed.length > 0) {
+      lines.push(`Failed: ${report.failed.map(item => item.name).join(', ')}`);
+    }
+
+    setCsvContents('');
+    setPreview(null);
+
+    Alert.alert(
+      report.failed.length > 0 ? 'Import Incomplete' : 'Import Complete',
+      lines.join('\n'),
+      [
+        {
+          text: 'OK',
+          onPress: () => navigation.navigate('Home'),
+        },
+      ]
+    );
+  };
+
+  const selectedCount = preview ?
+    preview.rows.filter((row, index) => selected[index]).length :
+    0;
+
+  return (
+    <View style={[styles.container, { paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Icon name="arrow-back" size={24} color="white" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Import CSV</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      {busy ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#2196F3" />
+          <Text style={styles.loadingText}>Importing credentials...</Text>
+        </View>
+      ) : (
+        <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+          {!preview ? (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Paste Export</Text>
+
+              <Text style={styles.description}>
+                Paste a CSV export from Chrome, Firefox, Bitwarden, 1Password
+                or LastPass. Delete the exported file once the import is done.
+              </Text>
+
+              {hidden ? (
+                <View style={[styles.input, styles.csvInput]} />
+              ) : (
+                <TextInput
+                  style={[styles.input, styles.csvInput]}
+                  placeholder="name,url,username,password"
+                  value={csvContents}
+                  onChangeText={setCsvContents}
+                  multiline
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+              )}
+
+              <TouchableOpacity style={styles.primaryButton} onPress={handlePreview}>
+                <Icon name="preview" size={20} color="white" style={styles.buttonIcon} />
+                <Text style={styles.primaryButtonText}>Preview</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <>
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>
+                  {preview.dialect.label} Export
+                </Text>
+
+                {preview.rows.length === 0 && (
+                  <Text style={styles.description}>No logins found in this file.</Text>
+                )}
+
+                {preview.rows.some(row => row.duplicate) && (
+                  <Text style={styles.description}>
+                    Logins marked "Already saved" are skipped so existing
+                    credentials are never overwritten. Rename or delete the
+                    saved credential to import them.
+                  </Text>
+                )}
+
+                {preview.rows.map((row, index) => (
+                  <TouchableOpacity
+                    key={index}
+                    style={styles.rowItem}
+                    onPress={() => toggleRow(index)}
+                    disabled={row.invalid || row.duplicate}
+                  >
+                    <Icon
+                      name={selected[index] ? 'check-box' : 'check-box-outline-blank'}
+                      size={24}
+                      color={row.invalid || row.duplicate ? '#BDBDBD' : '#2196F3'}
+                    />
+                    <View style={styles.rowTextContainer}>
+                      <Text style={styles.rowName}>{row.name || 'Unnamed'}</Text>
+                      <Text style={styles.rowDetail}>{hidden ? '••••••••' : row.username}</Text>
+                    </View>
+                    {row.duplicate && (
+                      <Text style={styles.badge}>Already saved</Text>
+                    )}
+                    {row.invalid && (
+                      <Text style={styles.badge}>Incomplete</Text>
+                    )}
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Protection</Text>
+
+                <Text style={styles.description}>
+                  Applied to every imported credential. You can change it per
+                  credential afterwards.
+                </Text>
+
+                <View style={styles.optionRow}>
+                  {protectionOptions.map(([value, label]) => (
+                    <TouchableOpacity
+                      key={value}
+                      style={[
+                        styles.optionButton,
+                        protection === value && styles.optionButtonSelected,
+                      ]}
+                      onPress={() => setProtection(value)}
+                    >
+                      <Text
+                        style={[
+                          styles.optionButtonText,
+                          protection === value && styles.optionButtonTextSelected,
+                        ]}
+                      >
+                        {label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+
+                <TouchableOpacity style={styles.primaryButton} onPress={handleImport}>
+                  <Icon name="file-download" size={20} color="white" style={styles.buttonIcon} />
+                  <Text style={styles.primaryButtonText}>
+                    Import {selectedCount} Credentials
+                  </Text>
+                </TouchableOpacity>
+
+                <TouchableOpacity style={styles.secondaryButton} onPress={() => setPreview(null)}>
+                  <Text style={styles.secondaryButtonText}>Back to Paste</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+        </ScrollView>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 16,
+    fontSize: 16,
+    color: '#757575',
+  },
+  header: {
+    backgroundColor: '#2196F3',
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  backButton: {
+    padding: 8,
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 16,
+    borderRadius: 8,
+    padding: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.22,
+    shadowRadius: 2.22,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginBottom: 16,
+  },
+  description: {
+    fontSize: 12,
+    color: '#757575',
+    marginBottom: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 16,
+    marginBottom: 12,
+    fontSize: 16,
+    color: '#333',
+    backgroundColor: '#F9F9F9',
+  },
+  csvInput: {
+    height: 160,
+    paddingTop: 12,
+    fontSize: 12,
+    textAlignVertical: 'top',
+  },
+  rowItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  rowTextContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  rowName: {
+    fontSize: 16,
+    color: '#333',
+  },
+  rowDetail: {
+    fontSize: 12,
+    color: '#757575',
+  },
+  badge: {
+    fontSize: 12,
+    color: '#F57C00',
+    marginLeft: 8,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    marginBottom: 16,
+  },
+  optionButton: {
+    flex: 1,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#F9F9F9',
+    alignItems: 'center',
+  },
+  optionButtonSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  optionButtonText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  optionButtonTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  primaryButton: {
+    backgroundColor: '#2196F3',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  buttonIcon: {
+    marginRight: 8,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    marginTop: 8,
+  },
+  secondaryButtonText: {
+    color: '#2196F3',
+    fontSize: 16,
+  },
+});
+
+export default CsvImportScreen;
@@ -0,0 +1,326 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import StorageService from '../services/StorageService';
+import OrganizationService from '../services/OrganizationService';
+import { ROTATION_POLICY_OPTIONS, formatRotationPeriod } from '../services/RotationService';
+import { describeStorageError } from '../services/StorageErrors';
+
+const FoldersScreen = ({ navigation }) => {
+  const [folders, setFolders] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [newFolder, setNewFolder] = useState('');
+  const [editingFolder, setEditingFolder] = useState(null);
+  const [editName, setEditName] = useState('');
+  const [rotationFolder, setRotationFolder] = useState(null);
+  const insets = useSafeAreaInsets();
+
+  useEffect(() => {
+    loadFolders();
+  }, []);
+
+  const loadFolders = () => {
+    const nextCounts = {};
+    for (const metadata of StorageService.getItemsMetadata()) {
+      if (metadata.folder) {
+        nextCounts[metadata.folder] = (nextCounts[metadata.folder] || 0) + 1;
+      }
+    }
+    setCounts(nextCounts);
+    setFolders(OrganizationService.getFolders());
+  };
+
+  const showResult = (result) => {
+    if (!result.ok) {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+    }
+    loadFolders();
+  };
+
+  const handleCreate = () => {
+    if (!newFolder.trim()) {
+      Alert.alert('Error', 'Please enter a folder name');
+      return;
+    }
+    showResult(OrganizationService.createFolder(newFolder));
+    setNewFolder('');
+  };
+
+  const startRename = (folder) => {
+    setEditingFolder(folder);
+    setEditName(folder);
+  };
+
+  const handleRename = () => {
+    if (!editName.trim()) {
+      Alert.alert('Error', 'Please enter a folder name');
+      return;
+    }
+    if (editName.trim() !== editingFolder) {
+      showResult(OrganizationService.renameFolder(editingFolder, editName));
+    }
+    setEditingFolder(null);
+  };
+
+  const selectRotation = (folder, days) => {
+    showResult(OrganizationService.setFolderRotation(folder, days));
+    setRotationFolder(null);
+  };
+
+  const describeFolder = (folder) => {
+    const days = OrganizationService.getFolderRotation(folder);
+    const count = `${counts[folder] || 0} credential(s)`;
+    if (days === null) {
+      return count;
+    }
+    return days === 0 ? `${count}, no rotation reminders` : `${count}, change every ${days} days`;
+  };
+
+  const handleDelete = (folder) => {
+    const count = counts[folder] || 0;
+    Alert.alert(
+      'Delete Folder',
+      count > 0 ?
+        `The ${count} credential(s) in "${folder}" will be kept without a folder.` :
+        `Delete the empty folder "${folder}"?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: () => showResult(OrganizationService.deleteFolder(folder)),
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Icon name="arrow-back" size={24} color="white" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Folders</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={styles.section}>
+          <View style={styles.addRow}>
+            <TextInput
+              style={styles.input}
+              placeholder="New folder"
+              value={newFolder}
+              onChangeText={setNewFolder}
+              returnKeyType="done"
+              onSubmitEditing={handleCreate}
+            />
+            <TouchableOpacity style={styles.iconButton} onPress={handleCreate}>
+              <Icon name="create-new-folder" size={24} color="#2196F3" />
+            </TouchableOpacity>
+          </View>
+
+          {folders.length === 0 && (
+            <Text style={styles.emptyText}>No folders yet</Text>
+          )}
+
+          {folders.map((folder) => (
+            <View key={folder}>
+              <View style={styles.folderRow}>
+                <Icon name="folder" size={24} color="#2196F3" />
+                {editingFolder === folder ? (
+                  <TextInput
+                    style={[styles.input, styles.folderInput]}
+                    value={editName}
+                    onChangeText={setEditName}
+                    autoFocus
+                    returnKeyType="done"
+                    onSubmitEditing={handleRename}
+                  />
+                ) : (
+                  <View style={styles.folderTextContainer}>
+                    <Text style={styles.folderName}>{folder}</Text>
+                    <Text style={styles.folderCount}>
+                      {describeFolder(folder)}
+                    </Text>
+                  </View>
+                )}
+                {editingFolder === folder ? (
+                  <TouchableOpacity style={styles.iconButton} onPress={handleRename}>
+                    <Icon name="check" size={24} color="#2196F3" />
+                  </TouchableOpacity>
+                ) : (
+                  <>
+                    <TouchableOpacity
+                      style={styles.iconButton}
+                      onPress={() => setRotationFolder(rotationFolder === folder ? null : folder)}
+                    >
+                      <Icon name="update" size={24} color="#2196F3" />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.iconButton} onPress={() => startRename(folder)}>
+                      <Icon name="edit" size={24} color="#2196F3" />
+                    </TouchableOpacity>
+                    <TouchableOpacity style={styles.iconButton} onPress={() => handleDelete(folder)}>
+                      <Icon name="delete" size={24} color="#FF5252" />
+                    </TouchableOpacity>
+                  </>
+                )}
+              </View>
+              {rotationFolder === folder && (
+                <View style={styles.rotationRow}>
+                  {ROTATION_POLICY_OPTIONS.map((days) => {
+                    const selected = OrganizationService.getFolderRotation(folder) === days;
+                    return (
+                      <TouchableOpacity
+                        key={String(days)}
+                        style={[styles.chip, selected && styles.chipSelected]}
+                        onPress={() => selectRotation(folder, days)}
+                      >
+                        <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+                          {formatRotationPeriod(days)}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              )}
+            </View>
+          ))}
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  header: {
+    backgroundColor: '#2196F3',
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  backButton: {
+    padding: 8,
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: 'white',
+    margin: 16,
+    borderRadius: 8,
+    padding: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.22,
+    shadowRadius: 2.22,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  input: {
+    flex: 1,
+    height: 44,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: '#333',
+    backgroundColor: '#F9F9F9',
+  },
+  folderInput: {
+    marginLeft: 12,
+  },
+  iconButton: {
+    padding: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#757575',
+    textAlign: 'center',
+    paddingVertical: 16,
+  },
+  folderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  folderTextContainer: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  folderName: {
+    fontSize: 16,
+    color: '#333',
+  },
+  folderCount: {
+    fontSize: 12,
+    color: '#757575',
+  },
+  rotationRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingTop: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    marginBottom: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: 'white',
+  },
+  chipSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  chipTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+});
+
+export default FoldersScreen;
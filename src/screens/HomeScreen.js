@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useDeferredValue } from 'react';
 import {
   StyleSheet,
   View,
@@ -18,25 +18,69 @@ import {
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import Item from '../components/Item';
+import CredentialForm from '../components/CredentialForm';
 import StorageService from '../services/StorageService';
+import AuditLogService, { AUDIT_EVENT } from '../services/AuditLogService';
+import { describeStorageError } from '../services/StorageErrors';
+import OrganizationService from '../services/OrganizationService';
+import BreachService from '../services/BreachService';
+import VaultCheckService from '../services/VaultCheckService';
+import { CREDENTIAL_TYPE } from '../services/MetadataSchema';
+import SearchUtils, { PROTECTION_FILTERS, SORT_MODES } from '../utils/SearchUtils';
+import CredentialTypes from '../utils/CredentialTypes';
+
+const SORT_LABELS = {
+  name: 'Name',
+  created: 'Created',
+  updated: 'Updated',
+  lastUsed: 'Last Used',
+};
 
 const HomeScreen = ({ navigation }) => {
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [itemKey, setItemKey] = useState('');
-  const [username, setUsername] = useState('');
-  const [password, setPassword] = useState('');
+  const [credentialType, setCredentialType] = useState(CREDENTIAL_TYPE.LOGIN);
+  const [formValues, setFormValues] = useState(CredentialTypes.getDefaultValues(CREDENTIAL_TYPE.LOGIN));
   const [biometricsAvailable, setBiometricsAvailable] = useState(false);
   const [passcodeAvailable, setPasscodeAvailable] = useState(false);
   const [useBiometrics, setUseBiometrics] = useState(false);
   const [useDevicePasscode, setUseDevicePasscode] = useState(false);
   const [biometryType, setBiometryType] = useState('None');
   const [expandSecurityOptions, setExpandSecurityOptions] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [protectionFilter, setProtectionFilter] = useState('all');
+  const [sortMode, setSortMode] = useState('name');
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  // undefined shows everything
+  const [folderFilter, setFolderFilter] = useState(undefined);
+  const [tagFilter, setTagFilter] = useState(undefined);
+  // Inconsistencies found by the latest vault check, repaired from Settings
+  const [vaultFindings, setVaultFindings] = useState(VaultCheckService.lastFindings || []);
 
   const insets = useSafeAreaInsets();
-  const usernameInputRef = useRef(null);
-  const passwordInputRef = useRef(null);
+
+  // Typing stays responsive while large vaults are filtered in the background
+  const deferredQuery = useDeferredValue(searchQuery);
+  const visibleItems = useMemo(
+    () => SearchUtils.filterCredentials(items, {
+      query: deferredQuery,
+      protection: protectionFilter,
+      sort: sortMode,
+      folder: folderFilter,
+      tag: tagFilter,
+    }),
+    [items, deferredQuery, protectionFilter, sortMode, folderFilter, tagFilter]
+  );
+
+  const protectionLabels = {
+    all: 'All',
+    biometrics: biometricsAvailable ? biometryType : 'Biometrics',
+    passcode: 'Passcode',
+    none: 'Unprotected',
+  };
 
   useEffect(() => {
     const checkSecurity = async () => {
@@ -59,11 +103,20 @@ const HomeScreen = ({ navigation }) => {
     return unsubscribe;
   }, [navigation]);
 
+  useEffect(() => VaultCheckService.subscribe(setVaultFindings), []);
+
   const loadItems = async () => {
     try {
       setLoading(true);
-      const itemsList = await StorageService.getItemsList();
-      setItems(itemsList);
+      // Metadata only, so listing and searching never prompt for authentication
+      setItems(StorageService.getItemsMetadata());
+      const nextFolders = OrganizationService.getFolders();
+      const nextTags = OrganizationService.getAllTags();
+      setFolders(nextFolders);
+      setTags(nextTags);
+      // Drop filters whose folder or tag was renamed or removed meanwhile
+      setFolderFilter((current) => (nextFolders.includes(current) ? current : undefined));
+      setTagFilter((current) => (nextTags.includes(current) ? current : undefined));
     } catch (error) {
       console.error('Error loading items:', error);
       Alert.alert('Error', 'Failed to load saved credentials');
@@ -91,27 +144,60 @@ const HomeScreen = ({ navigation }) => {
     navigation.navigate('Settings');
   };
 
-  const validateInput = () => {
+  const navigateToSecurityOverview = () => {
+    navigation.navigate('SecurityOverview');
+  };
+
+  const navigateToFolders = () => {
+    navigation.navigate('Folders');
+  };
+
+  /**
+   * Validate the form and split it into what StorageService stores
+   * @returns {Object|null} Values, keychain username and password, plain and custom
+   * fields, or null after showing an error
+   */
+  const prepareForm = () => {
     if (!itemKey.trim()) {
       Alert.alert('Error', 'Please enter a name for this credential');
-      return false;
-    }
-    
-    if (!username.trim()) {
-      Alert.alert('Error', 'Please enter a username');
-      return false;
+      return null;
     }
-    
-    if (!password.trim()) {
-      Alert.alert('Error', 'Please enter a password or value');
-      return false;
+
+    try {
+      const values = CredentialTypes.prepare(credentialType, formValues);
+      return { values, ...CredentialTypes.toStorage(credentialType, values) };
+    } catch (error) {
+      Alert.alert('Error', error.message);
+      return null;
     }
-    
-    return true;
   };
 
-  const handleSave = async () => {
-    if (!validateInput()) {
+  // User-chosen passwords of the form that appear in the breach filter
+  const hasBreachedPassword = (values) => CredentialTypes.get(credentialType).fields
+    .some((field) => field.password && BreachService.isPasswordCompromised(values[field.name] || ''));
+
+  const handleSave = async (breachConfirmed = false) => {
+    const toSave = prepareForm();
+    if (!toSave) {
+      return;
+    }
+
+    if (!breachConfirmed && hasBreachedPassword(toSave.values)) {
+      Alert.alert(
+        'Breached Password',
+        'This password appears in known data breaches, so attackers are likely to try it. Save it anyway?',
+        [
+          {
+            text: 'Change',
+            style: 'cancel',
+          },
+          {
+            text: 'Save Anyway',
+            style: 'destructive',
+            onPress: () => handleSave(true),
+          },
+        ]
+      );
       return;
     }
 
@@ -119,8 +205,16 @@ const HomeScreen = ({ navigation }) => {
       setLoading(true);
       
       // Check if item key already exists
-      const itemsList = await StorageService.getItemsList();
-      if (itemsList.includes(itemKey)) {
+      const existing = StorageService.getItemsMetadata().find(item => item.key === itemKey);
+      if (existing && (existing.type || CREDENTIAL_TYPE.LOGIN) !== credentialType) {
+        setLoading(false);
+        Alert.alert(
+          'Credential Exists',
+          `"${itemKey}" is already used by a ${CredentialTypes.get(existing.type).label} credential. Please choose another name.`
+        );
+        return;
+      }
+      if (existing) {
         Alert.alert(
           'Credential Exists',
           'A credential with this name already exists. Do you want to update it?',
@@ -133,11 +227,13 @@ const HomeScreen = ({ navigation }) => {
             {
               text: 'Update',
               onPress: async () => {
-                const success = await StorageService.updateCredential(
+                const result = await StorageService.updateCredential(
                   itemKey,
-                  username,
-                  password,
+                  toSave.username,
+                  toSave.password,
                   {
+                    fields: toSave.fields,
+                    customFields: toSave.customFields,
                     useBiometrics,
                     useDevicePasscode,
                   }
@@ -145,12 +241,14 @@ const HomeScreen = ({ navigation }) => {
                 
                 setLoading(false);
                 
-                if (success) {
+                if (result.ok) {
+                  AuditLogService.record(AUDIT_EVENT.UPDATE, { key: itemKey });
                   Alert.alert('Success', 'Credential updated successfully');
                   clearForm();
                   loadItems();
                 } else {
-                  Alert.alert('Error', 'Failed to update credential');
+                  const { title, message } = describeStorageError(result.error);
+                  Alert.alert(title, message);
                 }
               },
             },
@@ -161,11 +259,14 @@ const HomeScreen = ({ navigation }) => {
       }
       
       // Save new credential
-      const success = await StorageService.saveCredential(
+      const result = await StorageService.saveCredential(
         itemKey,
-        username,
-        password,
+        toSave.username,
+        toSave.password,
         {
+          type: credentialType,
+          fields: toSave.fields,
+          customFields: toSave.customFields,
           useBiometrics,
           useDevicePasscode,
         }
@@ -173,12 +274,14 @@ const HomeScreen = ({ navigation }) => {
       
       setLoading(false);
       
-      if (success) {
+      if (result.ok) {
+        AuditLogService.record(AUDIT_EVENT.CREATE, { key: itemKey });
         Alert.alert('Success', 'Credential saved successfully');
         clearForm();
         loadItems();
       } else {
-        Alert.alert('Error', 'Failed to save credential');
+        const { title, message } = describeStorageError(result.error);
+        Alert.alert(title, message);
       }
     } catch (error) {
       setLoading(false);
@@ -187,10 +290,14 @@ const HomeScreen = ({ navigation }) => {
     }
   };
 
+  const selectType = (type) => {
+    setCredentialType(type);
+    setFormValues(CredentialTypes.getDefaultValues(type));
+  };
+
   const clearForm = () => {
     setItemKey('');
-    setUsername('');
-    setPassword('');
+    selectType(CREDENTIAL_TYPE.LOGIN);
     setUseBiometrics(false);
     setUseDevicePasscode(false);
     setExpandSecurityOptions(false);
@@ -200,7 +307,19 @@ const HomeScreen = ({ navigation }) => {
     setExpandSecurityOptions(!expandSecurityOptions);
   };
 
-  const renderEmptyList = () => (
+  const cycleSortMode = () => {
+    setSortMode(SORT_MODES[(SORT_MODES.indexOf(sortMode) + 1) % SORT_MODES.length]);
+  };
+
+  const renderEmptyList = () => (items.length > 0 ? (
+    <View style={styles.emptyContainer}>
+      <Icon name="search-off" size={64} color="#BDBDBD" />
+      <Text style={styles.emptyText}>No matching credentials</Text>
+      <Text style={styles.emptySubtext}>
+        Try a different search or filter
+      </Text>
+    </View>
+  ) : (
     <View style={styles.emptyContainer}>
       <Icon name="lock-outline" size={64} color="#BDBDBD" />
       <Text style={styles.emptyText}>No saved credentials</Text>
@@ -208,7 +327,7 @@ const HomeScreen = ({ navigation }) => {
         Add a new credential using the form below
       </Text>
     </View>
-  );
+  ));
 
   return (
     <KeyboardAvoidingView
@@ -220,14 +339,142 @@ const HomeScreen = ({ navigation }) => {
         <View style={styles.innerContainer}>
           <View style={styles.header}>
             <Text style={styles.headerTitle}>LockscreenCredentialsExample</Text>
+            <TouchableOpacity
+              style={styles.settingsButton}
+              onPress={navigateToSecurityOverview}
+            >
+              <Icon name="health-and-safety" size={24} color="white" />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.settingsButton}
+              onPress={navigateToFolders}
+            >
+              <Icon name="folder" size={24} color="white" />
+            </TouchableOpacity>
             <TouchableOpacity 
               style={styles.settingsButton} 
               onPress={navigateToSettings}
+              accessibilityLabel={vaultFindings.length > 0
+                ? `Settings, ${vaultFindings.length} vault issues found`
+                : 'Settings'}
             >
               <Icon name="settings" size={24} color="white" />
+              {vaultFindings.length > 0 && (
+                <View style={styles.settingsBadge}>
+                  <Text style={styles.settingsBadgeText}>{vaultFindings.length}</Text>
+                </View>
+              )}
             </TouchableOpacity>
           </View>
 
+          <View style={styles.searchContainer}>
+            <View style={styles.searchBar}>
+              <Icon name="search" size={20} color="#757575" />
+              <TextInput
+                style={styles.searchInput}
+                placeholder="Search credentials"
+                value={searchQuery}
+                onChangeText={setSearchQuery}
+                autoCapitalize="none"
+                autoCorrect={false}
+                returnKeyType="search"
+              />
+              {searchQuery.length > 0 && (
+                <TouchableOpacity onPress={() => setSearchQuery('')}>
+                  <Icon name="close" size={20} color="#757575" />
+                </TouchableOpacity>
+              )}
+            </View>
+
+            <View style={styles.filterRow}>
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                keyboardShouldPersistTaps="handled"
+              >
+                {PROTECTION_FILTERS.map((filter) => (
+                  <TouchableOpacity
+                    key={filter}
+                    style={[
+                      styles.filterChip,
+                      protectionFilter === filter && styles.filterChipSelected,
+                    ]}
+                    onPress={() => setProtectionFilter(filter)}
+                  >
+                    <Text
+                      style={[
+                        styles.filterChipText,
+                        protectionFilter === filter && styles.filterChipTextSelected,
+                      ]}
+                    >
+                      {protectionLabels[filter]}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+
+              <TouchableOpacity style={styles.sortButton} onPress={cycleSortMode}>
+                <Icon name="sort" size={18} color="#2196F3" />
+                <Text style={styles.sortButtonText}>{SORT_LABELS[sortMode]}</Text>
+              </TouchableOpacity>
+            </View>
+
+            {(folders.length > 0 || tags.length > 0) && (
+              <ScrollView
+                horizontal
+                style={styles.filterRow}
+                showsHorizontalScrollIndicator={false}
+                keyboardShouldPersistTaps="handled"
+              >
+                {folders.map((folder) => (
+                  <TouchableOpacity
+                    key={`folder-${folder}`}
+                    style={[
+                      styles.filterChip,
+                      styles.filterChipWithIcon,
+                      folderFilter === folder && styles.filterChipSelected,
+                    ]}
+                    onPress={() => setFolderFilter(folderFilter === folder ? undefined : folder)}
+                  >
+                    <Icon
+                      name="folder"
+                      size={14}
+                      color={folderFilter === folder ? 'white' : '#757575'}
+                    />
+                    <Text
+                      style={[
+                        styles.filterChipText,
+                        styles.filterChipIconText,
+                        folderFilter === folder && styles.filterChipTextSelected,
+                      ]}
+                    >
+                      {folder}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+                {tags.map((tag) => (
+                  <TouchableOpacity
+                    key={`tag-${tag}`}
+                    style={[
+                      styles.filterChip,
+                      tagFilter === tag && styles.filterChipSelected,
+                    ]}
+                    onPress={() => setTagFilter(tagFilter === tag ? undefined : tag)}
+                  >
+                    <Text
+                      style={[
+                        styles.filterChipText,
+                        tagFilter === tag && styles.filterChipTextSelected,
+                      ]}
+                    >
+                      #{tag}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+            )}
+          </View>
+
           {loading && !refreshing ? (
             <View style={styles.loadingContainer}>
               <ActivityIndicator size="large" color="#2196F3" />
@@ -235,15 +482,16 @@ const HomeScreen = ({ navigation }) => {
             </View>
           ) : (
             <FlatList
-              data={items}
+              data={visibleItems}
               renderItem={({ item }) => (
                 <Item
-                  itemKey={item}
+                  itemKey={item.key}
                   onItemPressed={handleItemPress}
                   onItemDeleted={handleItemDeleted}
                 />
               )}
-              keyExtractor={(item) => item}
+              keyExtractor={(item) => item.key}
+              keyboardShouldPersistTaps="handled"
               contentContainerStyle={styles.listContent}
               refreshing={refreshing}
               onRefresh={handleRefresh}
@@ -253,6 +501,40 @@ const HomeScreen = ({ navigation }) => {
 
           <ScrollView style={styles.formContainer} keyboardShouldPersistTaps="handled">
             <Text style={styles.formTitle}>Add New Credential</Text>
+
+            <ScrollView
+              horizontal
+              style={styles.typeRow}
+              showsHorizontalScrollIndicator={false}
+              keyboardShouldPersistTaps="handled"
+            >
+              {CredentialTypes.list().map((definition) => (
+                <TouchableOpacity
+                  key={definition.type}
+                  style={[
+                    styles.filterChip,
+                    styles.filterChipWithIcon,
+                    credentialType === definition.type && styles.filterChipSelected,
+                  ]}
+                  onPress={() => selectType(definition.type)}
+                >
+                  <Icon
+                    name={definition.icon}
+                    size={14}
+                    color={credentialType === definition.type ? 'white' : '#757575'}
+                  />
+                  <Text
+                    style={[
+                      styles.filterChipText,
+                      styles.filterChipIconText,
+                      credentialType === definition.type && styles.filterChipTextSelected,
+                    ]}
+                  >
+                    {definition.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
             
             <TextInput
               style={styles.input}
@@ -260,27 +542,13 @@ const HomeScreen = ({ navigation }) => {
               value={itemKey}
               onChangeText={setItemKey}
               returnKeyType="next"
-              onSubmitEditing={() => usernameInputRef.current?.focus()}
             />
-            
-            <TextInput
-              ref={usernameInputRef}
-              style={styles.input}
-              placeholder="Username"
-              value={username}
-              onChangeText={setUsername}
-              returnKeyType="next"
-              onSubmitEditing={() => passwordInputRef.current?.focus()}
-            />
-            
-            <TextInput
-              ref={passwordInputRef}
-              style={styles.input}
-              placeholder="Password/Value"
-              value={password}
-              onChangeText={setPassword}
-              secureTextEntry
-              returnKeyType="done"
+
+            <CredentialForm
+              type={credentialType}
+              values={formValues}
+              onChange={setFormValues}
+              userInputs={[itemKey, formValues.username || '']}
             />
             
             <TouchableOpacity
@@ -370,7 +638,7 @@ const HomeScreen = ({ navigation }) => {
               
               <TouchableOpacity
                 style={[styles.button, styles.saveButton]}
-                onPress={handleSave}
+                onPress={() => handleSave()}
               >
                 <Text style={styles.saveButtonText}>Save</Text>
               </TouchableOpacity>
@@ -406,6 +674,23 @@ const styles = StyleSheet.create({
   settingsButton: {
     padding: 8,
   },
+  settingsBadge: {
+    position: 'absolute',
+    top: 2,
+    right: 2,
+    minWidth: 16,
+    height: 16,
+    paddingHorizontal: 4,
+    borderRadius: 8,
+    backgroundColor: '#D32F2F',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  settingsBadgeText: {
+    fontSize: 10,
+    fontWeight: 'bold',
+    color: 'white',
+  },
   loadingContainer: {
     flex: 1,
     justifyContent: 'center',
@@ -416,6 +701,70 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#757575',
   },
+  searchContainer: {
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  searchBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: 44,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: 'white',
+  },
+  searchInput: {
+    flex: 1,
+    marginHorizontal: 8,
+    fontSize: 16,
+    color: '#333',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  filterChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    marginRight: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: 'white',
+  },
+  filterChipSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  filterChipText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  filterChipTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  filterChipWithIcon: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  filterChipIconText: {
+    marginLeft: 4,
+  },
+  sortButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingLeft: 8,
+  },
+  sortButtonText: {
+    marginLeft: 4,
+    fontSize: 14,
+    color: '#2196F3',
+  },
   listContent: {
     flexGrow: 1,
     paddingBottom: 16,
@@ -468,6 +817,10 @@ const styles = StyleSheet.create({
     color: '#333',
     backgroundColor: '#F9F9F9',
   },
+  typeRow: {
+    flexGrow: 0,
+    marginBottom: 12,
+  },
   securityOptionsButton: {
     flexDirection: 'row',
     alignItems: 'center',
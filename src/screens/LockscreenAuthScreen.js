@@ -11,21 +11,35 @@ import {
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
 import { useFocusEffect } from '@react-navigation/native';
-import LockscreenUtils from '../utils/LockscreenUtils';
-import { MMKV } from 'react-native-mmkv';
+import LockscreenUtils, { AUTH_RESULT } from '../utils/LockscreenUtils';
+import SettingsService from '../services/SettingsService';
+import LockService from '../services/LockService';
+import LockoutService from '../services/LockoutService';
+import AuditLogService, { AUDIT_EVENT, AUDIT_OUTCOME } from '../services/AuditLogService';
 
-// Create a separate storage instance for app security settings
-const securityStorage = new MMKV({
-  id: 'app-security-storage',
-});
+/**
+ * Format a cool-down for display
+ * @param {Number} ms Milliseconds left
+ * @returns {String} Minutes and seconds, e.g. "1:05"
+ */
+const formatCountdown = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
 
-const LockscreenAuthScreen = ({ navigation }) => {
+/**
+ * Lockscreen shown on launch, and on top of the current screens when
+ * LockService locks the app again (route param `resume`)
+ */
+const LockscreenAuthScreen = ({ navigation, route }) => {
+  const resume = !!route.params?.resume;
   const [loading, setLoading] = useState(true);
   const [biometricInfo, setBiometricInfo] = useState({ available: false, displayName: 'None' });
   const [lockscreenEnabled, setLockscreenEnabled] = useState(false);
   const [appLocked, setAppLocked] = useState(true);
   const [authenticating, setAuthenticating] = useState(false);
-  const [authAttempts, setAuthAttempts] = useState(0);
+  // Cool-down left after too many failed unlocks, in milliseconds
+  const [lockedFor, setLockedFor] = useState(0);
 
   // Handle back button to prevent bypassing authentication
   useFocusEffect(
@@ -45,18 +59,29 @@ const LockscreenAuthScreen = ({ navigation }) => {
     }, [appLocked])
   );
 
+  useEffect(() => {
+    if (lockedFor <= 0) {
+      return undefined;
+    }
+    // Re-read rather than count down locally, so the display cannot drift
+    const timer = setTimeout(async () => {
+      setLockedFor(await LockoutService.getRemaining());
+    }, Math.min(lockedFor, 1000));
+    return () => clearTimeout(timer);
+  }, [lockedFor]);
+
   useEffect(() => {
     const checkAppSecurity = async () => {
       setLoading(true);
       
       // Check if app requires authentication
-      const appSecurityEnabled = securityStorage.getBoolean('appSecurityEnabled');
+      const appSecurityEnabled = SettingsService.isAppSecurityEnabled();
       
       // If security is not enabled, skip authentication
       if (!appSecurityEnabled) {
         setAppLocked(false);
         setLoading(false);
-        navigation.replace('Home');
+        proceedToApp();
         return;
       }
       
@@ -73,11 +98,23 @@ const LockscreenAuthScreen = ({ navigation }) => {
         Alert.alert(
           'Security Warning',
           'Your device does not have a lockscreen security method set up. This significantly reduces the security of your stored credentials.',
-          [{ text: 'Proceed Anyway', onPress: () => proceedToApp() }]
+          [{
+            text: 'Proceed Anyway',
+            onPress: () => {
+              // Opened without authentication, since there is nothing to check
+              AuditLogService.record(AUDIT_EVENT.UNLOCK, { details: { lockscreen: false } });
+              proceedToApp();
+            },
+          }]
         );
       } else {
-        // Start authentication automatically
-        authenticateUser();
+        // Start authentication automatically, unless still cooling down
+        const remaining = await LockoutService.getRemaining();
+        if (remaining > 0) {
+          setLockedFor(remaining);
+        } else {
+          authenticateUser();
+        }
       }
       
       setLoading(false);
@@ -90,27 +127,37 @@ const LockscreenAuthScreen = ({ navigation }) => {
     if (authenticating) return;
     
     setAuthenticating(true);
-    setAuthAttempts(prevAttempts => prevAttempts + 1);
     
     try {
+      const remaining = await LockoutService.getRemaining();
+      if (remaining > 0) {
+        setLockedFor(remaining);
+        setAuthenticating(false);
+        return;
+      }
+
       const androidMessage = Platform.OS === 'android' 
         ? 'Please verify your identity using your screen lock'
         : 'Authenticate to access your credentials';
         
-      const success = await LockscreenUtils.authenticateWithLockscreen({
+      const result = await LockscreenUtils.authenticate({
         promptMessage: androidMessage,
-        fallbackToPasscode: true,
       });
+      AuditLogService.record(AUDIT_EVENT.UNLOCK, { outcome: result });
       
-      if (success) {
+      if (result === AUTH_RESULT.SUCCESS) {
+        LockoutService.recordSuccess();
         setAppLocked(false);
         proceedToApp();
       } else {
         // Authentication failed or was canceled
+        const { failures, lockedFor: cooldown } = await LockoutService.recordFailure();
         setAuthenticating(false);
         
-        // For Android, show a custom alert that prompts retry
-        if (Platform.OS === 'android') {
+        if (cooldown > 0) {
+          showLockout(failures, cooldown);
+        } else if (Platform.OS === 'android') {
+          // For Android, show a custom alert that prompts retry
           Alert.alert(
             'Authentication Required',
             'You need to verify your identity to access your credentials.',
@@ -140,10 +187,14 @@ const LockscreenAuthScreen = ({ navigation }) => {
       }
     } catch (error) {
       console.error('Authentication error:', error);
+      AuditLogService.record(AUDIT_EVENT.UNLOCK, { outcome: AUDIT_OUTCOME.FAILURE });
+      const { failures, lockedFor: cooldown } = await LockoutService.recordFailure();
       setAuthenticating(false);
       
-      // If we've tried 3 times with errors, show a more helpful message
-      if (authAttempts >= 3) {
+      if (cooldown > 0) {
+        showLockout(failures, cooldown);
+      } else if (failures >= 3) {
+        // After repeated errors, show a more helpful message
         Alert.alert(
           'Authentication Problems',
           'There seem to be issues with device authentication. Please make sure your device has screen lock properly set up in system settings.',
@@ -159,8 +210,23 @@ const LockscreenAuthScreen = ({ navigation }) => {
     }
   };
 
+  const showLockout = (failures, cooldown) => {
+    setLockedFor(cooldown);
+    Alert.alert(
+      'Too Many Attempts',
+      `Unlocking failed ${failures} times. Try again in ${formatCountdown(cooldown)}.`,
+      [{ text: 'OK' }]
+    );
+  };
+
   const proceedToApp = () => {
-    navigation.replace('Home');
+    LockService.unlock();
+    if (resume) {
+      // Back to the screen that was open when the app locked
+      navigation.goBack();
+    } else {
+      navigation.replace('Home');
+    }
   };
 
   const exitApp = () => {
@@ -208,12 +274,19 @@ const LockscreenAuthScreen = ({ navigation }) => {
         )}
         
         <TouchableOpacity
-          style={styles.authButton}
+          style={[styles.authButton, lockedFor > 0 && styles.authButtonDisabled]}
           onPress={authenticateUser}
-          disabled={authenticating}
+          disabled={authenticating || lockedFor > 0}
         >
           {authenticating ? (
             <ActivityIndicator size="small" color="white" />
+          ) : lockedFor > 0 ? (
+            <>
+              <Icon name="timer" size={24} color="white" style={styles.buttonIcon} />
+              <Text style={styles.authButtonText}>
+                Try again in {formatCountdown(lockedFor)}
+              </Text>
+            </>
           ) : (
             <>
               <Icon 
@@ -341,6 +414,9 @@ const styles = StyleSheet.create({
     width: '100%',
     marginBottom: 16,
   },
+  authButtonDisabled: {
+    backgroundColor: '#90CAF9',
+  },
   buttonIcon: {
     marginRight: 12,
   },
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  FlatList,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import RotationService, { ROTATION_SOURCE } from '../services/RotationService';
+import CredentialTypes from '../utils/CredentialTypes';
+
+const SOURCE_LABELS = {
+  [ROTATION_SOURCE.CREDENTIAL]: 'its own period',
+  [ROTATION_SOURCE.FOLDER]: 'folder period',
+  [ROTATION_SOURCE.DEFAULT]: 'default period',
+};
+
+const RotationScreen = ({ navigation }) => {
+  const [due, setDue] = useState([]);
+  const insets = useSafeAreaInsets();
+
+  useEffect(() => {
+    // Rotated credentials drop off the list when coming back
+    const unsubscribe = navigation.addListener('focus', () => {
+      setDue(RotationService.getDueCredentials());
+    });
+    setDue(RotationService.getDueCredentials());
+    return unsubscribe;
+  }, [navigation]);
+
+  const renderEntry = ({ item: { metadata, status } }) => {
+    const hasGenerator = CredentialTypes.get(metadata.type).fields.some((field) => field.password);
+
+    return (
+      <TouchableOpacity
+        style={styles.entry}
+        onPress={() => navigation.navigate('CredentialDetail', { itemKey: metadata.key })}
+      >
+        <Icon name={CredentialTypes.get(metadata.type).icon} size={24} color="#2196F3" />
+        <View style={styles.entryText}>
+          <Text style={styles.entryTitle}>{metadata.key}</Text>
+          <Text style={styles.entryDetail}>
+            Changed {status.ageDays} days ago, {SOURCE_LABELS[status.source]} is {status.days} days
+          </Text>
+        </View>
+        <TouchableOpacity
+          style={styles.rotateButton}
+          onPress={() => navigation.navigate('CredentialDetail', { itemKey: metadata.key, rotate: true })}
+        >
+          <Icon name={hasGenerator ? 'casino' : 'edit'} size={18} color="white" />
+          <Text style={styles.rotateButtonText}>Change</Text>
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Icon name="arrow-back" size={24} color="white" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Due for Rotation</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <FlatList
+        data={due}
+        keyExtractor={({ metadata }) => metadata.key}
+        renderItem={renderEntry}
+        contentContainerStyle={styles.list}
+        ListEmptyComponent={
+          <View style={styles.emptyContainer}>
+            <Icon name="event-available" size={64} color="#BDBDBD" />
+            <Text style={styles.emptyText}>No secrets are due for a change</Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  header: {
+    backgroundColor: '#2196F3',
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  backButton: {
+    padding: 8,
+  },
+  placeholder: {
+    width: 40,
+  },
+  list: {
+    padding: 16,
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 8,
+    backgroundColor: 'white',
+  },
+  entryText: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  entryTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  entryDetail: {
+    fontSize: 12,
+    color: '#757575',
+    marginTop: 2,
+  },
+  rotateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    marginLeft: 8,
+    borderRadius: 16,
+    backgroundColor: '#2196F3',
+  },
+  rotateButtonText: {
+    color: 'white',
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginLeft: 4,
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    marginTop: 64,
+  },
+  emptyText: {
+    textAlign: 'center',
+    fontSize: 14,
+    color: '#757575',
+    marginTop: 16,
+  },
+});
+
+export default RotationScreen;
@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialIcons';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import SecurityOverviewService from '../services/SecurityOverviewService';
+
+/**
+ * Color of a vault score
+ * @param {Number} score Score from 0 to 100
+ * @returns {String} Color
+ */
+const getScoreColor = (score) => {
+  if (score >= 80) {
+    return '#388E3C';
+  }
+  return score >= 50 ? '#F57C00' : '#D32F2F';
+};
+
+const SecurityOverviewScreen = ({ navigation }) => {
+  const [report, setReport] = useState(() => SecurityOverviewService.getReport());
+  const insets = useSafeAreaInsets();
+
+  useEffect(() => {
+    // Fixes made on the detail screen show up when coming back
+    const unsubscribe = navigation.addListener('focus', () => {
+      setReport(SecurityOverviewService.getReport());
+    });
+    return unsubscribe;
+  }, [navigation]);
+
+  const openCredential = (key) => {
+    navigation.navigate('CredentialDetail', { itemKey: key });
+  };
+
+  const renderCredential = (key, detail) => (
+    <TouchableOpacity key={key} style={styles.findingRow} onPress={() => openCredential(key)}>
+      <View style={styles.findingText}>
+        <Text style={styles.findingTitle}>{key}</Text>
+        {!!detail && <Text style={styles.findingDetail}>{detail}</Text>}
+      </View>
+      <Icon name="chevron-right" size={24} color="#BDBDBD" />
+    </TouchableOpacity>
+  );
+
+  const renderSection = (title, icon, description, count, children) => (
+    <View style={styles.section}>
+      <View style={styles.sectionHeader}>
+        <Icon name={icon} size={22} color={count > 0 ? '#F57C00' : '#388E3C'} />
+        <Text style={styles.sectionTitle}>{title}</Text>
+        <Text style={styles.sectionCount}>{count}</Text>
+      </View>
+      <Text style={styles.sectionDescription}>{description}</Text>
+      {count === 0 ? <Text style={styles.emptyText}>Nothing to fix</Text> : children}
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { paddingBottom: insets.bottom }]}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Icon name="arrow-back" size={24} color="white" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Security Overview</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView style={styles.content} contentContainerStyle={styles.scrollContent}>
+        <View style={[styles.section, styles.scoreSection]}>
+          <Text style={[styles.score, { color: getScoreColor(report.score) }]}>{report.score}</Text>
+          <Text style={styles.scoreLabel}>
+            {report.total === 0 ?
+              'No credentials saved yet' :
+              `Share of your ${report.total} credential(s) without any finding`}
+          </Text>
+          {report.unchecked > 0 && (
+            <Text style={styles.scoreNote}>
+              Reuse is not known yet for {report.unchecked} password(s) saved by an earlier version.
+              Open them once to include them.
+            </Text>
+          )}
+        </View>
+
+        {renderSection(
+          'Reused Passwords',
+          'content-copy',
+          'The same password is saved for more than one credential. One leak exposes all of them.',
+          report.reused.length,
+          report.reused.map((group, index) => (
+            <View key={group[0].key} style={styles.group}>
+              <Text style={styles.groupTitle}>
+                Shared password {index + 1}: {group.length} credentials
+              </Text>
+              {group.map((metadata) => renderCredential(metadata.key))}
+            </View>
+          ))
+        )}
+
+        {renderSection(
+          'Weak Passwords',
+          'warning',
+          'These passwords could be guessed quickly.',
+          report.weak.length,
+          report.weak.map((metadata) => renderCredential(metadata.key))
+        )}
+
+        {renderSection(
+          'Due for Rotation',
+          'update',
+          'These secrets are older than their rotation period.',
+          report.old.length,
+          <>
+            {report.old.map(({ metadata, status }) =>
+              renderCredential(metadata.key, `Changed ${status.ageDays} days ago, period is ${status.days} days`)
+            )}
+            <TouchableOpacity style={styles.linkButton} onPress={() => navigation.navigate('Rotation')}>
+              <Text style={styles.linkButtonText}>Change them one by one</Text>
+            </TouchableOpacity>
+          </>
+        )}
+
+        {renderSection(
+          'Unprotected',
+          'no-encryption',
+          'These credentials open without biometrics or the device passcode.',
+          report.unprotected.length,
+          report.unprotected.map((metadata) => renderCredential(metadata.key))
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F5F5',
+  },
+  header: {
+    backgroundColor: '#2196F3',
+    padding: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  backButton: {
+    padding: 8,
+  },
+  placeholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingBottom: 16,
+  },
+  section: {
+    backgroundColor: 'white',
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 8,
+    padding: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.22,
+    shadowRadius: 2.22,
+  },
+  scoreSection: {
+    alignItems: 'center',
+  },
+  score: {
+    fontSize: 48,
+    fontWeight: 'bold',
+  },
+  scoreLabel: {
+    fontSize: 14,
+    color: '#757575',
+    textAlign: 'center',
+  },
+  scoreNote: {
+    fontSize: 12,
+    color: '#757575',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+    marginLeft: 8,
+  },
+  sectionCount: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  sectionDescription: {
+    fontSize: 14,
+    color: '#757575',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#388E3C',
+  },
+  group: {
+    marginBottom: 8,
+  },
+  groupTitle: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#757575',
+    marginTop: 8,
+  },
+  findingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  findingText: {
+    flex: 1,
+  },
+  findingTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  findingDetail: {
+    fontSize: 12,
+    color: '#757575',
+    marginTop: 2,
+  },
+  linkButton: {
+    paddingTop: 12,
+  },
+  linkButtonText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2196F3',
+  },
+});
+
+export default SecurityOverviewScreen;
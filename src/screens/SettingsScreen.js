@@ -10,15 +10,52 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
-import { MMKV } from 'react-native-mmkv';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import LockscreenUtils from '../utils/LockscreenUtils';
 import StorageService from '../services/StorageService';
+import LockService from '../services/LockService';
+import AuditLogService, { AUDIT_EVENT } from '../services/AuditLogService';
+import VaultCheckService, { VAULT_FINDING, VAULT_REPAIR } from '../services/VaultCheckService';
+import { describeStorageError } from '../services/StorageErrors';
+import PrivacyService from '../services/PrivacyService';
+import VersionPickerModal from '../components/VersionPickerModal';
+import SettingsService, {
+  HISTORY_RETENTION_OPTIONS,
+  LOCK_GRACE_PERIOD_OPTIONS,
+  INACTIVITY_TIMEOUT_OPTIONS,
+  CLIPBOARD_CLEAR_OPTIONS,
+  ROTATION_PERIOD_OPTIONS,
+  LOCKOUT_THRESHOLD_OPTIONS,
+} from '../services/SettingsService';
 
-// Create a separate storage instance for app security settings
-const securityStorage = new MMKV({
-  id: 'app-security-storage',
-});
+const formatGracePeriod = (seconds) => {
+  if (seconds === 0) {
+    return 'Now';
+  }
+  return seconds < 60 ? `${seconds}s` : `${seconds / 60}m`;
+};
+
+const formatInactivityTimeout = (minutes) => (minutes === 0 ? 'Off' : `${minutes}m`);
+
+const formatClipboardTimeout = (seconds) => (seconds === 0 ? 'Off' : `${seconds}s`);
+
+const FINDING_TITLES = {
+  [VAULT_FINDING.UNLISTED_METADATA]: ({ key }) => `${key}: saved but missing from the list`,
+  [VAULT_FINDING.MISSING_METADATA]: ({ key }) => `${key}: listed without its details`,
+  [VAULT_FINDING.ORPHAN_SECRET]: ({ key }) => `${key}: keychain entry without a credential`,
+  [VAULT_FINDING.PROBE]: ({ service }) => `Leftover check entry ${service}`,
+};
+
+const REPAIR_LABELS = {
+  [VAULT_REPAIR.ADD_TO_LIST]: 'Add it to the list again',
+  [VAULT_REPAIR.RESTORE_METADATA]: 'Choose the saved version to rebuild its details around',
+  [VAULT_REPAIR.REMOVE_FROM_LIST]: 'Remove it from the list',
+  [VAULT_REPAIR.DELETE_SECRET]: 'Delete the keychain entry',
+};
+
+const formatLockoutThreshold = (tries) => `${tries} tries`;
+
+const formatRotationPeriod = (days) => (days === 0 ? 'Off' : `${days}d`);
 
 const SettingsScreen = ({ navigation }) => {
   const [loading, setLoading] = useState(true);
@@ -27,6 +64,18 @@ const SettingsScreen = ({ navigation }) => {
   const [lockscreenEnabled, setLockscreenEnabled] = useState(false);
   const [biometryType, setBiometryType] = useState('None');
   const [authenticating, setAuthenticating] = useState(false);
+  const [historyRetention, setHistoryRetention] = useState(StorageService.historyRetention);
+  const [lockGracePeriod, setLockGracePeriod] = useState(SettingsService.getLockGracePeriod());
+  const [inactivityTimeout, setInactivityTimeout] = useState(SettingsService.getInactivityTimeout());
+  const [privacyCoverEnabled, setPrivacyCoverEnabled] = useState(SettingsService.isPrivacyCoverEnabled());
+  const [clipboardTimeout, setClipboardTimeout] = useState(SettingsService.getClipboardClearTimeout());
+  const [rotationPeriod, setRotationPeriod] = useState(SettingsService.getRotationPeriod());
+  const [lockoutThreshold, setLockoutThreshold] = useState(SettingsService.getLockoutThreshold());
+  // Starts with the report of the check run at startup
+  const [vaultFindings, setVaultFindings] = useState(VaultCheckService.lastFindings);
+  const [checkingVault, setCheckingVault] = useState(false);
+  // Finding and versions shown in the version picker
+  const [restoring, setRestoring] = useState(null);
 
   const insets = useSafeAreaInsets();
 
@@ -35,7 +84,7 @@ const SettingsScreen = ({ navigation }) => {
       setLoading(true);
       
       // Load current settings
-      const securityEnabled = securityStorage.getBoolean('appSecurityEnabled') || false;
+      const securityEnabled = SettingsService.isAppSecurityEnabled();
       setAppSecurityEnabled(securityEnabled);
       
       // Check biometric availability
@@ -92,7 +141,7 @@ const SettingsScreen = ({ navigation }) => {
         promptMessage: newValue 
           ? 'Authenticate to enable app security' 
           : 'Authenticate to disable app security',
-        fallbackToPasscode: true,
+        reuseSession: true,
       });
       
       if (success) {
@@ -106,10 +155,16 @@ const SettingsScreen = ({ navigation }) => {
     }
   };
 
+  // Setting changes that weaken or strengthen the app's protection
+  const recordSettingChange = (setting, value) => {
+    AuditLogService.record(AUDIT_EVENT.SECURITY_CHANGE, { details: { setting, value } });
+  };
+
   const saveSecuritySetting = (value) => {
     // Save to secure storage
-    securityStorage.set('appSecurityEnabled', value);
+    SettingsService.setAppSecurityEnabled(value);
     setAppSecurityEnabled(value);
+    recordSettingChange('appSecurity', value);
     
     // Show appropriate message
     if (value) {
@@ -125,6 +180,231 @@ const SettingsScreen = ({ navigation }) => {
     }
   };
 
+  const changeHistoryRetention = (count) => {
+    const applyRetention = async () => {
+      SettingsService.setHistoryRetention(count);
+      setHistoryRetention(count);
+      await StorageService.setHistoryRetention(count);
+    };
+
+    const authenticateAndApply = async () => {
+      const success = await LockscreenUtils.authenticateWithLockscreen({
+        promptMessage: 'Authenticate to delete previous versions',
+        reuseSession: true,
+      });
+      if (success) {
+        await applyRetention();
+      }
+    };
+
+    // Lowering the limit permanently deletes the oldest versions
+    if (count < historyRetention) {
+      Alert.alert(
+        'Keep Fewer Versions',
+        `Previous versions beyond the newest ${count} will be permanently deleted.`,
+        [
+          {
+            text: 'Cancel',
+            style: 'cancel',
+          },
+          {
+            text: 'Delete Versions',
+            style: 'destructive',
+            onPress: authenticateAndApply,
+          },
+        ]
+      );
+      return;
+    }
+
+    applyRetention();
+  };
+
+  const togglePrivacyCover = async (value) => {
+    // Showing the vault in the app switcher again needs the owner
+    if (!value) {
+      const success = await LockscreenUtils.authenticateWithLockscreen({
+        promptMessage: 'Authenticate to turn off the privacy cover',
+        reuseSession: true,
+      });
+      if (!success) {
+        return;
+      }
+    }
+
+    SettingsService.setPrivacyCoverEnabled(value);
+    PrivacyService.setSecure(value);
+    setPrivacyCoverEnabled(value);
+    recordSettingChange('privacyCover', value);
+  };
+
+  const changeLockGracePeriod = async (seconds) => {
+    const success = await LockscreenUtils.authenticateWithLockscreen({
+      promptMessage: 'Authenticate to change when the app locks',
+      reuseSession: true,
+    });
+    if (!success) {
+      return;
+    }
+
+    SettingsService.setLockGracePeriod(seconds);
+    setLockGracePeriod(seconds);
+    recordSettingChange('lockGracePeriod', seconds);
+  };
+
+  const changeInactivityTimeout = async (minutes) => {
+    const success = await LockscreenUtils.authenticateWithLockscreen({
+      promptMessage: 'Authenticate to change when the app locks',
+      reuseSession: true,
+    });
+    if (!success) {
+      return;
+    }
+
+    SettingsService.setInactivityTimeout(minutes);
+    setInactivityTimeout(minutes);
+    recordSettingChange('inactivityTimeout', minutes);
+    LockService.applySettings();
+  };
+
+  const changeLockoutThreshold = async (tries) => {
+    const success = await LockscreenUtils.authenticateWithLockscreen({
+      promptMessage: 'Authenticate to change the lockout threshold',
+      reuseSession: true,
+    });
+    if (!success) {
+      return;
+    }
+
+    SettingsService.setLockoutThreshold(tries);
+    setLockoutThreshold(tries);
+    recordSettingChange('lockoutThreshold', tries);
+  };
+
+  const changeClipboardTimeout = async (seconds) => {
+    const success = await LockscreenUtils.authenticateWithLockscreen({
+      promptMessage: 'Authenticate to change when the clipboard is cleared',
+      reuseSession: true,
+    });
+    if (!success) {
+      return;
+    }
+
+    SettingsService.setClipboardClearTimeout(seconds);
+    setClipboardTimeout(seconds);
+    recordSettingChange('clipboardClearTimeout', seconds);
+  };
+
+  const changeRotationPeriod = (days) => {
+    SettingsService.setRotationPeriod(days);
+    setRotationPeriod(days);
+    recordSettingChange('rotationPeriod', days);
+  };
+
+  const renderOptions = (options, selected, onSelect, format) => (
+    <View style={styles.optionRow}>
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option}
+          style={[
+            styles.optionButton,
+            selected === option && styles.optionButtonSelected,
+          ]}
+          onPress={() => onSelect(option)}
+        >
+          <Text
+            style={[
+              styles.optionButtonText,
+              selected === option && styles.optionButtonTextSelected,
+            ]}
+          >
+            {format(option)}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const checkVault = async () => {
+    setCheckingVault(true);
+    const result = await VaultCheckService.check();
+    setCheckingVault(false);
+
+    if (!result.ok) {
+      Alert.alert('Error', 'Failed to check the vault');
+      return;
+    }
+    setVaultFindings(result.value);
+  };
+
+  const repairVault = async () => {
+    const success = await LockscreenUtils.authenticateWithLockscreen({
+      promptMessage: 'Authenticate to repair the vault',
+      reuseSession: true,
+    });
+    if (!success) {
+      return;
+    }
+
+    setCheckingVault(true);
+    const result = await VaultCheckService.repair(vaultFindings, { interactive: true });
+    setCheckingVault(false);
+    setVaultFindings(VaultCheckService.lastFindings);
+
+    if (!result.ok) {
+      Alert.alert('Error', 'Failed to repair the vault');
+    } else if (result.value.failed > 0) {
+      Alert.alert('Repair Incomplete', `${result.value.repaired} repaired, ${result.value.failed} failed.`);
+    } else {
+      Alert.alert('Vault Repaired', `${result.value.repaired} issue(s) repaired.`);
+    }
+  };
+
+  const chooseVersion = async (finding) => {
+    const success = await LockscreenUtils.authenticateWithLockscreen({
+      promptMessage: 'Authenticate to restore a credential',
+      reuseSession: true,
+    });
+    if (!success) {
+      return;
+    }
+
+    const result = await VaultCheckService.readVersions(finding);
+    if (!result.ok) {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+      return;
+    }
+    setRestoring({ finding, versions: result.value });
+  };
+
+  const restoreVersion = async (choice) => {
+    const { finding, versions } = restoring;
+    setRestoring(null);
+    setCheckingVault(true);
+    const result = await VaultCheckService.restoreVersions(finding, versions, choice);
+    setCheckingVault(false);
+    setVaultFindings(VaultCheckService.lastFindings);
+
+    if (!result.ok) {
+      const { title, message } = describeStorageError(result.error);
+      Alert.alert(title, message);
+    } else {
+      Alert.alert('Credential Restored', `${finding.key} was restored.`);
+    }
+  };
+
+  const confirmRepairVault = () => {
+    Alert.alert(
+      'Repair Vault',
+      'Apply the proposed repairs? Leftover keychain entries are deleted for good.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Repair', style: 'destructive', onPress: repairVault },
+      ]
+    );
+  };
+
   const clearAllData = () => {
     Alert.alert(
       'Clear All Data',
@@ -144,7 +424,7 @@ const SettingsScreen = ({ navigation }) => {
               // Authenticate user before allowing data deletion
               const success = await LockscreenUtils.authenticateWithLockscreen({
                 promptMessage: 'Authenticate to delete all data',
-                fallbackToPasscode: true,
+                reuseSession: true,
               });
               
               if (!success) {
@@ -162,6 +442,7 @@ const SettingsScreen = ({ navigation }) => {
               
               // Reset items list
               StorageService.saveItemsList([]);
+              AuditLogService.record(AUDIT_EVENT.CLEAR_ALL, { details: { count: items.length } });
               
               setLoading(false);
               
@@ -233,6 +514,23 @@ const SettingsScreen = ({ navigation }) => {
             )}
           </View>
           
+          <View style={styles.settingContainer}>
+            <View style={styles.settingTextContainer}>
+              <Text style={styles.settingLabel}>
+                Hide in App Switcher
+              </Text>
+              <Text style={styles.settingDescription}>
+                Cover the screen while the app is in the background. Revealed secrets are always masked again.
+              </Text>
+            </View>
+            <Switch
+              value={privacyCoverEnabled}
+              onValueChange={togglePrivacyCover}
+              trackColor={{ false: '#767577', true: '#81b0ff' }}
+              thumbColor={privacyCoverEnabled ? '#2196F3' : '#f4f3f4'}
+            />
+          </View>
+
           <View style={styles.infoContainer}>
             <Icon name="info" size={20} color="#757575" />
             <Text style={styles.infoText}>
@@ -252,8 +550,154 @@ const SettingsScreen = ({ navigation }) => {
           )}
         </View>
         
+        {appSecurityEnabled && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Auto-Lock</Text>
+
+            <View style={styles.settingTextContainer}>
+              <Text style={styles.settingLabel}>
+                Lock After Leaving the App
+              </Text>
+              <Text style={styles.settingDescription}>
+                Time the app may spend in the background before authentication is required again
+              </Text>
+            </View>
+            {renderOptions(LOCK_GRACE_PERIOD_OPTIONS, lockGracePeriod, changeLockGracePeriod, formatGracePeriod)}
+
+            <View style={[styles.settingTextContainer, styles.settingSpacing]}>
+              <Text style={styles.settingLabel}>
+                Lock When Idle
+              </Text>
+              <Text style={styles.settingDescription}>
+                Time without touching the screen before the app locks
+              </Text>
+            </View>
+            {renderOptions(
+              INACTIVITY_TIMEOUT_OPTIONS,
+              inactivityTimeout,
+              changeInactivityTimeout,
+              formatInactivityTimeout
+            )}
+
+            <View style={[styles.settingTextContainer, styles.settingSpacing]}>
+              <Text style={styles.settingLabel}>
+                Lock Out After
+              </Text>
+              <Text style={styles.settingDescription}>
+                Failed or cancelled unlocks before unlocking is paused. Each further failure doubles the pause.
+              </Text>
+            </View>
+            {renderOptions(
+              LOCKOUT_THRESHOLD_OPTIONS,
+              lockoutThreshold,
+              changeLockoutThreshold,
+              formatLockoutThreshold
+            )}
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Clipboard</Text>
+
+          <View style={styles.settingTextContainer}>
+            <Text style={styles.settingLabel}>
+              Clear Copied Secrets
+            </Text>
+            <Text style={styles.settingDescription}>
+              Time before a copied password or other secret is removed from the clipboard,
+              unless something else was copied since
+            </Text>
+          </View>
+          {renderOptions(CLIPBOARD_CLEAR_OPTIONS, clipboardTimeout, changeClipboardTimeout, formatClipboardTimeout)}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Password History</Text>
+
+          <View style={styles.settingTextContainer}>
+            <Text style={styles.settingLabel}>
+              Versions to Keep
+            </Text>
+            <Text style={styles.settingDescription}>
+              Previous passwords kept for each credential, protected like the current one
+            </Text>
+          </View>
+
+          {renderOptions(
+            HISTORY_RETENTION_OPTIONS,
+            historyRetention,
+            changeHistoryRetention,
+            (count) => (count === 0 ? 'Off' : count)
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Password Rotation</Text>
+
+          <View style={styles.settingTextContainer}>
+            <Text style={styles.settingLabel}>
+              Remind After
+            </Text>
+            <Text style={styles.settingDescription}>
+              Age at which a password or other secret is flagged for a change. Folders and single
+              credentials can set their own period.
+            </Text>
+          </View>
+          {renderOptions(ROTATION_PERIOD_OPTIONS, rotationPeriod, changeRotationPeriod, formatRotationPeriod)}
+
+          <TouchableOpacity
+            style={[styles.primaryButton, styles.settingSpacing]}
+            onPress={() => navigation.navigate('Rotation')}
+          >
+            <Icon name="update" size={20} color="white" style={styles.buttonIcon} />
+            <Text style={styles.primaryButtonText}>
+              Due for Rotation
+            </Text>
+          </TouchableOpacity>
+        </View>
+
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Data Management</Text>
+
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => navigation.navigate('Backup')}
+          >
+            <Icon name="backup" size={20} color="white" style={styles.buttonIcon} />
+            <Text style={styles.primaryButtonText}>
+              Backup & Restore
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => navigation.navigate('CsvImport')}
+          >
+            <Icon name="upload-file" size={20} color="white" style={styles.buttonIcon} />
+            <Text style={styles.primaryButtonText}>
+              Import from Other Apps
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => navigation.navigate('BreachCheck')}
+          >
+            <Icon name="security" size={20} color="white" style={styles.buttonIcon} />
+            <Text style={styles.primaryButtonText}>
+              Breach Check
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={styles.primaryButton}
+            onPress={() => navigation.navigate('AuditLog')}
+          >
+            <Icon name="history" size={20} color="white" style={styles.buttonIcon} />
+            <Text style={styles.primaryButtonText}>
+              Audit Log
+            </Text>
+          </TouchableOpacity>
           
           <TouchableOpacity 
             style={styles.dangerButton}
@@ -270,6 +714,52 @@ const SettingsScreen = ({ navigation }) => {
           </Text>
         </View>
         
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Vault Consistency</Text>
+
+          <Text style={styles.settingDescription}>
+            {vaultFindings === null ?
+              'Compares the credential list, the credential details and the keychain.' :
+              vaultFindings.length === 0 ?
+                'No inconsistencies found.' :
+                `${vaultFindings.length} inconsistency(ies) found:`}
+          </Text>
+
+          {(vaultFindings || []).map((finding) => (
+            <View key={`${finding.type}:${finding.key}:${finding.service}`} style={styles.findingRow}>
+              <Text style={styles.findingTitle}>{FINDING_TITLES[finding.type](finding)}</Text>
+              <Text style={styles.settingDescription}>Repair: {REPAIR_LABELS[finding.repair]}</Text>
+              {finding.repair === VAULT_REPAIR.RESTORE_METADATA && !checkingVault && (
+                <TouchableOpacity onPress={() => chooseVersion(finding)}>
+                  <Text style={styles.linkText}>Choose Version</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          ))}
+
+          {checkingVault ? (
+            <ActivityIndicator size="small" color="#2196F3" style={styles.vaultProgress} />
+          ) : (
+            <>
+              <TouchableOpacity style={styles.primaryButton} onPress={checkVault}>
+                <Icon name="fact-check" size={20} color="white" style={styles.buttonIcon} />
+                <Text style={styles.primaryButtonText}>
+                  Check Vault
+                </Text>
+              </TouchableOpacity>
+
+              {vaultFindings?.some(finding => finding.repair !== VAULT_REPAIR.RESTORE_METADATA) && (
+                <TouchableOpacity style={styles.dangerButton} onPress={confirmRepairVault}>
+                  <Icon name="build" size={20} color="white" style={styles.buttonIcon} />
+                  <Text style={styles.dangerButtonText}>
+                    Repair
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </>
+          )}
+        </View>
+
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>About</Text>
           
@@ -287,6 +777,20 @@ const SettingsScreen = ({ navigation }) => {
           </Text>
         </View>
       </ScrollView>
+
+      {restoring && (
+        <VersionPickerModal
+          credentialKey={restoring.finding.key}
+          versions={restoring.versions}
+          protectionOptions={[
+            ['none', 'None', true],
+            ['passcode', 'Passcode', lockscreenEnabled],
+            ['biometrics', biometryType, biometricsAvailable],
+          ].filter(([, , available]) => available)}
+          onClose={() => setRestoring(null)}
+          onRestore={restoreVersion}
+        />
+      )}
     </View>
   );
 };
@@ -365,6 +869,35 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#757575',
   },
+  settingSpacing: {
+    marginTop: 20,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  optionButton: {
+    flex: 1,
+    paddingVertical: 10,
+    marginHorizontal: 4,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#F9F9F9',
+    alignItems: 'center',
+  },
+  optionButtonSelected: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  optionButtonText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  optionButtonTextSelected: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
   infoContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -379,6 +912,20 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#757575',
   },
+  primaryButton: {
+    backgroundColor: '#2196F3',
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    marginVertical: 8,
+  },
+  primaryButtonText: {
+    color: 'white',
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
   dangerButton: {
     backgroundColor: '#F44336',
     flexDirection: 'row',
@@ -396,6 +943,24 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: 'bold',
   },
+  findingRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  findingTitle: {
+    fontSize: 14,
+    color: '#333',
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#2196F3',
+    marginTop: 4,
+  },
+  vaultProgress: {
+    marginVertical: 16,
+  },
   warningText: {
     fontSize: 12,
     color: '#757575',
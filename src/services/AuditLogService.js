@@ -0,0 +1,226 @@
+import { sha256 } from '@noble/hashes/sha2';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import StorageKeyService from './StorageKeyService';
+import CryptoUtils from '../utils/CryptoUtils';
+
+// MMKV instance holding the log, apart from the vault and the settings
+const AUDIT_STORAGE_ID = 'audit-log-storage';
+
+// Entries are stored one per key, audit_<seq>, with the newest in the head
+const ENTRY_PREFIX = 'audit_';
+const HEAD_KEY = 'audit_head';
+// Sequence number and hash of the newest entry dropped by pruning
+const ANCHOR_KEY = 'audit_anchor';
+
+// Hash the first entry chains to
+const GENESIS_HASH = '0'.repeat(64);
+
+// Oldest entries beyond this are dropped; the anchor keeps the chain checkable
+export const MAX_AUDIT_ENTRIES = 2000;
+
+export const AUDIT_EVENT = {
+  UNLOCK: 'unlock',
+  LOCKOUT: 'lockout',
+  REVEAL: 'reveal',
+  COPY: 'copy',
+  CREATE: 'create',
+  UPDATE: 'update',
+  RESTORE: 'restore',
+  DELETE: 'delete',
+  SECURITY_CHANGE: 'securityChange',
+  CLEAR_ALL: 'clearAll',
+  VAULT_REPAIR: 'vaultRepair',
+};
+
+export const AUDIT_OUTCOME = {
+  SUCCESS: 'success',
+  CANCEL: 'cancel',
+  FAILURE: 'failure',
+};
+
+// Filters offered on the log screen, by the events they show
+export const AUDIT_FILTERS = {
+  all: null,
+  unlock: [AUDIT_EVENT.UNLOCK, AUDIT_EVENT.LOCKOUT],
+  access: [AUDIT_EVENT.REVEAL, AUDIT_EVENT.COPY],
+  changes: [AUDIT_EVENT.CREATE, AUDIT_EVENT.UPDATE, AUDIT_EVENT.RESTORE, AUDIT_EVENT.DELETE],
+  security: [AUDIT_EVENT.SECURITY_CHANGE, AUDIT_EVENT.CLEAR_ALL, AUDIT_EVENT.VAULT_REPAIR],
+};
+
+/**
+ * Append-only log of security-relevant events: unlocks, credential
+ * reveals, copies and changes, and security setting changes.
+ *
+ * Every entry carries the hash of the previous one, so editing, removing or
+ * reordering entries breaks the chain and shows up in verify(). Entries hold
+ * credential names, field labels and flags only, never secret values.
+ */
+export class AuditLogService {
+  /**
+   * @param {Object} options Optional storage (MMKV-like, for tests) and now
+   * (clock returning milliseconds)
+   */
+  constructor({ storage, now } = {}) {
+    // Opened by init() unless injected
+    this.storage = storage || null;
+    this.now = now || Date.now;
+  }
+
+  /**
+   * Open the encrypted log storage. Must complete before entries are recorded.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (!this.storage) {
+      this.storage = await StorageKeyService.openStorage(AUDIT_STORAGE_ID);
+    }
+  }
+
+  /**
+   * Append an entry. Failures are logged rather than thrown, so a broken
+   * log never blocks the action being recorded.
+   * @param {String} event One of AUDIT_EVENT
+   * @param {Object} options Entry fields (key: credential, outcome: one of
+   * AUDIT_OUTCOME, details: object of non-secret values such as a field label)
+   * @returns {Object|null} The entry, or null if it could not be written
+   */
+  record(event, { key = null, outcome = AUDIT_OUTCOME.SUCCESS, details = null } = {}) {
+    try {
+      const head = this._getJson(HEAD_KEY) || { seq: 0, hash: GENESIS_HASH };
+      const body = {
+        seq: head.seq + 1,
+        at: new Date(this.now()).toISOString(),
+        event,
+        key,
+        outcome,
+        details,
+        prevHash: head.hash,
+      };
+      const entry = { ...body, hash: this._hash(body) };
+
+      // Entry first: a crash in between leaves an entry the head does not
+      // count yet, which the next record overwrites
+      this.storage.set(this._entryKey(entry.seq), JSON.stringify(entry));
+      this.storage.set(HEAD_KEY, JSON.stringify({ seq: entry.seq, hash: entry.hash }));
+      this._prune(entry.seq);
+      return entry;
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read entries, newest first
+   * @param {Object} options Filters (filter: one of AUDIT_FILTERS, key: credential)
+   * @returns {Array<Object>} Entries
+   */
+  getEntries({ filter = 'all', key = null } = {}) {
+    const events = AUDIT_FILTERS[filter] || null;
+    return this._readChain()
+      .filter(entry => !events || events.includes(entry.event))
+      .filter(entry => !key || entry.key === key)
+      .reverse();
+  }
+
+  /**
+   * Check the hash chain
+   * @returns {Object} Result (valid, count, brokenAt: seq of the first bad
+   * entry or null)
+   */
+  verify() {
+    const entries = this._readChain();
+    const head = this._getJson(HEAD_KEY);
+    const anchor = this._getJson(ANCHOR_KEY);
+    let prevHash = anchor ? anchor.hash : GENESIS_HASH;
+    let expectedSeq = anchor ? anchor.seq + 1 : 1;
+
+    for (const entry of entries) {
+      const { hash, ...body } = entry;
+      if (entry.seq !== expectedSeq || entry.prevHash !== prevHash || this._hash(body) !== hash) {
+        return { valid: false, count: entries.length, brokenAt: expectedSeq };
+      }
+      prevHash = hash;
+      expectedSeq += 1;
+    }
+
+    // Entries dropped from the end show up as a head past the last entry
+    if (head && (head.seq !== expectedSeq - 1 || head.hash !== prevHash)) {
+      return { valid: false, count: entries.length, brokenAt: expectedSeq };
+    }
+    return { valid: true, count: entries.length, brokenAt: null };
+  }
+
+  /**
+   * Serialize the log for sharing
+   * @returns {String} JSON with the entries, oldest first, and the check result
+   */
+  exportLog() {
+    return JSON.stringify({
+      exportedAt: new Date(this.now()).toISOString(),
+      anchor: this._getJson(ANCHOR_KEY),
+      verification: this.verify(),
+      entries: this._readChain(),
+    }, null, 2);
+  }
+
+  /**
+   * Stored entries, oldest first, up to the head
+   * @private
+   */
+  _readChain() {
+    const head = this._getJson(HEAD_KEY);
+    if (!head) {
+      return [];
+    }
+    const anchor = this._getJson(ANCHOR_KEY);
+    const entries = [];
+    for (let seq = anchor ? anchor.seq + 1 : 1; seq <= head.seq; seq++) {
+      const entry = this._getJson(this._entryKey(seq));
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Drop the oldest entry once the log is over its limit
+   * @private
+   */
+  _prune(latestSeq) {
+    const oldestKept = latestSeq - MAX_AUDIT_ENTRIES + 1;
+    if (oldestKept <= 1) {
+      return;
+    }
+    const dropped = this._getJson(this._entryKey(oldestKept - 1));
+    if (dropped) {
+      this.storage.set(ANCHOR_KEY, JSON.stringify({ seq: dropped.seq, hash: dropped.hash }));
+      this.storage.delete(this._entryKey(dropped.seq));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _hash(body) {
+    return CryptoUtils.bytesToHex(sha256(utf8ToBytes(JSON.stringify(body))));
+  }
+
+  /**
+   * @private
+   */
+  _entryKey(seq) {
+    return `${ENTRY_PREFIX}${seq}`;
+  }
+
+  /**
+   * @private
+   */
+  _getJson(storageKey) {
+    const value = this.storage.getString(storageKey);
+    return value ? JSON.parse(value) : null;
+  }
+}
+
+export default new AuditLogService();
@@ -0,0 +1,177 @@
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import KeychainSecretStore from './adapters/KeychainSecretStore';
+import NativeClock from './adapters/NativeClock';
+import { StorageErrorCode } from './StorageErrors';
+import CryptoUtils from '../utils/CryptoUtils';
+
+// Outcomes of an authentication attempt; the values match AUDIT_OUTCOME
+export const AUTH_RESULT = {
+  SUCCESS: 'success',
+  CANCELLED: 'cancel',
+  FAILED: 'failure',
+};
+
+// Keychain services of the session key and of the nonce wrapped with it.
+// Kept outside the credential namespace so they never show up as stored
+// credentials.
+export const SESSION_KEY_SERVICE = 'com.lockscreencreds.authsession.key';
+export const SESSION_NONCE_SERVICE = 'com.lockscreencreds.authsession.nonce';
+
+// How long a session can be reused by callers that accept one
+export const AUTH_SESSION_GRACE_MS = 60 * 1000;
+
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 32;
+const IV_LENGTH = 24;
+
+// Reading the key again after recreating it cannot fix these
+const PROMPT_ERRORS = [
+  StorageErrorCode.USER_CANCELLED,
+  StorageErrorCode.AUTH_FAILED,
+  StorageErrorCode.LOCKSCREEN_UNAVAILABLE,
+];
+
+/**
+ * Proves the user is present with the device lockscreen and remembers it
+ * for a short while.
+ *
+ * One key bound to biometrics or the device passcode lives in the keychain
+ * for the lifetime of the install, next to an unprotected random nonce
+ * sealed with it. Reading the key shows the system prompt; the user counts
+ * as present once the key opens the sealed nonce. A successful prompt
+ * issues a session that callers may reuse within AUTH_SESSION_GRACE_MS
+ * instead of prompting again.
+ */
+export class AuthSessionService {
+  /**
+   * @param {Object} options Optional secretStore and clock (see adapters)
+   */
+  constructor({ secretStore, clock } = {}) {
+    this.secretStore = secretStore || new KeychainSecretStore();
+    this.clock = clock || new NativeClock();
+    this.session = null;
+  }
+
+  /**
+   * Authenticate the user, reusing the current session when allowed
+   * @param {Object} options Authentication options (promptMessage,
+   * reuseSession: accept a session issued within the grace window)
+   * @returns {Promise<String>} One of AUTH_RESULT
+   */
+  async authenticate({ promptMessage = 'Authenticate to continue', reuseSession = false } = {}) {
+    if (reuseSession && await this.hasSession()) {
+      return AUTH_RESULT.SUCCESS;
+    }
+
+    try {
+      const present = await this._unwrapNonce(promptMessage);
+      if (!present) {
+        return AUTH_RESULT.FAILED;
+      }
+    } catch (error) {
+      if (error.code === StorageErrorCode.USER_CANCELLED) {
+        return AUTH_RESULT.CANCELLED;
+      }
+      console.error('Authentication error:', error);
+      return AUTH_RESULT.FAILED;
+    }
+
+    const { elapsed, bootId } = await this.clock.now();
+    this.session = { bootId, expiresAt: elapsed + AUTH_SESSION_GRACE_MS };
+    return AUTH_RESULT.SUCCESS;
+  }
+
+  /**
+   * Whether a session was issued within the grace window
+   * @returns {Promise<Boolean>} Session state
+   */
+  async hasSession() {
+    if (!this.session) {
+      return false;
+    }
+    const { elapsed, bootId } = await this.clock.now();
+    if (bootId !== this.session.bootId || elapsed >= this.session.expiresAt) {
+      this.session = null;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * End the current session, e.g. when the app locks
+   */
+  end() {
+    this.session = null;
+  }
+
+  /**
+   * Read the session key, which prompts, and open the sealed nonce with it.
+   * A missing, invalidated or mismatched key is replaced once.
+   * @private
+   * @param {String} promptMessage Prompt title
+   * @returns {Promise<Boolean>} Whether the nonce opened
+   */
+  async _unwrapNonce(promptMessage) {
+    let sealed = await this.secretStore.getSecret(SESSION_NONCE_SERVICE);
+    if (!sealed) {
+      sealed = await this._createKey();
+    }
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      let entry = null;
+      try {
+        entry = await this.secretStore.getSecret(SESSION_KEY_SERVICE, {
+          authenticate: true,
+          promptMessage,
+        });
+      } catch (error) {
+        if (attempt > 0 || PROMPT_ERRORS.includes(error.code)) {
+          throw error;
+        }
+      }
+
+      if (entry && this._open(entry.password, sealed)) {
+        return true;
+      }
+      if (attempt === 0) {
+        sealed = await this._createKey();
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Generate a new session key and seal a new nonce with it
+   * @private
+   * @returns {Promise<Object>} Sealed nonce entry (username: iv, password: ciphertext)
+   */
+  async _createKey() {
+    const key = CryptoUtils.getRandomBytes(KEY_LENGTH);
+    const iv = CryptoUtils.getRandomBytes(IV_LENGTH);
+    const sealed = xchacha20poly1305(key, iv).encrypt(CryptoUtils.getRandomBytes(NONCE_LENGTH));
+
+    await this.secretStore.setSecret(SESSION_KEY_SERVICE, 'key', CryptoUtils.bytesToHex(key), {
+      useBiometrics: true,
+      useDevicePasscode: true,
+    });
+    const entry = { username: CryptoUtils.bytesToHex(iv), password: CryptoUtils.bytesToHex(sealed) };
+    await this.secretStore.setSecret(SESSION_NONCE_SERVICE, entry.username, entry.password);
+    return entry;
+  }
+
+  /**
+   * @private
+   * @returns {Boolean} Whether the key opens the sealed nonce
+   */
+  _open(keyHex, sealed) {
+    try {
+      xchacha20poly1305(CryptoUtils.hexToBytes(keyHex), CryptoUtils.hexToBytes(sealed.username))
+        .decrypt(CryptoUtils.hexToBytes(sealed.password));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export default new AuthSessionService();
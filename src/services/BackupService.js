@@ -0,0 +1,315 @@
+import { scryptAsync } from '@noble/hashes/scrypt';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import { xchacha20poly1305 } from '@noble/ciphers/chacha';
+import { bytesToUtf8 } from '@noble/ciphers/utils';
+import StorageService from './StorageService';
+import CryptoUtils from '../utils/CryptoUtils';
+import {
+  StorageError,
+  StorageErrorCode,
+  success,
+  failure,
+  toStorageError,
+} from './StorageErrors';
+import { CREDENTIAL_TYPE } from './MetadataSchema';
+
+// Identifies backup files written by this app
+const BACKUP_FORMAT = 'lockscreen-credentials-backup';
+
+// Bump when the envelope or payload shape changes, and keep reading older versions
+export const BACKUP_VERSION = 1;
+
+// scrypt cost: 2^15 * 8 * 128 bytes = 32 MB of memory per derivation
+const DEFAULT_KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+// Highest scrypt cost accepted from a backup file (1 GB at N = 2^20, r = 16),
+// so a crafted file cannot hang the app or exhaust its memory
+const MAX_KDF_PARAMS = { N: 2 ** 20, r: 16, p: 4 };
+
+const SALT_LENGTH = 16;
+const NONCE_LENGTH = 24;
+const KEY_LENGTH = 32;
+
+export const IMPORT_MODE = {
+  // Keep existing items and only add new ones
+  MERGE: 'merge',
+  // Make the vault match the backup, overwriting and removing existing items
+  REPLACE: 'replace',
+};
+
+/**
+ * Full-vault backups encrypted with a passphrase.
+ *
+ * A backup is a JSON envelope with the KDF and cipher parameters in the
+ * clear and the items sealed with XChaCha20-Poly1305. The envelope header
+ * is authenticated as associated data so it cannot be altered.
+ */
+export class BackupService {
+  /**
+   * @param {Object} options Optional storageService and kdfParams ({ N, r, p })
+   */
+  constructor({ storageService, kdfParams } = {}) {
+    this.storageService = storageService || StorageService;
+    this.kdfParams = kdfParams || DEFAULT_KDF_PARAMS;
+  }
+
+  /**
+   * Export every credential into an encrypted backup. Prompts for
+   * authentication for each protected item.
+   * @param {String} passphrase Passphrase to encrypt the backup with
+   * @param {Object} options Additional options (promptMessage)
+   * @returns {Promise<Object>} Result whose value is the backup file contents
+   */
+  async exportVault(passphrase, options = {}) {
+    try {
+      const { promptMessage = 'Authenticate to export credentials' } = options;
+      const items = [];
+
+      for (const key of this.storageService.getItemsList()) {
+        const result = await this.storageService.getCredential(key, { promptMessage });
+        if (!result.ok) {
+          // An incomplete backup is worse than none, so stop at the first failure
+          return result;
+        }
+
+        const { username, password, metadata } = result.value;
+        items.push({
+          key,
+          type: metadata.type || CREDENTIAL_TYPE.LOGIN,
+          username,
+          password,
+          createdAt: metadata.createdAt,
+          updatedAt: metadata.updatedAt,
+          useBiometrics: !!metadata.useBiometrics,
+          useDevicePasscode: !!metadata.useDevicePasscode,
+          url: metadata.url || null,
+          notes: metadata.notes || null,
+          folder: metadata.folder || null,
+          tags: metadata.tags || [],
+          fields: metadata.fields || {},
+          // Secret custom field values travel inside the password
+          customFields: metadata.customFields || [],
+          rotationDays: metadata.rotationDays ?? null,
+        });
+      }
+
+      const header = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        kdf: {
+          name: 'scrypt',
+          ...this.kdfParams,
+          salt: CryptoUtils.bytesToHex(CryptoUtils.getRandomBytes(SALT_LENGTH)),
+        },
+        cipher: {
+          name: 'xchacha20poly1305',
+          nonce: CryptoUtils.bytesToHex(CryptoUtils.getRandomBytes(NONCE_LENGTH)),
+        },
+      };
+
+      const payload = utf8ToBytes(JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        items,
+      }));
+
+      const key = await this._deriveKey(passphrase, header.kdf);
+      const sealed = xchacha20poly1305(
+        key,
+        CryptoUtils.hexToBytes(header.cipher.nonce),
+        this._getAssociatedData(header),
+      ).encrypt(payload);
+
+      return success(JSON.stringify({
+        ...header,
+        data: CryptoUtils.bytesToHex(sealed),
+      }));
+    } catch (error) {
+      console.error('Error exporting backup:', error);
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * Import credentials from an encrypted backup. Each item is saved with the
+   * protection it had when exported.
+   * @param {String} contents Backup file contents
+   * @param {String} passphrase Passphrase the backup was encrypted with
+   * @param {Object} options Import options (mode, one of IMPORT_MODE)
+   * @returns {Promise<Object>} Result whose value is a report with the
+   * imported, conflicts, failed and removed keys
+   */
+  async importVault(contents, passphrase, options = {}) {
+    const { mode = IMPORT_MODE.MERGE } = options;
+
+    let items;
+    try {
+      items = await this._openBackup(contents, passphrase);
+    } catch (error) {
+      console.error('Error reading backup:', error);
+      return failure(toStorageError(error));
+    }
+
+    const report = {
+      imported: [],
+      conflicts: [],
+      failed: [],
+      removed: [],
+    };
+    const existing = this.storageService.getItemsList();
+
+    for (const item of items) {
+      if (existing.includes(item.key)) {
+        if (mode === IMPORT_MODE.MERGE) {
+          report.conflicts.push({ key: item.key, resolution: 'kept' });
+          continue;
+        }
+        report.conflicts.push({ key: item.key, resolution: 'replaced' });
+      }
+
+      const result = await this.storageService.saveCredential(item.key, item.username, item.password, {
+        // Backups from before credential types only hold logins
+        type: item.type || CREDENTIAL_TYPE.LOGIN,
+        useBiometrics: item.useBiometrics,
+        useDevicePasscode: item.useDevicePasscode,
+        createdAt: item.createdAt,
+        // Keeps the age of the secret, so restoring does not reset rotation reminders
+        updatedAt: item.updatedAt,
+        url: item.url,
+        notes: item.notes,
+        folder: item.folder,
+        tags: item.tags,
+        fields: item.fields,
+        customFields: item.customFields,
+        rotationDays: item.rotationDays ?? null,
+      });
+
+      if (result.ok) {
+        report.imported.push(item.key);
+      } else {
+        report.failed.push({ key: item.key, error: result.error });
+      }
+    }
+
+    if (mode === IMPORT_MODE.REPLACE) {
+      // Remove leftovers only after the backup items are in place, so a
+      // failed import never leaves the vault emptier than before
+      const backupKeys = items.map(item => item.key);
+      for (const key of existing.filter(item => !backupKeys.includes(item))) {
+        const result = await this.storageService.deleteCredential(key);
+        if (result.ok) {
+          report.removed.push(key);
+        } else {
+          report.failed.push({ key, error: result.error });
+        }
+      }
+    }
+
+    return success(report);
+  }
+
+  /**
+   * Parse, check and decrypt a backup
+   * @param {String} contents Backup file contents
+   * @param {String} passphrase Passphrase the backup was encrypted with
+   * @returns {Promise<Array<Object>>} Backed up items
+   */
+  async _openBackup(contents, passphrase) {
+    let envelope;
+    try {
+      envelope = JSON.parse(contents);
+    } catch (error) {
+      throw new StorageError(StorageErrorCode.BACKUP_INVALID, 'Backup is not valid JSON', error);
+    }
+
+    const { data, ...header } = envelope || {};
+    if (header.format !== BACKUP_FORMAT || typeof data !== 'string') {
+      throw new StorageError(StorageErrorCode.BACKUP_INVALID, 'Not a credentials backup');
+    }
+    if (!Number.isInteger(header.version) || header.version < 1) {
+      throw new StorageError(StorageErrorCode.BACKUP_INVALID, 'Backup has no valid version');
+    }
+    if (header.version > BACKUP_VERSION) {
+      throw new StorageError(
+        StorageErrorCode.BACKUP_INVALID,
+        `Backup version ${header.version} is newer than this app supports`,
+      );
+    }
+    if (!header.kdf || header.kdf.name !== 'scrypt' ||
+        !header.cipher || header.cipher.name !== 'xchacha20poly1305') {
+      throw new StorageError(StorageErrorCode.BACKUP_INVALID, 'Unsupported backup encryption');
+    }
+
+    const key = await this._deriveKey(passphrase, header.kdf);
+
+    let payload;
+    try {
+      payload = xchacha20poly1305(
+        key,
+        CryptoUtils.hexToBytes(header.cipher.nonce),
+        this._getAssociatedData(header),
+      ).decrypt(CryptoUtils.hexToBytes(data));
+    } catch (error) {
+      // A wrong passphrase and a tampered file are indistinguishable here
+      throw new StorageError(StorageErrorCode.WRONG_PASSPHRASE, 'Backup could not be decrypted', error);
+    }
+
+    const { items } = JSON.parse(bytesToUtf8(payload));
+    // Authentic does not mean well-formed, e.g. a backup from a buggy build
+    if (!Array.isArray(items) || !items.every(this._isValidItem)) {
+      throw new StorageError(StorageErrorCode.IMPORT_INVALID, 'Backup items are malformed');
+    }
+    return items;
+  }
+
+  /**
+   * Check that a backup item has the fields needed to save it
+   * @param {Object} item Backed up item
+   * @returns {Boolean} Whether the item can be imported
+   */
+  _isValidItem(item) {
+    return !!item && typeof item === 'object' &&
+      typeof item.key === 'string' && item.key.length > 0 &&
+      typeof item.username === 'string' &&
+      typeof item.password === 'string';
+  }
+
+  /**
+   * Derive the backup key from a passphrase
+   * @param {String} passphrase User passphrase
+   * @param {Object} kdf KDF parameters from the envelope (N, r, p, salt)
+   * @returns {Promise<Uint8Array>} Derived key
+   */
+  async _deriveKey(passphrase, kdf) {
+    const { N, r, p } = kdf;
+    const withinLimit = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+    // scrypt needs N to be a power of two greater than 1
+    if (!withinLimit(N, MAX_KDF_PARAMS.N) || N < 2 || !Number.isInteger(Math.log2(N)) ||
+        !withinLimit(r, MAX_KDF_PARAMS.r) || !withinLimit(p, MAX_KDF_PARAMS.p) ||
+        typeof kdf.salt !== 'string') {
+      throw new StorageError(StorageErrorCode.BACKUP_INVALID, 'Unsupported backup key derivation parameters');
+    }
+
+    return scryptAsync(passphrase.normalize('NFKC'), CryptoUtils.hexToBytes(kdf.salt), {
+      N: kdf.N,
+      r: kdf.r,
+      p: kdf.p,
+      dkLen: KEY_LENGTH,
+    });
+  }
+
+  /**
+   * Serialize the envelope header in a fixed field order for authentication
+   * @param {Object} header Envelope without the data field
+   * @returns {Uint8Array} Associated data
+   */
+  _getAssociatedData({ format, version, kdf, cipher }) {
+    return utf8ToBytes(JSON.stringify([
+      format,
+      version,
+      kdf.name, kdf.N, kdf.r, kdf.p, kdf.salt,
+      cipher.name, cipher.nonce,
+    ]));
+  }
+}
+
+export default new BackupService();
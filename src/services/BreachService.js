@@ -0,0 +1,184 @@
+import StorageService from './StorageService';
+import BloomFilter from '../utils/BloomFilter';
+import BUNDLED_FILTER from '../utils/wordlists/breach_filter.json';
+import { CREDENTIAL_TYPE } from './MetadataSchema';
+import { unwrapSecret } from '../utils/CredentialTypes';
+import {
+  StorageError,
+  StorageErrorCode,
+  success,
+  failure,
+  toStorageError,
+} from './StorageErrors';
+
+// Storage keys of an imported breach filter and when it was imported
+const FILTER_KEY = 'breachFilter';
+const FILTER_IMPORTED_AT_KEY = 'breachFilterImportedAt';
+
+/**
+ * Offline check of secrets against known breach corpora.
+ *
+ * Secrets are looked up by SHA-1 hash in a Bloom filter, so nothing leaves
+ * the device. The app ships a filter of the 10,000 most common breached
+ * passwords; a larger one built with scripts/build-breach-filter.js can be
+ * imported in its place. Results are kept in the `compromised` metadata
+ * field, written by StorageService whenever a secret is saved.
+ */
+export class BreachService {
+  /**
+   * @param {Object} options Optional storageService
+   */
+  constructor({ storageService } = {}) {
+    this.storageService = storageService || StorageService;
+    this.filter = null;
+    this.importedAt = null;
+  }
+
+  /**
+   * Load the imported filter, falling back to the bundled one, and have
+   * StorageService check new secrets against it.
+   * Must be called after StorageService.init().
+   */
+  init() {
+    const stored = this.storageService.storage.getString(FILTER_KEY);
+    if (stored) {
+      try {
+        this._activate(
+          BloomFilter.parse(stored),
+          this.storageService.storage.getString(FILTER_IMPORTED_AT_KEY) || null,
+        );
+        return;
+      } catch (error) {
+        // Keep checking with the bundled list rather than not at all
+        console.error('Error reading imported breach filter:', error);
+      }
+    }
+    this._activate(BloomFilter.fromEnvelope(BUNDLED_FILTER), null);
+  }
+
+  /**
+   * Describe the filter in use
+   * @returns {Object} Source ('bundled' or 'imported'), count and importedAt
+   */
+  getFilterInfo() {
+    return {
+      source: this.importedAt ? 'imported' : 'bundled',
+      count: this.filter ? this.filter.count : 0,
+      importedAt: this.importedAt,
+    };
+  }
+
+  /**
+   * Replace the filter with an imported one. Existing credentials keep
+   * their previous result until the next scan.
+   * @param {String} contents Output of scripts/build-breach-filter.js
+   * @returns {Object} Result whose value is the filter info
+   */
+  importFilter(contents) {
+    let filter;
+    try {
+      filter = BloomFilter.parse(contents.trim());
+    } catch (error) {
+      return failure(new StorageError(StorageErrorCode.BREACH_LIST_INVALID, error.message, error));
+    }
+
+    try {
+      const importedAt = new Date().toISOString();
+      this.storageService.storage.set(FILTER_KEY, filter.serialize());
+      this.storageService.storage.set(FILTER_IMPORTED_AT_KEY, importedAt);
+      this._activate(filter, importedAt);
+      return success(this.getFilterInfo());
+    } catch (error) {
+      console.error('Error saving breach filter:', error);
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * Go back to the bundled filter
+   * @returns {Object} Result whose value is the filter info
+   */
+  resetFilter() {
+    try {
+      this.storageService.storage.delete(FILTER_KEY);
+      this.storageService.storage.delete(FILTER_IMPORTED_AT_KEY);
+      this._activate(BloomFilter.fromEnvelope(BUNDLED_FILTER), null);
+      return success(this.getFilterInfo());
+    } catch (error) {
+      console.error('Error resetting breach filter:', error);
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * Check a password before it is saved
+   * @param {String} password Password to check
+   * @returns {Boolean} Whether the password is probably in a breach corpus
+   */
+  isPasswordCompromised(password) {
+    return !!this.filter && this.filter.hasPassword(password);
+  }
+
+  /**
+   * Check every credential against the current filter and record the
+   * results. Prompts for authentication for each protected item and stops
+   * when the user cancels a prompt.
+   * @param {Object} options Additional options (promptMessage, onProgress(done, total))
+   * @returns {Promise<Object>} Result whose value is a report with the
+   * checked, compromised and failed keys, and whether it was cancelled
+   */
+  async scanAll(options = {}) {
+    const { promptMessage = 'Authenticate to check credentials', onProgress } = options;
+    // Only passwords can turn up in a breach corpus
+    const keys = this.storageService
+      .getItemsMetadata()
+      .filter(metadata => (metadata.type || CREDENTIAL_TYPE.LOGIN) === CREDENTIAL_TYPE.LOGIN)
+      .map(metadata => metadata.key);
+    const report = {
+      checked: [],
+      compromised: [],
+      failed: [],
+      cancelled: false,
+    };
+
+    try {
+      for (const key of keys) {
+        const result = await this.storageService.getCredential(key, { promptMessage });
+
+        if (result.ok) {
+          const compromised = this.isPasswordCompromised(unwrapSecret(result.value.password).password);
+          this.storageService.setCompromised(key, compromised);
+          report.checked.push(key);
+          if (compromised) {
+            report.compromised.push(key);
+          }
+        } else if (result.error.code === StorageErrorCode.USER_CANCELLED) {
+          report.cancelled = true;
+          break;
+        } else {
+          report.failed.push({ key, error: result.error });
+        }
+
+        if (onProgress) {
+          onProgress(report.checked.length + report.failed.length, keys.length);
+        }
+      }
+
+      return success(report);
+    } catch (error) {
+      console.error('Error scanning for breached credentials:', error);
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _activate(filter, importedAt) {
+    this.filter = filter;
+    this.importedAt = importedAt;
+    this.storageService.setBreachFilter(filter);
+  }
+}
+
+export default new BreachService();
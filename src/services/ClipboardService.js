@@ -0,0 +1,102 @@
+import { sha256 } from '@noble/hashes/sha2';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import NativeClipboard from './adapters/NativeClipboard';
+import SettingsService from './SettingsService';
+import StorageService from './StorageService';
+import AuditLogService, { AUDIT_EVENT } from './AuditLogService';
+import CryptoUtils from '../utils/CryptoUtils';
+
+/**
+ * Copies credential values to the clipboard. Copied secrets are flagged as
+ * sensitive where the platform supports it and cleared again after the
+ * timeout set in SettingsService, unless something else was copied since.
+ *
+ * Only a hash of the last copied secret is kept to recognize it. Timers do
+ * not run while the app is suspended, so a clear that falls due in the
+ * background happens when the app returns; on iOS the pasteboard also
+ * expires the secret by itself.
+ */
+export class ClipboardService {
+  /**
+   * @param {Object} options Optional clipboard (see adapters), settingsService,
+   * storageService and auditLog
+   */
+  constructor({ clipboard, settingsService, storageService, auditLog } = {}) {
+    this.clipboard = clipboard || new NativeClipboard();
+    this.settingsService = settingsService || SettingsService;
+    this.storageService = storageService || StorageService;
+    this.auditLog = auditLog || AuditLogService;
+    this.copiedHash = null;
+    this.timer = null;
+  }
+
+  /**
+   * Copy a value and note the use of the credential it belongs to
+   * @param {String} value Text to copy
+   * @param {Object} options Options (key: credential the value belongs to,
+   * label: name of the copied field for the audit log, secret: flag it as
+   * sensitive and clear it after the timeout)
+   * @returns {Promise<Number>} Seconds until the clipboard is cleared, 0 if it is not
+   */
+  async copy(value, { key, label = null, secret = false } = {}) {
+    this._clearTimer();
+    this.copiedHash = null;
+
+    const timeout = secret ? this.settingsService.getClipboardClearTimeout() : 0;
+    await this.clipboard.setString(value, { sensitive: secret, expiresIn: timeout });
+    if (key) {
+      this.storageService.markCredentialUsed(key);
+      this.auditLog.record(AUDIT_EVENT.COPY, { key, details: { field: label } });
+    }
+
+    if (timeout > 0) {
+      this.copiedHash = this._hash(value);
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.clearIfUnchanged().catch(error => {
+          console.error('Error clearing clipboard:', error);
+        });
+      }, timeout * 1000);
+    }
+    return timeout;
+  }
+
+  /**
+   * Clear the clipboard if it still holds the last copied secret
+   * @returns {Promise<Boolean>} Whether the clipboard was cleared
+   */
+  async clearIfUnchanged() {
+    this._clearTimer();
+    const copiedHash = this.copiedHash;
+    this.copiedHash = null;
+    if (!copiedHash) {
+      return false;
+    }
+
+    const current = await this.clipboard.getString();
+    if (!current || this._hash(current) !== copiedHash) {
+      return false;
+    }
+    await this.clipboard.clear();
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _hash(value) {
+    return CryptoUtils.bytesToHex(sha256(utf8ToBytes(value)));
+  }
+
+  /**
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default new ClipboardService();
@@ -0,0 +1,205 @@
+import StorageService from './StorageService';
+import CsvUtils from '../utils/CsvUtils';
+import { StorageError, StorageErrorCode, success, failure } from './StorageErrors';
+
+/**
+ * Get the host of a URL without relying on the URL class, which React
+ * Native only partially implements
+ * @param {String} url Absolute URL
+ * @returns {String} Host name, or the input when it is not a URL
+ */
+const getHostname = url => {
+  const match = (url || '').match(/^[a-z][a-z0-9+.-]*:\/\/(?:[^@/]*@)?([^/?#:]+)/i);
+  return match ? match[1].replace(/^www\./i, '') : url || '';
+};
+
+// Supported export formats, most specific header set first since several
+// managers share the basic name/url/username/password columns. `accepts`
+// drops non-login rows such as secure notes and cards.
+export const CSV_DIALECTS = [
+  {
+    id: 'bitwarden',
+    label: 'Bitwarden',
+    headers: ['login_uri', 'login_username', 'login_password'],
+    accepts: record => !record.type || record.type === 'login',
+    map: record => ({
+      name: record.name,
+      url: record.login_uri,
+      username: record.login_username,
+      password: record.login_password,
+      notes: record.notes,
+    }),
+  },
+  {
+    id: 'lastpass',
+    label: 'LastPass',
+    headers: ['url', 'username', 'password', 'extra', 'name', 'grouping'],
+    // Secure notes are exported with this placeholder URL
+    accepts: record => record.url !== 'http://sn',
+    map: record => ({
+      name: record.name,
+      url: record.url,
+      username: record.username,
+      password: record.password,
+      notes: record.extra,
+    }),
+  },
+  {
+    id: 'firefox',
+    label: 'Firefox',
+    headers: ['url', 'username', 'password', 'httprealm', 'formactionorigin'],
+    accepts: () => true,
+    map: record => ({
+      name: getHostname(record.url),
+      url: record.url,
+      username: record.username,
+      password: record.password,
+      notes: '',
+    }),
+  },
+  {
+    id: '1password',
+    label: '1Password',
+    headers: ['title', 'username', 'password'],
+    accepts: () => true,
+    map: record => ({
+      name: record.title,
+      url: record.url || record.website || record['login url'],
+      username: record.username,
+      password: record.password,
+      notes: record.notes || record['notes plain'],
+    }),
+  },
+  {
+    id: 'chrome',
+    label: 'Chrome',
+    headers: ['name', 'url', 'username', 'password'],
+    accepts: () => true,
+    map: record => ({
+      name: record.name || getHostname(record.url),
+      url: record.url,
+      username: record.username,
+      password: record.password,
+      notes: record.note,
+    }),
+  },
+];
+
+/**
+ * Imports logins from the CSV exports of other password managers
+ */
+export class CsvImportService {
+  /**
+   * @param {Object} options Optional storageService
+   */
+  constructor({ storageService } = {}) {
+    this.storageService = storageService || StorageService;
+  }
+
+  /**
+   * Find the export format from the header row
+   * @param {Array<String>} headers Lowercase header names
+   * @returns {Object|undefined} Matching entry of CSV_DIALECTS
+   */
+  detectDialect(headers) {
+    return CSV_DIALECTS.find(dialect =>
+      dialect.headers.every(header => headers.includes(header)),
+    );
+  }
+
+  /**
+   * Parse an export into preview rows. Nothing is saved.
+   * Rows whose name is already in the vault are flagged as duplicates;
+   * repeated names within the file get the username appended, then a
+   * number, until the name is neither in the file nor in the vault.
+   * @param {String} text CSV contents
+   * @returns {Object} Result whose value has the dialect and rows
+   * ({ name, username, password, url, notes, duplicate, invalid })
+   */
+  parse(text) {
+    const { headers, records } = CsvUtils.parseWithHeaders(text);
+    const dialect = this.detectDialect(headers);
+
+    if (!dialect) {
+      return failure(new StorageError(
+        StorageErrorCode.IMPORT_INVALID,
+        `Unrecognized CSV headers: ${headers.join(', ')}`,
+      ));
+    }
+
+    const existing = new Set(this.storageService.getItemsList());
+    const used = new Set();
+
+    const rows = records
+      .filter(record => dialect.accepts(record))
+      .map(record => {
+        const mapped = dialect.map(record);
+        const row = {
+          name: (mapped.name || '').trim(),
+          username: mapped.username || '',
+          password: mapped.password || '',
+          url: mapped.url || null,
+          notes: mapped.notes || null,
+        };
+
+        if (used.has(row.name)) {
+          const taken = name => used.has(name) || existing.has(name);
+          const stem = row.username ? `${row.name} (${row.username})` : row.name;
+          let name = stem;
+          for (let suffix = 2; name === row.name || taken(name); suffix++) {
+            name = `${stem} (${suffix})`;
+          }
+          row.name = name;
+        }
+        used.add(row.name);
+
+        row.duplicate = existing.has(row.name);
+        row.invalid = !row.name || !row.password;
+        return row;
+      });
+
+    return success({ dialect: { id: dialect.id, label: dialect.label }, rows });
+  }
+
+  /**
+   * Save preview rows as new credentials. Rows whose name is taken are
+   * skipped; existing credentials are never overwritten.
+   * @param {Array<Object>} rows Rows from parse() the user accepted
+   * @param {Object} options Protection applied to every row (useBiometrics, useDevicePasscode)
+   * @returns {Promise<Object>} Result whose value is a report with the
+   * imported, skipped and failed names
+   */
+  async importRows(rows, options = {}) {
+    const { useBiometrics = false, useDevicePasscode = false } = options;
+    const report = {
+      imported: [],
+      skipped: [],
+      failed: [],
+    };
+
+    for (const row of rows) {
+      // Checked again here since the vault may have changed since the preview
+      if (row.invalid || this.storageService.getItemsList().includes(row.name)) {
+        report.skipped.push(row.name);
+        continue;
+      }
+
+      const result = await this.storageService.saveCredential(row.name, row.username, row.password, {
+        useBiometrics,
+        useDevicePasscode,
+        url: row.url,
+        notes: row.notes,
+      });
+
+      if (result.ok) {
+        report.imported.push(row.name);
+      } else {
+        report.failed.push({ name: row.name, error: result.error });
+      }
+    }
+
+    return success(report);
+  }
+}
+
+export default new CsvImportService();
@@ -0,0 +1,199 @@
+import { AppState } from 'react-native';
+import SettingsService from './SettingsService';
+
+/**
+ * Locks the app again after it was unlocked: when it comes back from the
+ * background after the grace period, or after the inactivity timeout without
+ * touches. Only active while app security is enabled.
+ *
+ * The service only tracks the state; App.tsx shows the lockscreen on top of
+ * the current screens when it locks, so unlocking returns the user to where
+ * they were.
+ */
+export class LockService {
+  /**
+   * @param {Object} options Optional settingsService, appState (AppState
+   * module) and now (clock returning milliseconds)
+   */
+  constructor({ settingsService, appState, now } = {}) {
+    this.settingsService = settingsService || SettingsService;
+    this.appState = appState || AppState;
+    this.now = now || Date.now;
+    this.locked = false;
+    this.lastActivityAt = this.now();
+    this.backgroundedAt = null;
+    this.listeners = new Set();
+    this.subscription = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start watching the app state and inactivity.
+   * Must be called after SettingsService.init().
+   * @param {Boolean} locked Whether the app starts locked, i.e. on the lockscreen
+   */
+  start(locked = false) {
+    this.stop();
+    this.locked = locked;
+    this.lastActivityAt = this.now();
+    this.backgroundedAt = null;
+    this.subscription = this.appState.addEventListener('change', state => this._handleAppStateChange(state));
+    this._scheduleInactivityCheck();
+  }
+
+  /**
+   * Stop watching. The lock state is kept.
+   */
+  stop() {
+    if (this.subscription) {
+      this.subscription.remove();
+      this.subscription = null;
+    }
+    this._clearTimer();
+  }
+
+  /**
+   * Whether the lockscreen must be shown
+   * @returns {Boolean} Lock state
+   */
+  isLocked() {
+    return this.locked;
+  }
+
+  /**
+   * Be notified when the app locks or unlocks
+   * @param {Function} listener Called with the new lock state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Note user activity, e.g. a touch, which restarts the inactivity timeout
+   */
+  recordActivity() {
+    this.lastActivityAt = this.now();
+  }
+
+  /**
+   * Pick up changed timeouts from SettingsService
+   */
+  applySettings() {
+    this._scheduleInactivityCheck();
+  }
+
+  /**
+   * Lock the app now. Does nothing while app security is disabled.
+   */
+  lock() {
+    if (this.locked || !this.settingsService.isAppSecurityEnabled()) {
+      return;
+    }
+    this.locked = true;
+    this._clearTimer();
+    this._notify();
+  }
+
+  /**
+   * Mark the app unlocked after a successful authentication
+   */
+  unlock() {
+    this.lastActivityAt = this.now();
+    this.backgroundedAt = null;
+    if (this.locked) {
+      this.locked = false;
+      this._notify();
+    }
+    this._scheduleInactivityCheck();
+  }
+
+  /**
+   * @private
+   */
+  _handleAppStateChange(state) {
+    // Authentication prompts can send the app to the background themselves,
+    // so nothing counts while the lockscreen is up
+    if (this.locked) {
+      return;
+    }
+
+    if (state === 'background') {
+      this.backgroundedAt = this.now();
+      // Timers do not run reliably in the background
+      this._clearTimer();
+    } else if (state === 'active') {
+      const backgroundedAt = this.backgroundedAt;
+      this.backgroundedAt = null;
+
+      const gracePeriod = this.settingsService.getLockGracePeriod() * 1000;
+      if (backgroundedAt !== null && this.now() - backgroundedAt >= gracePeriod) {
+        this.lock();
+      } else if (this._isInactive()) {
+        this.lock();
+      } else {
+        this._scheduleInactivityCheck();
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isInactive() {
+    const timeout = this._getInactivityTimeout();
+    return timeout > 0 && this.now() - this.lastActivityAt >= timeout;
+  }
+
+  /**
+   * Inactivity timeout in milliseconds, 0 when disabled
+   * @private
+   */
+  _getInactivityTimeout() {
+    return this.settingsService.getInactivityTimeout() * 60 * 1000;
+  }
+
+  /**
+   * Check again when the timeout would expire without further activity.
+   * Touches only update lastActivityAt, so the check reschedules itself
+   * instead of being reset on every touch.
+   * @private
+   */
+  _scheduleInactivityCheck() {
+    this._clearTimer();
+    const timeout = this._getInactivityTimeout();
+    if (this.locked || timeout <= 0) {
+      return;
+    }
+
+    const remaining = Math.max(0, this.lastActivityAt + timeout - this.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (this._isInactive()) {
+        this.lock();
+      } else {
+        this._scheduleInactivityCheck();
+      }
+    }, remaining);
+  }
+
+  /**
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _notify() {
+    this.listeners.forEach(listener => listener(this.locked));
+  }
+}
+
+export default new LockService();
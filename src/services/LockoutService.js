@@ -0,0 +1,92 @@
+import NativeClock from './adapters/NativeClock';
+import SettingsService from './SettingsService';
+import AuditLogService, { AUDIT_EVENT, AUDIT_OUTCOME } from './AuditLogService';
+
+// First cool-down once the threshold is reached; each further failure doubles it
+export const BASE_LOCKOUT_MS = 30 * 1000;
+export const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+/**
+ * Counts failed and cancelled app unlocks across restarts and enforces a
+ * growing cool-down once SettingsService's threshold is reached. A
+ * successful unlock resets the count.
+ *
+ * Cool-downs are measured on a clock that changing the device time cannot
+ * move (see adapters/NativeClock). That clock restarts at 0 on reboot, so a
+ * cool-down carried over a reboot only counts the time since boot as passed.
+ */
+export class LockoutService {
+  /**
+   * @param {Object} options Optional clock (see adapters), settingsService and auditLog
+   */
+  constructor({ clock, settingsService, auditLog } = {}) {
+    this.clock = clock || new NativeClock();
+    this.settingsService = settingsService || SettingsService;
+    this.auditLog = auditLog || AuditLogService;
+  }
+
+  /**
+   * Failed or cancelled unlocks since the last successful one
+   * @returns {Number} Count
+   */
+  getFailures() {
+    const state = this.settingsService.getUnlockFailures();
+    return state ? state.failures : 0;
+  }
+
+  /**
+   * Time left before another unlock may be attempted
+   * @returns {Promise<Number>} Milliseconds, 0 when not locked out
+   */
+  async getRemaining() {
+    const state = this.settingsService.getUnlockFailures();
+    if (!state || !state.lockedUntil) {
+      return 0;
+    }
+
+    const { elapsed, bootId } = await this.clock.now();
+    const remaining = bootId === state.bootId && elapsed >= state.recordedAt
+      ? state.lockedUntil - elapsed
+      : state.lockedUntil - state.recordedAt - elapsed;
+    return Math.max(0, remaining);
+  }
+
+  /**
+   * Count a failed or cancelled unlock and start a cool-down once the
+   * threshold is reached
+   * @returns {Promise<Object>} Result (failures, lockedFor: milliseconds of
+   * cool-down started, 0 if none)
+   */
+  async recordFailure() {
+    const failures = this.getFailures() + 1;
+    const beyond = failures - this.settingsService.getLockoutThreshold();
+    const lockedFor = beyond >= 0 ? Math.min(BASE_LOCKOUT_MS * 2 ** beyond, MAX_LOCKOUT_MS) : 0;
+
+    const { elapsed, bootId } = await this.clock.now();
+    this.settingsService.setUnlockFailures({
+      failures,
+      bootId,
+      recordedAt: elapsed,
+      lockedUntil: lockedFor > 0 ? elapsed + lockedFor : null,
+    });
+
+    if (lockedFor > 0) {
+      this.auditLog.record(AUDIT_EVENT.LOCKOUT, {
+        outcome: AUDIT_OUTCOME.FAILURE,
+        details: { failures, seconds: lockedFor / 1000 },
+      });
+    }
+    return { failures, lockedFor };
+  }
+
+  /**
+   * Reset the count after a successful unlock
+   */
+  recordSuccess() {
+    if (this.settingsService.getUnlockFailures()) {
+      this.settingsService.setUnlockFailures(null);
+    }
+  }
+}
+
+export default new LockoutService();
@@ -0,0 +1,188 @@
+/**
+ * Versioned schema for the `metadata_${key}` records kept in MMKV.
+ *
+ * Records written before versioning have no `schemaVersion` and are treated
+ * as version 0. To change the shape, bump METADATA_SCHEMA_VERSION, append a
+ * migration that upgrades records from the previous version, and add a
+ * fixture of the previous format under __tests__/fixtures/metadata.
+ */
+
+export const METADATA_SCHEMA_VERSION = 12;
+
+// Kinds of credential; decides how the keychain secret is read.
+// Fields of each kind are declared in utils/CredentialTypes.
+export const CREDENTIAL_TYPE = {
+  // Username and password
+  LOGIN: 'login',
+  // otpauth:// URI of a one-time code generator, see TotpUtils
+  TOTP: 'totp',
+  NOTE: 'note',
+  API_KEY: 'apiKey',
+  CARD: 'card',
+  IDENTITY: 'identity',
+};
+
+// Fields every record is guaranteed to have after migration
+export const REQUIRED_METADATA_FIELDS = [
+  'schemaVersion',
+  'key',
+  'createdAt',
+  'updatedAt',
+  'useBiometrics',
+  'useDevicePasscode',
+  'history',
+  'url',
+  'notes',
+  'lastUsedAt',
+  'folder',
+  'tags',
+  'strength',
+  'compromised',
+  'type',
+  'fields',
+  'customFields',
+  'rotationDays',
+  'fingerprint',
+];
+
+// Ordered list of forward migrations. Each one receives a record of the
+// previous version and the credential key, and returns the upgraded record.
+const migrations = [
+  {
+    version: 1,
+    // Version 0 had an implicit shape; normalize it and fill gaps left by
+    // older code paths that wrote partial records
+    migrate: (record, key) => ({
+      ...record,
+      key: record.key || key,
+      createdAt: record.createdAt || record.updatedAt || null,
+      updatedAt: record.updatedAt || record.createdAt || null,
+      useBiometrics: !!record.useBiometrics,
+      useDevicePasscode: !!record.useDevicePasscode,
+    }),
+  },
+  {
+    version: 2,
+    // Previous secret versions, newest first:
+    // [{ secretId, replacedAt, useBiometrics, useDevicePasscode }]
+    migrate: record => ({
+      ...record,
+      history: record.history || [],
+    }),
+  },
+  {
+    version: 3,
+    // Optional website and free-form notes, null when not set
+    migrate: record => ({
+      ...record,
+      url: record.url || null,
+      notes: record.notes || null,
+    }),
+  },
+  {
+    version: 4,
+    // When the credential was last opened, null if never
+    migrate: record => ({
+      ...record,
+      lastUsedAt: record.lastUsedAt || null,
+    }),
+  },
+  {
+    version: 5,
+    // Folder name (null when unfiled) and free-form tags
+    migrate: record => ({
+      ...record,
+      folder: record.folder || null,
+      tags: record.tags || [],
+    }),
+  },
+  {
+    version: 6,
+    // Password strength score from 0 to 4, see StrengthEstimator. Unknown
+    // (null) until the secret is next written, since migrating cannot
+    // read secrets behind authentication.
+    migrate: record => ({
+      ...record,
+      strength: typeof record.strength === 'number' ? record.strength : null,
+    }),
+  },
+  {
+    version: 7,
+    // Whether the secret was found in the breach filter, null until checked
+    migrate: record => ({
+      ...record,
+      compromised: typeof record.compromised === 'boolean' ? record.compromised : null,
+    }),
+  },
+  {
+    version: 8,
+    // Every credential stored before other kinds existed is a login
+    migrate: record => ({
+      ...record,
+      type: record.type || CREDENTIAL_TYPE.LOGIN,
+    }),
+  },
+  {
+    version: 9,
+    // Non-secret field values of the credential type, by field name
+    migrate: record => ({
+      ...record,
+      fields: record.fields || {},
+    }),
+  },
+  {
+    version: 10,
+    // User-defined fields in display order: [{ id, name, secret, value }],
+    // value only for plain fields, see CredentialTypes
+    migrate: record => ({
+      ...record,
+      customFields: record.customFields || [],
+    }),
+  },
+  {
+    version: 11,
+    // Days after which the secret is due for rotation: null follows the
+    // folder or app default, 0 never reminds, see RotationService
+    migrate: record => ({
+      ...record,
+      rotationDays: typeof record.rotationDays === 'number' ? record.rotationDays : null,
+    }),
+  },
+  {
+    version: 12,
+    // Keyed hash of the password for spotting reuse without keeping the
+    // password. Unknown (null) until the secret is next written or read.
+    migrate: record => ({
+      ...record,
+      fingerprint: record.fingerprint || null,
+    }),
+  },
+];
+
+/**
+ * Get the schema version a record was written with
+ * @param {Object} record Parsed metadata record
+ * @returns {Number} Schema version (0 for unversioned records)
+ */
+export const getMetadataVersion = record => record.schemaVersion || 0;
+
+/**
+ * Upgrade a metadata record to the current schema version.
+ * Records written by a newer app version are returned unchanged.
+ * @param {Object} record Parsed metadata record
+ * @param {String} key Identifier of the credential the record belongs to
+ * @returns {Object} Upgraded record
+ */
+export const upgradeMetadata = (record, key) => {
+  const fromVersion = getMetadataVersion(record);
+
+  return migrations
+    .filter(migration => migration.version > fromVersion)
+    .reduce(
+      (current, migration) => ({
+        ...migration.migrate(current, key),
+        schemaVersion: migration.version,
+      }),
+      record,
+    );
+};
@@ -0,0 +1,288 @@
+import StorageService from './StorageService';
+import { StorageError, StorageErrorCode, success, failure, toStorageError } from './StorageErrors';
+
+// Storage key of the folder list, kept so empty folders survive
+const FOLDERS_KEY = 'folders';
+
+// Storage key of the rotation periods set on folders, by folder name
+const FOLDER_ROTATION_KEY = 'folderRotation';
+
+/**
+ * Compare names the way users expect: "Work" and "work " are the same folder
+ * @param {String} name Folder or tag name
+ * @returns {String} Comparison key
+ */
+const normalizeName = name => name.trim().toLowerCase();
+
+/**
+ * Folders and tags stored in credential metadata. A credential belongs to
+ * at most one folder and may carry any number of tags.
+ */
+export class OrganizationService {
+  /**
+   * @param {Object} options Optional storageService
+   */
+  constructor({ storageService } = {}) {
+    this.storageService = storageService || StorageService;
+  }
+
+  /**
+   * List folders, including ones only referenced by credentials
+   * @returns {Array<String>} Folder names, alphabetical
+   */
+  getFolders() {
+    const stored = this._getStoredFolders();
+    const referenced = this.storageService.getItemsMetadata()
+      .map(metadata => metadata.folder)
+      .filter(Boolean);
+
+    return this._dedupe([...stored, ...referenced])
+      .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+  }
+
+  /**
+   * Create an empty folder
+   * @param {String} name Folder name
+   * @returns {Object} Result whose value is the stored name
+   */
+  createFolder(name) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      return failure(new StorageError(StorageErrorCode.UNKNOWN, 'Folder name is empty'));
+    }
+
+    const existing = this.getFolders().find(folder => normalizeName(folder) === normalizeName(trimmed));
+    if (existing) {
+      return success(existing);
+    }
+
+    this._saveStoredFolders([...this._getStoredFolders(), trimmed]);
+    return success(trimmed);
+  }
+
+  /**
+   * Rename a folder and move its credentials along. Renaming onto an
+   * existing folder merges the two.
+   * @param {String} from Current folder name
+   * @param {String} to New folder name
+   * @returns {Object} Result, see StorageErrors
+   */
+  renameFolder(from, to) {
+    try {
+      const trimmed = (to || '').trim();
+      if (!trimmed) {
+        return failure(new StorageError(StorageErrorCode.UNKNOWN, 'Folder name is empty'));
+      }
+
+      // Merging into another folder keeps that folder's spelling
+      const target = this.getFolders().find(folder =>
+        folder !== from && normalizeName(folder) === normalizeName(trimmed),
+      ) || trimmed;
+
+      // Credentials first: if this is interrupted the old name is still
+      // listed and renaming again finishes the job
+      for (const metadata of this.storageService.getItemsMetadata()) {
+        if (metadata.folder === from) {
+          const result = this.storageService.updateCredentialMetadata(metadata.key, { folder: target });
+          if (!result.ok) {
+            return result;
+          }
+        }
+      }
+
+      this._saveStoredFolders([
+        ...this._getStoredFolders().filter(folder => folder !== from),
+        target,
+      ]);
+
+      // A merge keeps the target's own period when it has one
+      const { [from]: period, ...periods } = this._getFolderRotations();
+      if (period !== undefined && periods[target] === undefined) {
+        periods[target] = period;
+      }
+      this._saveFolderRotations(periods);
+      return success();
+    } catch (error) {
+      console.error('Error renaming folder:', error);
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * Delete a folder. Its credentials are kept and become unfiled.
+   * @param {String} name Folder name
+   * @returns {Object} Result, see StorageErrors
+   */
+  deleteFolder(name) {
+    try {
+      for (const metadata of this.storageService.getItemsMetadata()) {
+        if (metadata.folder === name) {
+          const result = this.storageService.updateCredentialMetadata(metadata.key, { folder: null });
+          if (!result.ok) {
+            return result;
+          }
+        }
+      }
+
+      this._saveStoredFolders(this._getStoredFolders().filter(folder => folder !== name));
+      const { [name]: removed, ...periods } = this._getFolderRotations();
+      this._saveFolderRotations(periods);
+      return success();
+    } catch (error) {
+      console.error('Error deleting folder:', error);
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * Days after which the secrets in a folder are due for rotation
+   * @param {String} folder Folder name
+   * @returns {Number|null} Period (0 never reminds), null when the folder
+   * follows the app default
+   */
+  getFolderRotation(folder) {
+    return this._getFolderRotations()[folder] ?? null;
+  }
+
+  /**
+   * Set the rotation period of the secrets in a folder
+   * @param {String} folder Folder name
+   * @param {Number|null} days Period (0 never reminds), null to follow the app default
+   * @returns {Object} Result, see StorageErrors
+   */
+  setFolderRotation(folder, days) {
+    try {
+      const { [folder]: previous, ...periods } = this._getFolderRotations();
+      this._saveFolderRotations(days === null ? periods : { ...periods, [folder]: days });
+      return success();
+    } catch (error) {
+      console.error('Error setting folder rotation:', error);
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * Put a credential in a folder, creating the folder if needed
+   * @param {String} key Identifier for the credential
+   * @param {String|null} folder Folder name, null to unfile
+   * @returns {Object} Result, see StorageErrors
+   */
+  setCredentialFolder(key, folder) {
+    if (!folder) {
+      return this.storageService.updateCredentialMetadata(key, { folder: null });
+    }
+
+    const created = this.createFolder(folder);
+    if (!created.ok) {
+      return created;
+    }
+    return this.storageService.updateCredentialMetadata(key, { folder: created.value });
+  }
+
+  /**
+   * Replace a credential's tags. Tags are trimmed and deduplicated,
+   * reusing the spelling of an existing tag when one matches.
+   * @param {String} key Identifier for the credential
+   * @param {Array<String>} tags New tags
+   * @returns {Object} Result, see StorageErrors
+   */
+  setCredentialTags(key, tags) {
+    const known = this.getAllTags();
+    const resolved = tags
+      .map(tag => tag.trim())
+      .filter(Boolean)
+      .map(tag => known.find(existing => normalizeName(existing) === normalizeName(tag)) || tag);
+
+    return this.storageService.updateCredentialMetadata(key, { tags: this._dedupe(resolved) });
+  }
+
+  /**
+   * List every tag in use, most used first
+   * @returns {Array<String>} Tag names
+   */
+  getAllTags() {
+    const counts = new Map();
+    for (const metadata of this.storageService.getItemsMetadata()) {
+      for (const tag of metadata.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    return [...counts.entries()]
+      .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+      .map(([tag]) => tag);
+  }
+
+  /**
+   * Suggest existing tags for autocompletion
+   * @param {String} input Partial tag typed by the user
+   * @param {Array<String>} exclude Tags already on the credential
+   * @returns {Array<String>} Matching tags, most used first
+   */
+  suggestTags(input, exclude = []) {
+    const prefix = normalizeName(input || '');
+    const excluded = exclude.map(normalizeName);
+
+    return this.getAllTags().filter(tag =>
+      normalizeName(tag).startsWith(prefix) && !excluded.includes(normalizeName(tag)),
+    );
+  }
+
+  /**
+   * Read the stored folder list
+   * @private
+   * @returns {Array<String>} Folder names
+   */
+  _getStoredFolders() {
+    const folders = this.storageService.storage.getString(FOLDERS_KEY);
+    return folders ? JSON.parse(folders) : [];
+  }
+
+  /**
+   * Write the stored folder list
+   * @private
+   * @param {Array<String>} folders Folder names
+   */
+  _saveStoredFolders(folders) {
+    this.storageService.storage.set(FOLDERS_KEY, JSON.stringify(this._dedupe(folders)));
+  }
+
+  /**
+   * Read the rotation periods set on folders
+   * @private
+   * @returns {Object} Periods in days by folder name
+   */
+  _getFolderRotations() {
+    const periods = this.storageService.storage.getString(FOLDER_ROTATION_KEY);
+    return periods ? JSON.parse(periods) : {};
+  }
+
+  /**
+   * Write the rotation periods set on folders
+   * @private
+   * @param {Object} periods Periods in days by folder name
+   */
+  _saveFolderRotations(periods) {
+    this.storageService.storage.set(FOLDER_ROTATION_KEY, JSON.stringify(periods));
+  }
+
+  /**
+   * Drop names that only differ in case or surrounding space, keeping the first
+   * @private
+   * @param {Array<String>} names Names to deduplicate
+   * @returns {Array<String>} Unique names
+   */
+  _dedupe(names) {
+    const seen = new Set();
+    return names.filter(name => {
+      const normalized = normalizeName(name);
+      if (seen.has(normalized)) {
+        return false;
+      }
+      seen.add(normalized);
+      return true;
+    });
+  }
+}
+
+export default new OrganizationService();
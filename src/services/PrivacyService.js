@@ -0,0 +1,92 @@
+import { AppState, NativeModules } from 'react-native';
+
+/**
+ * Tells the app when it leaves the foreground, i.e. when the system may
+ * capture the screen for the app switcher. App.tsx covers the screens then
+ * (unless turned off in SettingsService) and screens and modals that reveal
+ * secrets subscribe to mask them again.
+ *
+ * Android takes the app switcher snapshot before the cover renders, so
+ * there the app's SecureWindow module keeps the window out of snapshots
+ * while the cover is on.
+ */
+export class PrivacyService {
+  /**
+   * @param {Object} options Optional appState (AppState module) and
+   * secureWindow (SecureWindow native module)
+   */
+  constructor({ appState, secureWindow } = {}) {
+    this.appState = appState || AppState;
+    this.secureWindow = secureWindow || NativeModules.SecureWindow || null;
+    this.hidden = false;
+    this.listeners = new Set();
+    this.subscription = null;
+  }
+
+  /**
+   * Start watching the app state
+   */
+  start() {
+    this.stop();
+    this.subscription = this.appState.addEventListener('change', state => this._handleAppStateChange(state));
+  }
+
+  /**
+   * Stop watching the app state
+   */
+  stop() {
+    if (this.subscription) {
+      this.subscription.remove();
+      this.subscription = null;
+    }
+  }
+
+  /**
+   * Keep the window out of app switcher snapshots and screenshots where
+   * the platform allows it (Android)
+   * @param {Boolean} enabled Whether the privacy cover is on
+   * @returns {Promise<void>}
+   */
+  async setSecure(enabled) {
+    try {
+      if (this.secureWindow) {
+        await this.secureWindow.setSecure(enabled);
+      }
+    } catch (error) {
+      console.error('Error securing window:', error);
+    }
+  }
+
+  /**
+   * Whether the app is out of the foreground
+   * @returns {Boolean} Hidden state
+   */
+  isHidden() {
+    return this.hidden;
+  }
+
+  /**
+   * Be notified when the app leaves or returns to the foreground
+   * @param {Function} listener Called with the new hidden state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @private
+   */
+  _handleAppStateChange(state) {
+    // iOS passes through 'inactive' before the snapshot is taken; Android
+    // goes straight to 'background'
+    const hidden = state === 'inactive' || state === 'background';
+    if (hidden !== this.hidden) {
+      this.hidden = hidden;
+      this.listeners.forEach(listener => listener(hidden));
+    }
+  }
+}
+
+export default new PrivacyService();
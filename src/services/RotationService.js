@@ -0,0 +1,106 @@
+import StorageService from './StorageService';
+import OrganizationService from './OrganizationService';
+import SettingsService from './SettingsService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where the period of a credential comes from, most specific first
+export const ROTATION_SOURCE = {
+  CREDENTIAL: 'credential',
+  FOLDER: 'folder',
+  DEFAULT: 'default',
+};
+
+// Choices offered for the period of a credential or folder, in days
+// (null follows the folder or app default, 0 never reminds)
+export const ROTATION_POLICY_OPTIONS = [null, 0, 30, 90, 180, 365];
+
+/**
+ * Short label of a period choice
+ * @param {Number|null} days Period, see ROTATION_POLICY_OPTIONS
+ * @returns {String} Label
+ */
+export const formatRotationPeriod = days => {
+  if (days === null) {
+    return 'Default';
+  }
+  return days === 0 ? 'Never' : `${days}d`;
+};
+
+/**
+ * Reminds to change secrets that have not changed for too long. The period
+ * is taken from the credential, else its folder, else the app default in
+ * SettingsService. The age of a secret runs from its updatedAt, which only
+ * moves when the secret itself changes.
+ */
+export class RotationService {
+  /**
+   * @param {Object} options Optional storageService, organizationService,
+   * settingsService and now (clock returning milliseconds)
+   */
+  constructor({ storageService, organizationService, settingsService, now } = {}) {
+    this.storageService = storageService || StorageService;
+    this.organizationService = organizationService || OrganizationService;
+    this.settingsService = settingsService || SettingsService;
+    this.now = now || Date.now;
+  }
+
+  /**
+   * Find the period that applies to a credential
+   * @param {Object} metadata Metadata record
+   * @returns {Object} Policy (days: 0 when never due, source: one of ROTATION_SOURCE)
+   */
+  getPolicy(metadata) {
+    if (typeof metadata.rotationDays === 'number') {
+      return { days: metadata.rotationDays, source: ROTATION_SOURCE.CREDENTIAL };
+    }
+
+    const folderDays = metadata.folder ? this.organizationService.getFolderRotation(metadata.folder) : null;
+    if (folderDays !== null) {
+      return { days: folderDays, source: ROTATION_SOURCE.FOLDER };
+    }
+
+    return { days: this.settingsService.getRotationPeriod(), source: ROTATION_SOURCE.DEFAULT };
+  }
+
+  /**
+   * Check how old a credential's secret is against its period
+   * @param {Object} metadata Metadata record
+   * @returns {Object} Status (days, source, ageDays: whole days since the
+   * secret changed or null if unknown, due)
+   */
+  getStatus(metadata) {
+    const policy = this.getPolicy(metadata);
+    const changedAt = Date.parse(metadata.updatedAt || metadata.createdAt);
+    const ageDays = Number.isNaN(changedAt) ? null : Math.floor((this.now() - changedAt) / DAY_MS);
+
+    return {
+      ...policy,
+      ageDays,
+      due: policy.days > 0 && ageDays !== null && ageDays >= policy.days,
+    };
+  }
+
+  /**
+   * List the credentials due for rotation
+   * @returns {Array<Object>} Metadata records with their status, most overdue first
+   */
+  getDueCredentials() {
+    return this.storageService.getItemsMetadata()
+      .map(metadata => ({ metadata, status: this.getStatus(metadata) }))
+      .filter(({ status }) => status.due)
+      .sort((a, b) => (b.status.ageDays - b.status.days) - (a.status.ageDays - a.status.days));
+  }
+
+  /**
+   * Set the period of a single credential
+   * @param {String} key Identifier for the credential
+   * @param {Number|null} days Period (0 never reminds), null to follow the folder or app default
+   * @returns {Object} Result, see StorageErrors
+   */
+  setCredentialRotation(key, days) {
+    return this.storageService.updateCredentialMetadata(key, { rotationDays: days });
+  }
+}
+
+export default new RotationService();
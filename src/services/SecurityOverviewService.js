@@ -0,0 +1,66 @@
+import StorageService from './StorageService';
+import RotationService from './RotationService';
+import { CREDENTIAL_TYPE } from './MetadataSchema';
+import StrengthEstimator from '../utils/StrengthEstimator';
+
+/**
+ * Scores the whole vault from metadata alone, so building the report never
+ * prompts for authentication. Reuse is found by comparing the password
+ * fingerprints StorageService keeps, never the passwords themselves.
+ */
+export class SecurityOverviewService {
+  /**
+   * @param {Object} options Optional storageService and rotationService
+   */
+  constructor({ storageService, rotationService } = {}) {
+    this.storageService = storageService || StorageService;
+    this.rotationService = rotationService || RotationService;
+  }
+
+  /**
+   * Collect the findings for every credential
+   * @returns {Object} Report (score: 0 to 100, total, reused: groups of
+   * metadata sharing a password, weak, old: { metadata, status } entries,
+   * unprotected, unchecked: logins whose reuse is unknown until opened)
+   */
+  getReport() {
+    // Unreadable records only carry their key and have nothing to score
+    const items = this.storageService.getItemsMetadata().filter(metadata => metadata.schemaVersion);
+    const logins = items.filter(metadata => (metadata.type || CREDENTIAL_TYPE.LOGIN) === CREDENTIAL_TYPE.LOGIN);
+
+    const byFingerprint = new Map();
+    for (const metadata of logins) {
+      if (metadata.fingerprint) {
+        byFingerprint.set(metadata.fingerprint, [...(byFingerprint.get(metadata.fingerprint) || []), metadata]);
+      }
+    }
+    const reused = [...byFingerprint.values()]
+      .filter(group => group.length > 1)
+      .sort((a, b) => b.length - a.length);
+
+    const weak = logins.filter(metadata => StrengthEstimator.isWeak(metadata.strength));
+    const old = items
+      .map(metadata => ({ metadata, status: this.rotationService.getStatus(metadata) }))
+      .filter(({ status }) => status.due);
+    const unprotected = items.filter(metadata => !metadata.useBiometrics && !metadata.useDevicePasscode);
+
+    const flagged = new Set([
+      ...reused.flat(),
+      ...weak,
+      ...old.map(({ metadata }) => metadata),
+      ...unprotected,
+    ].map(metadata => metadata.key));
+
+    return {
+      score: items.length > 0 ? Math.round(100 * (items.length - flagged.size) / items.length) : 100,
+      total: items.length,
+      reused,
+      weak,
+      old,
+      unprotected,
+      unchecked: logins.filter(metadata => !metadata.fingerprint).length,
+    };
+  }
+}
+
+export default new SecurityOverviewService();
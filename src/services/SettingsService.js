@@ -0,0 +1,199 @@
+import StorageKeyService from './StorageKeyService';
+
+// MMKV instance holding app-level security settings
+const SECURITY_STORAGE_ID = 'app-security-storage';
+
+// Choices offered for the number of previous versions kept per credential
+export const HISTORY_RETENTION_OPTIONS = [0, 3, 5, 10];
+
+// Choices offered for how long the app may stay in the background before it
+// locks, in seconds (0 locks as soon as it leaves the foreground)
+export const LOCK_GRACE_PERIOD_OPTIONS = [0, 30, 60, 300];
+export const DEFAULT_LOCK_GRACE_PERIOD = 30;
+
+// Choices offered for how long the app may go untouched before it locks,
+// in minutes (0 never locks for inactivity)
+export const INACTIVITY_TIMEOUT_OPTIONS = [0, 1, 5, 15];
+export const DEFAULT_INACTIVITY_TIMEOUT = 5;
+
+// Choices offered for how long a copied secret stays on the clipboard, in
+// seconds (0 leaves it there)
+export const CLIPBOARD_CLEAR_OPTIONS = [0, 15, 30, 60, 120];
+export const DEFAULT_CLIPBOARD_CLEAR_TIMEOUT = 30;
+
+// Choices offered for the number of failed or cancelled unlocks in a row
+// after which the lockscreen enforces a cool-down
+export const LOCKOUT_THRESHOLD_OPTIONS = [3, 5, 10];
+export const DEFAULT_LOCKOUT_THRESHOLD = 5;
+
+// Choices offered for the age in days after which a secret is due for
+// rotation, unless its folder or the credential sets its own (0 never reminds)
+export const ROTATION_PERIOD_OPTIONS = [0, 30, 90, 180, 365];
+export const DEFAULT_ROTATION_PERIOD = 90;
+
+class SettingsService {
+  constructor() {
+    // Opened by init() once the encryption key is loaded from the keychain
+    this.storage = null;
+  }
+
+  /**
+   * Open the encrypted settings storage. Must complete before any getter is used.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    // This instance was unencrypted before, so there is no legacy key
+    this.storage = await StorageKeyService.openStorage(SECURITY_STORAGE_ID);
+  }
+
+  /**
+   * Whether the app requires authentication on launch
+   * @returns {Boolean} App security status
+   */
+  isAppSecurityEnabled() {
+    return this.storage.getBoolean('appSecurityEnabled') || false;
+  }
+
+  /**
+   * Enable or disable authentication on launch
+   * @param {Boolean} value New app security status
+   */
+  setAppSecurityEnabled(value) {
+    this.storage.set('appSecurityEnabled', value);
+  }
+
+  /**
+   * Number of previous secret versions kept per credential
+   * @returns {Number|undefined} Configured count, undefined if never set
+   */
+  getHistoryRetention() {
+    return this.storage.getNumber('historyRetention');
+  }
+
+  /**
+   * Set the number of previous secret versions kept per credential
+   * @param {Number} count Number of versions to keep
+   */
+  setHistoryRetention(count) {
+    this.storage.set('historyRetention', count);
+  }
+
+  /**
+   * Whether the screens are covered while the app is in the app switcher
+   * @returns {Boolean} Privacy cover status, on unless turned off
+   */
+  isPrivacyCoverEnabled() {
+    return this.storage.getBoolean('privacyCoverEnabled') ?? true;
+  }
+
+  /**
+   * Turn the privacy cover on or off
+   * @param {Boolean} value New privacy cover status
+   */
+  setPrivacyCoverEnabled(value) {
+    this.storage.set('privacyCoverEnabled', value);
+  }
+
+  /**
+   * Seconds the app may spend in the background before it locks
+   * @returns {Number} Grace period, see LOCK_GRACE_PERIOD_OPTIONS
+   */
+  getLockGracePeriod() {
+    return this.storage.getNumber('lockGracePeriod') ?? DEFAULT_LOCK_GRACE_PERIOD;
+  }
+
+  /**
+   * Set the seconds the app may spend in the background before it locks
+   * @param {Number} seconds Grace period
+   */
+  setLockGracePeriod(seconds) {
+    this.storage.set('lockGracePeriod', seconds);
+  }
+
+  /**
+   * Minutes without touches after which the app locks
+   * @returns {Number} Timeout, 0 when disabled, see INACTIVITY_TIMEOUT_OPTIONS
+   */
+  getInactivityTimeout() {
+    return this.storage.getNumber('inactivityTimeout') ?? DEFAULT_INACTIVITY_TIMEOUT;
+  }
+
+  /**
+   * Set the minutes without touches after which the app locks
+   * @param {Number} minutes Timeout, 0 to disable
+   */
+  setInactivityTimeout(minutes) {
+    this.storage.set('inactivityTimeout', minutes);
+  }
+
+  /**
+   * Seconds after which a copied secret is cleared from the clipboard
+   * @returns {Number} Timeout, 0 when disabled, see CLIPBOARD_CLEAR_OPTIONS
+   */
+  getClipboardClearTimeout() {
+    return this.storage.getNumber('clipboardClearTimeout') ?? DEFAULT_CLIPBOARD_CLEAR_TIMEOUT;
+  }
+
+  /**
+   * Set the seconds after which a copied secret is cleared from the clipboard
+   * @param {Number} seconds Timeout, 0 to disable
+   */
+  setClipboardClearTimeout(seconds) {
+    this.storage.set('clipboardClearTimeout', seconds);
+  }
+
+  /**
+   * Failed or cancelled unlocks in a row before the lockscreen locks out
+   * @returns {Number} Threshold, see LOCKOUT_THRESHOLD_OPTIONS
+   */
+  getLockoutThreshold() {
+    return this.storage.getNumber('lockoutThreshold') ?? DEFAULT_LOCKOUT_THRESHOLD;
+  }
+
+  /**
+   * Set the failed or cancelled unlocks in a row before the lockscreen locks out
+   * @param {Number} count Threshold
+   */
+  setLockoutThreshold(count) {
+    this.storage.set('lockoutThreshold', count);
+  }
+
+  /**
+   * Unlock failures and cool-down, see LockoutService
+   * @returns {Object|null} Stored state, null when there were no failures
+   */
+  getUnlockFailures() {
+    const state = this.storage.getString('unlockFailures');
+    return state ? JSON.parse(state) : null;
+  }
+
+  /**
+   * Store the unlock failures and cool-down
+   * @param {Object|null} state State, null to clear it
+   */
+  setUnlockFailures(state) {
+    if (state) {
+      this.storage.set('unlockFailures', JSON.stringify(state));
+    } else {
+      this.storage.delete('unlockFailures');
+    }
+  }
+
+  /**
+   * Days after which a secret is due for rotation by default
+   * @returns {Number} Period, 0 when disabled, see ROTATION_PERIOD_OPTIONS
+   */
+  getRotationPeriod() {
+    return this.storage.getNumber('rotationPeriod') ?? DEFAULT_ROTATION_PERIOD;
+  }
+
+  /**
+   * Set the days after which a secret is due for rotation by default
+   * @param {Number} days Period, 0 to disable
+   */
+  setRotationPeriod(days) {
+    this.storage.set('rotationPeriod', days);
+  }
+}
+
+export default new SettingsService();
@@ -0,0 +1,144 @@
+/**
+ * Error taxonomy and result helpers for StorageService.
+ * Storage methods never throw; they resolve to `{ ok: true, value }` or
+ * `{ ok: false, error }` where `error` is a StorageError.
+ */
+
+export const StorageErrorCode = {
+  // The user dismissed the authentication prompt
+  USER_CANCELLED: 'UserCancelled',
+  // Authentication was attempted but not accepted (wrong biometrics/passcode, lockout)
+  AUTH_FAILED: 'AuthFailed',
+  // No credential is stored under the requested key
+  NOT_FOUND: 'NotFound',
+  // The protecting key was invalidated, e.g. after biometric enrollment changed
+  KEY_INVALIDATED: 'KeyInvalidated',
+  // The device has no screen lock or biometrics set up
+  LOCKSCREEN_UNAVAILABLE: 'LockscreenUnavailable',
+  // Stored data could not be decoded or decrypted
+  STORAGE_CORRUPT: 'StorageCorrupt',
+  // A backup file is not in a format this app can read
+  BACKUP_INVALID: 'BackupInvalid',
+  // A backup could not be decrypted with the given passphrase
+  WRONG_PASSPHRASE: 'WrongPassphrase',
+  // An import file is not an export format this app understands
+  IMPORT_INVALID: 'ImportInvalid',
+  // A breach list is not a filter this app can read
+  BREACH_LIST_INVALID: 'BreachListInvalid',
+  UNKNOWN: 'Unknown',
+};
+
+export class StorageError extends Error {
+  /**
+   * @param {String} code One of StorageErrorCode
+   * @param {String} message Developer-facing description
+   * @param {Error} cause Original error, if any
+   */
+  constructor(code, message, cause) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Build a successful result
+ * @param {*} value Result value
+ * @returns {Object} Result object
+ */
+export const success = value => ({ ok: true, value });
+
+/**
+ * Build a failed result
+ * @param {StorageError} error Failure reason
+ * @returns {Object} Result object
+ */
+export const failure = error => ({ ok: false, error });
+
+/**
+ * Wrap any thrown value in a StorageError
+ * @param {*} error Thrown value
+ * @returns {StorageError} Typed error
+ */
+export const toStorageError = error => {
+  if (error instanceof StorageError) {
+    return error;
+  }
+  if (error instanceof SyntaxError) {
+    // JSON.parse on a damaged metadata record
+    return new StorageError(StorageErrorCode.STORAGE_CORRUPT, error.message, error);
+  }
+  return new StorageError(StorageErrorCode.UNKNOWN, (error && error.message) || String(error), error);
+};
+
+// User-facing text and recovery action for each error code.
+// `action` tells the screen which recovery to offer: retry the operation,
+// go back, open device settings or delete the damaged item.
+const ERROR_DESCRIPTIONS = {
+  [StorageErrorCode.USER_CANCELLED]: {
+    title: 'Authentication Cancelled',
+    message: 'You need to verify your identity to access this credential.',
+    action: 'retry',
+  },
+  [StorageErrorCode.AUTH_FAILED]: {
+    title: 'Authentication Failed',
+    message: 'Your identity could not be verified. Please try again.',
+    action: 'retry',
+  },
+  [StorageErrorCode.NOT_FOUND]: {
+    title: 'Credential Not Found',
+    message: 'This credential no longer exists on this device.',
+    action: 'back',
+  },
+  [StorageErrorCode.KEY_INVALIDATED]: {
+    title: 'Credential Locked',
+    message:
+      'The biometrics or screen lock on this device changed, so this credential can no longer be decrypted. ' +
+      'Delete it and save it again.',
+    action: 'delete',
+  },
+  [StorageErrorCode.LOCKSCREEN_UNAVAILABLE]: {
+    title: 'Screen Lock Required',
+    message: 'Set up a PIN, pattern, password or biometrics in your device settings to use this credential.',
+    action: 'settings',
+  },
+  [StorageErrorCode.STORAGE_CORRUPT]: {
+    title: 'Credential Damaged',
+    message: 'The stored data for this credential could not be read. Delete it and save it again.',
+    action: 'delete',
+  },
+  [StorageErrorCode.BACKUP_INVALID]: {
+    title: 'Invalid Backup',
+    message: 'This is not a credentials backup, or it was made by a newer version of the app.',
+    action: 'back',
+  },
+  [StorageErrorCode.WRONG_PASSPHRASE]: {
+    title: 'Wrong Passphrase',
+    message: 'The backup could not be decrypted. Check the passphrase and try again.',
+    action: 'retry',
+  },
+  [StorageErrorCode.IMPORT_INVALID]: {
+    title: 'Unsupported File',
+    message: 'The file could not be read. Import a backup from this app, or a CSV export from Chrome, Firefox, Bitwarden, 1Password or LastPass.',
+    action: 'back',
+  },
+  [StorageErrorCode.BREACH_LIST_INVALID]: {
+    title: 'Invalid Breach List',
+    message: 'This is not a breach list made for this app, or it was made by a newer version of the app.',
+    action: 'back',
+  },
+  [StorageErrorCode.UNKNOWN]: {
+    title: 'Error',
+    message: 'Something went wrong while accessing secure storage. Please try again.',
+    action: 'retry',
+  },
+};
+
+/**
+ * Get the user-facing description of an error
+ * @param {StorageError} error Error to describe
+ * @returns {Object} Object with title, message and recovery action
+ */
+export const describeStorageError = error =>
+  ERROR_DESCRIPTIONS[error && error.code] || ERROR_DESCRIPTIONS[StorageErrorCode.UNKNOWN];
@@ -0,0 +1,121 @@
+import * as Keychain from 'react-native-keychain';
+import { MMKV } from 'react-native-mmkv';
+import CryptoUtils from '../utils/CryptoUtils';
+
+// Keychain services holding the per-install MMKV keys. Kept outside the
+// credential namespace so they never show up as stored credentials.
+const KEY_SERVICE_PREFIX = 'com.lockscreencreds.storagekey';
+
+// MMKV accepts encryption keys of at most 16 bytes, so use 16 ASCII
+// characters from a 64 symbol alphabet (96 bits of entropy)
+const KEY_LENGTH = 16;
+const KEY_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Stored as the keychain "username" to track whether the MMKV file has
+// already been re-encrypted with the generated key. "recrypting" is stored
+// right before the file is re-encrypted, so a crash during or after it is
+// noticed on the next launch.
+const KEY_STATE_PENDING = 'pending';
+const KEY_STATE_RECRYPTING = 'recrypting';
+const KEY_STATE_ACTIVE = 'active';
+
+// Written under the legacy key before re-encrypting. Reading it back with
+// the generated key shows that re-encrypting finished, since MMKV reads a
+// file opened with the wrong key as empty.
+const RECRYPT_CHECK_KEY = '__storageKeyCheck';
+const RECRYPT_CHECK_VALUE = 'readable';
+
+export class StorageKeyService {
+  /**
+   * @param {Object} options Optional keychain (react-native-keychain API)
+   * and createStorage (MMKV factory taking its configuration)
+   */
+  constructor({ keychain, createStorage } = {}) {
+    this.keychain = keychain || Keychain;
+    this.createStorage = createStorage || (configuration => new MMKV(configuration));
+    this.instances = {};
+    // MMKV keeps the first instance opened for an id until the process
+    // ends, so an id opened with the wrong key can only be opened again
+    // after a restart
+    this.needsRestart = new Set();
+  }
+
+  /**
+   * Open an MMKV instance encrypted with a per-install key from the keychain.
+   * The key is generated on first launch; data written under the legacy key
+   * (or unencrypted when no legacy key is given) is re-encrypted in place.
+   * @param {String} id MMKV instance identifier
+   * @param {Object} options Migration options (legacyEncryptionKey)
+   * @returns {Promise<MMKV>} Opened storage instance
+   */
+  async openStorage(id, options = {}) {
+    if (!this.instances[id]) {
+      this.instances[id] = this._openStorage(id, options).catch(error => {
+        // Allow a later call to retry instead of caching the failure
+        delete this.instances[id];
+        throw error;
+      });
+    }
+    return this.instances[id];
+  }
+
+  async _openStorage(id, { legacyEncryptionKey } = {}) {
+    if (this.needsRestart.has(id)) {
+      throw new Error(`Storage ${id} can only be opened after restarting the app`);
+    }
+
+    const service = `${KEY_SERVICE_PREFIX}.${id}`;
+    const keychainOptions = {
+      service,
+      accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+    };
+
+    let entry = await this.keychain.getGenericPassword({ service });
+
+    if (!entry) {
+      // Persist the new key before touching MMKV so it can never be lost
+      const key = CryptoUtils.getRandomString(KEY_LENGTH, KEY_ALPHABET);
+      await this.keychain.setGenericPassword(KEY_STATE_PENDING, key, keychainOptions);
+      entry = { username: KEY_STATE_PENDING, password: key };
+    }
+
+    if (entry.username === KEY_STATE_RECRYPTING) {
+      // An earlier launch stopped around re-encrypting; the file is under
+      // the generated key if the check value reads back
+      const storage = this.createStorage({ id, encryptionKey: entry.password });
+      if (storage.getString(RECRYPT_CHECK_KEY) === RECRYPT_CHECK_VALUE) {
+        return this._activate(storage, entry.password, keychainOptions);
+      }
+
+      // Still under the legacy key. Writing through this instance would
+      // destroy the file, so re-encrypt on the next launch instead.
+      await this.keychain.setGenericPassword(KEY_STATE_PENDING, entry.password, keychainOptions);
+      this.needsRestart.add(id);
+      throw new Error(`Storage ${id} can only be opened after restarting the app`);
+    }
+
+    if (entry.username === KEY_STATE_PENDING) {
+      // Existing data is still under the legacy key; MMKV rewrites the
+      // whole file with the new key in a single call
+      const storage = this.createStorage({ id, encryptionKey: legacyEncryptionKey });
+      storage.set(RECRYPT_CHECK_KEY, RECRYPT_CHECK_VALUE);
+      await this.keychain.setGenericPassword(KEY_STATE_RECRYPTING, entry.password, keychainOptions);
+      storage.recrypt(entry.password);
+      return this._activate(storage, entry.password, keychainOptions);
+    }
+
+    return this.createStorage({ id, encryptionKey: entry.password });
+  }
+
+  /**
+   * Record that the file is under the generated key
+   * @private
+   */
+  async _activate(storage, key, keychainOptions) {
+    await this.keychain.setGenericPassword(KEY_STATE_ACTIVE, key, keychainOptions);
+    storage.delete(RECRYPT_CHECK_KEY);
+    return storage;
+  }
+}
+
+export default new StorageKeyService();
@@ -1,19 +1,135 @@
 import * as Keychain from 'react-native-keychain';
-import { MMKV } from 'react-native-mmkv';
 import { Platform, NativeModules } from 'react-native';
+import { hmac } from '@noble/hashes/hmac';
+import { sha256 } from '@noble/hashes/sha2';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import StorageKeyService from './StorageKeyService';
+import KeychainSecretStore from './adapters/KeychainSecretStore';
+import MMKVMetadataStore from './adapters/MMKVMetadataStore';
+import WriteAheadJournal from './WriteAheadJournal';
+import CryptoUtils from '../utils/CryptoUtils';
+import StrengthEstimator from '../utils/StrengthEstimator';
+import { unwrapSecret } from '../utils/CredentialTypes';
+import {
+  StorageError,
+  StorageErrorCode,
+  success,
+  failure,
+  toStorageError,
+} from './StorageErrors';
+import {
+  METADATA_SCHEMA_VERSION,
+  CREDENTIAL_TYPE,
+  getMetadataVersion,
+  upgradeMetadata,
+} from './MetadataSchema';
 
-const storage = new MMKV({
-  id: 'app-storage',
-  encryptionKey: 'secure-app-storage-key'
-});
+// MMKV instance holding the items list and credential metadata
+const STORAGE_ID = 'app-storage';
+
+// Static key used by earlier releases, only needed to migrate existing installs
+const LEGACY_ENCRYPTION_KEY = 'secure-app-storage-key';
 
 // Service identifier for keychain
-const SERVICE = 'com.lockscreencreds.example';
+export const SECRET_SERVICE = 'com.lockscreencreds.example';
+
+// Prefix of the per-credential metadata keys in MMKV
+export const METADATA_PREFIX = 'metadata_';
+
+// Random key of this vault's password fingerprints, so equal passwords can
+// be matched without a dictionary of plain hashes working against them
+const FINGERPRINT_SALT_KEY = 'fingerprintSalt';
+
+// Metadata fields only StorageService itself may change, since they must
+// stay in step with the keychain
+const MANAGED_METADATA_FIELDS = [
+  'schemaVersion',
+  'key',
+  'secretId',
+  'history',
+  'useBiometrics',
+  'useDevicePasscode',
+  'createdAt',
+  'updatedAt',
+  'strength',
+  'compromised',
+  'type',
+  'customFields',
+  'fingerprint',
+];
+
+// Number of previous secret versions kept per credential unless configured
+export const DEFAULT_HISTORY_RETENTION = 5;
+
+export class StorageService {
+  /**
+   * @param {Object} stores Optional backends (secretStore, metadataStore).
+   * Defaults to the keychain and the encrypted MMKV instance.
+   */
+  constructor({ secretStore, metadataStore } = {}) {
+    this.secretStore = secretStore || new KeychainSecretStore();
+    this.historyRetention = DEFAULT_HISTORY_RETENTION;
+    // Make storage accessible directly for simpler access.
+    // Without an injected store it is opened by init() once the
+    // encryption key is loaded from the keychain.
+    this.storage = metadataStore || null;
+    this.journal = metadataStore ? new WriteAheadJournal(metadataStore) : null;
+    // Set by BreachService; without one, new secrets are left unchecked
+    this.breachFilter = null;
+  }
+
+  /**
+   * Open the encrypted MMKV storage, replay interrupted operations and
+   * upgrade stored metadata.
+   * Must complete before any other method is used.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    if (!this.storage) {
+      const mmkv = await StorageKeyService.openStorage(STORAGE_ID, {
+        legacyEncryptionKey: LEGACY_ENCRYPTION_KEY,
+      });
+      this.storage = new MMKVMetadataStore(mmkv);
+    }
+
+    this.journal = new WriteAheadJournal(this.storage);
+    await this.replayJournal();
+    this.migrateMetadata();
+  }
 
-class StorageService {
-  constructor() {
-    // Make storage accessible directly for simpler access
-    this.storage = storage;
+  /**
+   * Upgrade every metadata record to the current schema version
+   * @returns {Number} Number of records that were upgraded
+   */
+  migrateMetadata() {
+    // Skip the scan once every record has been upgraded
+    if (this.storage.getString('metadataSchemaVersion') === String(METADATA_SCHEMA_VERSION)) {
+      return 0;
+    }
+
+    let upgraded = 0;
+    const metadataKeys = this.storage
+      .getAllKeys()
+      .filter(storageKey => storageKey.startsWith(METADATA_PREFIX));
+
+    for (const storageKey of metadataKeys) {
+      try {
+        const record = JSON.parse(this.storage.getString(storageKey));
+        if (getMetadataVersion(record) >= METADATA_SCHEMA_VERSION) {
+          continue;
+        }
+
+        const key = storageKey.slice(METADATA_PREFIX.length);
+        this.storage.set(storageKey, JSON.stringify(upgradeMetadata(record, key)));
+        upgraded++;
+      } catch (error) {
+        // Leave unreadable records in place rather than losing them
+        console.error(`Error migrating ${storageKey}:`, error);
+      }
+    }
+
+    this.storage.set('metadataSchemaVersion', String(METADATA_SCHEMA_VERSION));
+    return upgraded;
   }
 
   /**
@@ -21,7 +137,7 @@ class StorageService {
    * @returns {Array} Array of item identifiers
    */
   getItemsList() {
-    const itemsList = storage.getString('itemsList');
+    const itemsList = this.storage.getString('itemsList');
     return itemsList ? JSON.parse(itemsList) : [];
   }
 
@@ -30,95 +146,139 @@ class StorageService {
    * @param {Array} items Array of item identifiers 
    */
   saveItemsList(items) {
-    storage.set('itemsList', JSON.stringify(items));
+    this.storage.set('itemsList', JSON.stringify(items));
   }
 
   /**
-   * Add a new credential to keychain and update the items list
+   * Get the metadata of every listed credential, in list order.
+   * Reads no secrets, so it never prompts for authentication.
+   * @returns {Array<Object>} Metadata records; unreadable ones only carry the key
+   */
+  getItemsMetadata() {
+    return this.getItemsList().map(key => {
+      try {
+        return this._getMetadata(key) || { key };
+      } catch (error) {
+        console.error(`Error reading metadata of ${key}:`, error);
+        return { key };
+      }
+    });
+  }
+
+  /**
+   * Record that a credential was opened, for sorting by last use
    * @param {String} key Identifier for the credential
-   * @param {String} username Username to store
-   * @param {String} password Password or value to store
-   * @param {Object} options Additional options (useBiometrics, etc)
-   * @returns {Promise<Boolean>} Success status
    */
-  async saveCredential(key, username, password, options = {}) {
+  markCredentialUsed(key) {
+    const metadata = this._getMetadata(key);
+    if (metadata) {
+      this.storage.set(`metadata_${key}`, JSON.stringify({
+        ...metadata,
+        lastUsedAt: new Date().toISOString(),
+      }));
+    }
+  }
+
+  /**
+   * Use a breach filter to check secrets as they are written
+   * @param {BloomFilter|null} filter Filter, or null to stop checking
+   */
+  setBreachFilter(filter) {
+    this.breachFilter = filter;
+  }
+
+  /**
+   * Record the result of a breach check of the current secret
+   * @param {String} key Identifier for the credential
+   * @param {Boolean} compromised Whether the secret was found in the breach filter
+   */
+  setCompromised(key, compromised) {
+    const metadata = this._getMetadata(key);
+    if (metadata) {
+      this.storage.set(`metadata_${key}`, JSON.stringify({ ...metadata, compromised }));
+    }
+  }
+
+  /**
+   * Change descriptive metadata fields (url, notes, folder, tags, ...).
+   * Does not touch the secret, so no authentication is needed.
+   * @param {String} key Identifier for the credential
+   * @param {Object} changes Fields to set
+   * @returns {Object} Result, see StorageErrors
+   */
+  updateCredentialMetadata(key, changes) {
     try {
-      const { useBiometrics = false, useDevicePasscode = false } = options;
-      let accessControl = null;
-      let securityLevel = null;
-      let androidAuthenticationRequired = false;
-
-      // Configure security options based on platform and user preferences
-      if (useBiometrics && useDevicePasscode) {
-        // If both are selected, prefer the combination
-        accessControl = Keychain.ACCESS_CONTROL.BIOMETRY_ANY_OR_DEVICE_PASSCODE;
-        androidAuthenticationRequired = true;
-      } else if (useBiometrics) {
-        // Biometrics only
-        accessControl = Keychain.ACCESS_CONTROL.BIOMETRY_ANY;
-        androidAuthenticationRequired = true;
-      } else if (useDevicePasscode) {
-        // Device passcode only
-        accessControl = Keychain.ACCESS_CONTROL.DEVICE_PASSCODE;
-        androidAuthenticationRequired = true;
+      const metadata = this._getMetadata(key);
+      if (!metadata) {
+        return failure(new StorageError(StorageErrorCode.NOT_FOUND, `No credential stored for ${key}`));
       }
-      
-      // Set security level and platform-specific options
-      if (Platform.OS === 'android' && (useBiometrics || useDevicePasscode)) {
-        securityLevel = Keychain.SECURITY_LEVEL.SECURE_HARDWARE;
-        // This is crucial for Android to require authentication
-        if (!accessControl) {
-          accessControl = Keychain.ACCESS_CONTROL.BIOMETRY_ANY_OR_DEVICE_PASSCODE;
-        }
-      } else if (accessControl) {
-        // For iOS or if any security is enabled
-        securityLevel = Keychain.SECURITY_LEVEL.SECURE_SOFTWARE;
+
+      const managed = Object.keys(changes).filter(field => MANAGED_METADATA_FIELDS.includes(field));
+      if (managed.length > 0) {
+        throw new Error(`Cannot change ${managed.join(', ')} through updateCredentialMetadata`);
       }
 
-      // Set keychain options
-      const keychainOptions = {
-        service: `${SERVICE}.${key}`,
-        accessControl,
-        securityLevel,
-        accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED,
-      };
+      const next = { ...metadata, ...changes };
+      this.storage.set(`metadata_${key}`, JSON.stringify(next));
+      return success(next);
+    } catch (error) {
+      console.error('Error updating metadata:', error);
+      return failure(toStorageError(error));
+    }
+  }
 
-      // Android-specific: explicitly set authentication required
-      if (Platform.OS === 'android' && androidAuthenticationRequired) {
-        keychainOptions.authenticationPrompt = {
-          title: 'Authentication Required',
-          description: 'Please authenticate to access this credential',
-        };
-        // Essential for Android to enforce authentication
-        keychainOptions.authenticationType = Keychain.AUTHENTICATION_TYPE.DEVICE_PASSCODE_OR_BIOMETRICS;
-      }
+  /**
+   * Add a new credential to keychain and update the items list
+   * @param {String} key Identifier for the credential
+   * @param {String} username Username to store
+   * @param {String} password Password or value to store
+   * @param {Object} options Additional options (type, fields, customFields,
+   * useBiometrics, useDevicePasscode, createdAt, updatedAt, url, notes, folder,
+   * tags, rotationDays)
+   * @returns {Promise<Object>} Result, see StorageErrors
+   */
+  async saveCredential(key, username, password, options = {}) {
+    try {
+      const {
+        type = CREDENTIAL_TYPE.LOGIN,
+        fields = {},
+        customFields = [],
+        useBiometrics = false,
+        useDevicePasscode = false,
+        createdAt,
+        updatedAt,
+        url = null,
+        notes = null,
+        folder = null,
+        tags = [],
+        rotationDays = null,
+      } = options;
 
       // Add current timestamp to metadata
       const metadata = {
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
+        schemaVersion: METADATA_SCHEMA_VERSION,
+        createdAt: createdAt || new Date().toISOString(),
+        updatedAt: updatedAt || new Date().toISOString(),
         key,
+        type,
         useBiometrics,
-        useDevicePasscode
+        useDevicePasscode,
+        history: [],
+        url,
+        notes,
+        lastUsedAt: null,
+        folder,
+        tags,
+        fields,
+        customFields,
+        rotationDays,
       };
-      
-      // Store metadata in MMKV
-      storage.set(`metadata_${key}`, JSON.stringify(metadata));
-      
-      // Store credential in keychain
-      await Keychain.setGenericPassword(username, password, keychainOptions);
-      
-      // Update items list
-      const currentItems = this.getItemsList();
-      if (!currentItems.includes(key)) {
-        currentItems.push(key);
-        this.saveItemsList(currentItems);
-      }
-      
-      return true;
+
+      await this._writeCredential(key, username, password, metadata);
+      return success();
     } catch (error) {
       console.error('Error saving credential:', error);
-      return false;
+      return failure(toStorageError(error));
     }
   }
 
@@ -126,92 +286,65 @@ class StorageService {
    * Retrieve credential from keychain
    * @param {String} key Identifier for the credential
    * @param {Object} options Additional options (useBiometrics, promptMessage)
-   * @returns {Promise<Object|null>} Credential object or null
+   * @returns {Promise<Object>} Result whose value is the credential object, see StorageErrors
    */
   async getCredential(key, options = {}) {
     try {
       const { useBiometrics = false, promptMessage = 'Authenticate to access credential' } = options;
       
       // Get metadata to check security settings
-      const metadataStr = storage.getString(`metadata_${key}`);
-      const metadata = metadataStr ? JSON.parse(metadataStr) : {};
+      const metadata = this._getMetadata(key) || {};
       const requiresAuth = metadata.useBiometrics || metadata.useDevicePasscode;
       
-      const keychainOptions = {
-        service: `${SERVICE}.${key}`,
-      };
-      
       // Add authentication prompt if credential requires it or if explicitly requested
-      if (requiresAuth || useBiometrics) {
-        keychainOptions.authenticationPrompt = {
-          title: promptMessage,
-          description: 'Authentication is required to access this credential',
-          cancel: 'Cancel'
-        };
-        
-        // For Android, we need to specify the authentication type and security level
-        if (Platform.OS === 'android') {
-          keychainOptions.authenticationType = Keychain.AUTHENTICATION_TYPE.DEVICE_PASSCODE_OR_BIOMETRICS;
-          keychainOptions.accessControl = metadata.useBiometrics ? 
-            Keychain.ACCESS_CONTROL.BIOMETRY_ANY : 
-            Keychain.ACCESS_CONTROL.DEVICE_PASSCODE;
-          keychainOptions.securityLevel = Keychain.SECURITY_LEVEL.SECURE_HARDWARE;
-        }
-      }
-      
-      // Get credential from keychain
-      const credential = await Keychain.getGenericPassword(keychainOptions);
+      const credential = await this.secretStore.getSecret(this._getSecretService(key, metadata), {
+        authenticate: !!(requiresAuth || useBiometrics),
+        useBiometrics: !!metadata.useBiometrics,
+        promptMessage,
+      });
       
-      if (credential) {
-        return {
-          ...credential,
-          metadata,
-        };
+      if (!credential) {
+        return failure(new StorageError(StorageErrorCode.NOT_FOUND, `No credential stored for ${key}`));
       }
-      
-      return null;
+
+      return success({
+        ...credential,
+        metadata: this._ensureFingerprint(key, metadata, credential.password),
+      });
     } catch (error) {
       console.error('Error retrieving credential:', error);
-      
-      // If error indicates authentication is needed, return null
-      // The UI can then prompt for authentication explicitly
-      if (error.message && (
-        error.message.includes('authentication required') ||
-        error.message.includes('user not authenticated') ||
-        error.message.includes('cancelled') ||
-        error.message.includes('canceled')
-      )) {
-        return null;
-      }
-      
-      return null;
+      return failure(toStorageError(error));
     }
   }
 
   /**
    * Delete a credential from keychain
    * @param {String} key Identifier for the credential
-   * @returns {Promise<Boolean>} Success status
+   * @returns {Promise<Object>} Result, see StorageErrors
    */
   async deleteCredential(key) {
     try {
-      // Remove from keychain
-      await Keychain.resetGenericPassword({
-        service: `${SERVICE}.${key}`,
-      });
-      
-      // Delete metadata from MMKV
-      storage.delete(`metadata_${key}`);
-      
-      // Update items list
-      const currentItems = this.getItemsList();
-      const updatedItems = currentItems.filter(item => item !== key);
-      this.saveItemsList(updatedItems);
+      const metadata = this._getMetadata(key);
+      const history = (metadata && metadata.history) || [];
+      const entry = {
+        type: 'delete',
+        key,
+        secretId: metadata ? metadata.secretId : undefined,
+        services: [metadata, ...history].map(version => this._getSecretService(key, version)),
+      };
+      const journalId = this.journal.begin(entry);
+
+      // Remove metadata and list entry first so the item is never listed
+      // without its secret; the keychain entries are removed afterwards and
+      // retried on next launch if that fails
+      if (await this._completeDelete(entry)) {
+        this.journal.end(journalId);
+      }
       
-      return true;
+      return success();
     } catch (error) {
       console.error('Error deleting credential:', error);
-      return false;
+      return failure(toStorageError(error));
     }
   }
 
@@ -220,30 +353,458 @@ class StorageService {
    * @param {String} key Identifier for the credential
    * @param {String} username New username
    * @param {String} password New password/value
-   * @param {Object} options Additional options
-   * @returns {Promise<Boolean>} Success status
+   * @param {Object} options Additional options (useBiometrics, useDevicePasscode,
+   * fields: non-secret field values, kept when omitted,
+   * customFields: custom field list, kept when omitted,
+   * secretChanged: false when the password stays the same, so no history
+   * version is kept and updatedAt, the age of the secret, is not reset)
+   * @returns {Promise<Object>} Result whose value has outdatedVersions:
+   * previous versions that kept their old protection because they could not
+   * be read (e.g. the prompt was cancelled), see StorageErrors
    */
   async updateCredential(key, username, password, options = {}) {
     try {
-      // Get existing metadata
-      const metadataStr = storage.getString(`metadata_${key}`);
-      const metadata = metadataStr ? JSON.parse(metadataStr) : { createdAt: new Date().toISOString() };
-      
-      // Update metadata
-      metadata.updatedAt = new Date().toISOString();
-      metadata.useBiometrics = options.useBiometrics || false;
-      metadata.useDevicePasscode = options.useDevicePasscode || false;
-      
-      storage.set(`metadata_${key}`, JSON.stringify(metadata));
-      
-      // Update credential in keychain (reusing the save method)
-      return await this.saveCredential(key, username, password, options);
+      const { secretChanged = true, fields, customFields } = options;
+
+      // Keep the existing metadata (creation date etc.)
+      const metadata = this._getMetadata(key) || {
+        schemaVersion: METADATA_SCHEMA_VERSION,
+        createdAt: new Date().toISOString(),
+        key,
+        type: CREDENTIAL_TYPE.LOGIN,
+        history: [],
+      };
+      const useBiometrics = options.useBiometrics || false;
+      const useDevicePasscode = options.useDevicePasscode || false;
+
+      await this._writeCredential(key, username, password, {
+        ...metadata,
+        updatedAt: secretChanged || !metadata.updatedAt ? new Date().toISOString() : metadata.updatedAt,
+        useBiometrics,
+        useDevicePasscode,
+        ...(fields && { fields }),
+        ...(customFields && { customFields }),
+      }, { keepPrevious: secretChanged });
+
+      let outdatedVersions = 0;
+      if (useBiometrics !== !!metadata.useBiometrics || useDevicePasscode !== !!metadata.useDevicePasscode) {
+        outdatedVersions = await this._reprotectHistory(key);
+      }
+
+      return success({ outdatedVersions });
     } catch (error) {
       console.error('Error updating credential:', error);
-      return false;
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * List the previous versions kept for a credential. Contains no secrets.
+   * @param {String} key Identifier for the credential
+   * @returns {Array<Object>} Versions, newest first (secretId, replacedAt)
+   */
+  getCredentialHistory(key) {
+    const metadata = this._getMetadata(key);
+    return (metadata && metadata.history) || [];
+  }
+
+  /**
+   * Read a previous version of a credential. Prompts for authentication
+   * when the version is protected.
+   * @param {String} key Identifier for the credential
+   * @param {String} secretId Version identifier from getCredentialHistory
+   * @param {Object} options Additional options (promptMessage)
+   * @returns {Promise<Object>} Result whose value has username, password and replacedAt
+   */
+  async getCredentialVersion(key, secretId, options = {}) {
+    try {
+      const { promptMessage = 'Authenticate to access previous version' } = options;
+      const version = this.getCredentialHistory(key).find(item => item.secretId === secretId);
+
+      if (!version) {
+        return failure(new StorageError(StorageErrorCode.NOT_FOUND, `No version ${secretId} of ${key}`));
+      }
+
+      const secret = await this.secretStore.getSecret(this._getSecretService(key, version), {
+        authenticate: !!(version.useBiometrics || version.useDevicePasscode),
+        useBiometrics: !!version.useBiometrics,
+        promptMessage,
+      });
+
+      if (!secret) {
+        return failure(new StorageError(StorageErrorCode.NOT_FOUND, `Version ${secretId} of ${key} is missing`));
+      }
+
+      return success({
+        username: secret.username,
+        password: secret.password,
+        replacedAt: version.replacedAt,
+      });
+    } catch (error) {
+      console.error('Error retrieving credential version:', error);
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * Make a previous version the live secret again. The current secret is
+   * kept in the history like on any other update.
+   * @param {String} key Identifier for the credential
+   * @param {String} secretId Version identifier from getCredentialHistory
+   * @param {Object} options Additional options (promptMessage)
+   * @returns {Promise<Object>} Result whose value is the restored credential object
+   */
+  async restoreCredentialVersion(key, secretId, options = {}) {
+    const versionResult = await this.getCredentialVersion(key, secretId, options);
+    if (!versionResult.ok) {
+      return versionResult;
+    }
+
+    try {
+      const metadata = this._getMetadata(key);
+      const { username, password } = versionResult.value;
+
+      await this._writeCredential(key, username, password, {
+        ...metadata,
+        updatedAt: new Date().toISOString(),
+      }, { keepPrevious: true });
+
+      // The restored value is live again, so drop its history copy. Done
+      // after the write so a cancelled write never loses the version.
+      await this._discardHistoryVersions(key, [secretId]);
+
+      return success({
+        username,
+        password,
+        metadata: this._getMetadata(key),
+      });
+    } catch (error) {
+      console.error('Error restoring credential version:', error);
+      return failure(toStorageError(error));
     }
   }
 
+  /**
+   * Set how many previous versions are kept per credential and drop
+   * versions beyond the new limit
+   * @param {Number} count Number of versions to keep
+   * @returns {Promise<void>}
+   */
+  async setHistoryRetention(count) {
+    this.historyRetention = count;
+
+    for (const key of this.getItemsList()) {
+      try {
+        const history = this.getCredentialHistory(key);
+        if (history.length > count) {
+          await this._discardHistoryVersions(
+            key,
+            history.slice(count).map(version => version.secretId),
+          );
+        }
+      } catch (error) {
+        console.error(`Error trimming history of ${key}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Finish or roll back operations interrupted by a crash
+   * @returns {Promise<void>}
+   */
+  async replayJournal() {
+    for (const entry of this.journal.getEntries()) {
+      try {
+        let completed = false;
+
+        if (entry.type === 'write') {
+          const current = this._getMetadata(entry.key);
+          if (current && current.secretId === entry.metadata.secretId) {
+            // Metadata was committed, only the cleanup steps are missing
+            completed = await this._completeWrite(entry);
+          } else {
+            // Crashed before the commit point, drop the half-written secret
+            await this.secretStore.deleteSecret(entry.service);
+            completed = true;
+          }
+        } else if (entry.type === 'delete') {
+          completed = await this._completeDelete(entry);
+        }
+
+        if (completed) {
+          this.journal.end(entry.id);
+        }
+      } catch (error) {
+        console.error(`Error replaying ${entry.type} of ${entry.key}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Write a secret under a new keychain service, then switch the metadata
+   * over to it. Storing the metadata is the commit point: before it the
+   * previous secret is still live, after it the new one is.
+   * @private
+   * @param {Object} options keepPrevious: move the previous secret into the history
+   */
+  async _writeCredential(key, username, password, metadata, { keepPrevious = false } = {}) {
+    const previous = this._getMetadata(key);
+    let history = (previous && previous.history) || [];
+    let discarded = [];
+
+    if (previous) {
+      if (keepPrevious && this.historyRetention > 0) {
+        history = [
+          {
+            secretId: previous.secretId,
+            replacedAt: new Date().toISOString(),
+            useBiometrics: !!previous.useBiometrics,
+            useDevicePasscode: !!previous.useDevicePasscode,
+          },
+          ...history,
+        ];
+      } else {
+        discarded.push(previous);
+      }
+      discarded = discarded.concat(history.slice(this.historyRetention));
+      history = history.slice(0, this.historyRetention);
+    }
+
+    // Only passwords are rated; other secrets are not chosen by the user
+    const isLogin = (metadata.type || CREDENTIAL_TYPE.LOGIN) === CREDENTIAL_TYPE.LOGIN;
+    const rated = isLogin ? unwrapSecret(password).password : null;
+    const next = {
+      ...metadata,
+      history,
+      secretId: CryptoUtils.bytesToHex(CryptoUtils.getRandomBytes(4)),
+      // Kept in the metadata so weak entries can be flagged without
+      // reading the secret
+      strength: isLogin ? StrengthEstimator.estimate(rated, [key, username]).score : null,
+      compromised: isLogin && this.breachFilter ? this.breachFilter.hasPassword(rated) : null,
+      fingerprint: isLogin ? this._fingerprint(rated) : null,
+    };
+    const entry = {
+      type: 'write',
+      key,
+      metadata: next,
+      service: this._getSecretService(key, next),
+      discardServices: discarded.map(version => this._getSecretService(key, version)),
+    };
+    const journalId = this.journal.begin(entry);
+
+    try {
+      await this.secretStore.setSecret(entry.service, username, password, {
+        useBiometrics: next.useBiometrics,
+        useDevicePasscode: next.useDevicePasscode,
+      });
+    } catch (error) {
+      // Nothing was committed, remove whatever part of the secret was written
+      await this.secretStore.deleteSecret(entry.service).catch(() => {});
+      this.journal.end(journalId);
+      throw error;
+    }
+
+    this.storage.set(`metadata_${key}`, JSON.stringify(next));
+
+    if (await this._completeWrite(entry)) {
+      this.journal.end(journalId);
+    }
+  }
+
+  /**
+   * Steps after the commit point of a write. Safe to run more than once.
+   * @private
+   * @returns {Promise<Boolean>} Whether every step succeeded
+   */
+  async _completeWrite(entry) {
+    const currentItems = this.getItemsList();
+    if (!currentItems.includes(entry.key)) {
+      currentItems.push(entry.key);
+      this.saveItemsList(currentItems);
+    }
+
+    // Entries journaled before history was kept name a single previous service
+    const discardServices = entry.discardServices ||
+      (entry.previousService ? [entry.previousService] : []);
+
+    return this._deleteSecrets(discardServices.filter(service => service !== entry.service));
+  }
+
+  /**
+   * Steps of a delete. Safe to run more than once.
+   * @private
+   * @returns {Promise<Boolean>} Whether every step succeeded
+   */
+  async _completeDelete(entry) {
+    // The key may have been saved again since; only remove the records
+    // that belong to the deleted secret
+    const current = this._getMetadata(entry.key);
+    if (!current || current.secretId === entry.secretId) {
+      this.storage.delete(`metadata_${entry.key}`);
+
+      const currentItems = this.getItemsList();
+      this.saveItemsList(currentItems.filter(item => item !== entry.key));
+    }
+
+    // Entries journaled before history was kept name a single service
+    return this._deleteSecrets(entry.services || [entry.service]);
+  }
+
+  /**
+   * Remove keychain entries, continuing past failures
+   * @private
+   * @returns {Promise<Boolean>} Whether every entry was removed
+   */
+  async _deleteSecrets(services) {
+    let allDeleted = true;
+    for (const service of services) {
+      try {
+        await this.secretStore.deleteSecret(service);
+      } catch (error) {
+        console.error('Error removing secret:', error);
+        allDeleted = false;
+      }
+    }
+    return allDeleted;
+  }
+
+  /**
+   * Remove versions from the history, metadata first
+   * @private
+   */
+  async _discardHistoryVersions(key, secretIds) {
+    const metadata = this._getMetadata(key);
+    const discarded = metadata.history.filter(version => secretIds.includes(version.secretId));
+
+    this.storage.set(`metadata_${key}`, JSON.stringify({
+      ...metadata,
+      history: metadata.history.filter(version => !secretIds.includes(version.secretId)),
+    }));
+
+    await this._deleteSecrets(discarded.map(version => this._getSecretService(key, version)));
+  }
+
+  /**
+   * Re-write history versions whose protection differs from the live
+   * secret, so old versions are never less protected than the current one.
+   * Versions missing from the keychain are removed; ones that cannot be
+   * read (e.g. the prompt is cancelled) keep their old protection and are
+   * retried on the next protection change.
+   * @private
+   * @returns {Promise<Number>} Number of versions left with their old protection
+   */
+  async _reprotectHistory(key) {
+    const metadata = this._getMetadata(key);
+    const outdated = metadata.history.filter(version =>
+      !!version.useBiometrics !== !!metadata.useBiometrics ||
+      !!version.useDevicePasscode !== !!metadata.useDevicePasscode,
+    );
+    let failed = 0;
+
+    for (const version of outdated) {
+      const oldService = this._getSecretService(key, version);
+      const reprotected = {
+        ...version,
+        secretId: CryptoUtils.bytesToHex(CryptoUtils.getRandomBytes(4)),
+        useBiometrics: !!metadata.useBiometrics,
+        useDevicePasscode: !!metadata.useDevicePasscode,
+      };
+      const newService = this._getSecretService(key, reprotected);
+
+      try {
+        const secret = await this.secretStore.getSecret(oldService, {
+          authenticate: !!(version.useBiometrics || version.useDevicePasscode),
+          useBiometrics: !!version.useBiometrics,
+          promptMessage: 'Authenticate to re-protect previous versions',
+        });
+        if (!secret) {
+          throw new StorageError(StorageErrorCode.NOT_FOUND, `Version ${version.secretId} is missing`);
+        }
+
+        await this.secretStore.setSecret(
+          newService,
+          secret.username,
+          secret.password,
+          { useBiometrics: reprotected.useBiometrics, useDevicePasscode: reprotected.useDevicePasscode },
+        );
+
+        const current = this._getMetadata(key);
+        this.storage.set(`metadata_${key}`, JSON.stringify({
+          ...current,
+          history: current.history.map(item => (item.secretId === version.secretId ? reprotected : item)),
+        }));
+        await this._deleteSecrets([oldService]);
+      } catch (error) {
+        if (error.code === StorageErrorCode.NOT_FOUND) {
+          // Nothing left to protect
+          await this._discardHistoryVersions(key, [version.secretId]);
+        } else {
+          console.error('Error re-protecting previous version:', error);
+          await this.secretStore.deleteSecret(newService).catch(() => {});
+          failed++;
+        }
+      }
+    }
+    return failed;
+  }
+
+  /**
+   * Keyed hash of a password, equal for equal passwords in this vault
+   * @private
+   * @returns {String|null} Hex fingerprint, null for an empty password
+   */
+  _fingerprint(password) {
+    if (!password) {
+      return null;
+    }
+
+    let salt = this.storage.getString(FINGERPRINT_SALT_KEY);
+    if (!salt) {
+      salt = CryptoUtils.bytesToHex(CryptoUtils.getRandomBytes(32));
+      this.storage.set(FINGERPRINT_SALT_KEY, salt);
+    }
+    return CryptoUtils.bytesToHex(hmac(sha256, CryptoUtils.hexToBytes(salt), utf8ToBytes(password)));
+  }
+
+  /**
+   * Fill in the fingerprint of a login written before fingerprints existed,
+   * now that its password has been read
+   * @private
+   * @returns {Object} Metadata, with the fingerprint when one was added
+   */
+  _ensureFingerprint(key, metadata, password) {
+    const isLogin = (metadata.type || CREDENTIAL_TYPE.LOGIN) === CREDENTIAL_TYPE.LOGIN;
+    if (!metadata.key || metadata.fingerprint || !isLogin) {
+      return metadata;
+    }
+
+    const next = { ...metadata, fingerprint: this._fingerprint(unwrapSecret(password).password) };
+    this.storage.set(`metadata_${key}`, JSON.stringify(next));
+    return next;
+  }
+
+  /**
+   * Read and parse the metadata record of a credential
+   * @private
+   * @returns {Object|null} Metadata or null if missing
+   */
+  _getMetadata(key) {
+    const metadataStr = this.storage.getString(`metadata_${key}`);
+    return metadataStr ? JSON.parse(metadataStr) : null;
+  }
+
+  /**
+   * Keychain service holding the secret a metadata record points to
+   * @private
+   * @returns {String} Service name
+   */
+  _getSecretService(key, metadata) {
+    // Records written before secrets got their own id use the bare service
+    return metadata && metadata.secretId
+      ? `${SECRET_SERVICE}.${key}#${metadata.secretId}`
+      : `${SECRET_SERVICE}.${key}`;
+  }
+
   /**
    * Check if biometric authentication is available
    * @returns {Promise<Object>} Biometric availability info
@@ -288,23 +849,9 @@ class StorageService {
           return true;
         }
         
-        // Otherwise we can try to see if device credentials are available
-        try {
-          // Test if we can create a key that requires device credentials
-          const testKey = `test_passcode_${new Date().getTime()}`;
-          await Keychain.setGenericPassword('test', 'test', {
-            service: testKey,
-            accessControl: Keychain.ACCESS_CONTROL.DEVICE_PASSCODE,
-            securityLevel: Keychain.SECURITY_LEVEL.SECURE_HARDWARE,
-          });
-          
-          // If successful, clean up and return true
-          await Keychain.resetGenericPassword({ service: testKey });
-          return true;
-        } catch (e) {
-          console.log('Device passcode not available:', e);
-          return false;
-        }
+        // Otherwise ask the KeyguardManager whether a PIN, pattern or
+        // password is set, without writing a probe entry
+        return await Keychain.isPasscodeAuthAvailable();
       }
     } catch (error) {
       console.error('Error checking device passcode:', error);
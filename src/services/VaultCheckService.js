@@ -0,0 +1,314 @@
+import StorageService, { SECRET_SERVICE, METADATA_PREFIX } from './StorageService';
+import AuditLogService, { AUDIT_EVENT } from './AuditLogService';
+import { upgradeMetadata } from './MetadataSchema';
+import { StorageError, StorageErrorCode, success, failure, toStorageError } from './StorageErrors';
+import CredentialTypes from '../utils/CredentialTypes';
+import CryptoUtils from '../utils/CryptoUtils';
+
+// Ways the items list, the metadata records and the keychain can disagree
+export const VAULT_FINDING = {
+  // A metadata record whose key is missing from the items list
+  UNLISTED_METADATA: 'unlistedMetadata',
+  // An items list entry without a metadata record
+  MISSING_METADATA: 'missingMetadata',
+  // A credential secret with neither a list entry nor metadata
+  ORPHAN_SECRET: 'orphanSecret',
+  // A throwaway entry left by an availability or authentication check
+  PROBE: 'probe',
+};
+
+// Repair proposed for each finding
+export const VAULT_REPAIR = {
+  ADD_TO_LIST: 'addToList',
+  // Needs the user to pick the current version, see restoreVersions()
+  RESTORE_METADATA: 'restoreMetadata',
+  REMOVE_FROM_LIST: 'removeFromList',
+  DELETE_SECRET: 'deleteSecret',
+};
+
+// Keychain services of the throwaway entries written by earlier versions
+export const PROBE_PREFIXES = ['auth_check_', 'credential_check_', 'test_passcode_'];
+
+// Secret ids are 4 random bytes appended to the service as "#<hex>"
+const SECRET_ID_SUFFIX = /#[0-9a-f]{8}$/;
+
+/**
+ * Finds where the items list, the metadata_* records and the credential
+ * keychain services disagree, e.g. after a crash outside the journal or
+ * probes that were never cleaned up, and proposes a repair for each.
+ *
+ * Checking changes nothing, so it is safe at startup; repairs are applied
+ * on request only. Keys with an operation still in StorageService's journal
+ * are skipped, since replaying it settles them.
+ *
+ * Details lost next to surviving secrets are not rebuilt in bulk: the
+ * keychain does not record which version was current, nor its protection,
+ * so the user picks them (readVersions, then restoreVersions).
+ */
+export class VaultCheckService {
+  /**
+   * @param {Object} options Optional storageService and auditLog
+   */
+  constructor({ storageService, auditLog } = {}) {
+    this.storageService = storageService || StorageService;
+    this.auditLog = auditLog || AuditLogService;
+    // Findings of the latest check, null until one ran
+    this.lastFindings = null;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Be notified when the findings of the latest check change
+   * @param {Function} listener Called with the new findings
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Look for inconsistencies without changing anything
+   * @param {Object} options Check options (interactive: on iOS, also list
+   * keychain items that require authentication, which may prompt)
+   * @returns {Promise<Object>} Result with the findings (type, key and/or
+   * service, services: secrets of a list entry, repair), see StorageErrors
+   */
+  async check({ interactive = false } = {}) {
+    try {
+      const storage = this.storageService.storage;
+      const listed = new Set(this.storageService.getItemsList());
+      const described = new Set(storage.getAllKeys()
+        .filter(storageKey => storageKey.startsWith(METADATA_PREFIX))
+        .map(storageKey => storageKey.slice(METADATA_PREFIX.length)));
+      const pending = new Set(this.storageService.journal.getEntries().map(entry => entry.key));
+
+      const findings = [];
+      const servicesByKey = new Map();
+      for (const service of await this.storageService.secretStore.listServices({ interactive })) {
+        if (PROBE_PREFIXES.some(prefix => service.startsWith(prefix))) {
+          findings.push({ type: VAULT_FINDING.PROBE, service, repair: VAULT_REPAIR.DELETE_SECRET });
+        } else if (service.startsWith(`${SECRET_SERVICE}.`)) {
+          const key = service.slice(SECRET_SERVICE.length + 1).replace(SECRET_ID_SUFFIX, '');
+          servicesByKey.set(key, [...(servicesByKey.get(key) || []), service]);
+        }
+      }
+
+      for (const key of described) {
+        if (!listed.has(key) && !pending.has(key)) {
+          findings.push({ type: VAULT_FINDING.UNLISTED_METADATA, key, repair: VAULT_REPAIR.ADD_TO_LIST });
+        }
+      }
+
+      for (const key of listed) {
+        if (!described.has(key) && !pending.has(key)) {
+          const services = servicesByKey.get(key) || [];
+          findings.push({
+            type: VAULT_FINDING.MISSING_METADATA,
+            key,
+            services,
+            repair: services.length > 0 ? VAULT_REPAIR.RESTORE_METADATA : VAULT_REPAIR.REMOVE_FROM_LIST,
+          });
+        }
+      }
+
+      for (const [key, services] of servicesByKey) {
+        if (!listed.has(key) && !described.has(key) && !pending.has(key)) {
+          for (const service of services) {
+            findings.push({ type: VAULT_FINDING.ORPHAN_SECRET, key, service, repair: VAULT_REPAIR.DELETE_SECRET });
+          }
+        }
+      }
+
+      this._setFindings(findings);
+      return success(findings);
+    } catch (error) {
+      console.error('Error checking vault:', error);
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * Check without prompting and only log what was found. Repairs need the
+   * user to authenticate, so they are left to Settings, which shows this
+   * report; subscribers such as the Settings entry on Home are notified.
+   * @returns {Promise<void>}
+   */
+  async reportAtStartup() {
+    const result = await this.check();
+    if (result.ok && result.value.length > 0) {
+      console.warn(
+        `Vault check found ${result.value.length} inconsistencies:`,
+        result.value.map(finding => finding.type),
+      );
+    }
+  }
+
+  /**
+   * Apply the proposed repairs. The caller must have authenticated the
+   * user. Findings that a fresh check no longer reports are skipped, and so
+   * are RESTORE_METADATA ones, which need restoreVersions().
+   * @param {Array<Object>} findings Findings from check()
+   * @param {Object} options Check options, see check()
+   * @returns {Promise<Object>} Result with the counts (repaired, failed),
+   * see StorageErrors
+   */
+  async repair(findings, options = {}) {
+    const current = await this.check(options);
+    if (!current.ok) {
+      return current;
+    }
+
+    const identify = finding => [finding.type, finding.key, finding.service].join('\n');
+    const requested = new Set(findings.map(identify));
+    const selected = current.value.filter(item =>
+      requested.has(identify(item)) && item.repair !== VAULT_REPAIR.RESTORE_METADATA);
+    const failed = [];
+
+    for (const finding of selected) {
+      try {
+        await this._applyRepair(finding);
+      } catch (error) {
+        console.error(`Error repairing ${finding.key || finding.service}:`, error);
+        failed.push(finding);
+      }
+    }
+
+    const repaired = selected.length - failed.length;
+    this._setFindings(current.value.filter(item => !selected.includes(item) || failed.includes(item)));
+    this.auditLog.record(AUDIT_EVENT.VAULT_REPAIR, { details: { repaired, failed: failed.length } });
+    return success({ repaired, failed: failed.length });
+  }
+
+  /**
+   * Read the surviving secrets of a list entry whose details were lost, so
+   * the user can pick the current one. Protected secrets prompt.
+   * @param {Object} finding RESTORE_METADATA finding from check()
+   * @param {Object} options Read options (promptMessage)
+   * @returns {Promise<Object>} Result with the versions (service, username,
+   * password, type: guessed from the contents), see StorageErrors
+   */
+  async readVersions(finding, { promptMessage = 'Authenticate to read the saved versions' } = {}) {
+    try {
+      const versions = [];
+      for (const service of finding.services) {
+        const secret = await this.storageService.secretStore.getSecret(service, {
+          authenticate: true,
+          promptMessage,
+        });
+        if (secret) {
+          versions.push({
+            service,
+            username: secret.username,
+            password: secret.password,
+            type: CredentialTypes.detectType(secret),
+          });
+        }
+      }
+      return success(versions);
+    } catch (error) {
+      console.error(`Error reading versions of ${finding.key}:`, error);
+      return failure(toStorageError(error));
+    }
+  }
+
+  /**
+   * Rebuild the details of a list entry around the version the user picked.
+   * Every version is written again with the chosen protection, so the
+   * details describe the keychain as it is; the others become its history
+   * and the old entries are removed. The caller must have authenticated the
+   * user.
+   * @param {Object} finding RESTORE_METADATA finding from check()
+   * @param {Array<Object>} versions Versions from readVersions()
+   * @param {Object} choice Service of the current version, type (defaults
+   * to the guessed one), useBiometrics, useDevicePasscode
+   * @returns {Promise<Object>} Result, see StorageErrors
+   */
+  async restoreVersions(finding, versions, choice) {
+    const { secretStore, storage } = this.storageService;
+    const { useBiometrics = false, useDevicePasscode = false } = choice;
+    const written = [];
+
+    try {
+      const current = await this.check();
+      if (!current.ok) {
+        return current;
+      }
+      if (!current.value.some(item => item.key === finding.key && item.repair === VAULT_REPAIR.RESTORE_METADATA)) {
+        return failure(new StorageError(StorageErrorCode.NOT_FOUND, `${finding.key} no longer needs restoring`));
+      }
+
+      const picked = versions.find(version => version.service === choice.service);
+      if (!picked) {
+        return failure(new StorageError(StorageErrorCode.NOT_FOUND, `No version ${choice.service} of ${finding.key}`));
+      }
+
+      for (const version of [picked, ...versions.filter(item => item !== picked)]) {
+        const secretId = CryptoUtils.bytesToHex(CryptoUtils.getRandomBytes(4));
+        await secretStore.setSecret(`${SECRET_SERVICE}.${finding.key}#${secretId}`, version.username, version.password, {
+          useBiometrics,
+          useDevicePasscode,
+        });
+        written.push(secretId);
+      }
+
+      const [secretId, ...previous] = written;
+      const metadata = upgradeMetadata({
+        key: finding.key,
+        secretId,
+        type: choice.type || picked.type,
+        useBiometrics,
+        useDevicePasscode,
+        history: previous.map(id => ({ secretId: id, replacedAt: null, useBiometrics, useDevicePasscode })),
+      }, finding.key);
+      storage.set(`${METADATA_PREFIX}${finding.key}`, JSON.stringify(metadata));
+    } catch (error) {
+      console.error(`Error restoring ${finding.key}:`, error);
+      // Nothing was committed, the old entries are still there
+      for (const secretId of written) {
+        await secretStore.deleteSecret(`${SECRET_SERVICE}.${finding.key}#${secretId}`).catch(() => {});
+      }
+      return failure(toStorageError(error));
+    }
+
+    for (const version of versions) {
+      await secretStore.deleteSecret(version.service).catch(error => {
+        console.error('Error removing restored version:', error);
+      });
+    }
+    this.auditLog.record(AUDIT_EVENT.VAULT_REPAIR, { details: { repaired: 1, failed: 0 } });
+    await this.check();
+    return success();
+  }
+
+  /**
+   * @private
+   */
+  _setFindings(findings) {
+    this.lastFindings = findings;
+    this.listeners.forEach(listener => listener(findings));
+  }
+
+  /**
+   * Removing from the list never deletes secrets: it is only proposed for
+   * entries that have none left.
+   * @private
+   */
+  async _applyRepair(finding) {
+    const { secretStore } = this.storageService;
+
+    switch (finding.repair) {
+      case VAULT_REPAIR.ADD_TO_LIST:
+        this.storageService.saveItemsList([...this.storageService.getItemsList(), finding.key]);
+        break;
+      case VAULT_REPAIR.REMOVE_FROM_LIST:
+        this.storageService.saveItemsList(this.storageService.getItemsList().filter(item => item !== finding.key));
+        break;
+      case VAULT_REPAIR.DELETE_SECRET:
+        await secretStore.deleteSecret(finding.service);
+        break;
+    }
+  }
+}
+
+export default new VaultCheckService();
@@ -0,0 +1,57 @@
+import CryptoUtils from '../utils/CryptoUtils';
+
+// Storage key holding the pending journal entries
+const JOURNAL_KEY = 'journal';
+
+/**
+ * Write-ahead journal for multi-step StorageService operations.
+ * An entry is written before the first step and removed once the last step
+ * has finished, so entries left behind after a crash can be replayed on the
+ * next launch. Entries never contain secrets.
+ */
+class WriteAheadJournal {
+  /**
+   * @param {Object} store Metadata store the journal is persisted in
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Get all entries that have not been completed yet
+   * @returns {Array<Object>} Pending entries, oldest first
+   */
+  getEntries() {
+    const entries = this.store.getString(JOURNAL_KEY);
+    return entries ? JSON.parse(entries) : [];
+  }
+
+  /**
+   * Record the start of an operation
+   * @param {Object} entry Operation description (type, key and replay data)
+   * @returns {String} Entry identifier to pass to end()
+   */
+  begin(entry) {
+    const id = CryptoUtils.bytesToHex(CryptoUtils.getRandomBytes(8));
+    this._saveEntries([...this.getEntries(), { ...entry, id }]);
+    return id;
+  }
+
+  /**
+   * Mark an operation as finished
+   * @param {String} id Entry identifier returned by begin()
+   */
+  end(id) {
+    this._saveEntries(this.getEntries().filter(entry => entry.id !== id));
+  }
+
+  _saveEntries(entries) {
+    if (entries.length) {
+      this.store.set(JOURNAL_KEY, JSON.stringify(entries));
+    } else {
+      this.store.delete(JOURNAL_KEY);
+    }
+  }
+}
+
+export default WriteAheadJournal;
@@ -0,0 +1,204 @@
+import * as Keychain from 'react-native-keychain';
+import { Platform } from 'react-native';
+import { StorageError, StorageErrorCode } from '../StorageErrors';
+
+// iOS rejects with the OSStatus / LAError code as a string
+const IOS_ERROR_CODES = {
+  '-128': StorageErrorCode.USER_CANCELLED, // errSecUserCanceled
+  '-2': StorageErrorCode.USER_CANCELLED, // LAErrorUserCancel
+  '-4': StorageErrorCode.USER_CANCELLED, // LAErrorSystemCancel
+  '-9': StorageErrorCode.USER_CANCELLED, // LAErrorAppCancel
+  '-25293': StorageErrorCode.AUTH_FAILED, // errSecAuthFailed
+  '-25308': StorageErrorCode.AUTH_FAILED, // errSecInteractionNotAllowed
+  '-1': StorageErrorCode.AUTH_FAILED, // LAErrorAuthenticationFailed
+  '-8': StorageErrorCode.AUTH_FAILED, // LAErrorBiometryLockout
+  '-25300': StorageErrorCode.NOT_FOUND, // errSecItemNotFound
+  '-5': StorageErrorCode.LOCKSCREEN_UNAVAILABLE, // LAErrorPasscodeNotSet
+  '-6': StorageErrorCode.LOCKSCREEN_UNAVAILABLE, // LAErrorBiometryNotAvailable
+  '-7': StorageErrorCode.LOCKSCREEN_UNAVAILABLE, // LAErrorBiometryNotEnrolled
+  '-26275': StorageErrorCode.STORAGE_CORRUPT, // errSecDecode
+};
+
+// Android reports BiometricPrompt failures as "code: <n>, msg: ..."
+const ANDROID_PROMPT_ERROR_CODES = {
+  5: StorageErrorCode.USER_CANCELLED, // ERROR_CANCELED
+  10: StorageErrorCode.USER_CANCELLED, // ERROR_USER_CANCELED
+  13: StorageErrorCode.USER_CANCELLED, // ERROR_NEGATIVE_BUTTON
+  7: StorageErrorCode.AUTH_FAILED, // ERROR_LOCKOUT
+  9: StorageErrorCode.AUTH_FAILED, // ERROR_LOCKOUT_PERMANENT
+  11: StorageErrorCode.LOCKSCREEN_UNAVAILABLE, // ERROR_NO_BIOMETRICS
+  12: StorageErrorCode.LOCKSCREEN_UNAVAILABLE, // ERROR_HW_NOT_PRESENT
+  14: StorageErrorCode.LOCKSCREEN_UNAVAILABLE, // ERROR_NO_DEVICE_CREDENTIAL
+};
+
+// Android keystore exceptions only surface through the message text
+const ANDROID_MESSAGE_PATTERNS = [
+  [/KeyPermanentlyInvalidated|permanently invalidated/i, StorageErrorCode.KEY_INVALIDATED],
+  [/Secure lock screen must be enabled|No fingerprint enrolled/i, StorageErrorCode.LOCKSCREEN_UNAVAILABLE],
+  [/UserNotAuthenticated|user not authenticated|authentication required/i, StorageErrorCode.AUTH_FAILED],
+  [/BadPadding|AEADBadTag|Could not decrypt|No decryption results/i, StorageErrorCode.STORAGE_CORRUPT],
+  [/cancel/i, StorageErrorCode.USER_CANCELLED],
+];
+
+/**
+ * Map a raw react-native-keychain rejection to a StorageError
+ * @param {Error} error Rejection from the native module
+ * @returns {StorageError} Typed error
+ */
+export const mapKeychainError = error => {
+  const message = (error && error.message) || '';
+  let code = IOS_ERROR_CODES[error && error.code];
+
+  if (!code) {
+    const promptError = message.match(/code: (\d+)/);
+    code = promptError && ANDROID_PROMPT_ERROR_CODES[promptError[1]];
+  }
+
+  if (!code) {
+    const match = ANDROID_MESSAGE_PATTERNS.find(([pattern]) => pattern.test(message));
+    code = match ? match[1] : StorageErrorCode.UNKNOWN;
+  }
+
+  return new StorageError(code, message, error);
+};
+
+/**
+ * Secret store backed by the platform keychain / keystore.
+ * Every secret lives under its own keychain service.
+ * Failures are rejected as StorageError.
+ */
+class KeychainSecretStore {
+  /**
+   * Store a username/password pair, replacing any existing value
+   * @param {String} service Keychain service name
+   * @param {String} username Username to store
+   * @param {String} password Password or value to store
+   * @param {Object} options Protection options (useBiometrics, useDevicePasscode)
+   * @returns {Promise<void>}
+   */
+  async setSecret(service, username, password, options = {}) {
+    const { useBiometrics = false, useDevicePasscode = false } = options;
+    let accessControl = null;
+    let securityLevel = null;
+    let androidAuthenticationRequired = false;
+
+    // Configure security options based on platform and user preferences
+    if (useBiometrics && useDevicePasscode) {
+      // If both are selected, prefer the combination
+      accessControl = Keychain.ACCESS_CONTROL.BIOMETRY_ANY_OR_DEVICE_PASSCODE;
+      androidAuthenticationRequired = true;
+    } else if (useBiometrics) {
+      // Biometrics only
+      accessControl = Keychain.ACCESS_CONTROL.BIOMETRY_ANY;
+      androidAuthenticationRequired = true;
+    } else if (useDevicePasscode) {
+      // Device passcode only
+      accessControl = Keychain.ACCESS_CONTROL.DEVICE_PASSCODE;
+      androidAuthenticationRequired = true;
+    }
+
+    // Set security level and platform-specific options
+    if (Platform.OS === 'android' && (useBiometrics || useDevicePasscode)) {
+      securityLevel = Keychain.SECURITY_LEVEL.SECURE_HARDWARE;
+      // This is crucial for Android to require authentication
+      if (!accessControl) {
+        accessControl = Keychain.ACCESS_CONTROL.BIOMETRY_ANY_OR_DEVICE_PASSCODE;
+      }
+    } else if (accessControl) {
+      // For iOS or if any security is enabled
+      securityLevel = Keychain.SECURITY_LEVEL.SECURE_SOFTWARE;
+    }
+
+    // Set keychain options
+    const keychainOptions = {
+      service,
+      accessControl,
+      securityLevel,
+      accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED,
+    };
+
+    // Android-specific: explicitly set authentication required
+    if (Platform.OS === 'android' && androidAuthenticationRequired) {
+      keychainOptions.authenticationPrompt = {
+        title: 'Authentication Required',
+        description: 'Please authenticate to access this credential',
+      };
+      // Essential for Android to enforce authentication
+      keychainOptions.authenticationType = Keychain.AUTHENTICATION_TYPE.DEVICE_PASSCODE_OR_BIOMETRICS;
+    }
+
+    try {
+      await Keychain.setGenericPassword(username, password, keychainOptions);
+    } catch (error) {
+      throw mapKeychainError(error);
+    }
+  }
+
+  /**
+   * Read a username/password pair
+   * @param {String} service Keychain service name
+   * @param {Object} options Read options (authenticate, useBiometrics, promptMessage)
+   * @returns {Promise<Object|null>} Object with username and password, or null if missing
+   */
+  async getSecret(service, options = {}) {
+    const { authenticate = false, useBiometrics = false, promptMessage } = options;
+
+    const keychainOptions = {
+      service,
+    };
+
+    if (authenticate) {
+      keychainOptions.authenticationPrompt = {
+        title: promptMessage,
+        description: 'Authentication is required to access this credential',
+        cancel: 'Cancel',
+      };
+
+      // For Android, we need to specify the authentication type and security level
+      if (Platform.OS === 'android') {
+        keychainOptions.authenticationType = Keychain.AUTHENTICATION_TYPE.DEVICE_PASSCODE_OR_BIOMETRICS;
+        keychainOptions.accessControl = useBiometrics ?
+          Keychain.ACCESS_CONTROL.BIOMETRY_ANY :
+          Keychain.ACCESS_CONTROL.DEVICE_PASSCODE;
+        keychainOptions.securityLevel = Keychain.SECURITY_LEVEL.SECURE_HARDWARE;
+      }
+    }
+
+    try {
+      const credential = await Keychain.getGenericPassword(keychainOptions);
+      return credential || null;
+    } catch (error) {
+      throw mapKeychainError(error);
+    }
+  }
+
+  /**
+   * List the services of all stored secrets, including ones this app no
+   * longer knows about
+   * @param {Object} options List options (interactive: on iOS, also list
+   * items that require authentication, which may prompt)
+   * @returns {Promise<Array<String>>} Service names
+   */
+  async listServices({ interactive = false } = {}) {
+    try {
+      return await Keychain.getAllGenericPasswordServices({ skipUIAuth: !interactive });
+    } catch (error) {
+      throw mapKeychainError(error);
+    }
+  }
+
+  /**
+   * Remove a stored secret
+   * @param {String} service Keychain service name
+   * @returns {Promise<void>}
+   */
+  async deleteSecret(service) {
+    try {
+      await Keychain.resetGenericPassword({ service });
+    } catch (error) {
+      throw mapKeychainError(error);
+    }
+  }
+}
+
+export default KeychainSecretStore;
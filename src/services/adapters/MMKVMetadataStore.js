@@ -0,0 +1,52 @@
+/**
+ * Metadata store backed by an MMKV instance.
+ * Exposes the subset of the MMKV API used by StorageService.
+ */
+class MMKVMetadataStore {
+  /**
+   * @param {MMKV} mmkv Opened (and already decrypted) MMKV instance
+   */
+  constructor(mmkv) {
+    this.mmkv = mmkv;
+  }
+
+  /**
+   * @param {String} key Storage key
+   * @returns {String|undefined} Stored string, undefined if missing
+   */
+  getString(key) {
+    return this.mmkv.getString(key);
+  }
+
+  /**
+   * @param {String} key Storage key
+   * @param {String|Number|Boolean} value Value to store
+   */
+  set(key, value) {
+    this.mmkv.set(key, value);
+  }
+
+  /**
+   * @param {String} key Storage key
+   */
+  delete(key) {
+    this.mmkv.delete(key);
+  }
+
+  /**
+   * @param {String} key Storage key
+   * @returns {Boolean} Whether a value is stored under the key
+   */
+  contains(key) {
+    return this.mmkv.contains(key);
+  }
+
+  /**
+   * @returns {Array<String>} All stored keys
+   */
+  getAllKeys() {
+    return this.mmkv.getAllKeys();
+  }
+}
+
+export default MMKVMetadataStore;
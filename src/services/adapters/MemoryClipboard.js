@@ -0,0 +1,43 @@
+/**
+ * In-memory clipboard with the same interface as NativeClipboard.
+ * Used to run ClipboardService under Jest/Node without native modules.
+ */
+class MemoryClipboard {
+  constructor() {
+    this.value = '';
+    this.sensitive = false;
+    this.expiresIn = 0;
+  }
+
+  /**
+   * Put text on the clipboard
+   * @param {String} value Text to copy
+   * @param {Object} options Options (sensitive, expiresIn)
+   * @returns {Promise<void>}
+   */
+  async setString(value, { sensitive = false, expiresIn = 0 } = {}) {
+    this.value = value;
+    this.sensitive = sensitive;
+    this.expiresIn = expiresIn;
+  }
+
+  /**
+   * Read the text on the clipboard
+   * @returns {Promise<String>} Clipboard text
+   */
+  async getString() {
+    return this.value;
+  }
+
+  /**
+   * Empty the clipboard
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.value = '';
+    this.sensitive = false;
+    this.expiresIn = 0;
+  }
+}
+
+export default MemoryClipboard;
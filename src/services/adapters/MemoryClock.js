@@ -0,0 +1,36 @@
+/**
+ * Manually advanced clock with the same interface as NativeClock.
+ * Used to run LockoutService under Jest/Node without native modules.
+ */
+class MemoryClock {
+  constructor() {
+    this.elapsed = 0;
+    this.bootId = '1';
+  }
+
+  /**
+   * Read the clock
+   * @returns {Promise<Object>} Reading (elapsed, bootId)
+   */
+  async now() {
+    return { elapsed: this.elapsed, bootId: this.bootId };
+  }
+
+  /**
+   * Let time pass
+   * @param {Number} ms Milliseconds
+   */
+  advance(ms) {
+    this.elapsed += ms;
+  }
+
+  /**
+   * Simulate a reboot: the clock starts again at 0
+   */
+  reboot() {
+    this.elapsed = 0;
+    this.bootId = String(Number(this.bootId) + 1);
+  }
+}
+
+export default MemoryClock;
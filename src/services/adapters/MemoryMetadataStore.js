@@ -0,0 +1,51 @@
+/**
+ * In-memory metadata store exposing the subset of the MMKV API used by
+ * StorageService (getString, set, delete, contains, getAllKeys).
+ * Used to run StorageService under Jest/Node without native modules.
+ */
+class MemoryMetadataStore {
+  constructor() {
+    this.values = new Map();
+  }
+
+  /**
+   * @param {String} key Storage key
+   * @returns {String|undefined} Stored string, undefined if missing
+   */
+  getString(key) {
+    const value = this.values.get(key);
+    return typeof value === 'string' ? value : undefined;
+  }
+
+  /**
+   * @param {String} key Storage key
+   * @param {String|Number|Boolean} value Value to store
+   */
+  set(key, value) {
+    this.values.set(key, value);
+  }
+
+  /**
+   * @param {String} key Storage key
+   */
+  delete(key) {
+    this.values.delete(key);
+  }
+
+  /**
+   * @param {String} key Storage key
+   * @returns {Boolean} Whether a value is stored under the key
+   */
+  contains(key) {
+    return this.values.has(key);
+  }
+
+  /**
+   * @returns {Array<String>} All stored keys
+   */
+  getAllKeys() {
+    return Array.from(this.values.keys());
+  }
+}
+
+export default MemoryMetadataStore;
@@ -0,0 +1,54 @@
+/**
+ * In-memory secret store with the same interface as KeychainSecretStore.
+ * Used to run StorageService under Jest/Node without native modules.
+ * Protection options are recorded but not enforced.
+ */
+class MemorySecretStore {
+  constructor() {
+    this.secrets = new Map();
+  }
+
+  /**
+   * Store a username/password pair, replacing any existing value
+   * @param {String} service Service name
+   * @param {String} username Username to store
+   * @param {String} password Password or value to store
+   * @param {Object} options Protection options (useBiometrics, useDevicePasscode)
+   * @returns {Promise<void>}
+   */
+  async setSecret(service, username, password, options = {}) {
+    this.secrets.set(service, { username, password, options: { ...options } });
+  }
+
+  /**
+   * Read a username/password pair
+   * @param {String} service Service name
+   * @returns {Promise<Object|null>} Object with username and password, or null if missing
+   */
+  async getSecret(service) {
+    const entry = this.secrets.get(service);
+    if (!entry) {
+      return null;
+    }
+    return { service, username: entry.username, password: entry.password };
+  }
+
+  /**
+   * List the services of all stored secrets
+   * @returns {Promise<Array<String>>} Service names
+   */
+  async listServices() {
+    return Array.from(this.secrets.keys());
+  }
+
+  /**
+   * Remove a stored secret
+   * @param {String} service Service name
+   * @returns {Promise<void>}
+   */
+  async deleteSecret(service) {
+    this.secrets.delete(service);
+  }
+}
+
+export default MemorySecretStore;
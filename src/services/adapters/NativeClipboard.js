@@ -0,0 +1,52 @@
+import { NativeModules } from 'react-native';
+
+/**
+ * System clipboard, through the app's SecureClipboard module (android/ and
+ * ios/). It can flag sensitive values: Android 13+ hides them from clipboard
+ * previews, iOS keeps them off Universal Clipboard and lets them expire.
+ */
+class NativeClipboard {
+  constructor() {
+    this.module = NativeModules.SecureClipboard || null;
+  }
+
+  /**
+   * Put text on the clipboard
+   * @param {String} value Text to copy
+   * @param {Object} options Options (sensitive: hide it from clipboard
+   * previews and other devices, expiresIn: seconds until iOS removes it,
+   * 0 to keep it)
+   * @returns {Promise<void>}
+   */
+  async setString(value, { sensitive = false, expiresIn = 0 } = {}) {
+    await this._getModule().setString(value, sensitive, expiresIn);
+  }
+
+  /**
+   * Read the text on the clipboard
+   * @returns {Promise<String>} Clipboard text, '' when empty or unreadable
+   */
+  async getString() {
+    return this._getModule().getString();
+  }
+
+  /**
+   * Empty the clipboard
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._getModule().clear();
+  }
+
+  /**
+   * @private
+   */
+  _getModule() {
+    if (!this.module) {
+      throw new Error('SecureClipboard native module is not linked');
+    }
+    return this.module;
+  }
+}
+
+export default NativeClipboard;
@@ -0,0 +1,34 @@
+import { NativeModules } from 'react-native';
+import CryptoUtils from '../../utils/CryptoUtils';
+
+/**
+ * Clock that changing the device time cannot move. Uses the app's
+ * MonotonicClock module (android/ and ios/), which counts from boot; where
+ * it is not linked, falls back to the JS performance clock, which counts
+ * from the start of the process. Every process then reports a new bootId,
+ * so callers treat a restart like a reboot.
+ */
+class NativeClock {
+  constructor() {
+    this.module = NativeModules.MonotonicClock || null;
+    // Identifies this process for the fallback clock, which restarts with it
+    this.processId = null;
+  }
+
+  /**
+   * Read the clock
+   * @returns {Promise<Object>} Reading (elapsed: milliseconds since the
+   * clock started, bootId: changes whenever the clock restarts at 0)
+   */
+  async now() {
+    if (this.module) {
+      return this.module.read();
+    }
+    if (!this.processId) {
+      this.processId = CryptoUtils.bytesToHex(CryptoUtils.getRandomBytes(8));
+    }
+    return { elapsed: global.performance.now(), bootId: this.processId };
+  }
+}
+
+export default NativeClock;
@@ -0,0 +1,166 @@
+/* eslint-disable no-bitwise */
+import { sha1 } from '@noble/hashes/sha1';
+import { utf8ToBytes } from '@noble/hashes/utils';
+import CryptoUtils from './CryptoUtils';
+
+export const BREACH_FILTER_FORMAT = 'lockscreen-credentials-breach-filter';
+export const BREACH_FILTER_VERSION = 1;
+
+// Upper bound on filter size, keeps a bad import from exhausting memory
+const MAX_FILTER_BITS = 2 ** 30;
+
+/**
+ * Bit positions of a hash: (h1 + i * h2) mod bits. Also used by
+ * scripts/build-breach-filter.js.
+ * @param {Uint8Array} hash 20-byte SHA-1 digest
+ * @param {Number} bits Filter size
+ * @param {Number} hashes Number of hash functions
+ * @returns {Array<Number>} Positions
+ */
+export const getBloomPositions = (hash, bits, hashes) => {
+  const view = new DataView(hash.buffer, hash.byteOffset, hash.byteLength);
+  const h1 = view.getUint32(0);
+  // Odd, so the positions do not repeat early
+  const h2 = (view.getUint32(4) | 1) >>> 0;
+
+  const positions = [];
+  for (let i = 0; i < hashes; i++) {
+    positions.push((h1 + i * h2) % bits);
+  }
+  return positions;
+};
+
+/**
+ * Bloom filter over SHA-1 password hashes, as published by breach corpora
+ * such as Have I Been Pwned.
+ *
+ * SHA-1 output is already uniform, so the bit positions are derived from
+ * the first 8 bytes of the hash by double hashing instead of hashing again.
+ * This way filters can be built from hash lists without the passwords, as
+ * scripts/build-breach-filter.js does.
+ */
+class BloomFilter {
+  /**
+   * @param {Object} params Filter size (bits), number of hash functions
+   * (hashes), number of entries (count) and optional bit array (data)
+   */
+  constructor({ bits, hashes, count = 0, data }) {
+    this.bits = bits;
+    this.hashes = hashes;
+    this.count = count;
+    this.data = data || new Uint8Array(Math.ceil(bits / 8));
+  }
+
+  /**
+   * Create an empty filter sized for the expected number of entries
+   * @param {Number} expectedCount Number of hashes that will be added
+   * @param {Number} falsePositiveRate Accepted rate of false matches
+   * @returns {BloomFilter} Empty filter
+   */
+  static create(expectedCount, falsePositiveRate = 0.001) {
+    const bits = Math.max(8, Math.ceil(
+      -expectedCount * Math.log(falsePositiveRate) / (Math.LN2 * Math.LN2),
+    ));
+    const hashes = Math.max(1, Math.round(bits / Math.max(1, expectedCount) * Math.LN2));
+    return new BloomFilter({ bits, hashes });
+  }
+
+  /**
+   * Read a filter from its serialized form
+   * @param {String} contents Output of serialize()
+   * @returns {BloomFilter} Filter
+   * @throws {Error} When the contents are not a supported filter
+   */
+  static parse(contents) {
+    let envelope;
+    try {
+      envelope = JSON.parse(contents);
+    } catch (error) {
+      throw new Error('Breach filter is not valid JSON');
+    }
+    return BloomFilter.fromEnvelope(envelope);
+  }
+
+  /**
+   * Read a filter from its parsed JSON envelope
+   * @param {Object} envelope Parsed output of serialize()
+   * @returns {BloomFilter} Filter
+   * @throws {Error} When the envelope is not a supported filter
+   */
+  static fromEnvelope(envelope) {
+    if (!envelope || envelope.format !== BREACH_FILTER_FORMAT) {
+      throw new Error('Not a breach filter');
+    }
+    if (envelope.version !== BREACH_FILTER_VERSION || envelope.hash !== 'sha1') {
+      throw new Error(`Unsupported breach filter version ${envelope.version}`);
+    }
+
+    const { bits, hashes, count } = envelope;
+    if (!Number.isInteger(bits) || bits < 8 || bits > MAX_FILTER_BITS ||
+        !Number.isInteger(hashes) || hashes < 1 || hashes > 32) {
+      throw new Error('Breach filter parameters are out of range');
+    }
+
+    const data = CryptoUtils.base64ToBytes(envelope.data || '');
+    if (data.length !== Math.ceil(bits / 8)) {
+      throw new Error('Breach filter data does not match its size');
+    }
+
+    return new BloomFilter({ bits, hashes, count: count || 0, data });
+  }
+
+  /**
+   * Serialize the filter for storage or sharing
+   * @returns {String} JSON envelope with the bit array in base64
+   */
+  serialize() {
+    return JSON.stringify({
+      format: BREACH_FILTER_FORMAT,
+      version: BREACH_FILTER_VERSION,
+      hash: 'sha1',
+      bits: this.bits,
+      hashes: this.hashes,
+      count: this.count,
+      data: CryptoUtils.bytesToBase64(this.data),
+    });
+  }
+
+  /**
+   * Add a SHA-1 hash
+   * @param {Uint8Array} hash 20-byte SHA-1 digest
+   */
+  add(hash) {
+    this._getPositions(hash).forEach(position => {
+      this.data[position >> 3] |= 1 << (position & 7);
+    });
+    this.count++;
+  }
+
+  /**
+   * Check a SHA-1 hash. False positives are possible, false negatives not.
+   * @param {Uint8Array} hash 20-byte SHA-1 digest
+   * @returns {Boolean} Whether the hash is probably in the filter
+   */
+  has(hash) {
+    return this._getPositions(hash).every(position =>
+      (this.data[position >> 3] & (1 << (position & 7))) !== 0);
+  }
+
+  /**
+   * Check a password by its SHA-1 hash
+   * @param {String} password Password to check
+   * @returns {Boolean} Whether the password is probably in the filter
+   */
+  hasPassword(password) {
+    return this.has(sha1(utf8ToBytes(password)));
+  }
+
+  /**
+   * @private
+   */
+  _getPositions(hash) {
+    return getBloomPositions(hash, this.bits, this.hashes);
+  }
+}
+
+export default BloomFilter;
@@ -0,0 +1,442 @@
+import { CREDENTIAL_TYPE } from '../services/MetadataSchema';
+import CryptoUtils from './CryptoUtils';
+import TotpUtils, {
+  DEFAULT_TOTP_PARAMS,
+  TOTP_ALGORITHMS,
+  TOTP_DIGITS,
+  TOTP_PERIODS,
+} from './TotpUtils';
+
+/**
+ * Field properties:
+ * - name, label, placeholder
+ * - secret: stored in the keychain payload instead of the metadata
+ * - masked: hidden until revealed (defaults to secret)
+ * - required, multiline, keyboardType
+ * - choices: fixed values offered as chips instead of a text input
+ * - display: how the detail screen shows the value ('text' or 'cardNumber')
+ * - password: user-chosen password; offers the generator, the strength
+ *   meter and the breach check
+ * - visible(values): hides the field in forms when it returns false
+ */
+
+/**
+ * Luhn checksum used by payment card numbers
+ * @param {String} digits Card number without separators
+ * @returns {Boolean} Whether the checksum is valid
+ */
+export const isValidLuhn = digits => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// Marks a keychain password that also carries secret custom fields. Text
+// inputs cannot produce a NUL character, so no typed password starts with it.
+const CUSTOM_FIELDS_PREFIX = '\u0000custom-fields:';
+
+/**
+ * Separate the secret custom fields from a keychain password
+ * @param {String} password Keychain password slot
+ * @returns {Object} The type's own password and the secret custom field
+ * values by field id
+ */
+export const unwrapSecret = password => {
+  if (typeof password !== 'string' || !password.startsWith(CUSTOM_FIELDS_PREFIX)) {
+    return { password, customSecrets: {} };
+  }
+  const payload = JSON.parse(password.slice(CUSTOM_FIELDS_PREFIX.length));
+  return { password: payload.password, customSecrets: payload.fields || {} };
+};
+
+/**
+ * Add secret custom fields to a keychain password. Without any, the
+ * password is left as it is, so credentials without custom fields keep the
+ * layout of their type.
+ * @param {String} password The type's own password
+ * @param {Object} customSecrets Secret custom field values by field id
+ * @returns {String} Keychain password slot
+ */
+export const wrapSecret = (password, customSecrets) => (
+  Object.keys(customSecrets).length > 0 ?
+    CUSTOM_FIELDS_PREFIX + JSON.stringify({ password, fields: customSecrets }) :
+    password
+);
+
+const isOtpauthUri = value => /^otpauth:/i.test((value || '').trim());
+
+const DEFINITIONS = [
+  {
+    type: CREDENTIAL_TYPE.LOGIN,
+    label: 'Login',
+    icon: 'lock',
+    fields: [
+      { name: 'username', label: 'Username', secret: true, masked: false, required: true },
+      { name: 'password', label: 'Password/Value', secret: true, required: true, password: true },
+    ],
+    // Logins predate types and keep their keychain layout
+    toSecret: ({ username, password }) => ({ username, password }),
+    fromSecret: ({ username, password }) => ({ username, password }),
+  },
+  {
+    type: CREDENTIAL_TYPE.TOTP,
+    label: 'One-Time Code',
+    icon: 'timer',
+    display: 'totp',
+    fields: [
+      { name: 'account', label: 'Account', placeholder: 'Account (optional)', secret: true, masked: false },
+      {
+        name: 'secret',
+        label: 'Secret Key',
+        placeholder: 'Secret Key or otpauth:// URI',
+        secret: true,
+        required: true,
+      },
+      // Manually entered secrets only; otpauth:// URIs carry their own
+      {
+        name: 'algorithm',
+        label: 'Algorithm',
+        secret: true,
+        masked: false,
+        choices: TOTP_ALGORITHMS,
+        visible: values => !isOtpauthUri(values.secret),
+      },
+      {
+        name: 'digits',
+        label: 'Digits',
+        secret: true,
+        masked: false,
+        choices: TOTP_DIGITS,
+        visible: values => !isOtpauthUri(values.secret),
+      },
+      {
+        name: 'period',
+        label: 'Period',
+        secret: true,
+        masked: false,
+        choices: TOTP_PERIODS,
+        visible: values => !isOtpauthUri(values.secret),
+      },
+    ],
+    defaults: DEFAULT_TOTP_PARAMS,
+    // Accept a bare Base32 secret or a pasted otpauth:// URI
+    prepare: values => {
+      const params = TotpUtils.parseSetupInput(values.secret, values);
+      return {
+        ...values,
+        ...params,
+        issuer: params.issuer || values.issuer || null,
+        account: (values.account || '').trim() || params.account || '',
+      };
+    },
+    // Stored as a canonical otpauth:// URI, see TotpUtils
+    toSecret: values => ({ username: values.account || '', password: TotpUtils.buildUri(values) }),
+    fromSecret: ({ password }) => TotpUtils.parseUri(password),
+  },
+  {
+    type: CREDENTIAL_TYPE.NOTE,
+    label: 'Secure Note',
+    icon: 'sticky-note-2',
+    fields: [
+      { name: 'content', label: 'Note', secret: true, required: true, multiline: true },
+    ],
+  },
+  {
+    type: CREDENTIAL_TYPE.API_KEY,
+    label: 'API Key',
+    icon: 'vpn-key',
+    fields: [
+      { name: 'keyId', label: 'Key ID', placeholder: 'Key or client ID (optional)' },
+      { name: 'token', label: 'API Key / Token', secret: true, required: true },
+      { name: 'endpoint', label: 'Endpoint', placeholder: 'Endpoint (optional)', keyboardType: 'url' },
+    ],
+  },
+  {
+    type: CREDENTIAL_TYPE.CARD,
+    label: 'Payment Card',
+    icon: 'credit-card',
+    fields: [
+      { name: 'cardholder', label: 'Cardholder Name' },
+      {
+        name: 'number',
+        label: 'Card Number',
+        secret: true,
+        required: true,
+        keyboardType: 'number-pad',
+        display: 'cardNumber',
+      },
+      { name: 'expiry', label: 'Expiry', placeholder: 'Expiry (MM/YY)', required: true },
+      { name: 'cvv', label: 'Security Code', secret: true, keyboardType: 'number-pad' },
+      { name: 'pin', label: 'PIN', secret: true, keyboardType: 'number-pad' },
+    ],
+    prepare: values => ({
+      ...values,
+      number: (values.number || '').replace(/[\s-]/g, ''),
+      expiry: (values.expiry || '').replace(/\s/g, ''),
+    }),
+    validate: values => {
+      if (!/^\d{12,19}$/.test(values.number) || !isValidLuhn(values.number)) {
+        return 'The card number is not valid';
+      }
+      const expiry = /^(\d{2})\/(\d{2}|\d{4})$/.exec(values.expiry);
+      if (!expiry || Number(expiry[1]) < 1 || Number(expiry[1]) > 12) {
+        return 'Enter the expiry as MM/YY';
+      }
+      if (values.cvv && !/^\d{3,4}$/.test(values.cvv)) {
+        return 'The security code must be 3 or 4 digits';
+      }
+      if (values.pin && !/^\d{4,12}$/.test(values.pin)) {
+        return 'The PIN must be 4 to 12 digits';
+      }
+      return null;
+    },
+  },
+  {
+    type: CREDENTIAL_TYPE.IDENTITY,
+    label: 'Identity',
+    icon: 'badge',
+    fields: [
+      { name: 'fullName', label: 'Full Name', required: true },
+      { name: 'email', label: 'Email', keyboardType: 'email-address' },
+      { name: 'phone', label: 'Phone', keyboardType: 'phone-pad' },
+      { name: 'address', label: 'Address', multiline: true },
+      { name: 'birthDate', label: 'Date of Birth' },
+      { name: 'documentNumber', label: 'ID / Passport Number', secret: true },
+    ],
+  },
+];
+
+/**
+ * Registry of credential types. Each type declares its fields, which of
+ * them are secret, and how they are validated and displayed; the add form
+ * and the detail screen are built from it.
+ *
+ * Secret fields are stored in the keychain: unless a type maps them itself
+ * (toSecret/fromSecret), as a JSON object in the password slot. The other
+ * fields go into the `fields` metadata object, where they are searchable.
+ *
+ * Any credential can also have custom fields, kept in order in the
+ * `customFields` value as [{ id, name, secret, value }]. Their names and
+ * plain values go into the `customFields` metadata list; secret values are
+ * added to the keychain password, see wrapSecret.
+ */
+class CredentialTypes {
+  constructor() {
+    this.definitions = new Map();
+    DEFINITIONS.forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Add or replace a type
+   * @param {Object} definition Type definition (type, label, icon, fields,
+   * and optionally defaults, display, prepare, validate, toSecret, fromSecret)
+   */
+  register(definition) {
+    this.definitions.set(definition.type, definition);
+  }
+
+  /**
+   * Get a type; unknown types and records written before types are logins
+   * @param {String} type Credential type
+   * @returns {Object} Type definition
+   */
+  get(type) {
+    return this.definitions.get(type) || this.definitions.get(CREDENTIAL_TYPE.LOGIN);
+  }
+
+  /**
+   * @returns {Array<Object>} Every type definition, in display order
+   */
+  list() {
+    return Array.from(this.definitions.values());
+  }
+
+  /**
+   * Initial form values of a type
+   * @param {String} type Credential type
+   * @returns {Object} Values keyed by field name
+   */
+  getDefaultValues(type) {
+    const definition = this.get(type);
+    const values = Object.fromEntries(definition.fields.map(field => [
+      field.name,
+      field.choices ? field.choices[0] : '',
+    ]));
+    return { ...values, ...definition.defaults, customFields: [] };
+  }
+
+  /**
+   * Create an empty custom field
+   * @param {Boolean} secret Whether the value is kept in the keychain and masked
+   * @returns {Object} Custom field (id, name, secret, value)
+   */
+  createCustomField(secret = false) {
+    return {
+      id: CryptoUtils.bytesToHex(CryptoUtils.getRandomBytes(4)),
+      name: '',
+      secret,
+      value: '',
+    };
+  }
+
+  /**
+   * Fields shown in a form for the current values
+   * @param {String} type Credential type
+   * @param {Object} values Current values
+   * @returns {Array<Object>} Field definitions
+   */
+  getVisibleFields(type, values) {
+    return this.get(type).fields.filter(field => !field.visible || field.visible(values));
+  }
+
+  /**
+   * Normalize and validate form values before saving
+   * @param {String} type Credential type
+   * @param {Object} values Values keyed by field name
+   * @returns {Object} Normalized values
+   * @throws {Error} With a message for the user when a value is invalid
+   */
+  prepare(type, values) {
+    const definition = this.get(type);
+
+    const missing = this.getVisibleFields(type, values).find(field =>
+      field.required && !String(values[field.name] ?? '').trim());
+    if (missing) {
+      throw new Error(`Please enter the ${missing.label.toLowerCase()}`);
+    }
+
+    // Rows left completely empty are dropped rather than rejected
+    const customFields = (values.customFields || [])
+      .map(field => ({ ...field, name: field.name.trim() }))
+      .filter(field => field.name || String(field.value ?? '').trim());
+    if (customFields.some(field => !field.name)) {
+      throw new Error('Please name every custom field');
+    }
+
+    const prepared = definition.prepare ? definition.prepare(values) : values;
+    const error = definition.validate ? definition.validate(prepared) : null;
+    if (error) {
+      throw new Error(error);
+    }
+    return { ...prepared, customFields };
+  }
+
+  /**
+   * Split values into what StorageService stores
+   * @param {String} type Credential type
+   * @param {Object} values Prepared values
+   * @returns {Object} Keychain username and password, and the plain fields
+   * and custom field list for the metadata
+   */
+  toStorage(type, values) {
+    const definition = this.get(type);
+    const secretValues = {};
+    const fields = {};
+
+    definition.fields.forEach(field => {
+      const value = values[field.name];
+      if (field.secret) {
+        secretValues[field.name] = value;
+      } else if (value !== undefined && value !== '') {
+        fields[field.name] = value;
+      }
+    });
+
+    const { username, password } = definition.toSecret ?
+      definition.toSecret({ ...values, ...secretValues }) :
+      { username: '', password: JSON.stringify(secretValues) };
+
+    const customSecrets = {};
+    const customFields = (values.customFields || []).map(({ id, name, secret, value }) => {
+      if (secret) {
+        customSecrets[id] = value;
+        return { id, name, secret: true };
+      }
+      return { id, name, secret: false, value };
+    });
+
+    return { username, password: wrapSecret(password, customSecrets), fields, customFields };
+  }
+
+  /**
+   * Rebuild the values of a stored credential
+   * @param {Object} credential Result value of StorageService.getCredential
+   * (username, password, metadata)
+   * @returns {Object} Values keyed by field name
+   * @throws {Error} When the keychain payload cannot be read
+   */
+  fromStorage(credential) {
+    const metadata = credential.metadata || {};
+    const definition = this.get(metadata.type);
+    const { password, customSecrets } = unwrapSecret(credential.password);
+    const secretValues = definition.fromSecret ?
+      definition.fromSecret({ ...credential, password }) :
+      JSON.parse(password);
+
+    const customFields = (metadata.customFields || []).map(field => ({
+      ...field,
+      value: field.secret ? customSecrets[field.id] ?? '' : field.value,
+    }));
+
+    return { ...metadata.fields, ...secretValues, customFields };
+  }
+
+  /**
+   * Guess the type of a keychain secret whose metadata is lost: an
+   * otpauth:// URI is a one-time code, a JSON object of one type's secret
+   * fields is that type, anything else a login
+   * @param {Object} secret Keychain username and password
+   * @returns {String} Credential type
+   */
+  detectType(secret) {
+    const { password } = unwrapSecret(secret.password);
+    if (isOtpauthUri(password)) {
+      return CREDENTIAL_TYPE.TOTP;
+    }
+
+    let values;
+    try {
+      values = JSON.parse(password);
+    } catch (error) {
+      return CREDENTIAL_TYPE.LOGIN;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return CREDENTIAL_TYPE.LOGIN;
+    }
+
+    const definition = this.list().find(candidate => {
+      if (candidate.toSecret) {
+        return false;
+      }
+      const secretFields = candidate.fields.filter(field => field.secret);
+      return Object.keys(values).every(name => secretFields.some(field => field.name === name)) &&
+        secretFields.every(field => !field.required || values[field.name]);
+    });
+    return definition ? definition.type : CREDENTIAL_TYPE.LOGIN;
+  }
+
+  /**
+   * Format a value for the detail screen
+   * @param {Object} field Field definition
+   * @param {*} value Stored value
+   * @returns {String} Display text
+   */
+  formatValue(field, value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    if (field.display === 'cardNumber') {
+      return text.replace(/(\d{4})(?=\d)/g, '$1 ');
+    }
+    return text;
+  }
+}
+
+export default new CredentialTypes();
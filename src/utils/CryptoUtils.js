@@ -0,0 +1,111 @@
+/* eslint-disable no-bitwise */
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+class CryptoUtils {
+  /**
+   * Get cryptographically secure random bytes
+   * Relies on crypto.getRandomValues, polyfilled in index.js
+   * @param {Number} length Number of bytes to generate
+   * @returns {Uint8Array} Random bytes
+   */
+  getRandomBytes(length) {
+    const bytes = new Uint8Array(length);
+    global.crypto.getRandomValues(bytes);
+    return bytes;
+  }
+
+  /**
+   * Get a uniformly distributed random integer in [0, max)
+   * @param {Number} max Exclusive upper bound (at most 2^32)
+   * @returns {Number} Random integer
+   */
+  getRandomInt(max) {
+    // Rejection sampling avoids the modulo bias of a plain `value % max`
+    const limit = Math.floor(0x100000000 / max) * max;
+    const buffer = new Uint32Array(1);
+    do {
+      global.crypto.getRandomValues(buffer);
+    } while (buffer[0] >= limit);
+    return buffer[0] % max;
+  }
+
+  /**
+   * Build a random string from the given alphabet
+   * @param {Number} length Number of characters
+   * @param {String} alphabet Characters to pick from
+   * @returns {String} Random string
+   */
+  getRandomString(length, alphabet) {
+    let result = '';
+    for (let i = 0; i < length; i++) {
+      result += alphabet[this.getRandomInt(alphabet.length)];
+    }
+    return result;
+  }
+
+  /**
+   * Encode bytes as a lowercase hex string
+   * @param {Uint8Array} bytes Bytes to encode
+   * @returns {String} Hex string
+   */
+  bytesToHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Decode a hex string into bytes
+   * @param {String} hex Hex string
+   * @returns {Uint8Array} Decoded bytes
+   */
+  hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  /**
+   * Encode bytes as a base64 string
+   * @param {Uint8Array} bytes Bytes to encode
+   * @returns {String} Base64 string with padding
+   */
+  bytesToBase64(bytes) {
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+      const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+      result += BASE64_ALPHABET[(chunk >> 18) & 63] + BASE64_ALPHABET[(chunk >> 12) & 63];
+      result += i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 63] : '=';
+      result += i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 63] : '=';
+    }
+    return result;
+  }
+
+  /**
+   * Decode a base64 string into bytes
+   * @param {String} base64 Base64 string, whitespace is ignored
+   * @returns {Uint8Array} Decoded bytes
+   */
+  base64ToBytes(base64) {
+    const clean = base64.replace(/\s+/g, '').replace(/=+$/, '');
+    if (/[^A-Za-z0-9+/]/.test(clean) || clean.length % 4 === 1) {
+      throw new Error('Invalid base64 string');
+    }
+
+    const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+    let buffer = 0;
+    let bits = 0;
+    let index = 0;
+    for (const char of clean) {
+      buffer = (buffer << 6) | BASE64_ALPHABET.indexOf(char);
+      bits += 6;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes[index++] = (buffer >> bits) & 0xff;
+      }
+    }
+    return bytes;
+  }
+}
+
+export default new CryptoUtils();
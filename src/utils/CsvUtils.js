@@ -0,0 +1,76 @@
+class CsvUtils {
+  /**
+   * Parse CSV text as written by spreadsheet and password manager exports
+   * (RFC 4180: quoted fields, doubled quotes, embedded newlines, CRLF)
+   * @param {String} text CSV contents
+   * @returns {Array<Array<String>>} Rows of fields, blank lines skipped
+   */
+  parse(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    // Excel and some exporters prefix the file with a byte order mark
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    const endRow = () => {
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') {
+        rows.push(row);
+      }
+      row = [];
+      field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        endRow();
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  }
+
+  /**
+   * Parse CSV text with a header row into objects keyed by lowercase header
+   * @param {String} text CSV contents
+   * @returns {Object} Object with headers and records
+   */
+  parseWithHeaders(text) {
+    const [headerRow = [], ...rows] = this.parse(text);
+    const headers = headerRow.map(header => header.trim().toLowerCase());
+
+    const records = rows.map(row =>
+      Object.fromEntries(headers.map((header, index) => [header, row[index] || ''])),
+    );
+
+    return { headers, records };
+  }
+}
+
+export default new CsvUtils();
@@ -1,5 +1,8 @@
 import { Platform, NativeModules } from 'react-native';
 import * as Keychain from 'react-native-keychain';
+import AuthSessionService, { AUTH_RESULT } from '../services/AuthSessionService';
+
+export { AUTH_RESULT };
 
 class LockscreenUtils {
   /**
@@ -60,91 +63,22 @@ class LockscreenUtils {
 
   /**
    * Attempts to authenticate the user using lockscreen credentials
-   * @param {Object} options Authentication options
+   * @param {Object} options Authentication options, see authenticate
    * @returns {Promise<boolean>} Whether authentication was successful
    */
   async authenticateWithLockscreen(options = {}) {
-    try {
-      const {
-        promptMessage = 'Authenticate to continue',
-        cancelButtonText = 'Cancel',
-        fallbackToPasscode = true,
-      } = options;
-      
-      // Choose the right access control based on the fallbackToPasscode option
-      let accessControl;
-      if (fallbackToPasscode) {
-        accessControl = Keychain.ACCESS_CONTROL.BIOMETRY_ANY_OR_DEVICE_PASSCODE;
-      } else {
-        accessControl = Keychain.ACCESS_CONTROL.BIOMETRY_ANY;
-      }
-      
-      // Set up security options
-      const securityOptions = {
-        accessControl,
-        accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED,
-        authenticationType: Keychain.AUTHENTICATION_TYPE.DEVICE_PASSCODE_OR_BIOMETRICS,
-        authenticationPrompt: {
-          title: promptMessage,
-          description: 'Authentication is required',
-          cancel: cancelButtonText,
-        },
-      };
-      
-      // For Android, also set the security level - this is CRITICAL for Android
-      if (Platform.OS === 'android') {
-        securityOptions.securityLevel = Keychain.SECURITY_LEVEL.SECURE_HARDWARE;
-        
-        // On Android, we need to explicitly set this for authentication to work
-        if (fallbackToPasscode) {
-          securityOptions.accessControl = Keychain.ACCESS_CONTROL.BIOMETRY_ANY_OR_DEVICE_PASSCODE;
-        } else {
-          // If biometrics only, check if available before setting
-          const bioInfo = await this.getBiometricInfo();
-          if (bioInfo.available) {
-            securityOptions.accessControl = Keychain.ACCESS_CONTROL.BIOMETRY_ANY;
-          } else {
-            // Fall back to device passcode if biometrics aren't available
-            securityOptions.accessControl = Keychain.ACCESS_CONTROL.DEVICE_PASSCODE;
-          }
-        }
-      }
-      
-      // Create a temporary key in the keychain that requires authentication
-      const tempKey = `auth_check_${new Date().getTime()}`;
-      
-      // Store a dummy value with device authentication
-      await Keychain.setGenericPassword('auth_user', 'auth_check', {
-        service: tempKey,
-        ...securityOptions,
-      });
-      
-      // Try to access it immediately to trigger the authentication
-      const result = await Keychain.getGenericPassword({
-        service: tempKey,
-        ...securityOptions,
-      });
-      
-      // Clean up the temporary value
-      await Keychain.resetGenericPassword({ service: tempKey });
-      
-      // If we got a result, authentication succeeded
-      return !!result;
-    } catch (error) {
-      console.error('Authentication error:', error);
-      
-      // Special handling for cancellation
-      if (error.message && (
-        error.message.includes('canceled') ||
-        error.message.includes('cancelled') ||
-        error.message.includes('user canceled')
-      )) {
-        // User canceled the auth prompt, not a real error
-        return false;
-      }
-      
-      return false;
-    }
+    return (await this.authenticate(options)) === AUTH_RESULT.SUCCESS;
+  }
+
+  /**
+   * Attempts to authenticate the user, telling a cancelled prompt apart
+   * from a failed one. See AuthSessionService.
+   * @param {Object} options Authentication options (promptMessage,
+   * reuseSession: skip the prompt if the user authenticated moments ago)
+   * @returns {Promise<String>} One of AUTH_RESULT
+   */
+  async authenticate(options = {}) {
+    return AuthSessionService.authenticate(options);
   }
 
   /**
@@ -154,33 +88,8 @@ class LockscreenUtils {
    */
   async _hasDeviceCredentialStore() {
     if (Platform.OS === 'android') {
-      // On Android, try to create a key that requires device credentials
-      try {
-        const tempKey = `credential_check_${new Date().getTime()}`;
-        
-        // Try to set a value with the DeviceLock security level
-        await Keychain.setGenericPassword('user', 'check', {
-          service: tempKey,
-          securityLevel: Keychain.SECURITY_LEVEL.SECURE_HARDWARE,
-          accessControl: Keychain.ACCESS_CONTROL.DEVICE_PASSCODE,
-          authenticationType: Keychain.AUTHENTICATION_TYPE.DEVICE_PASSCODE_OR_BIOMETRICS,
-        });
-        
-        // Clean up
-        await Keychain.resetGenericPassword({ service: tempKey });
-        
-        // If we got here, device has credential store
-        return true;
-      } catch (error) {
-        // If we get an error, check the message
-        if (error.message && error.message.includes('No fingerprint enrolled')) {
-          // This means device has security but no fingerprints
-          return true;
-        }
-        
-        // If other error, device likely doesn't have a lock set up
-        return false;
-      }
+      // Asks the KeyguardManager, so no probe entry is written to the keystore
+      return Keychain.isPasscodeAuthAvailable();
     }
     
     // Default to false for other platforms
@@ -0,0 +1,237 @@
+import CryptoUtils from './CryptoUtils';
+// EFF large wordlist, CC BY 3.0 US, Electronic Frontier Foundation
+// https://www.eff.org/dice
+import WORDLIST from './wordlists/eff_large_wordlist.json';
+
+// Character classes in the order they appear in the options
+export const CHARACTER_CLASSES = {
+  lowercase: 'abcdefghijklmnopqrstuvwxyz',
+  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digits: '0123456789',
+  // No quotes, backslash or space: they break too many login forms
+  symbols: '!#$%&()*+,-./:;<=>?@[]^_{|}~',
+};
+
+// Characters easily confused with one another in common fonts
+export const LOOK_ALIKE_CHARACTERS = 'Il1|O0o';
+
+export const DEFAULT_PASSWORD_OPTIONS = {
+  length: 20,
+  lowercase: true,
+  uppercase: true,
+  digits: true,
+  symbols: true,
+  excludeLookAlikes: false,
+  // Minimum number of characters from each enabled class
+  minCounts: { lowercase: 1, uppercase: 1, digits: 1, symbols: 1 },
+};
+
+export const DEFAULT_PASSPHRASE_OPTIONS = {
+  words: 6,
+  separator: '-',
+  capitalize: false,
+  includeNumber: false,
+};
+
+export const PASSWORD_LENGTH_RANGE = { min: 8, max: 128 };
+export const PASSPHRASE_WORDS_RANGE = { min: 3, max: 12 };
+
+/**
+ * Random passwords and diceware-style passphrases.
+ *
+ * Passwords are drawn uniformly from all strings that satisfy the options,
+ * so the reported entropy is exact: first the number of characters from
+ * each class is chosen with the right weight, then the characters, then
+ * their order.
+ */
+class PasswordGenerator {
+  /**
+   * Generate a random password
+   * @param {Object} options Overrides of DEFAULT_PASSWORD_OPTIONS
+   * @returns {String} Password
+   */
+  generatePassword(options = {}) {
+    const { length, classes } = this._getPasswordPlan(options);
+    const table = this._getCountTable(length, classes);
+
+    const characters = [];
+    let remaining = length;
+    classes.forEach((characterClass, index) => {
+      const count = this._pickCount(characterClass, remaining, table, index);
+      for (let i = 0; i < count; i++) {
+        characters.push(
+          characterClass.alphabet[CryptoUtils.getRandomInt(characterClass.alphabet.length)],
+        );
+      }
+      remaining -= count;
+    });
+
+    return this._shuffle(characters).join('');
+  }
+
+  /**
+   * Entropy of passwords generated with the given options
+   * @param {Object} options Overrides of DEFAULT_PASSWORD_OPTIONS
+   * @returns {Number} Entropy in bits
+   */
+  getPasswordEntropy(options = {}) {
+    const { length, classes } = this._getPasswordPlan(options);
+    const table = this._getCountTable(length, classes);
+
+    // Number of valid passwords is length! * table[0][length]
+    let bits = Math.log2(table[0][length]);
+    for (let i = 2; i <= length; i++) {
+      bits += Math.log2(i);
+    }
+    return bits;
+  }
+
+  /**
+   * Generate a passphrase from the bundled wordlist
+   * @param {Object} options Overrides of DEFAULT_PASSPHRASE_OPTIONS
+   * @returns {String} Passphrase
+   */
+  generatePassphrase(options = {}) {
+    const { words, separator, capitalize, includeNumber } = {
+      ...DEFAULT_PASSPHRASE_OPTIONS,
+      ...options,
+    };
+
+    const picked = [];
+    for (let i = 0; i < words; i++) {
+      const word = WORDLIST[CryptoUtils.getRandomInt(WORDLIST.length)];
+      picked.push(capitalize ? word[0].toUpperCase() + word.slice(1) : word);
+    }
+
+    if (includeNumber) {
+      // One digit appended to a random word
+      const index = CryptoUtils.getRandomInt(words);
+      picked[index] += CryptoUtils.getRandomInt(10);
+    }
+
+    return picked.join(separator);
+  }
+
+  /**
+   * Entropy of passphrases generated with the given options
+   * @param {Object} options Overrides of DEFAULT_PASSPHRASE_OPTIONS
+   * @returns {Number} Entropy in bits
+   */
+  getPassphraseEntropy(options = {}) {
+    const { words, includeNumber } = { ...DEFAULT_PASSPHRASE_OPTIONS, ...options };
+    const bits = words * Math.log2(WORDLIST.length);
+    return includeNumber ? bits + Math.log2(10 * words) : bits;
+  }
+
+  /**
+   * Resolve options into the enabled classes and check they can be met
+   * @private
+   * @param {Object} options Overrides of DEFAULT_PASSWORD_OPTIONS
+   * @returns {Object} Length and classes ({ alphabet, min })
+   */
+  _getPasswordPlan(options) {
+    const merged = {
+      ...DEFAULT_PASSWORD_OPTIONS,
+      ...options,
+      minCounts: { ...DEFAULT_PASSWORD_OPTIONS.minCounts, ...options.minCounts },
+    };
+
+    const classes = Object.keys(CHARACTER_CLASSES)
+      .filter(name => merged[name])
+      .map(name => ({
+        alphabet: merged.excludeLookAlikes ?
+          [...CHARACTER_CLASSES[name]].filter(char => !LOOK_ALIKE_CHARACTERS.includes(char)).join('') :
+          CHARACTER_CLASSES[name],
+        min: Math.max(0, merged.minCounts[name] || 0),
+      }));
+
+    if (classes.length === 0) {
+      throw new Error('Enable at least one character class');
+    }
+    const required = classes.reduce((sum, characterClass) => sum + characterClass.min, 0);
+    if (required > merged.length) {
+      throw new Error(`Minimum counts need ${required} characters but length is ${merged.length}`);
+    }
+
+    return { length: merged.length, classes };
+  }
+
+  /**
+   * table[i][r]: weighted number of ways classes i.. can fill r positions
+   * while meeting their minimums, as the coefficient of x^r in the product
+   * of sum_{c >= min} (size * x)^c / c!
+   * @private
+   * @param {Number} length Password length
+   * @param {Array<Object>} classes Enabled classes
+   * @returns {Array<Array<Number>>} Table with one row per class plus a final row
+   */
+  _getCountTable(length, classes) {
+    const table = classes.map(() => new Array(length + 1).fill(0));
+    table.push([1, ...new Array(length).fill(0)]);
+
+    for (let i = classes.length - 1; i >= 0; i--) {
+      const { alphabet, min } = classes[i];
+      for (let r = 0; r <= length; r++) {
+        let sum = 0;
+        for (let c = min; c <= r; c++) {
+          sum += this._weight(alphabet.length, c) * table[i + 1][r - c];
+        }
+        table[i][r] = sum;
+      }
+    }
+
+    return table;
+  }
+
+  /**
+   * size^count / count!
+   * @private
+   */
+  _weight(size, count) {
+    let weight = 1;
+    for (let i = 1; i <= count; i++) {
+      weight *= size / i;
+    }
+    return weight;
+  }
+
+  /**
+   * Choose how many characters come from one class, in proportion to the
+   * number of passwords with that count
+   * @private
+   */
+  _pickCount(characterClass, remaining, table, index) {
+    // 53 random bits for a uniform float in [0, 1)
+    const random = (CryptoUtils.getRandomInt(2 ** 26) * 2 ** 27 + CryptoUtils.getRandomInt(2 ** 27)) / 2 ** 53;
+    let target = random * table[index][remaining];
+    let lastPossible = characterClass.min;
+
+    for (let count = characterClass.min; count <= remaining; count++) {
+      const weight = this._weight(characterClass.alphabet.length, count) *
+        table[index + 1][remaining - count];
+      if (weight > 0) {
+        if (target < weight) {
+          return count;
+        }
+        lastPossible = count;
+      }
+      target -= weight;
+    }
+    // Only reached through floating point rounding
+    return lastPossible;
+  }
+
+  /**
+   * Fisher-Yates shuffle with secure randomness
+   * @private
+   */
+  _shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = CryptoUtils.getRandomInt(i + 1);
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+}
+
+export default new PasswordGenerator();
@@ -0,0 +1,166 @@
+// Protection filters offered on the credential list
+export const PROTECTION_FILTERS = ['all', 'biometrics', 'passcode', 'none'];
+
+// Sort modes offered on the credential list
+export const SORT_MODES = ['name', 'created', 'updated', 'lastUsed'];
+
+// Metadata fields searched, with the weight of a match in each
+const SEARCH_FIELDS = [
+  ['key', 3],
+  ['url', 2],
+  ['notes', 1],
+  ['folder', 1],
+  ['tags', 2],
+  // Non-secret values of typed credentials, e.g. an identity's email
+  ['fields', 1],
+  // Names and plain values of custom fields; secret values stay in the keychain
+  ['customFields', 1],
+];
+
+// Newest first for date sorts; items without a date go last
+const DATE_FIELDS = {
+  created: 'createdAt',
+  updated: 'updatedAt',
+  lastUsed: 'lastUsedAt',
+};
+
+class SearchUtils {
+  /**
+   * Score how well a query matches a text. Substring matches beat
+   * scattered ones, and matches at the start or after a separator count more.
+   * @param {String} query Lowercase query
+   * @param {String} text Text to search
+   * @returns {Number} Score, 0 when the query's characters do not all appear in order
+   */
+  fuzzyScore(query, text) {
+    if (!text) {
+      return 0;
+    }
+
+    const haystack = text.toLowerCase();
+    const index = haystack.indexOf(query);
+    if (index !== -1) {
+      return index === 0 ? 100 : 80;
+    }
+
+    // Characters in order with gaps, e.g. "gthb" in "github"
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+    for (const char of query) {
+      const found = haystack.indexOf(char, position);
+      if (found === -1) {
+        return 0;
+      }
+      score += found === previous + 1 ? 3 : 1;
+      if (found === 0 || /[\s._@/-]/.test(haystack[found - 1])) {
+        score += 2;
+      }
+      previous = found;
+      position = found + 1;
+    }
+
+    // Keep scattered matches below any substring match
+    return Math.min(60, Math.round((score / (query.length * 5)) * 60));
+  }
+
+  /**
+   * Check a metadata record against a protection filter
+   * @param {Object} metadata Credential metadata
+   * @param {String} protection One of PROTECTION_FILTERS
+   * @returns {Boolean} Whether the record passes
+   */
+  matchesProtection(metadata, protection) {
+    switch (protection) {
+      case 'biometrics':
+        return !!metadata.useBiometrics;
+      case 'passcode':
+        return !!metadata.useDevicePasscode;
+      case 'none':
+        return !metadata.useBiometrics && !metadata.useDevicePasscode;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Filter and order credential metadata for display. Works on metadata
+   * only, so it never needs a secret.
+   * @param {Array<Object>} items Metadata records from StorageService.getItemsMetadata
+   * @param {Object} options Search options (query, protection, sort, and
+   * optionally folder and tag to narrow down to)
+   * @returns {Array<Object>} Matching records; best match first when searching,
+   * otherwise in the requested sort order
+   */
+  filterCredentials(items, options = {}) {
+    const { query = '', protection = 'all', sort = 'name', folder, tag } = options;
+    const normalizedQuery = query.trim().toLowerCase();
+
+    const candidates = items.filter(item =>
+      this.matchesProtection(item, protection) &&
+      (folder === undefined || item.folder === folder) &&
+      (tag === undefined || (item.tags || []).includes(tag)),
+    );
+    const sorted = this.sortCredentials(candidates, sort);
+
+    if (!normalizedQuery) {
+      return sorted;
+    }
+
+    return sorted
+      .map(item => ({
+        item,
+        score: Math.max(...SEARCH_FIELDS.map(([field, weight]) =>
+          this.fuzzyScore(normalizedQuery, this._getSearchText(item[field])) * weight,
+        )),
+      }))
+      .filter(({ score }) => score > 0)
+      // Stable sort keeps the chosen order among equal scores
+      .sort((a, b) => b.score - a.score)
+      .map(({ item }) => item);
+  }
+
+  /**
+   * Flatten a metadata field to searchable text
+   * @private
+   * @param {*} value Field value
+   * @returns {String|null} Text, tags and field values joined by spaces
+   */
+  _getSearchText(value) {
+    if (Array.isArray(value)) {
+      return value
+        .map(entry => (entry && typeof entry === 'object' ? [entry.name, entry.value].filter(Boolean).join(' ') : entry))
+        .join(' ');
+    }
+    if (value && typeof value === 'object') {
+      return Object.values(value).join(' ');
+    }
+    return value;
+  }
+
+  /**
+   * Order credential metadata
+   * @param {Array<Object>} items Metadata records
+   * @param {String} sort One of SORT_MODES
+   * @returns {Array<Object>} New sorted array
+   */
+  sortCredentials(items, sort) {
+    const dateField = DATE_FIELDS[sort];
+
+    if (!dateField) {
+      return [...items].sort((a, b) =>
+        a.key.localeCompare(b.key, undefined, { sensitivity: 'base' }),
+      );
+    }
+
+    return [...items].sort((a, b) => {
+      if (!a[dateField] || !b[dateField]) {
+        return (b[dateField] ? 1 : 0) - (a[dateField] ? 1 : 0);
+      }
+      // ISO timestamps compare correctly as strings
+      return b[dateField].localeCompare(a[dateField]);
+    });
+  }
+}
+
+export default new SearchUtils();
@@ -0,0 +1,956 @@
+// Frequency lists from zxcvbn, MIT License, Copyright (c) 2012-2016 Dan
+// Wheeler and Dropbox, Inc. https://github.com/dropbox/zxcvbn
+import DICTIONARIES from './wordlists/strength_dictionaries.json';
+
+export const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+// Scores below this are flagged as weak
+export const WEAK_SCORE = 2;
+
+// Longer passwords are strong anyway; only their start is analyzed
+const MAX_ANALYZED_LENGTH = 100;
+
+const BRUTEFORCE_CARDINALITY = 10;
+const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+const MIN_SUBMATCH_GUESSES_SINGLE_CHAR = 10;
+const MIN_SUBMATCH_GUESSES_MULTI_CHAR = 50;
+const MIN_YEAR_SPACE = 20;
+
+// Guesses needed to reach scores 1 to 4
+const SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10];
+
+// Characters commonly substituted for letters
+const L33T_TABLE = {
+  a: ['4', '@'],
+  b: ['8'],
+  c: ['(', '{', '[', '<'],
+  e: ['3'],
+  g: ['6', '9'],
+  i: ['1', '!', '|'],
+  l: ['1', '|', '7'],
+  o: ['0'],
+  s: ['$', '5'],
+  t: ['+', '7'],
+  x: ['%'],
+  z: ['2'],
+};
+
+// Limit on substitution combinations tried for ambiguous characters
+const MAX_L33T_SUBSTITUTIONS = 32;
+
+// US keyboard, each key as unshifted and shifted character. Rows are
+// staggered: a key touches the keys at the same and next index above it.
+const KEYBOARD_ROWS = [
+  ['`~', '1!', '2@', '3#', '4$', '5%', '6^', '7&', '8*', '9(', '0)', '-_', '=+'],
+  ['qQ', 'wW', 'eE', 'rR', 'tT', 'yY', 'uU', 'iI', 'oO', 'pP', '[{', ']}', '\\|'],
+  ['aA', 'sS', 'dD', 'fF', 'gG', 'hH', 'jJ', 'kK', 'lL', ';:', '\'"'],
+  ['zZ', 'xX', 'cC', 'vV', 'bB', 'nN', 'mM', ',<', '.>', '/?'],
+];
+
+// Splits of a digit run into day, month and year parts by its length
+const DATE_SPLITS = {
+  4: [[1, 2], [2, 3]],
+  5: [[1, 3], [2, 3]],
+  6: [[1, 2], [2, 4], [4, 5]],
+  7: [[1, 3], [2, 3], [4, 5], [4, 6]],
+  8: [[2, 4], [4, 6]],
+};
+
+const DATE_WITH_SEPARATOR = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/;
+const RECENT_YEAR = /19\d\d|20\d\d/g;
+
+const buildRankedDictionary = words => {
+  const ranked = new Map();
+  words.forEach((word, index) => {
+    const lower = word.toLowerCase();
+    if (!ranked.has(lower)) {
+      ranked.set(lower, index + 1);
+    }
+  });
+  return ranked;
+};
+
+const RANKED_DICTIONARIES = Object.fromEntries(
+  Object.entries(DICTIONARIES).map(([name, words]) => [name, buildRankedDictionary(words)]),
+);
+
+const KEY_POSITIONS = new Map();
+KEYBOARD_ROWS.forEach((row, rowIndex) => {
+  row.forEach(([unshifted, shifted], column) => {
+    KEY_POSITIONS.set(unshifted, { row: rowIndex, column, shifted: false });
+    KEY_POSITIONS.set(shifted, { row: rowIndex, column, shifted: true });
+  });
+});
+
+// Relative positions of neighbouring keys, see KEYBOARD_ROWS
+const KEY_DIRECTIONS = [[0, -1], [0, 1], [-1, 0], [-1, 1], [1, -1], [1, 0]];
+
+const KEYBOARD_KEYS = KEYBOARD_ROWS.reduce((sum, row) => sum + row.length, 0);
+const KEYBOARD_AVERAGE_DEGREE = KEYBOARD_ROWS.reduce((sum, row, rowIndex) =>
+  sum + row.reduce((rowSum, key, column) =>
+    rowSum + KEY_DIRECTIONS.filter(([rowDelta, columnDelta]) =>
+      KEYBOARD_ROWS[rowIndex + rowDelta] &&
+      KEYBOARD_ROWS[rowIndex + rowDelta][column + columnDelta]).length, 0), 0) / KEYBOARD_KEYS;
+
+const nCk = (n, k) => {
+  if (k > n) {
+    return 0;
+  }
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = result * (n - k + i) / i;
+  }
+  return result;
+};
+
+const factorial = n => {
+  let result = 1;
+  for (let i = 2; i <= n; i++) {
+    result *= i;
+  }
+  return result;
+};
+
+/**
+ * Offline password strength estimation in the style of zxcvbn.
+ *
+ * The password is split into the sequence of patterns (dictionary words,
+ * keyboard walks, sequences, repeats, dates and random characters) that is
+ * cheapest to guess, and the score follows from the number of guesses an
+ * attacker who knows these patterns would need.
+ */
+class StrengthEstimator {
+  /**
+   * Estimate the strength of a password
+   * @param {String} password Password to check
+   * @param {Array<String>} userInputs Other values an attacker may know, such as
+   * the credential name and username
+   * @returns {Object} Estimate (score 0-4, guessesLog10, sequence, feedback)
+   */
+  estimate(password, userInputs = []) {
+    const analyzed = (password || '').slice(0, MAX_ANALYZED_LENGTH);
+    const dictionaries = {
+      ...RANKED_DICTIONARIES,
+      userInputs: buildRankedDictionary(
+        userInputs.filter(Boolean).map(input => String(input).toLowerCase()),
+      ),
+    };
+
+    const matches = this._findMatches(analyzed, dictionaries);
+    const { guesses, sequence } = this._getMostGuessableSequence(analyzed, matches);
+    const guessesLog10 = Math.log10(guesses) + ((password || '').length - analyzed.length);
+    const score = this._getScore(guesses);
+
+    return {
+      score,
+      guessesLog10,
+      sequence,
+      feedback: this._getFeedback(score, sequence),
+    };
+  }
+
+  /**
+   * Whether a stored strength score should be flagged
+   * @param {Number|null} score Score from metadata, null when unknown
+   * @returns {Boolean} True for known scores below WEAK_SCORE
+   */
+  isWeak(score) {
+    return typeof score === 'number' && score < WEAK_SCORE;
+  }
+
+  /**
+   * Map a guess count to a score from 0 to 4
+   * @private
+   */
+  _getScore(guesses) {
+    const index = SCORE_THRESHOLDS.findIndex(threshold => guesses < threshold + 5);
+    return index === -1 ? SCORE_THRESHOLDS.length : index;
+  }
+
+  /**
+   * Run every matcher over a password
+   * @private
+   * @returns {Array<Object>} Matches ({ pattern, i, j, token, ... })
+   */
+  _findMatches(password, dictionaries) {
+    const matches = [
+      ...this._dictionaryMatches(password, dictionaries),
+      ...this._reversedDictionaryMatches(password, dictionaries),
+      ...this._l33tMatches(password, dictionaries),
+      ...this._spatialMatches(password),
+      ...this._repeatMatches(password, dictionaries),
+      ...this._sequenceMatches(password),
+      ...this._dateMatches(password),
+      ...this._yearMatches(password),
+    ];
+    return matches.sort((a, b) => a.i - b.i || a.j - b.j);
+  }
+
+  /**
+   * Substrings found in the ranked dictionaries
+   * @private
+   */
+  _dictionaryMatches(password, dictionaries) {
+    const matches = [];
+    const lower = password.toLowerCase();
+
+    Object.entries(dictionaries).forEach(([dictionaryName, ranked]) => {
+      for (let i = 0; i < password.length; i++) {
+        for (let j = i; j < password.length; j++) {
+          const word = lower.slice(i, j + 1);
+          if (ranked.has(word)) {
+            matches.push({
+              pattern: 'dictionary',
+              i,
+              j,
+              token: password.slice(i, j + 1),
+              matchedWord: word,
+              rank: ranked.get(word),
+              dictionaryName,
+              reversed: false,
+              l33t: false,
+            });
+          }
+        }
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Dictionary words typed backwards
+   * @private
+   */
+  _reversedDictionaryMatches(password, dictionaries) {
+    const reversed = [...password].reverse().join('');
+
+    return this._dictionaryMatches(reversed, dictionaries)
+      .filter(match => match.token.length > 1)
+      .map(match => ({
+        ...match,
+        token: [...match.token].reverse().join(''),
+        i: password.length - 1 - match.j,
+        j: password.length - 1 - match.i,
+        reversed: true,
+      }));
+  }
+
+  /**
+   * Dictionary words with letters replaced by look-alike symbols
+   * @private
+   */
+  _l33tMatches(password, dictionaries) {
+    const matches = [];
+    const seen = new Set();
+
+    this._getL33tSubstitutions(password).forEach(substitution => {
+      const translated = [...password].map(char => substitution[char] || char).join('');
+
+      this._dictionaryMatches(translated, dictionaries).forEach(match => {
+        const token = password.slice(match.i, match.j + 1);
+        // Only the substitutions actually used within the token count
+        const sub = {};
+        [...token].forEach(char => {
+          if (substitution[char]) {
+            sub[char] = substitution[char];
+          }
+        });
+        const id = `${match.i}:${match.j}:${match.matchedWord}`;
+
+        if (token.length > 1 && Object.keys(sub).length > 0 &&
+            token.toLowerCase() !== match.matchedWord && !seen.has(id)) {
+          seen.add(id);
+          matches.push({ ...match, token, l33t: true, sub });
+        }
+      });
+    });
+
+    return matches;
+  }
+
+  /**
+   * Possible readings of the l33t characters in a password, each a map from
+   * symbol to letter
+   * @private
+   */
+  _getL33tSubstitutions(password) {
+    const candidates = {};
+    Object.entries(L33T_TABLE).forEach(([letter, symbols]) => {
+      symbols.forEach(symbol => {
+        if (password.includes(symbol)) {
+          candidates[symbol] = [...(candidates[symbol] || []), letter];
+        }
+      });
+    });
+
+    let substitutions = [{}];
+    Object.entries(candidates).forEach(([symbol, letters]) => {
+      substitutions = substitutions
+        .flatMap(substitution => letters.map(letter => ({ ...substitution, [symbol]: letter })))
+        .slice(0, MAX_L33T_SUBSTITUTIONS);
+    });
+
+    return Object.keys(candidates).length > 0 ? substitutions : [];
+  }
+
+  /**
+   * Runs of at least three neighbouring keys
+   * @private
+   */
+  _spatialMatches(password) {
+    const matches = [];
+    let i = 0;
+
+    while (i < password.length - 1) {
+      let j = i;
+      let turns = 0;
+      let lastDirection = null;
+
+      while (j + 1 < password.length) {
+        const direction = this._getKeyDirection(password[j], password[j + 1]);
+        if (direction === null) {
+          break;
+        }
+        if (direction !== lastDirection) {
+          turns++;
+          lastDirection = direction;
+        }
+        j++;
+      }
+
+      if (j - i >= 2) {
+        const token = password.slice(i, j + 1);
+        matches.push({
+          pattern: 'spatial',
+          i,
+          j,
+          token,
+          turns,
+          shiftedCount: [...token].filter(char => KEY_POSITIONS.get(char).shifted).length,
+        });
+      }
+      i = j > i ? j : i + 1;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Direction from one key to a neighbouring key
+   * @private
+   * @returns {Number|null} Index into KEY_DIRECTIONS, null when not adjacent
+   */
+  _getKeyDirection(from, to) {
+    const a = KEY_POSITIONS.get(from);
+    const b = KEY_POSITIONS.get(to);
+    if (!a || !b) {
+      return null;
+    }
+    const index = KEY_DIRECTIONS.findIndex(([rowDelta, columnDelta]) =>
+      b.row - a.row === rowDelta && b.column - a.column === columnDelta);
+    return index === -1 ? null : index;
+  }
+
+  /**
+   * Repeated characters or groups, such as "aaa" or "abcabc"
+   * @private
+   */
+  _repeatMatches(password, dictionaries) {
+    const matches = [];
+    const greedy = /(.+)\1+/g;
+    const lazy = /(.+?)\1+/g;
+    const lazyAnchored = /^(.+?)\1+$/;
+    let lastIndex = 0;
+
+    while (lastIndex < password.length) {
+      greedy.lastIndex = lastIndex;
+      lazy.lastIndex = lastIndex;
+      const greedyMatch = greedy.exec(password);
+      const lazyMatch = lazy.exec(password);
+      if (!greedyMatch) {
+        break;
+      }
+
+      let match;
+      let baseToken;
+      if (greedyMatch[0].length > lazyMatch[0].length) {
+        // "aabaab": the greedy match is the full repeat, find its shortest unit
+        match = greedyMatch;
+        baseToken = lazyAnchored.exec(match[0])[1];
+      } else {
+        match = lazyMatch;
+        baseToken = match[1];
+      }
+
+      const i = match.index;
+      const j = match.index + match[0].length - 1;
+      const base = this._getMostGuessableSequence(
+        baseToken,
+        this._findMatches(baseToken, dictionaries),
+      );
+      matches.push({
+        pattern: 'repeat',
+        i,
+        j,
+        token: match[0],
+        baseToken,
+        baseGuesses: base.guesses,
+        repeatCount: match[0].length / baseToken.length,
+      });
+      lastIndex = j + 1;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Runs with a constant step between character codes, such as "abc",
+   * "9753" or "zyx"
+   * @private
+   */
+  _sequenceMatches(password) {
+    const matches = [];
+    if (password.length < 3) {
+      return matches;
+    }
+
+    const pushRun = (i, j, delta) => {
+      if (j - i >= 2 && Math.abs(delta) >= 1 && Math.abs(delta) <= 5) {
+        matches.push({
+          pattern: 'sequence',
+          i,
+          j,
+          token: password.slice(i, j + 1),
+          ascending: delta > 0,
+        });
+      }
+    };
+
+    let i = 0;
+    let lastDelta = null;
+    for (let k = 1; k < password.length; k++) {
+      const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+      if (lastDelta === null) {
+        lastDelta = delta;
+      } else if (delta !== lastDelta) {
+        pushRun(i, k - 1, lastDelta);
+        i = k - 1;
+        lastDelta = delta;
+      }
+    }
+    pushRun(i, password.length - 1, lastDelta);
+
+    return matches;
+  }
+
+  /**
+   * Dates with or without separators, such as "13.05.1991" or "130591"
+   * @private
+   */
+  _dateMatches(password) {
+    const matches = [];
+    const referenceYear = new Date().getFullYear();
+
+    for (let i = 0; i < password.length - 3; i++) {
+      for (let j = i + 3; j <= i + 7 && j < password.length; j++) {
+        const token = password.slice(i, j + 1);
+        if (!/^\d+$/.test(token)) {
+          continue;
+        }
+
+        // Of the possible readings, prefer the year closest to today
+        let best = null;
+        DATE_SPLITS[token.length].forEach(([k, l]) => {
+          const date = this._mapIntsToDate([
+            parseInt(token.slice(0, k), 10),
+            parseInt(token.slice(k, l), 10),
+            parseInt(token.slice(l), 10),
+          ]);
+          if (date && (!best ||
+              Math.abs(date.year - referenceYear) < Math.abs(best.year - referenceYear))) {
+            best = date;
+          }
+        });
+
+        if (best) {
+          matches.push({ pattern: 'date', i, j, token, separator: '', ...best });
+        }
+      }
+    }
+
+    for (let i = 0; i < password.length - 5; i++) {
+      for (let j = i + 5; j <= i + 9 && j < password.length; j++) {
+        const token = password.slice(i, j + 1);
+        const parts = DATE_WITH_SEPARATOR.exec(token);
+        if (!parts) {
+          continue;
+        }
+        const date = this._mapIntsToDate([
+          parseInt(parts[1], 10),
+          parseInt(parts[3], 10),
+          parseInt(parts[4], 10),
+        ]);
+        if (date) {
+          matches.push({ pattern: 'date', i, j, token, separator: parts[2], ...date });
+        }
+      }
+    }
+
+    // Drop dates found inside longer dates, e.g. "1991" within "13.05.1991"
+    return matches.filter(match => !matches.some(other =>
+      other !== match && other.i <= match.i && other.j >= match.j &&
+      other.j - other.i > match.j - match.i));
+  }
+
+  /**
+   * Read three numbers as a day, month and year in any common order
+   * @private
+   * @returns {Object|null} Date ({ year, month, day }) or null
+   */
+  _mapIntsToDate(ints) {
+    if (ints[1] > 31 || ints[1] <= 0) {
+      return null;
+    }
+    const over12 = ints.filter(value => value > 12).length;
+    const over31 = ints.filter(value => value > 31).length;
+    const under1 = ints.filter(value => value <= 0).length;
+    if (ints.some(value => (value > 99 && value < 1000) || value > 2050) ||
+        over31 >= 2 || over12 === 3 || under1 >= 2) {
+      return null;
+    }
+
+    const splits = [[ints[2], ints.slice(0, 2)], [ints[0], ints.slice(1, 3)]];
+
+    for (const [year, rest] of splits) {
+      if (year >= 1000 && year <= 2050) {
+        const dayMonth = this._mapIntsToDayMonth(rest);
+        return dayMonth ? { year, ...dayMonth } : null;
+      }
+    }
+
+    for (const [year, rest] of splits) {
+      const dayMonth = this._mapIntsToDayMonth(rest);
+      if (dayMonth) {
+        return { year: this._expandYear(year), ...dayMonth };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _mapIntsToDayMonth([first, second]) {
+    for (const [day, month] of [[first, second], [second, first]]) {
+      if (day >= 1 && day <= 31 && month >= 1 && month <= 12) {
+        return { day, month };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Expand a two digit year, 51 to 1951 and 12 to 2012
+   * @private
+   */
+  _expandYear(year) {
+    if (year > 99) {
+      return year;
+    }
+    return year > 50 ? year + 1900 : year + 2000;
+  }
+
+  /**
+   * Years on their own, such as "1991"
+   * @private
+   */
+  _yearMatches(password) {
+    const matches = [];
+    let match;
+    RECENT_YEAR.lastIndex = 0;
+    while ((match = RECENT_YEAR.exec(password)) !== null) {
+      matches.push({
+        pattern: 'year',
+        i: match.index,
+        j: match.index + match[0].length - 1,
+        token: match[0],
+        year: parseInt(match[0], 10),
+      });
+    }
+    return matches;
+  }
+
+  /**
+   * Find the sequence of non-overlapping matches covering the password that
+   * needs the fewest guesses. Gaps are filled with random characters.
+   * @private
+   * @returns {Object} Guesses and the sequence of matches
+   */
+  _getMostGuessableSequence(password, matches) {
+    const n = password.length;
+    if (n === 0) {
+      return { guesses: 1, sequence: [] };
+    }
+
+    const matchesByEnd = Array.from({ length: n }, () => []);
+    matches.forEach(match => matchesByEnd[match.j].push(match));
+
+    // For each end position and sequence length: the last match, the
+    // product of guesses and the total including the length penalty
+    const optimal = {
+      match: Array.from({ length: n }, () => new Map()),
+      product: Array.from({ length: n }, () => new Map()),
+      guesses: Array.from({ length: n }, () => new Map()),
+    };
+
+    const update = (match, length) => {
+      const k = match.j;
+      let product = this._estimateGuesses(match, n);
+      if (length > 1) {
+        product *= optimal.product[match.i - 1].get(length - 1);
+      }
+      const guesses = factorial(length) * product +
+        MIN_GUESSES_BEFORE_GROWING_SEQUENCE ** (length - 1);
+
+      for (const [otherLength, otherGuesses] of optimal.guesses[k]) {
+        if (otherLength <= length && otherGuesses <= guesses) {
+          return;
+        }
+      }
+      optimal.match[k].set(length, match);
+      optimal.product[k].set(length, product);
+      optimal.guesses[k].set(length, guesses);
+    };
+
+    const bruteforce = (i, j) => ({
+      pattern: 'bruteforce',
+      i,
+      j,
+      token: password.slice(i, j + 1),
+    });
+
+    for (let k = 0; k < n; k++) {
+      matchesByEnd[k].forEach(match => {
+        if (match.i > 0) {
+          [...optimal.match[match.i - 1].keys()].forEach(length => update(match, length + 1));
+        } else {
+          update(match, 1);
+        }
+      });
+
+      update(bruteforce(0, k), 1);
+      for (let i = 1; i <= k; i++) {
+        // Two adjacent bruteforce matches are never better than one
+        [...optimal.match[i - 1].entries()].forEach(([length, last]) => {
+          if (last.pattern !== 'bruteforce') {
+            update(bruteforce(i, k), length + 1);
+          }
+        });
+      }
+    }
+
+    let bestLength = null;
+    let bestGuesses = Infinity;
+    optimal.guesses[n - 1].forEach((guesses, length) => {
+      if (bestLength === null || guesses < bestGuesses) {
+        bestLength = length;
+        bestGuesses = guesses;
+      }
+    });
+
+    const sequence = [];
+    let k = n - 1;
+    let length = bestLength;
+    while (k >= 0) {
+      const match = optimal.match[k].get(length);
+      sequence.unshift(match);
+      k = match.i - 1;
+      length--;
+    }
+
+    return { guesses: bestGuesses, sequence };
+  }
+
+  /**
+   * Guesses needed for one match, cached on the match
+   * @private
+   */
+  _estimateGuesses(match, passwordLength) {
+    if (match.guesses !== undefined) {
+      return match.guesses;
+    }
+
+    let minGuesses = 1;
+    if (match.token.length < passwordLength) {
+      minGuesses = match.token.length === 1 ?
+        MIN_SUBMATCH_GUESSES_SINGLE_CHAR :
+        MIN_SUBMATCH_GUESSES_MULTI_CHAR;
+    }
+
+    const estimators = {
+      bruteforce: () => this._bruteforceGuesses(match),
+      dictionary: () => this._dictionaryGuesses(match),
+      spatial: () => this._spatialGuesses(match),
+      repeat: () => match.baseGuesses * match.repeatCount,
+      sequence: () => this._sequenceGuesses(match),
+      date: () => this._dateGuesses(match),
+      year: () => Math.max(Math.abs(match.year - new Date().getFullYear()), MIN_YEAR_SPACE),
+    };
+
+    match.guesses = Math.max(estimators[match.pattern](), minGuesses);
+    return match.guesses;
+  }
+
+  /**
+   * @private
+   */
+  _bruteforceGuesses(match) {
+    const minGuesses = match.token.length === 1 ?
+      MIN_SUBMATCH_GUESSES_SINGLE_CHAR + 1 :
+      MIN_SUBMATCH_GUESSES_MULTI_CHAR + 1;
+    return Math.max(BRUTEFORCE_CARDINALITY ** match.token.length, minGuesses);
+  }
+
+  /**
+   * Rank, times the ways the word could be capitalized, substituted or reversed
+   * @private
+   */
+  _dictionaryGuesses(match) {
+    let guesses = match.rank * this._uppercaseVariations(match.token);
+    if (match.l33t) {
+      guesses *= this._l33tVariations(match);
+    }
+    if (match.reversed) {
+      guesses *= 2;
+    }
+    return guesses;
+  }
+
+  /**
+   * @private
+   */
+  _uppercaseVariations(word) {
+    if (/^[^A-Z]+$/.test(word) || word.toLowerCase() === word) {
+      return 1;
+    }
+    // First letter, last letter or all capitalized are the usual choices
+    if (/^[A-Z][^A-Z]+$/.test(word) || /^[^A-Z]+[A-Z]$/.test(word) || /^[^a-z]+$/.test(word)) {
+      return 2;
+    }
+
+    const upper = [...word].filter(char => /[A-Z]/.test(char)).length;
+    const lower = [...word].filter(char => /[a-z]/.test(char)).length;
+    let variations = 0;
+    for (let i = 1; i <= Math.min(upper, lower); i++) {
+      variations += nCk(upper + lower, i);
+    }
+    return variations;
+  }
+
+  /**
+   * @private
+   */
+  _l33tVariations(match) {
+    let variations = 1;
+    const token = match.token.toLowerCase();
+
+    Object.entries(match.sub).forEach(([symbol, letter]) => {
+      const substituted = [...token].filter(char => char === symbol).length;
+      const unsubstituted = [...token].filter(char => char === letter).length;
+      if (substituted === 0 || unsubstituted === 0) {
+        // Every occurrence substituted: only one more variation
+        variations *= 2;
+      } else {
+        let possibilities = 0;
+        for (let i = 1; i <= Math.min(substituted, unsubstituted); i++) {
+          possibilities += nCk(substituted + unsubstituted, i);
+        }
+        variations *= possibilities;
+      }
+    });
+
+    return variations;
+  }
+
+  /**
+   * Walks of the given length and number of turns from any key
+   * @private
+   */
+  _spatialGuesses(match) {
+    const length = match.token.length;
+    let guesses = 0;
+
+    for (let i = 2; i <= length; i++) {
+      const possibleTurns = Math.min(match.turns, i - 1);
+      for (let j = 1; j <= possibleTurns; j++) {
+        guesses += nCk(i - 1, j - 1) * KEYBOARD_KEYS * KEYBOARD_AVERAGE_DEGREE ** j;
+      }
+    }
+
+    if (match.shiftedCount > 0) {
+      const shifted = match.shiftedCount;
+      const unshifted = length - shifted;
+      if (unshifted === 0) {
+        guesses *= 2;
+      } else {
+        let variations = 0;
+        for (let i = 1; i <= Math.min(shifted, unshifted); i++) {
+          variations += nCk(shifted + unshifted, i);
+        }
+        guesses *= variations;
+      }
+    }
+
+    return guesses;
+  }
+
+  /**
+   * @private
+   */
+  _sequenceGuesses(match) {
+    const first = match.token[0];
+    let base;
+    if ('aAzZ019'.includes(first)) {
+      // Obvious starting points
+      base = 4;
+    } else if (/\d/.test(first)) {
+      base = 10;
+    } else {
+      base = 26;
+    }
+    if (!match.ascending) {
+      base *= 2;
+    }
+    return base * match.token.length;
+  }
+
+  /**
+   * @private
+   */
+  _dateGuesses(match) {
+    const yearSpace = Math.max(Math.abs(match.year - new Date().getFullYear()), MIN_YEAR_SPACE);
+    const guesses = yearSpace * 365;
+    return match.separator ? guesses * 4 : guesses;
+  }
+
+  /**
+   * Warning and suggestions for a weak password, based on the longest
+   * match found in it
+   * @private
+   * @returns {Object} Feedback ({ warning, suggestions })
+   */
+  _getFeedback(score, sequence) {
+    if (sequence.length === 0) {
+      return {
+        warning: null,
+        suggestions: [
+          'Use a few words, avoid common phrases',
+          'No need for symbols, digits or uppercase letters',
+        ],
+      };
+    }
+    if (score > 2) {
+      return { warning: null, suggestions: [] };
+    }
+
+    const longest = sequence.reduce((best, match) =>
+      (match.token.length > best.token.length ? match : best));
+    const feedback = this._getMatchFeedback(longest, sequence.length === 1);
+    const extra = 'Add another word or two. Uncommon words are better.';
+
+    return {
+      warning: feedback.warning,
+      suggestions: [extra, ...feedback.suggestions],
+    };
+  }
+
+  /**
+   * @private
+   */
+  _getMatchFeedback(match, isSoleMatch) {
+    switch (match.pattern) {
+      case 'dictionary':
+        return this._getDictionaryFeedback(match, isSoleMatch);
+      case 'spatial':
+        return {
+          warning: match.turns === 1 ?
+            'Straight rows of keys are easy to guess' :
+            'Short keyboard patterns are easy to guess',
+          suggestions: ['Use a longer keyboard pattern with more turns'],
+        };
+      case 'repeat':
+        return {
+          warning: match.baseToken.length === 1 ?
+            'Repeats like "aaa" are easy to guess' :
+            'Repeats like "abcabcabc" are only slightly harder to guess than "abc"',
+          suggestions: ['Avoid repeated words and characters'],
+        };
+      case 'sequence':
+        return {
+          warning: 'Sequences like abc or 6543 are easy to guess',
+          suggestions: ['Avoid sequences'],
+        };
+      case 'date':
+      case 'year':
+        return {
+          warning: match.pattern === 'date' ?
+            'Dates are often easy to guess' :
+            'Recent years are easy to guess',
+          suggestions: ['Avoid dates and years that are associated with you'],
+        };
+      default:
+        return { warning: null, suggestions: [] };
+    }
+  }
+
+  /**
+   * @private
+   */
+  _getDictionaryFeedback(match, isSoleMatch) {
+    let warning = null;
+
+    if (match.dictionaryName === 'passwords') {
+      if (isSoleMatch && !match.l33t && !match.reversed) {
+        if (match.rank <= 10) {
+          warning = 'This is a top-10 common password';
+        } else if (match.rank <= 100) {
+          warning = 'This is a top-100 common password';
+        } else {
+          warning = 'This is a very common password';
+        }
+      } else {
+        warning = 'This is similar to a commonly used password';
+      }
+    } else if (match.dictionaryName === 'english') {
+      if (isSoleMatch) {
+        warning = 'A word by itself is easy to guess';
+      }
+    } else if (match.dictionaryName === 'names') {
+      warning = isSoleMatch ?
+        'Names and surnames by themselves are easy to guess' :
+        'Common names and surnames are easy to guess';
+    } else if (match.dictionaryName === 'userInputs') {
+      warning = 'Avoid the name of the account or your username';
+    }
+
+    const suggestions = [];
+    const word = match.token;
+    if (/^[A-Z][^A-Z]+$/.test(word)) {
+      suggestions.push('Capitalization doesn\'t help very much');
+    } else if (/^[^a-z]+$/.test(word) && word.toLowerCase() !== word) {
+      suggestions.push('All-uppercase is almost as easy to guess as all-lowercase');
+    }
+    if (match.reversed && word.length >= 4) {
+      suggestions.push('Reversed words aren\'t much harder to guess');
+    }
+    if (match.l33t) {
+      suggestions.push('Predictable substitutions like \'@\' instead of \'a\' don\'t help very much');
+    }
+
+    return { warning, suggestions };
+  }
+}
+
+export default new StrengthEstimator();
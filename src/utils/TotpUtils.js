@@ -0,0 +1,252 @@
+/* eslint-disable no-bitwise */
+import { hmac } from '@noble/hashes/hmac';
+import { sha1 } from '@noble/hashes/sha1';
+import { sha256, sha512 } from '@noble/hashes/sha2';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const HASHES = {
+  SHA1: sha1,
+  SHA256: sha256,
+  SHA512: sha512,
+};
+
+export const TOTP_ALGORITHMS = Object.keys(HASHES);
+export const TOTP_DIGITS = [6, 7, 8];
+export const TOTP_PERIODS = [30, 60];
+
+export const DEFAULT_TOTP_PARAMS = {
+  algorithm: 'SHA1',
+  digits: 6,
+  period: 30,
+};
+
+/**
+ * Time-based one-time passwords (RFC 6238) and the otpauth:// URIs used to
+ * set them up.
+ *
+ * TOTP credentials keep their whole configuration as an otpauth:// URI in
+ * the keychain, so the secret gets the same protection as a password.
+ */
+class TotpUtils {
+  /**
+   * Generate the code for a point in time
+   * @param {Object} params TOTP parameters (secret in Base32, algorithm, digits, period)
+   * @param {Number} timestamp Milliseconds since the epoch, defaults to now
+   * @returns {String} Code, zero padded to the number of digits
+   */
+  generateCode(params, timestamp = Date.now()) {
+    const { secret, algorithm, digits, period } = { ...DEFAULT_TOTP_PARAMS, ...params };
+    const counter = Math.floor(timestamp / 1000 / period);
+    return this._hotp(this.base32ToBytes(secret), counter, algorithm, digits);
+  }
+
+  /**
+   * Seconds until the current code expires
+   * @param {Number} period Period in seconds
+   * @param {Number} timestamp Milliseconds since the epoch, defaults to now
+   * @returns {Number} Remaining seconds, from period down to 1
+   */
+  getRemainingSeconds(period = DEFAULT_TOTP_PARAMS.period, timestamp = Date.now()) {
+    return period - (Math.floor(timestamp / 1000) % period);
+  }
+
+  /**
+   * Read setup input: either an otpauth:// URI or a bare Base32 secret
+   * @param {String} input Pasted or typed text
+   * @param {Object} defaults Parameters for a bare secret (algorithm, digits, period)
+   * @returns {Object} TOTP parameters (secret, algorithm, digits, period, issuer, account)
+   * @throws {Error} When the input is neither
+   */
+  parseSetupInput(input, defaults = {}) {
+    const trimmed = (input || '').trim();
+    if (/^otpauth:\/\//i.test(trimmed)) {
+      return this.parseUri(trimmed);
+    }
+    return {
+      ...DEFAULT_TOTP_PARAMS,
+      ...defaults,
+      secret: this.normalizeSecret(trimmed),
+      issuer: null,
+      account: null,
+    };
+  }
+
+  /**
+   * Parse an otpauth://totp/ URI
+   * @param {String} uri URI as exported by sites and authenticator apps
+   * @returns {Object} TOTP parameters (secret, algorithm, digits, period, issuer, account)
+   * @throws {Error} When the URI is not a valid TOTP URI
+   */
+  parseUri(uri) {
+    const match = /^otpauth:\/\/([^/]+)\/([^?]*)(?:\?(.*))?$/i.exec(uri.trim());
+    if (!match) {
+      throw new Error('Not an otpauth:// URI');
+    }
+    if (match[1].toLowerCase() !== 'totp') {
+      throw new Error('Only time-based (TOTP) codes are supported');
+    }
+
+    const query = {};
+    (match[3] || '').split('&').filter(Boolean).forEach(pair => {
+      const [name, value = ''] = pair.split('=');
+      query[name.toLowerCase()] = this._decode(value);
+    });
+
+    // Label is "Issuer:account" or just "account". The separator may itself
+    // be encoded, but only a literal one allows colons in the issuer.
+    const literalSeparator = match[2].includes(':');
+    const label = literalSeparator ? match[2] : this._decode(match[2]);
+    const decodePart = part => (literalSeparator ? this._decode(part) : part).trim();
+    const separator = label.indexOf(':');
+    const labelIssuer = separator >= 0 ? decodePart(label.slice(0, separator)) : null;
+    const account = decodePart(separator >= 0 ? label.slice(separator + 1) : label) || null;
+
+    const algorithm = (query.algorithm || DEFAULT_TOTP_PARAMS.algorithm).toUpperCase();
+    const digits = query.digits ? parseInt(query.digits, 10) : DEFAULT_TOTP_PARAMS.digits;
+    const period = query.period ? parseInt(query.period, 10) : DEFAULT_TOTP_PARAMS.period;
+
+    if (!HASHES[algorithm]) {
+      throw new Error(`Unsupported algorithm ${algorithm}`);
+    }
+    if (!TOTP_DIGITS.includes(digits)) {
+      throw new Error(`Unsupported number of digits ${query.digits}`);
+    }
+    if (!Number.isInteger(period) || period <= 0) {
+      throw new Error(`Invalid period ${query.period}`);
+    }
+
+    return {
+      secret: this.normalizeSecret(query.secret || ''),
+      algorithm,
+      digits,
+      period,
+      issuer: query.issuer || labelIssuer,
+      account,
+    };
+  }
+
+  /**
+   * Build the canonical otpauth:// URI for stored parameters
+   * @param {Object} params TOTP parameters (secret, algorithm, digits, period, issuer, account)
+   * @returns {String} otpauth://totp/ URI
+   */
+  buildUri(params) {
+    const { secret, algorithm, digits, period, issuer, account } = {
+      ...DEFAULT_TOTP_PARAMS,
+      ...params,
+    };
+    const label = [issuer, account].filter(Boolean).map(encodeURIComponent).join(':');
+    const query = [
+      `secret=${this.normalizeSecret(secret)}`,
+      issuer ? `issuer=${encodeURIComponent(issuer)}` : null,
+      `algorithm=${algorithm}`,
+      `digits=${digits}`,
+      `period=${period}`,
+    ].filter(Boolean).join('&');
+    return `otpauth://totp/${label}?${query}`;
+  }
+
+  /**
+   * Clean up a Base32 secret as typed: spaces, dashes, lowercase and padding
+   * @param {String} secret Secret as entered
+   * @returns {String} Uppercase Base32 without padding
+   * @throws {Error} When the secret is empty or not Base32
+   */
+  normalizeSecret(secret) {
+    const normalized = secret.replace(/[\s-]+/g, '').replace(/[=]+$/, '').toUpperCase();
+    if (!normalized) {
+      throw new Error('Enter the secret key');
+    }
+    if (/[^A-Z2-7]/.test(normalized)) {
+      throw new Error('The secret key may only contain letters A-Z and digits 2-7');
+    }
+    return normalized;
+  }
+
+  /**
+   * Decode Base32 (RFC 4648) into bytes
+   * @param {String} secret Base32 string, normalized or not
+   * @returns {Uint8Array} Decoded bytes
+   */
+  base32ToBytes(secret) {
+    const normalized = this.normalizeSecret(secret);
+    const bytes = new Uint8Array(Math.floor(normalized.length * 5 / 8));
+    let buffer = 0;
+    let bits = 0;
+    let index = 0;
+
+    for (const char of normalized) {
+      buffer = (buffer << 5) | BASE32_ALPHABET.indexOf(char);
+      bits += 5;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes[index++] = (buffer >> bits) & 0xff;
+      }
+    }
+    return bytes;
+  }
+
+  /**
+   * Encode bytes as Base32 (RFC 4648) without padding
+   * @param {Uint8Array} bytes Bytes to encode
+   * @returns {String} Base32 string
+   */
+  bytesToBase32(bytes) {
+    let result = '';
+    let buffer = 0;
+    let bits = 0;
+
+    for (const byte of bytes) {
+      buffer = (buffer << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        bits -= 5;
+        result += BASE32_ALPHABET[(buffer >> bits) & 31];
+      }
+    }
+    if (bits > 0) {
+      result += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+    return result;
+  }
+
+  /**
+   * HOTP (RFC 4226) with a configurable hash
+   * @private
+   */
+  _hotp(key, counter, algorithm, digits) {
+    const hash = HASHES[algorithm];
+    if (!hash) {
+      throw new Error(`Unsupported algorithm ${algorithm}`);
+    }
+
+    // 8-byte big-endian counter; split since bitwise operators are 32-bit
+    const message = new Uint8Array(8);
+    const view = new DataView(message.buffer);
+    view.setUint32(0, Math.floor(counter / 0x100000000));
+    view.setUint32(4, counter % 0x100000000);
+
+    const digest = hmac(hash, key, message);
+    const offset = digest[digest.length - 1] & 0x0f;
+    const binary = ((digest[offset] & 0x7f) << 24) |
+      (digest[offset + 1] << 16) |
+      (digest[offset + 2] << 8) |
+      digest[offset + 3];
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+  }
+
+  /**
+   * @private
+   */
+  _decode(value) {
+    try {
+      return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (error) {
+      return value;
+    }
+  }
+}
+
+export default new TotpUtils();